@@ -12,7 +12,7 @@ module.exports = {
   rules: {
     // Customize rules as needed
     'no-console': 'off', // Allow console for logging
-    'no-underscore-dangle': ['error', { allow: ['_id', '_validateId', '_validatePagination', '_buildOdooFilters', '_isValidEmail', '_isValidPhone', '_authenticateWithRetry', '_sleep', '_createConnection', '_waitForConnection', '_setIdleTimeout'] }],
+    'no-underscore-dangle': ['error', { allow: ['_id', '_validateId', '_validatePagination', '_buildOdooFilters', '_isValidEmail', '_isValidPhone', '_authenticateWithRetry', '_sleep', '_createConnection', '_waitForConnection', '_setIdleTimeout', '_login', '_call', '_post', '_storeSessionCookie', '_getKnownFields', '_resolveFields', '_resolveOrder', '_withOrder', '_toDTO', '_toDTOArray', '_project', '_getQueryOptions', '_withCache', '_listCacheKey', '_invalidateCache', '_setCacheHeader', '_activeClient', '_clients', '_replayMissed', '_getEntry', '_globToRegExp', '_loadProfile', '_issueTokens', '_validate', '_scopeDomain', '_assertInScope', '_userClient', '_isExpired', '_validateDepth', '_buildTree', '_validateImportRows', '_resolveImportNames', '_prepareImportRow', '_createImportBatch', '_exportOrder', '_exportColumns', '_assertEmployee', '_getEmployeeId', '_validatePeriodQuery', '_periodBounds', '_periodDomain', '_shiftEnd', '_groupDay', '_firstCheckIns', '_compareToShift', '_periodOf', '_runAction', '_validateCalendarQuery', '_findCalendarLeaves', '_toOdooDatetime', '_estimateDays', '_startStep', '_runStep', '_payslipsToGenerate', '_snapshot', '_searchRead', '_collectPayments', '_assertScopedWrite', '_assertScopedEmployee', '__range', '__domain'] }],
     'class-methods-use-this': 'off',
     'no-unused-vars': ['error', { argsIgnorePattern: '^_' }],
     'consistent-return': 'off',
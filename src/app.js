@@ -10,11 +10,21 @@ const { createLogger } = require('./infrastructure/logging/Logger');
 const { morganLogger, requestId } = require('./middleware/logging.middleware');
 const { errorHandler, notFoundHandler } = require('./middleware/error.middleware');
 const { apiLimiter } = require('./middleware/rateLimit.middleware');
+const { authenticate, optionalAuth } = require('./middleware/auth.middleware');
 
 // Import infrastructure
 const { OdooConnectionPool } = require('./infrastructure/odoo');
-const { RedisCache } = require('./infrastructure/cache/RedisCache');
-const { CacheManager } = require('./infrastructure/cache/CacheManager');
+const RedisCache = require('./infrastructure/cache/RedisCache');
+const MemoryCache = require('./infrastructure/cache/MemoryCache');
+const CacheManager = require('./infrastructure/cache/CacheManager');
+const JobScheduler = require('./infrastructure/scheduler/JobScheduler');
+
+// Import Auth module
+const AuthRepository = require('./modules/auth/auth.repository');
+const AuthService = require('./modules/auth/auth.service');
+const AuthController = require('./modules/auth/auth.controller');
+const AuthValidator = require('./modules/auth/auth.validator');
+const createAuthRoutes = require('./modules/auth/auth.routes');
 
 // Import Employee module
 const EmployeeRepository = require('./modules/employee/employee.repository');
@@ -35,13 +45,36 @@ const TimeOffRepository = require('./modules/timeoff/timeoff.repository');
 const TimeOffService = require('./modules/timeoff/timeoff.service');
 const TimeOffController = require('./modules/timeoff/timeoff.controller');
 const TimeOffAdapter = require('./modules/timeoff/timeoff.adapter');
+const TimeOffValidator = require('./modules/timeoff/timeoff.validator');
 const createTimeOffRoutes = require('./modules/timeoff/timeoff.routes');
+const createTimeOffFeedRoutes = require('./modules/timeoff/timeoff.feed.routes');
+
+const AllocationsRepository = require('./modules/allocations/allocations.repository');
+const AllocationsService = require('./modules/allocations/allocations.service');
+const AllocationsController = require('./modules/allocations/allocations.controller');
+const AllocationsAdapter = require('./modules/allocations/allocations.adapter');
+const createAllocationsRoutes = require('./modules/allocations/allocations.routes');
+
+const ContractsRepository = require('./modules/contracts/contracts.repository');
+const ContractsService = require('./modules/contracts/contracts.service');
+const ContractsController = require('./modules/contracts/contracts.controller');
+const ContractsAdapter = require('./modules/contracts/contracts.adapter');
+const ContractsValidator = require('./modules/contracts/contracts.validator');
+const createContractsRoutes = require('./modules/contracts/contracts.routes');
+const createEmployeeContractsRoutes = require('./modules/contracts/contracts.employee.routes');
 
 const PayrollRepository = require('./modules/payroll/payroll.repository');
 const PayrollService = require('./modules/payroll/payroll.service');
 const PayrollController = require('./modules/payroll/payroll.controller');
 const PayrollAdapter = require('./modules/payroll/payroll.adapter');
+const PayrollValidator = require('./modules/payroll/payroll.validator');
 const createPayrollRoutes = require('./modules/payroll/payroll.routes');
+const PayrollRunsRepository = require('./modules/payrollRuns/payrollRuns.repository');
+const PayrollRunsService = require('./modules/payrollRuns/payrollRuns.service');
+const PayrollRunsController = require('./modules/payrollRuns/payrollRuns.controller');
+const PayrollRunsAdapter = require('./modules/payrollRuns/payrollRuns.adapter');
+const PayrollRunsValidator = require('./modules/payrollRuns/payrollRuns.validator');
+const createPayrollRunsRoutes = require('./modules/payrollRuns/payrollRuns.routes');
 
 const ExpensesRepository = require('./modules/expenses/expenses.repository');
 const ExpensesService = require('./modules/expenses/expenses.service');
@@ -88,7 +121,8 @@ function createApp() {
       ].filter(Boolean),
       credentials: config.cors.credentials,
       methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-      allowedHeaders: ['Content-Type', 'Authorization']
+      allowedHeaders: ['Content-Type', 'Authorization'],
+      exposedHeaders: ['X-Cache']
     })
   );
 
@@ -134,6 +168,7 @@ function createApp() {
           description: 'Development server (127.0.0.1)'
         }
       ],
+      security: [{ bearerAuth: [] }],
       components: {
         securitySchemes: {
           bearerAuth: {
@@ -141,6 +176,26 @@ function createApp() {
             scheme: 'bearer',
             bearerFormat: 'JWT'
           }
+        },
+        parameters: {
+          Sort: {
+            in: 'query',
+            name: 'sort',
+            schema: { type: 'string' },
+            description: 'Comma separated Odoo fields; prefix with - for descending (e.g. -date_from,id)'
+          },
+          Fields: {
+            in: 'query',
+            name: 'fields',
+            schema: { type: 'string' },
+            description: 'Comma separated Odoo fields to return (e.g. id,name,state)'
+          },
+          ExportFormat: {
+            in: 'query',
+            name: 'format',
+            schema: { type: 'string', enum: ['csv', 'xlsx', 'ndjson'], default: 'csv' },
+            description: 'Export file format'
+          }
         }
       }
     },
@@ -189,20 +244,50 @@ function createApp() {
   // Initialize Odoo Connection Pool
   const odooPool = OdooConnectionPool.getInstance(config.odoo, logger);
 
-  // Initialize Cache (optional - gracefully handle if Redis is unavailable)
+  // Initialize Cache (Redis with an in-memory fallback, or memory only)
   let cacheManager = null;
   try {
-    const redisCache = new RedisCache(config.redis, logger);
-    cacheManager = new CacheManager(redisCache, logger);
+    const memoryCache = new MemoryCache({ maxEntries: config.cache.maxEntries }, logger);
+
+    if (config.cache.driver === 'memory') {
+      cacheManager = new CacheManager(memoryCache, logger);
+      memoryCache.connect();
+    } else {
+      const redisCache = new RedisCache(config.redis, logger);
+      cacheManager = new CacheManager(redisCache, logger, { fallback: memoryCache });
+
+      // Connect to Redis (non-blocking); reads use the memory cache until it is up
+      redisCache.connect().then(() => {
+        if (!redisCache.isConnected()) {
+          logger.warn('Redis unavailable, using in-memory cache');
+        }
+      });
+    }
 
-    // Connect to Redis (non-blocking)
-    redisCache.connect().catch((err) => {
-      logger.warn('Redis connection failed, cache disabled', err);
-    });
+    if (!config.cache.enabled) {
+      cacheManager.disable();
+    } else if (config.odoo.impersonation.enabled) {
+      // Odoo record rules differ per user, so reads cannot be shared between callers
+      logger.warn('Odoo impersonation is enabled, disabling the shared read cache');
+      cacheManager.disable();
+    }
   } catch (error) {
     logger.warn('Cache initialization failed, running without cache', error);
   }
 
+  // Auth Module
+  const authRepository = new AuthRepository(odooPool, config.odoo.models.user, logger, {
+    employee: config.odoo.models.employee
+  });
+  const authService = new AuthService(authRepository, {
+    validator: new AuthValidator(),
+    logger,
+    accessExpiresIn: config.security.jwtExpiresIn,
+    refreshExpiresIn: config.security.jwtRefreshExpiresIn,
+    sessions: config.odoo.impersonation.enabled ? odooPool : null
+  });
+  const authController = new AuthController(authService, logger);
+
   // Employee Module Dependencies
   const employeeRepository = new EmployeeRepository(
     odooPool,
@@ -215,7 +300,16 @@ function createApp() {
     employeeRepository,
     employeeValidator,
     employeeAdapter,
-    logger
+    logger,
+    {
+      filterableFields: config.odoo.filterableFields.employee,
+      textFilterFields: config.odoo.textFilterFields.employee,
+      knownFields: config.odoo.defaultFields.employee,
+      cache: cacheManager,
+      cacheTtl: config.cache.ttl.employee,
+      models: { department: config.odoo.models.department, job: config.odoo.models.job },
+      bulkImport: config.bulkImport
+    }
   );
   const employeeController = new EmployeeController(employeeService, logger);
 
@@ -223,39 +317,162 @@ function createApp() {
   const attendanceRepository = new AttendanceRepository(
     odooPool,
     config.odoo.models.attendance,
-    logger
+    logger,
+    {
+      employee: config.odoo.models.employee,
+      calendar: config.odoo.models.calendar,
+      calendarAttendance: config.odoo.models.calendarAttendance,
+      calendarLeave: config.odoo.models.calendarLeave
+    }
   );
   const attendanceService = new AttendanceService(attendanceRepository, {
     adapter: new AttendanceAdapter(),
     logger,
-    defaultFields: config.odoo.defaultFields.attendance
+    defaultFields: config.odoo.defaultFields.attendance,
+    filterableFields: config.odoo.filterableFields.attendance,
+    cache: cacheManager,
+    cacheTtl: config.cache.ttl.attendance,
+    exportPageSize: config.export.pageSize,
+    scopeField: 'employee_id',
+    scopeModel: config.odoo.models.employee,
+    timezone: config.attendance.timezone,
+    graceMinutes: config.attendance.graceMinutes,
+    overtimeRules: config.overtime,
+    missingCheckOut: config.attendance.missingCheckOut
   });
   const attendanceController = new AttendanceController(attendanceService, logger);
 
   // Time Off Module
-  const timeOffRepository = new TimeOffRepository(odooPool, config.odoo.models.leave, logger);
+  const timeOffRepository = new TimeOffRepository(odooPool, config.odoo.models.leave, logger, {
+    allocation: config.odoo.models.allocation,
+    leaveType: config.odoo.models.leaveType
+  });
   const timeOffService = new TimeOffService(timeOffRepository, {
     adapter: new TimeOffAdapter(),
+    validator: new TimeOffValidator(),
     logger,
-    defaultFields: config.odoo.defaultFields.leave
+    defaultFields: config.odoo.defaultFields.leave,
+    filterableFields: config.odoo.filterableFields.leave,
+    cache: cacheManager,
+    cacheTtl: config.cache.ttl.leave,
+    exportPageSize: config.export.pageSize,
+    scopeField: 'employee_id',
+    scopeModel: config.odoo.models.employee,
+    actions: config.odoo.leaveActions,
+    leaveTypeFields: config.odoo.defaultFields.leaveType,
+    timezone: config.timeoff.timezone,
+    calendarFeed: config.timeoff.calendarFeed
   });
   const timeOffController = new TimeOffController(timeOffService, logger);
 
+  // Allocations Module
+  const allocationsRepository = new AllocationsRepository(
+    odooPool,
+    config.odoo.models.allocation,
+    logger
+  );
+  const allocationsService = new AllocationsService(allocationsRepository, {
+    adapter: new AllocationsAdapter(),
+    logger,
+    defaultFields: config.odoo.defaultFields.allocation,
+    filterableFields: config.odoo.filterableFields.allocation,
+    cache: cacheManager,
+    cacheTtl: config.cache.ttl.allocation,
+    exportPageSize: config.export.pageSize,
+    scopeField: 'employee_id',
+    scopeModel: config.odoo.models.employee
+  });
+  const allocationsController = new AllocationsController(allocationsService, logger);
+
+  // Contracts Module
+  const contractsRepository = new ContractsRepository(
+    odooPool,
+    config.odoo.models.contract,
+    logger
+  );
+  const contractsService = new ContractsService(contractsRepository, {
+    adapter: new ContractsAdapter(),
+    validator: new ContractsValidator(),
+    logger,
+    defaultFields: config.odoo.defaultFields.contract,
+    filterableFields: config.odoo.filterableFields.contract,
+    cache: cacheManager,
+    cacheTtl: config.cache.ttl.contract,
+    exportPageSize: config.export.pageSize,
+    scopeField: 'employee_id',
+    scopeModel: config.odoo.models.employee
+  });
+  const contractsController = new ContractsController(contractsService, logger);
+
   // Payroll Module
-  const payrollRepository = new PayrollRepository(odooPool, config.odoo.models.payslip, logger);
+  const payrollRepository = new PayrollRepository(odooPool, config.odoo.models.payslip, logger, {
+    line: config.odoo.models.payslipLine,
+    workedDays: config.odoo.models.payslipWorkedDays,
+    input: config.odoo.models.payslipInput
+  });
   const payrollService = new PayrollService(payrollRepository, {
     adapter: new PayrollAdapter(),
+    validator: new PayrollValidator(),
     logger,
-    defaultFields: config.odoo.defaultFields.payslip
+    defaultFields: config.odoo.defaultFields.payslip,
+    filterableFields: config.odoo.filterableFields.payslip,
+    textFilterFields: config.odoo.textFilterFields.payslip,
+    cache: cacheManager,
+    cacheTtl: config.cache.ttl.payslip,
+    exportPageSize: config.export.pageSize,
+    scopeField: 'employee_id',
+    scopeModel: config.odoo.models.employee,
+    actions: config.odoo.payslipActions,
+    detailFields: {
+      lines: config.odoo.defaultFields.payslipLine,
+      workedDays: config.odoo.defaultFields.payslipWorkedDays,
+      inputs: config.odoo.defaultFields.payslipInput
+    }
   });
   const payrollController = new PayrollController(payrollService, logger);
 
+  // Payroll Runs Module
+  const payrollRunsRepository = new PayrollRunsRepository(
+    odooPool,
+    config.odoo.models.payslipRun,
+    logger,
+    {
+      payslip: config.odoo.models.payslip,
+      contract: config.odoo.models.contract,
+      line: config.odoo.models.payslipLine,
+      employee: config.odoo.models.employee,
+      bankAccount: config.odoo.models.bankAccount
+    }
+  );
+  const payrollRunsService = new PayrollRunsService(payrollRunsRepository, {
+    adapter: new PayrollRunsAdapter(),
+    validator: new PayrollRunsValidator(),
+    logger,
+    defaultFields: config.odoo.defaultFields.payslipRun,
+    filterableFields: config.odoo.filterableFields.payslipRun,
+    textFilterFields: config.odoo.textFilterFields.payslipRun,
+    cache: cacheManager,
+    cacheTtl: config.cache.ttl.payslipRun,
+    exportPageSize: config.export.pageSize,
+    payslipActions: config.odoo.payslipActions,
+    runActions: config.odoo.payslipRunActions,
+    payment: config.payrollPayment
+  });
+  const payrollRunsController = new PayrollRunsController(payrollRunsService, logger);
+
   // Expenses Module
   const expensesRepository = new ExpensesRepository(odooPool, config.odoo.models.expense, logger);
   const expensesService = new ExpensesService(expensesRepository, {
     adapter: new ExpensesAdapter(),
     logger,
-    defaultFields: config.odoo.defaultFields.expense
+    defaultFields: config.odoo.defaultFields.expense,
+    filterableFields: config.odoo.filterableFields.expense,
+    textFilterFields: config.odoo.textFilterFields.expense,
+    cache: cacheManager,
+    cacheTtl: config.cache.ttl.expense,
+    exportPageSize: config.export.pageSize,
+    scopeField: 'employee_id',
+    scopeModel: config.odoo.models.employee
   });
   const expensesController = new ExpensesController(expensesService, logger);
 
@@ -264,7 +481,12 @@ function createApp() {
   const invoicesService = new InvoicesService(invoicesRepository, {
     adapter: new InvoicesAdapter(),
     logger,
-    defaultFields: config.odoo.defaultFields.invoice
+    defaultFields: config.odoo.defaultFields.invoice,
+    filterableFields: config.odoo.filterableFields.invoice,
+    textFilterFields: config.odoo.textFilterFields.invoice,
+    cache: cacheManager,
+    cacheTtl: config.cache.ttl.invoice,
+    exportPageSize: config.export.pageSize
   });
   const invoicesController = new InvoicesController(invoicesService, logger);
 
@@ -277,25 +499,62 @@ function createApp() {
   const recruitmentService = new RecruitmentService(recruitmentRepository, {
     adapter: new RecruitmentAdapter(),
     logger,
-    defaultFields: config.odoo.defaultFields.applicant
+    defaultFields: config.odoo.defaultFields.applicant,
+    filterableFields: config.odoo.filterableFields.applicant,
+    textFilterFields: config.odoo.textFilterFields.applicant,
+    cache: cacheManager,
+    cacheTtl: config.cache.ttl.applicant,
+    exportPageSize: config.export.pageSize
   });
   const recruitmentController = new RecruitmentController(recruitmentService, logger);
 
+  // ============================================================================
+  // BACKGROUND JOBS
+  // ============================================================================
+
+  const scheduler = new JobScheduler(logger);
+
+  if (config.attendance.missingCheckOut.enabled) {
+    scheduler.schedule(
+      'attendance:missing-check-out',
+      config.attendance.missingCheckOut.intervalMinutes * 60000,
+      () => attendanceService.detectMissingCheckOuts()
+    );
+  }
+
+  scheduler.start();
+
   // ============================================================================
   // ROUTES
   // ============================================================================
 
   const API_PREFIX = config.app.apiPrefix;
 
-  // Employee routes
-  app.use(`${API_PREFIX}/employees`, createEmployeeRoutes(employeeController));
+  // Module routers require a bearer token unless AUTH_ENABLED=false;
+  // with auth switched off a valid token is still attached to req.user
+  const protect = config.security.authEnabled ? authenticate : optionalAuth;
+  if (!config.security.authEnabled) {
+    logger.warn('Authentication is disabled (AUTH_ENABLED=false); module routes are public');
+  }
 
-  app.use(`${API_PREFIX}/attendance`, createAttendanceRoutes(attendanceController));
-  app.use(`${API_PREFIX}/timeoff`, createTimeOffRoutes(timeOffController));
-  app.use(`${API_PREFIX}/payroll`, createPayrollRoutes(payrollController));
-  app.use(`${API_PREFIX}/expenses`, createExpensesRoutes(expensesController));
-  app.use(`${API_PREFIX}/invoices`, createInvoicesRoutes(invoicesController));
-  app.use(`${API_PREFIX}/recruitment`, createRecruitmentRoutes(recruitmentController));
+  // Auth routes
+  app.use(`${API_PREFIX}/auth`, createAuthRoutes(authController));
+
+  // Employee routes
+  app.use(`${API_PREFIX}/employees`, protect, createEmployeeContractsRoutes(contractsController));
+  app.use(`${API_PREFIX}/employees`, protect, createEmployeeRoutes(employeeController));
+
+  app.use(`${API_PREFIX}/attendance`, protect, createAttendanceRoutes(attendanceController));
+  app.use(`${API_PREFIX}/timeoff`, createTimeOffFeedRoutes(timeOffController));
+  app.use(`${API_PREFIX}/timeoff`, protect, createTimeOffRoutes(timeOffController));
+  app.use(`${API_PREFIX}/allocations`, protect, createAllocationsRoutes(allocationsController));
+  app.use(`${API_PREFIX}/contracts`, protect, createContractsRoutes(contractsController));
+  // Mounted ahead of /payroll, whose /:id routes would otherwise catch /runs
+  app.use(`${API_PREFIX}/payroll/runs`, protect, createPayrollRunsRoutes(payrollRunsController));
+  app.use(`${API_PREFIX}/payroll`, protect, createPayrollRoutes(payrollController));
+  app.use(`${API_PREFIX}/expenses`, protect, createExpensesRoutes(expensesController));
+  app.use(`${API_PREFIX}/invoices`, protect, createInvoicesRoutes(invoicesController));
+  app.use(`${API_PREFIX}/recruitment`, protect, createRecruitmentRoutes(recruitmentController));
 
   // ============================================================================
   // ERROR HANDLING
@@ -315,16 +574,19 @@ function createApp() {
     logger.info('Received shutdown signal, closing gracefully...');
 
     try {
+      // Stop background jobs before their connections go away
+      scheduler.stop();
+
       // Close Odoo connections
       if (odooPool) {
         await odooPool.destroy();
         logger.info('Odoo connections closed');
       }
 
-      // Close Redis connection
+      // Close cache connection
       if (cacheManager && cacheManager.cache) {
         await cacheManager.cache.disconnect();
-        logger.info('Redis connection closed');
+        logger.info('Cache connection closed');
       }
 
       logger.info('Graceful shutdown complete');
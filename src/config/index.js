@@ -1,5 +1,7 @@
 require('dotenv').config();
 
+const { CACHE_TTL } = require('../utils/constants');
+
 /**
  * Main Application Configuration
  * Centralized configuration management following best practices
@@ -25,11 +27,20 @@ const config = {
 
   // Security settings
   security: {
+    // Require a bearer token on every module router (set AUTH_ENABLED=false to switch off)
+    authEnabled: process.env.AUTH_ENABLED !== 'false',
     jwtSecret: process.env.JWT_SECRET || 'your-secret-key-change-in-production',
     jwtExpiresIn: process.env.JWT_EXPIRES_IN || '24h',
+    jwtRefreshExpiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d',
     bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS, 10) || 10
   },
 
+  // Role-based access control (Odoo group XML ID -> permissions)
+  rbac: require('./rbac.config'),
+
+  // Overtime policies (default plus per-company overrides)
+  overtime: require('./overtime.config'),
+
   // Rate limiting
   rateLimit: {
     windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) || 15 * 60 * 1000, // 15 minutes
@@ -47,7 +58,28 @@ const config = {
     host: process.env.REDIS_HOST || 'localhost',
     port: parseInt(process.env.REDIS_PORT, 10) || 6379,
     password: process.env.REDIS_PASSWORD || null,
-    ttl: parseInt(process.env.REDIS_TTL, 10) || 3600 // 1 hour default TTL
+    ttl: parseInt(process.env.REDIS_TTL, 10) || 3600, // 1 hour default TTL
+    connectAttempts: parseInt(process.env.REDIS_CONNECT_ATTEMPTS, 10) || 3
+  },
+
+  // Read-through cache for service reads (TTL in seconds, per model)
+  cache: {
+    enabled: process.env.CACHE_ENABLED !== 'false',
+    // redis (falls back to memory while Redis is unreachable) | memory
+    driver: process.env.CACHE_DRIVER || 'redis',
+    maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 1000,
+    ttl: {
+      employee: parseInt(process.env.CACHE_TTL_EMPLOYEE, 10) || CACHE_TTL.MEDIUM,
+      attendance: parseInt(process.env.CACHE_TTL_ATTENDANCE, 10) || CACHE_TTL.SHORT,
+      leave: parseInt(process.env.CACHE_TTL_LEAVE, 10) || CACHE_TTL.SHORT,
+      allocation: parseInt(process.env.CACHE_TTL_ALLOCATION, 10) || CACHE_TTL.SHORT,
+      contract: parseInt(process.env.CACHE_TTL_CONTRACT, 10) || CACHE_TTL.MEDIUM,
+      payslip: parseInt(process.env.CACHE_TTL_PAYSLIP, 10) || CACHE_TTL.LONG,
+      payslipRun: parseInt(process.env.CACHE_TTL_PAYSLIP_RUN, 10) || CACHE_TTL.SHORT,
+      expense: parseInt(process.env.CACHE_TTL_EXPENSE, 10) || CACHE_TTL.SHORT,
+      invoice: parseInt(process.env.CACHE_TTL_INVOICE, 10) || CACHE_TTL.MEDIUM,
+      applicant: parseInt(process.env.CACHE_TTL_APPLICANT, 10) || CACHE_TTL.MEDIUM
+    }
   },
 
   // Pagination defaults
@@ -57,6 +89,69 @@ const config = {
     maxLimit: 100
   },
 
+  // Attendance summaries: days are cut at midnight in `timezone`; arrivals and departures
+  // within `graceMinutes` of the scheduled shift are not counted as late or early
+  attendance: {
+    timezone: process.env.ATTENDANCE_TIMEZONE || 'UTC',
+    graceMinutes: parseInt(process.env.ATTENDANCE_GRACE_MINUTES, 10) || 0,
+    // Background job closing or flagging attendances left open too long
+    missingCheckOut: {
+      enabled: process.env.ATTENDANCE_CHECKOUT_JOB_ENABLED !== 'false',
+      intervalMinutes: parseInt(process.env.ATTENDANCE_CHECKOUT_JOB_INTERVAL_MINUTES, 10) || 15,
+      maxOpenHours: parseFloat(process.env.ATTENDANCE_MAX_OPEN_HOURS) || 16,
+      action: process.env.ATTENDANCE_MISSING_CHECKOUT_ACTION || 'flag',
+      historySize: parseInt(process.env.ATTENDANCE_ANOMALY_HISTORY, 10) || 500
+    }
+  },
+
+  // Team absence calendar: days are cut at midnight in `timezone`. The iCalendar feed serves
+  // pastDays before today to futureDays after it, to holders of a calendar token
+  timeoff: {
+    timezone: process.env.TIMEOFF_TIMEZONE || process.env.ATTENDANCE_TIMEZONE || 'UTC',
+    calendarFeed: {
+      name: process.env.TIMEOFF_FEED_NAME || 'Time Off',
+      pastDays: parseInt(process.env.TIMEOFF_FEED_PAST_DAYS, 10) || 30,
+      futureDays: parseInt(process.env.TIMEOFF_FEED_FUTURE_DAYS, 10) || 180,
+      tokenExpiresIn: process.env.TIMEOFF_FEED_TOKEN_EXPIRES_IN || '180d'
+    }
+  },
+
+  // Bank transfer files of confirmed payroll runs: the company account paying the salaries
+  // (SEPA debtor) and the originator of NACHA files
+  payrollPayment: {
+    currency: process.env.PAYROLL_PAYMENT_CURRENCY || 'EUR',
+    debtor: {
+      name: process.env.PAYROLL_PAYMENT_DEBTOR_NAME || null,
+      iban: process.env.PAYROLL_PAYMENT_DEBTOR_IBAN || null,
+      bic: process.env.PAYROLL_PAYMENT_DEBTOR_BIC || null
+    },
+    nacha: {
+      immediateDestination: process.env.PAYROLL_NACHA_IMMEDIATE_DESTINATION || null,
+      immediateDestinationName: process.env.PAYROLL_NACHA_IMMEDIATE_DESTINATION_NAME || '',
+      immediateOrigin: process.env.PAYROLL_NACHA_IMMEDIATE_ORIGIN || null,
+      immediateOriginName: process.env.PAYROLL_NACHA_IMMEDIATE_ORIGIN_NAME || '',
+      companyName: process.env.PAYROLL_NACHA_COMPANY_NAME || null,
+      companyId: process.env.PAYROLL_NACHA_COMPANY_ID || null,
+      originatingDfi: process.env.PAYROLL_NACHA_ORIGINATING_DFI || null,
+      entryDescription: process.env.PAYROLL_NACHA_ENTRY_DESCRIPTION || 'PAYROLL',
+      // 22 credits checking accounts, 32 savings accounts
+      transactionCode: process.env.PAYROLL_NACHA_TRANSACTION_CODE || '22',
+      // res.partner.bank field holding the ABA routing number (added by l10n_us)
+      routingField: process.env.PAYROLL_NACHA_ROUTING_FIELD || 'aba_routing'
+    }
+  },
+
+  // Collection exports (records read from Odoo per page while streaming)
+  export: {
+    pageSize: parseInt(process.env.EXPORT_PAGE_SIZE, 10) || 500
+  },
+
+  // Bulk employee import limits
+  bulkImport: {
+    maxRows: parseInt(process.env.IMPORT_MAX_ROWS, 10) || 1000,
+    chunkSize: parseInt(process.env.IMPORT_CHUNK_SIZE, 10) || 50
+  },
+
   // Swagger documentation
   swagger: {
     title: process.env.SWAGGER_TITLE || 'HRMS Odoo Connector API',
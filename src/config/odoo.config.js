@@ -14,7 +14,10 @@ const profiles = {
     username: process.env.ODOO_WEB_USERNAME || process.env.ODOO_USERNAME || 'admin',
     password: process.env.ODOO_WEB_PASSWORD || process.env.ODOO_PASSWORD || 'admin',
     protocol: process.env.ODOO_WEB_PROTOCOL || process.env.ODOO_PROTOCOL || 'http',
-    secure: process.env.ODOO_WEB_SECURE === 'true' || process.env.ODOO_SECURE === 'true' || false
+    secure: process.env.ODOO_WEB_SECURE === 'true' || process.env.ODOO_SECURE === 'true' || false,
+    transport: process.env.ODOO_WEB_TRANSPORT || process.env.ODOO_TRANSPORT || 'xmlrpc',
+    jsonRpcEndpoint:
+      process.env.ODOO_WEB_JSONRPC_ENDPOINT || process.env.ODOO_JSONRPC_ENDPOINT || 'jsonrpc'
   },
 
   // Local Docker profile; pairs with docker-compose defaults
@@ -25,7 +28,10 @@ const profiles = {
     username: process.env.ODOO_DOCKER_USERNAME || process.env.ODOO_USERNAME || 'admin',
     password: process.env.ODOO_DOCKER_PASSWORD || process.env.ODOO_PASSWORD || 'admin',
     protocol: process.env.ODOO_DOCKER_PROTOCOL || 'http',
-    secure: process.env.ODOO_DOCKER_SECURE === 'true' || false
+    secure: process.env.ODOO_DOCKER_SECURE === 'true' || false,
+    transport: process.env.ODOO_DOCKER_TRANSPORT || process.env.ODOO_TRANSPORT || 'xmlrpc',
+    jsonRpcEndpoint:
+      process.env.ODOO_DOCKER_JSONRPC_ENDPOINT || process.env.ODOO_JSONRPC_ENDPOINT || 'jsonrpc'
   }
 };
 
@@ -45,6 +51,11 @@ const odooConfig = {
   protocol: selectedProfile.protocol,
   secure: selectedProfile.secure,
 
+  // RPC transport: 'xmlrpc' (odoo-xmlrpc) or 'jsonrpc'
+  // jsonRpcEndpoint selects '/jsonrpc' ('jsonrpc') or '/web/dataset/call_kw' ('call_kw')
+  transport: selectedProfile.transport,
+  jsonRpcEndpoint: selectedProfile.jsonRpcEndpoint,
+
   // Connection pool settings
   pool: {
     min: parseInt(process.env.ODOO_POOL_MIN, 10) || 2,
@@ -53,6 +64,15 @@ const odooConfig = {
     connectionTimeoutMillis: parseInt(process.env.ODOO_POOL_CONNECTION_TIMEOUT, 10) || 10000
   },
 
+  // Per-user sessions: run RPCs as the logged-in user instead of the service account,
+  // so Odoo record rules apply and create_uid/write_uid name the real user
+  impersonation: {
+    enabled: process.env.ODOO_IMPERSONATION === 'true',
+    maxSessions: parseInt(process.env.ODOO_USER_SESSIONS_MAX, 10) || 500,
+    idleTimeoutMillis:
+      parseInt(process.env.ODOO_USER_SESSION_IDLE_TIMEOUT, 10) || 8 * 60 * 60 * 1000
+  },
+
   // Retry settings for failed connections
   retry: {
     maxAttempts: parseInt(process.env.ODOO_RETRY_MAX_ATTEMPTS, 10) || 3,
@@ -71,13 +91,46 @@ const odooConfig = {
     employee: process.env.ODOO_MODEL_EMPLOYEE || 'hr.employee',
     attendance: process.env.ODOO_MODEL_ATTENDANCE || 'hr.attendance',
     leave: process.env.ODOO_MODEL_LEAVE || 'hr.leave',
+    allocation: process.env.ODOO_MODEL_ALLOCATION || 'hr.leave.allocation',
+    leaveType: process.env.ODOO_MODEL_LEAVE_TYPE || 'hr.leave.type',
     department: process.env.ODOO_MODEL_DEPARTMENT || 'hr.department',
     job: process.env.ODOO_MODEL_JOB || 'hr.job',
     contract: process.env.ODOO_MODEL_CONTRACT || 'hr.contract',
     payslip: process.env.ODOO_MODEL_PAYSLIP || 'hr.payslip',
+    payslipLine: process.env.ODOO_MODEL_PAYSLIP_LINE || 'hr.payslip.line',
+    payslipWorkedDays: process.env.ODOO_MODEL_PAYSLIP_WORKED_DAYS || 'hr.payslip.worked_days',
+    payslipInput: process.env.ODOO_MODEL_PAYSLIP_INPUT || 'hr.payslip.input',
+    payslipRun: process.env.ODOO_MODEL_PAYSLIP_RUN || 'hr.payslip.run',
     expense: process.env.ODOO_MODEL_EXPENSE || 'hr.expense',
     invoice: process.env.ODOO_MODEL_INVOICE || 'account.move',
-    applicant: process.env.ODOO_MODEL_APPLICANT || 'hr.applicant'
+    applicant: process.env.ODOO_MODEL_APPLICANT || 'hr.applicant',
+    user: process.env.ODOO_MODEL_USER || 'res.users',
+    calendar: process.env.ODOO_MODEL_CALENDAR || 'resource.calendar',
+    calendarAttendance: process.env.ODOO_MODEL_CALENDAR_ATTENDANCE || 'resource.calendar.attendance',
+    calendarLeave: process.env.ODOO_MODEL_CALENDAR_LEAVE || 'resource.calendar.leaves',
+    bankAccount: process.env.ODOO_MODEL_BANK_ACCOUNT || 'res.partner.bank'
+  },
+
+  // hr.leave workflow methods behind POST /timeoff/:id/<action>
+  // (Odoo 17+ names the reset method action_reset_confirm)
+  leaveActions: {
+    approve: process.env.ODOO_LEAVE_ACTION_APPROVE || 'action_approve',
+    refuse: process.env.ODOO_LEAVE_ACTION_REFUSE || 'action_refuse',
+    validate: process.env.ODOO_LEAVE_ACTION_VALIDATE || 'action_validate',
+    reset: process.env.ODOO_LEAVE_ACTION_RESET || 'action_draft'
+  },
+
+  // hr.payslip workflow methods behind POST /payroll/:id/<action>
+  payslipActions: {
+    compute: process.env.ODOO_PAYSLIP_ACTION_COMPUTE || 'compute_sheet',
+    confirm: process.env.ODOO_PAYSLIP_ACTION_CONFIRM || 'action_payslip_done',
+    cancel: process.env.ODOO_PAYSLIP_ACTION_CANCEL || 'action_payslip_cancel',
+    draft: process.env.ODOO_PAYSLIP_ACTION_DRAFT || 'action_payslip_draft'
+  },
+
+  // hr.payslip.run method closing a batch once POST /payroll/runs/:id/confirm went through
+  payslipRunActions: {
+    close: process.env.ODOO_PAYSLIP_RUN_ACTION_CLOSE || 'action_close'
   },
 
   // Common fields for different models
@@ -114,6 +167,32 @@ const odooConfig = {
       'state',
       'create_date'
     ],
+    allocation: [
+      'id',
+      'employee_id',
+      'holiday_status_id',
+      'number_of_days',
+      'date_from',
+      'date_to',
+      'state',
+      'create_date'
+    ],
+    // Odoo 14 and older: replace requires_allocation with allocation_type
+    leaveType: ['id', 'name', 'request_unit', 'requires_allocation', 'leave_validation_type'],
+    contract: [
+      'id',
+      'name',
+      'employee_id',
+      'department_id',
+      'job_id',
+      'wage',
+      'structure_type_id',
+      'date_start',
+      'date_end',
+      'resource_calendar_id',
+      'state',
+      'create_date'
+    ],
     payslip: [
       'id',
       'number',
@@ -124,6 +203,109 @@ const odooConfig = {
       'amount_total',
       'create_date'
     ],
+    payslipLine: [
+      'id',
+      'sequence',
+      'code',
+      'name',
+      'category_id',
+      'quantity',
+      'rate',
+      'amount',
+      'total'
+    ],
+    // OCA payroll: worked days have no amount field, so it is only read on request
+    payslipWorkedDays: [
+      'id',
+      'code',
+      'name',
+      'number_of_days',
+      'number_of_hours',
+      ...(process.env.ODOO_PAYSLIP_WORKED_DAYS_AMOUNT === 'true' ? ['amount'] : [])
+    ],
+    payslipInput: ['id', 'code', 'name', 'amount'],
+    payslipRun: ['id', 'name', 'date_start', 'date_end', 'state', 'slip_ids', 'create_date'],
+    expense: [
+      'id',
+      'name',
+      'employee_id',
+      'total_amount',
+      'state',
+      'date',
+      'payment_state',
+      'create_date'
+    ],
+    invoice: [
+      'id',
+      'name',
+      'partner_id',
+      'invoice_date',
+      'invoice_date_due',
+      'amount_total',
+      'payment_state',
+      'state',
+      'move_type'
+    ],
+    applicant: [
+      'id',
+      'name',
+      'email_from',
+      'partner_name',
+      'job_id',
+      'department_id',
+      'stage_id',
+      'create_date'
+    ]
+  },
+
+  // Fields that list endpoints accept as filters (see utils/queryParser)
+  filterableFields: {
+    employee: [
+      'id',
+      'name',
+      'work_email',
+      'job_id',
+      'department_id',
+      'parent_id',
+      'active',
+      'create_date',
+      'write_date'
+    ],
+    attendance: ['id', 'employee_id', 'check_in', 'check_out', 'worked_hours', 'create_date'],
+    leave: [
+      'id',
+      'employee_id',
+      'holiday_status_id',
+      'date_from',
+      'date_to',
+      'number_of_days',
+      'state',
+      'create_date'
+    ],
+    allocation: [
+      'id',
+      'employee_id',
+      'holiday_status_id',
+      'number_of_days',
+      'date_from',
+      'date_to',
+      'state',
+      'create_date'
+    ],
+    contract: [
+      'id',
+      'employee_id',
+      'department_id',
+      'job_id',
+      'structure_type_id',
+      'resource_calendar_id',
+      'state',
+      'date_start',
+      'date_end',
+      'wage'
+    ],
+    payslip: ['id', 'number', 'employee_id', 'date_from', 'date_to', 'state', 'create_date'],
+    payslipRun: ['id', 'name', 'date_start', 'date_end', 'state', 'create_date'],
     expense: [
       'id',
       'name',
@@ -155,6 +337,16 @@ const odooConfig = {
       'stage_id',
       'create_date'
     ]
+  },
+
+  // Filterable char fields: their values stay strings (name=007 does not become 7)
+  textFilterFields: {
+    employee: ['name', 'work_email'],
+    payslip: ['number'],
+    payslipRun: ['name'],
+    expense: ['name'],
+    invoice: ['name'],
+    applicant: ['name', 'email_from', 'partner_name']
   }
 };
 
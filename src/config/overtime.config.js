@@ -0,0 +1,31 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Overtime Configuration
+ * Overtime rules: a default policy plus per-company (res.company ID) overrides, so each legal
+ * entity can apply its own thresholds, caps and multipliers
+ * Point OVERTIME_RULES_FILE at a JSON file to replace the bundled rules
+ */
+
+const rulesFile = process.env.OVERTIME_RULES_FILE
+  ? path.resolve(process.env.OVERTIME_RULES_FILE)
+  : path.join(__dirname, 'overtime.json');
+
+const loadRules = (file) => {
+  const rules = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  if (!rules || typeof rules.default !== 'object' || Array.isArray(rules.default)) {
+    throw new Error(`Overtime rules file ${file} must define a "default" policy object`);
+  }
+
+  return rules;
+};
+
+const rules = loadRules(rulesFile);
+
+module.exports = {
+  rulesFile,
+  default: rules.default,
+  companies: rules.companies || {}
+};
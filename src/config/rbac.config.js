@@ -0,0 +1,30 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * RBAC Configuration
+ * Maps Odoo security groups (res.groups XML IDs) to API permissions
+ * Permissions take the form 'resource:action'; 'resource:*' and '*' act as wildcards
+ * Point RBAC_MAPPING_FILE at a JSON file to replace the bundled mapping
+ */
+
+const mappingFile = process.env.RBAC_MAPPING_FILE
+  ? path.resolve(process.env.RBAC_MAPPING_FILE)
+  : path.join(__dirname, 'rbac.json');
+
+const loadMapping = (file) => {
+  const mapping = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  if (!mapping || typeof mapping.groups !== 'object' || Array.isArray(mapping.groups)) {
+    throw new Error(`RBAC mapping file ${file} must define a "groups" object`);
+  }
+
+  return mapping;
+};
+
+const mapping = loadMapping(mappingFile);
+
+module.exports = {
+  mappingFile,
+  groups: mapping.groups
+};
@@ -1,3 +1,5 @@
+const { omit } = require('../../utils/helpers');
+
 /**
  * Base Controller Class
  * Implements common HTTP request handling patterns
@@ -38,13 +40,15 @@ class BaseController {
       const page = parseInt(req.query.page, 10) || 1;
       const limit = parseInt(req.query.limit, 10) || 50;
 
-      // Extract filters from query parameters (excluding page and limit)
-      const { page: _, limit: __, ...filters } = req.query;
+      // Extract filters from query parameters (excluding pagination, sort and fields)
+      const filters = omit(req.query, ['page', 'limit', 'sort', 'fields']);
+      const options = this._getQueryOptions(req);
 
-      this.logger.info('GET all records', { page, limit, filters });
+      this.logger.info('GET all records', { page, limit, filters, options });
 
-      const result = await this.service.getAll(page, limit, filters);
+      const result = await this.service.getAll(page, limit, filters, options);
 
+      this._setCacheHeader(res, options.meta);
       res.status(200).json(result);
     } catch (error) {
       this.logger.error('Failed to get all records', error);
@@ -64,8 +68,10 @@ class BaseController {
 
       this.logger.info(`GET record by ID: ${id}`);
 
-      const record = await this.service.getById(parseInt(id, 10));
+      const options = this._getQueryOptions(req);
+      const record = await this.service.getById(parseInt(id, 10), options);
 
+      this._setCacheHeader(res, options.meta);
       res.status(200).json({
         success: true,
         data: record
@@ -86,7 +92,7 @@ class BaseController {
     try {
       this.logger.info('POST create new record', { body: req.body });
 
-      const record = await this.service.create(req.body);
+      const record = await this.service.create(req.body, { scope: req.scope || null });
 
       res.status(201).json({
         success: true,
@@ -111,7 +117,9 @@ class BaseController {
 
       this.logger.info(`PUT update record ID: ${id}`, { body: req.body });
 
-      const record = await this.service.update(parseInt(id, 10), req.body);
+      const record = await this.service.update(parseInt(id, 10), req.body, {
+        scope: req.scope || null
+      });
 
       res.status(200).json({
         success: true,
@@ -137,7 +145,9 @@ class BaseController {
 
       this.logger.info(`PATCH update record ID: ${id}`, { body: req.body });
 
-      const record = await this.service.update(parseInt(id, 10), req.body);
+      const record = await this.service.update(parseInt(id, 10), req.body, {
+        scope: req.scope || null
+      });
 
       res.status(200).json({
         success: true,
@@ -162,7 +172,7 @@ class BaseController {
 
       this.logger.info(`DELETE record ID: ${id}`);
 
-      const result = await this.service.delete(parseInt(id, 10));
+      const result = await this.service.delete(parseInt(id, 10), { scope: req.scope || null });
 
       res.status(200).json(result);
     } catch (error) {
@@ -170,6 +180,30 @@ class BaseController {
       next(error);
     }
   }
+
+  /**
+   * Extract collection query options (?sort= and ?fields=) and the caller's row scope
+   * `meta` is filled in by the service (e.g., cache status)
+   * @private
+   * @param {Request} req - Express request object
+   * @returns {Object} Query options
+   */
+  _getQueryOptions(req) {
+    const { sort, fields } = req.query;
+    return { sort, fields, scope: req.scope || null, meta: {} };
+  }
+
+  /**
+   * Report whether the response was served from cache (X-Cache: HIT, MISS or BYPASS)
+   * @private
+   * @param {Response} res - Express response object
+   * @param {Object} meta - Metadata filled in by the service
+   */
+  _setCacheHeader(res, meta) {
+    if (meta && meta.cache) {
+      res.set('X-Cache', meta.cache);
+    }
+  }
 }
 
 module.exports = BaseController;
@@ -1,5 +1,5 @@
 const IRepository = require('../interfaces/IRepository');
-const { RepositoryError } = require('../errors');
+const { OdooUserError, RepositoryError } = require('../errors');
 
 /**
  * Base Repository Class
@@ -35,27 +35,35 @@ class BaseRepository extends IRepository {
    * @param {Array} fields - Fields to retrieve
    * @param {number} limit - Maximum number of records
    * @param {number} offset - Number of records to skip
+   * @param {string|null} order - Odoo order clause (e.g., 'date_from desc, id asc')
    * @returns {Promise<Array>} Array of records
    */
-  async findAll(filters = [], fields = [], limit = 100, offset = 0) {
+  async findAll(filters = [], fields = [], limit = 100, offset = 0, order = null) {
     try {
       this.logger.info(`[${this.modelName}] Finding all records`, {
         filters,
         limit,
-        offset
+        offset,
+        order
       });
 
       await this.odooClient.connect();
 
+      const kwargs = {
+        fields: fields.length > 0 ? fields : undefined,
+        limit,
+        offset
+      };
+
+      if (order) {
+        kwargs.order = order;
+      }
+
       const records = await this.odooClient.execute_kw(
         this.modelName,
         'search_read',
         [filters],
-        {
-          fields: fields.length > 0 ? fields : undefined,
-          limit,
-          offset
-        }
+        kwargs
       );
 
       this.logger.info(`[${this.modelName}] Found ${records.length} records`);
@@ -113,16 +121,17 @@ class BaseRepository extends IRepository {
    * @param {Array} filters - Odoo domain filters
    * @param {Array} fields - Fields to retrieve
    * @param {number} limit - Maximum number of records
+   * @param {string|null} order - Odoo order clause
    * @returns {Promise<Array>} Array of matching records
    */
-  async findBy(filters, fields = [], limit = 100) {
+  async findBy(filters, fields = [], limit = 100, order = null) {
     try {
       this.logger.info(`[${this.modelName}] Finding records by criteria`, {
         filters,
         limit
       });
 
-      return await this.findAll(filters, fields, limit, 0);
+      return await this.findAll(filters, fields, limit, 0, order);
     } catch (error) {
       this.logger.error(`[${this.modelName}] Failed to find records by criteria`, error);
       throw new RepositoryError(
@@ -154,6 +163,8 @@ class BaseRepository extends IRepository {
       return recordId;
     } catch (error) {
       this.logger.error(`[${this.modelName}] Failed to create record`, error);
+      // Business rule violations reach the client as they are (422)
+      if (error instanceof OdooUserError) throw error;
       throw new RepositoryError(
         `Failed to create ${this.modelName} record`,
         error,
@@ -162,6 +173,29 @@ class BaseRepository extends IRepository {
     }
   }
 
+  /**
+   * Create several records in one call
+   * @param {Array<Object>} records - Record data
+   * @returns {Promise<Array<number>>} IDs of the created records, in input order
+   */
+  async createMany(records) {
+    try {
+      this.logger.info(`[${this.modelName}] Creating ${records.length} records`);
+
+      await this.odooClient.connect();
+
+      // create() accepts a list of value dicts and returns the new IDs
+      const recordIds = await this.odooClient.execute_kw(this.modelName, 'create', [records]);
+
+      this.logger.info(`[${this.modelName}] Created ${recordIds.length} records`);
+      return recordIds;
+    } catch (error) {
+      this.logger.error(`[${this.modelName}] Failed to create records`, error);
+      if (error instanceof OdooUserError) throw error;
+      throw new RepositoryError(`Failed to create ${this.modelName} records`, error, 'createMany');
+    }
+  }
+
   /**
    * Update an existing record
    * @param {number} id - Record ID
@@ -186,6 +220,7 @@ class BaseRepository extends IRepository {
       return success;
     } catch (error) {
       this.logger.error(`[${this.modelName}] Failed to update record ID: ${id}`, error);
+      if (error instanceof OdooUserError) throw error;
       throw new RepositoryError(
         `Failed to update ${this.modelName} record with ID ${id}`,
         error,
@@ -217,6 +252,7 @@ class BaseRepository extends IRepository {
       return success;
     } catch (error) {
       this.logger.error(`[${this.modelName}] Failed to delete record ID: ${id}`, error);
+      if (error instanceof OdooUserError) throw error;
       throw new RepositoryError(
         `Failed to delete ${this.modelName} record with ID ${id}`,
         error,
@@ -254,6 +290,73 @@ class BaseRepository extends IRepository {
     }
   }
 
+  /**
+   * Aggregate records server side with Odoo's read_group
+   * @param {Array} filters - Odoo domain filters
+   * @param {Array<string>} fields - Aggregates (e.g., 'worked_hours:sum', 'check_in:min')
+   * @param {Array<string>} groupBy - Group by specs (e.g., 'employee_id', 'check_in:day')
+   * @param {Object} options - Extra read_group keyword arguments
+   * @param {boolean} options.lazy - Group by the first spec only (defaults to false)
+   * @param {Object} options.context - Odoo context (e.g., { tz } for date grouping)
+   * @returns {Promise<Array>} Groups, each with the group values, aggregates and __count
+   */
+  async readGroup(filters = [], fields = [], groupBy = [], options = {}) {
+    try {
+      this.logger.info(`[${this.modelName}] Grouping records`, { filters, fields, groupBy });
+
+      await this.odooClient.connect();
+
+      return await this.odooClient.execute_kw(
+        this.modelName,
+        'read_group',
+        [filters, fields, groupBy],
+        { lazy: false, ...options }
+      );
+    } catch (error) {
+      this.logger.error(`[${this.modelName}] Failed to group records`, error);
+      throw new RepositoryError(`Failed to group ${this.modelName} records`, error, 'readGroup');
+    }
+  }
+
+  /**
+   * Call a model method on records, e.g. a workflow action such as hr.leave's action_approve
+   * @param {Array<number>} ids - Record IDs
+   * @param {string} method - Method name
+   * @param {Array} args - Extra positional arguments
+   * @param {Object} kwargs - Keyword arguments
+   * @returns {Promise<any>} Method result
+   */
+  async callMethod(ids, method, args = [], kwargs = {}) {
+    try {
+      this.logger.info(`[${this.modelName}] Calling ${method}`, { ids });
+
+      await this.odooClient.connect();
+
+      return await this.odooClient.execute_kw(this.modelName, method, [ids, ...args], kwargs);
+    } catch (error) {
+      this.logger.error(`[${this.modelName}] Failed to call ${method}`, error);
+      if (error instanceof OdooUserError) throw error;
+      throw new RepositoryError(`Failed to call ${this.modelName}.${method}`, error, 'callMethod');
+    }
+  }
+
+  /**
+   * Count records of a related model, e.g. the employees a record may be assigned to
+   * @param {string} model - Odoo model name
+   * @param {Array} filters - Odoo domain filters on that model
+   * @returns {Promise<number>} Count of records
+   */
+  async countRelated(model, filters = []) {
+    try {
+      await this.odooClient.connect();
+
+      return await this.odooClient.execute_kw(model, 'search_count', [filters]);
+    } catch (error) {
+      this.logger.error(`[${this.modelName}] Failed to count ${model} records`, error);
+      throw new RepositoryError(`Failed to count ${model} records`, error, 'countRelated');
+    }
+  }
+
   /**
    * Check if a record exists
    * @param {number} id - Record ID
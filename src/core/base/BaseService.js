@@ -1,5 +1,9 @@
+const crypto = require('crypto');
 const IService = require('../interfaces/IService');
 const { ServiceError, ValidationError, NotFoundError } = require('../errors');
+const { buildDomain, parseSort, parseFields } = require('../../utils/queryParser');
+const { pick, generateCacheKey } = require('../../utils/helpers');
+const { CACHE_TTL } = require('../../utils/constants');
 
 /**
  * Base Service Class
@@ -26,6 +30,27 @@ class BaseService extends IService {
     this.validator = validator;
     this.adapter = adapter;
     this.logger = logger;
+
+    // Whitelist of fields accepted by list filters (null allows any field)
+    this.filterableFields = null;
+
+    // Filterable char fields, whose values are compared as strings
+    this.textFilterFields = [];
+
+    // Fields read when the caller does not request a sparse fieldset
+    this.defaultFields = [];
+
+    // Fields accepted by ?sort= and ?fields= (defaults to defaultFields when null)
+    this.knownFields = null;
+
+    // Read-through cache (CacheManager); reads go straight to Odoo when null
+    this.cache = null;
+    this.cacheTtl = CACHE_TTL.MEDIUM;
+
+    // Employee field used for self-service row scoping (null disables scoping)
+    this.scopeField = null;
+    // Model the scope field points at, checked when a scoped caller writes it
+    this.scopeModel = 'hr.employee';
   }
 
   /**
@@ -33,38 +58,47 @@ class BaseService extends IService {
    * @param {number} page - Page number
    * @param {number} limit - Records per page
    * @param {Object} filters - Optional filters
+   * @param {Object} options - Query options
+   * @param {string} options.sort - Sort expression (e.g., '-date_from,employee_id')
+   * @param {string} options.fields - Sparse fieldset (e.g., 'id,name,state')
+   * @param {Object} options.meta - Receives response metadata (meta.cache: HIT, MISS or BYPASS)
+   * @param {Object} options.scope - Caller's row scope ({ employeeId }), null for every record
    * @returns {Promise<Object>} Paginated results
    */
-  async getAll(page = 1, limit = 50, filters = {}) {
+  async getAll(page = 1, limit = 50, filters = {}, options = {}) {
     try {
       this._validatePagination(page, limit);
 
       this.logger.info('Getting all records', { page, limit, filters });
 
       const offset = (page - 1) * limit;
-      const odooFilters = this._buildOdooFilters(filters);
-
-      const [records, total] = await Promise.all([
-        this.repository.findAll(odooFilters, [], limit, offset),
-        this.repository.count(odooFilters)
-      ]);
-
-      const transformedRecords = this.adapter
-        ? records.map((record) => this.adapter.toDTO(record))
-        : records;
-
-      return {
-        success: true,
-        data: transformedRecords,
-        pagination: {
-          page,
-          limit,
-          total,
-          totalPages: Math.ceil(total / limit),
-          hasNext: page * limit < total,
-          hasPrev: page > 1
-        }
-      };
+      const odooFilters = [...this._scopeDomain(options.scope), ...this._buildOdooFilters(filters)];
+      const fields = this._resolveFields(options.fields);
+      const order = this._resolveOrder(options.sort);
+
+      const cacheKey = this._listCacheKey({ page, limit, odooFilters, fields, order });
+
+      return await this._withCache(cacheKey, options.meta, async () => {
+        const [records, total] = await Promise.all([
+          this.repository.findAll(
+            ...this._withOrder([odooFilters, fields || this.defaultFields, limit, offset], order)
+          ),
+          this.repository.count(odooFilters)
+        ]);
+
+        return {
+          success: true,
+          data: this._toDTOArray(records, fields),
+          pagination: {
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit),
+            hasNext: page * limit < total,
+            hasPrev: page > 1
+          }
+        };
+      });
     } catch (error) {
       this.logger.error('Failed to get all records', error);
       if (error.isOperational) throw error;
@@ -75,17 +109,37 @@ class BaseService extends IService {
   /**
    * Get a single record by ID
    * @param {number} id - Record ID
+   * @param {Object} options - Query options
+   * @param {string} options.fields - Sparse fieldset (e.g., 'id,name,state')
+   * @param {Object} options.meta - Receives response metadata (meta.cache: HIT, MISS or BYPASS)
+   * @param {Object} options.scope - Caller's row scope ({ employeeId }), null for every record
    * @returns {Promise<Object>} Record object
    */
-  async getById(id) {
+  async getById(id, options = {}) {
     try {
       this._validateId(id);
 
       this.logger.info(`Getting record by ID: ${id}`);
 
-      const record = await this.repository.findById(id);
+      await this._assertInScope(id, options.scope);
+
+      const fields = this._resolveFields(options.fields);
+      const readFields = fields || this.defaultFields;
+      const cacheKey = generateCacheKey(
+        this.repository.modelName,
+        fields ? `${id}:${fields.join(',')}` : id
+      );
+
+      const dto = await this._withCache(cacheKey, options.meta, async () => {
+        const record =
+          readFields.length > 0
+            ? await this.repository.findById(id, readFields)
+            : await this.repository.findById(id);
 
-      if (!record) {
+        return record ? this._toDTO(record, fields) : null;
+      });
+
+      if (!dto) {
         throw new NotFoundError(
           `Record with ID ${id} not found`,
           this.repository.modelName,
@@ -93,7 +147,7 @@ class BaseService extends IService {
         );
       }
 
-      return this.adapter ? this.adapter.toDTO(record) : record;
+      return dto;
     } catch (error) {
       this.logger.error(`Failed to get record by ID: ${id}`, error);
       if (error.isOperational) throw error;
@@ -104,9 +158,11 @@ class BaseService extends IService {
   /**
    * Create a new record
    * @param {Object} data - Record data
+   * @param {Object} options - Write options
+   * @param {Object} options.scope - Caller's row scope ({ employeeId }), null for every record
    * @returns {Promise<Object>} Created record
    */
-  async create(data) {
+  async create(data, options = {}) {
     try {
       this.logger.info('Creating new record', { data });
 
@@ -120,9 +176,11 @@ class BaseService extends IService {
 
       // Transform to Odoo format if adapter is provided
       const odooData = this.adapter ? this.adapter.toOdooFormat(data) : data;
+      await this._assertScopedWrite(odooData, options.scope);
 
       // Create in repository
       const recordId = await this.repository.create(odooData);
+      await this._invalidateCache();
 
       // Fetch and return the created record
       return await this.getById(recordId);
@@ -137,16 +195,18 @@ class BaseService extends IService {
    * Update an existing record
    * @param {number} id - Record ID
    * @param {Object} data - Updated data
+   * @param {Object} options - Write options
+   * @param {Object} options.scope - Caller's row scope ({ employeeId }), null for every record
    * @returns {Promise<Object>} Updated record
    */
-  async update(id, data) {
+  async update(id, data, options = {}) {
     try {
       this._validateId(id);
 
       this.logger.info(`Updating record ID: ${id}`, { data });
 
-      // Check if record exists
-      await this.getById(id);
+      // Check if record exists (and is visible to the caller)
+      await this.getById(id, { scope: options.scope });
 
       // Validate update data if validator is provided
       if (this.validator && this.validator.validateUpdate) {
@@ -158,9 +218,11 @@ class BaseService extends IService {
 
       // Transform to Odoo format if adapter is provided
       const odooData = this.adapter ? this.adapter.toOdooFormat(data) : data;
+      await this._assertScopedWrite(odooData, options.scope);
 
       // Update in repository
       await this.repository.update(id, odooData);
+      await this._invalidateCache();
 
       // Fetch and return the updated record
       return await this.getById(id);
@@ -174,19 +236,22 @@ class BaseService extends IService {
   /**
    * Delete a record
    * @param {number} id - Record ID
+   * @param {Object} options - Write options
+   * @param {Object} options.scope - Caller's row scope ({ employeeId }), null for every record
    * @returns {Promise<Object>} Deletion result
    */
-  async delete(id) {
+  async delete(id, options = {}) {
     try {
       this._validateId(id);
 
       this.logger.info(`Deleting record ID: ${id}`);
 
-      // Check if record exists
-      await this.getById(id);
+      // Check if record exists (and is visible to the caller)
+      await this.getById(id, { scope: options.scope });
 
       // Delete from repository
       await this.repository.delete(id);
+      await this._invalidateCache();
 
       return {
         success: true,
@@ -230,22 +295,243 @@ class BaseService extends IService {
     }
   }
 
+  /**
+   * Fields that may be requested through ?fields= or sorted on through ?sort=
+   * @private
+   * @returns {Array|null} Known fields (null disables the check)
+   */
+  _getKnownFields() {
+    if (this.knownFields) return this.knownFields;
+    return this.defaultFields.length > 0 ? this.defaultFields : null;
+  }
+
+  /**
+   * Resolve a requested sparse fieldset
+   * @private
+   * @param {string|Array} fields - Raw fields parameter
+   * @returns {Array|null} Fields to read, or null to use the defaults
+   */
+  _resolveFields(fields) {
+    return parseFields(fields, this._getKnownFields());
+  }
+
+  /**
+   * Resolve a requested sort expression into an Odoo order clause
+   * @private
+   * @param {string|Array} sort - Raw sort parameter
+   * @returns {string|null} Order clause
+   */
+  _resolveOrder(sort) {
+    return parseSort(sort, this._getKnownFields());
+  }
+
+  /**
+   * Append an order clause to repository call arguments when a sort was requested
+   * @private
+   * @param {Array} args - Repository call arguments
+   * @param {string|null} order - Order clause
+   * @returns {Array} Arguments
+   */
+  _withOrder(args, order) {
+    return order ? [...args, order] : args;
+  }
+
+  /**
+   * Transform a record, keeping only the DTO keys backed by the requested fields
+   * Adapters describe which DTO keys each Odoo field produces via `fieldMap`
+   * @private
+   * @param {Object} record - Odoo record
+   * @param {Array|null} fields - Requested fields (null keeps the full DTO)
+   * @returns {Object} DTO
+   */
+  _toDTO(record, fields = null) {
+    if (!this.adapter) {
+      return fields ? pick(record, fields) : record;
+    }
+
+    return this._project(this.adapter.toDTO(record), fields);
+  }
+
+  /**
+   * Transform a list of records
+   * @private
+   * @param {Array} records - Odoo records
+   * @param {Array|null} fields - Requested fields (null keeps the full DTO)
+   * @returns {Array} DTOs
+   */
+  _toDTOArray(records, fields = null) {
+    if (!this.adapter) {
+      return fields ? records.map((record) => pick(record, fields)) : records;
+    }
+
+    const dtos = this.adapter.toDTOArray
+      ? this.adapter.toDTOArray(records)
+      : records.map((record) => this.adapter.toDTO(record));
+
+    return fields ? dtos.map((dto) => this._project(dto, fields)) : dtos;
+  }
+
+  /**
+   * Reduce a DTO to the keys produced by the requested Odoo fields
+   * @private
+   * @param {Object} dto - Full DTO
+   * @param {Array|null} fields - Requested fields
+   * @returns {Object} Projected DTO
+   */
+  _project(dto, fields) {
+    const fieldMap = this.adapter && this.adapter.fieldMap;
+    if (!fields || !fieldMap || !dto) return dto;
+
+    const keys = fields.reduce((result, field) => result.concat(fieldMap[field] || []), ['id']);
+    return pick(dto, keys);
+  }
+
+  /**
+   * Build the domain restricting records to the caller's scope
+   * child_of follows hr.employee.parent_id, so managers also reach their reports' records
+   * @private
+   * @param {Object|null} scope - Caller's row scope ({ employeeId })
+   * @returns {Array} Domain terms (empty when unrestricted)
+   */
+  _scopeDomain(scope) {
+    if (!scope || !this.scopeField) return [];
+
+    // A user without a linked employee owns no records
+    if (!scope.employeeId) return [['id', 'in', []]];
+
+    return [[this.scopeField, 'child_of', scope.employeeId]];
+  }
+
+  /**
+   * Ensure a record is within the caller's scope
+   * Out-of-scope records are reported as missing so their existence is not disclosed
+   * @private
+   * @param {number} id - Record ID
+   * @param {Object|null} scope - Caller's row scope ({ employeeId })
+   * @returns {Promise<void>}
+   */
+  async _assertInScope(id, scope) {
+    const domain = this._scopeDomain(scope);
+    if (domain.length === 0) return;
+
+    const count = await this.repository.count([['id', '=', id], ...domain]);
+
+    if (count === 0) {
+      throw new NotFoundError(`Record with ID ${id} not found`, this.repository.modelName, id);
+    }
+  }
+
+  /**
+   * Ensure the employee a write assigns the record to is within the caller's scope
+   * Same subtree rule as _scopeDomain, so a scoped caller can neither create records for other
+   * employees nor move one out of their subtree
+   * @private
+   * @param {Object} odooData - Values about to be written
+   * @param {Object|null} scope - Caller's row scope ({ employeeId })
+   * @returns {Promise<void>}
+   */
+  async _assertScopedWrite(odooData, scope) {
+    if (!scope || !this.scopeField || !odooData || !(this.scopeField in odooData)) return;
+
+    const employeeId = odooData[this.scopeField];
+    if (!Number.isInteger(employeeId) || employeeId <= 0) {
+      throw new ValidationError(`${this.scopeField} must be a positive integer`, {
+        [this.scopeField]: 'Expected a positive integer'
+      });
+    }
+
+    await this._assertScopedEmployee(employeeId, scope);
+  }
+
+  /**
+   * Ensure an employee is within the caller's scope (the same subtree rule as _scopeDomain)
+   * Out-of-scope employees are reported as missing so their existence is not disclosed
+   * @private
+   * @param {number} employeeId - Employee ID
+   * @param {Object|null} scope - Caller's row scope ({ employeeId })
+   * @returns {Promise<void>}
+   */
+  async _assertScopedEmployee(employeeId, scope) {
+    if (!scope || !this.scopeField) return;
+
+    const domain = [
+      ['id', '=', employeeId],
+      scope.employeeId ? ['id', 'child_of', scope.employeeId] : ['id', 'in', []]
+    ];
+
+    if ((await this.repository.countRelated(this.scopeModel, domain)) === 0) {
+      throw new NotFoundError(
+        `Employee with ID ${employeeId} not found`,
+        this.scopeModel,
+        employeeId
+      );
+    }
+  }
+
+  /**
+   * Serve a read from the cache, falling back to the fetch function on a miss
+   * Only non-null results are stored
+   * @private
+   * @param {string} key - Cache key
+   * @param {Object} meta - Response metadata, receives the cache status
+   * @param {Function} fetchFn - Loads the value from Odoo
+   * @returns {Promise<any>} Cached or fetched value
+   */
+  async _withCache(key, meta, fetchFn) {
+    const status = meta || {};
+
+    if (!this.cache || !this.cache.isEnabled()) {
+      status.cache = 'BYPASS';
+      return fetchFn();
+    }
+
+    const cached = await this.cache.get(key);
+    if (cached !== null) {
+      status.cache = 'HIT';
+      return cached;
+    }
+
+    status.cache = 'MISS';
+    const value = await fetchFn();
+
+    if (value !== null && value !== undefined) {
+      await this.cache.set(key, value, this.cacheTtl);
+    }
+
+    return value;
+  }
+
+  /**
+   * Build the cache key of a list query
+   * @private
+   * @param {Object} query - Normalized query (pagination, domain, fields, order)
+   * @returns {string} Cache key
+   */
+  _listCacheKey(query) {
+    const digest = crypto.createHash('sha1').update(JSON.stringify(query)).digest('hex');
+    return generateCacheKey(`${this.repository.modelName}:list`, digest);
+  }
+
+  /**
+   * Drop every cached read of this model after a write
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _invalidateCache() {
+    if (this.cache) {
+      await this.cache.invalidate(generateCacheKey(this.repository.modelName, '*'));
+    }
+  }
+
   /**
    * Build Odoo filters from query parameters
+   * Supports operator syntax (field[gte]=, field[in]=a,b, or[n][field]=...), see utils/queryParser
    * @private
    * @param {Object} filters - Filter object
    * @returns {Array} Odoo domain filters
    */
   _buildOdooFilters(filters) {
-    const odooFilters = [];
-
-    Object.keys(filters).forEach((key) => {
-      if (filters[key] !== undefined && filters[key] !== null && filters[key] !== '') {
-        odooFilters.push([key, '=', filters[key]]);
-      }
-    });
-
-    return odooFilters;
+    return buildDomain(filters, this.filterableFields, this.textFilterFields);
   }
 }
 
@@ -0,0 +1,16 @@
+const AppError = require('./AppError');
+
+/**
+ * Authentication Error - thrown when credentials or tokens are missing or invalid
+ */
+class AuthenticationError extends AppError {
+  /**
+   * Create an Authentication Error
+   * @param {string} message - Error message
+   */
+  constructor(message = 'Authentication required') {
+    super(message, 401, true);
+  }
+}
+
+module.exports = AuthenticationError;
@@ -0,0 +1,32 @@
+const AppError = require('./AppError');
+
+/**
+ * Authorization Error - thrown when an authenticated user lacks a required permission
+ */
+class AuthorizationError extends AppError {
+  /**
+   * Create an Authorization Error
+   * @param {string} message - Error message
+   * @param {string} permission - The permission the caller is missing
+   */
+  constructor(message = 'Access denied', permission = null) {
+    super(message, 403, true);
+
+    this.permission = permission;
+  }
+
+  toJSON() {
+    return {
+      error: {
+        name: this.name,
+        message: this.message,
+        statusCode: this.statusCode,
+        timestamp: this.timestamp,
+        ...(this.permission && { permission: this.permission }),
+        ...(process.env.NODE_ENV === 'development' && { stack: this.stack })
+      }
+    };
+  }
+}
+
+module.exports = AuthorizationError;
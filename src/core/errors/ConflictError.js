@@ -0,0 +1,35 @@
+const AppError = require('./AppError');
+
+/**
+ * Conflict Error - thrown when a request clashes with the current state of a resource
+ */
+class ConflictError extends AppError {
+  /**
+   * Create a Conflict Error
+   * @param {string} message - Error message
+   * @param {string} resource - Resource type in conflict
+   * @param {any} identifier - Identifier of the conflicting record
+   */
+  constructor(message = 'Resource conflict', resource = null, identifier = null) {
+    super(message, 409, true);
+
+    this.resource = resource;
+    this.identifier = identifier;
+  }
+
+  toJSON() {
+    return {
+      error: {
+        name: this.name,
+        message: this.message,
+        statusCode: this.statusCode,
+        timestamp: this.timestamp,
+        ...(this.resource && { resource: this.resource }),
+        ...(this.identifier && { identifier: this.identifier }),
+        ...(process.env.NODE_ENV === 'development' && { stack: this.stack })
+      }
+    };
+  }
+}
+
+module.exports = ConflictError;
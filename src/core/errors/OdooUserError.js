@@ -0,0 +1,33 @@
+const AppError = require('./AppError');
+
+/**
+ * Odoo User Error - thrown when Odoo refuses an operation with a message meant for the user
+ * (UserError, ValidationError and friends), e.g. approving a leave that is not confirmed
+ */
+class OdooUserError extends AppError {
+  /**
+   * Create an Odoo User Error
+   * @param {string} message - Message raised by Odoo
+   * @param {string} odooException - Odoo exception class (e.g., 'odoo.exceptions.UserError')
+   */
+  constructor(message = 'Odoo rejected the operation', odooException = null) {
+    super(message, 422, true);
+
+    this.odooException = odooException;
+  }
+
+  toJSON() {
+    return {
+      error: {
+        name: this.name,
+        message: this.message,
+        statusCode: this.statusCode,
+        timestamp: this.timestamp,
+        ...(this.odooException && { odooException: this.odooException }),
+        ...(process.env.NODE_ENV === 'development' && { stack: this.stack })
+      }
+    };
+  }
+}
+
+module.exports = OdooUserError;
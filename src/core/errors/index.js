@@ -9,6 +9,10 @@ const OdooConnectionError = require('./OdooConnectionError');
 const NotFoundError = require('./NotFoundError');
 const RepositoryError = require('./RepositoryError');
 const ServiceError = require('./ServiceError');
+const AuthenticationError = require('./AuthenticationError');
+const AuthorizationError = require('./AuthorizationError');
+const ConflictError = require('./ConflictError');
+const OdooUserError = require('./OdooUserError');
 
 module.exports = {
   AppError,
@@ -16,5 +20,9 @@ module.exports = {
   OdooConnectionError,
   NotFoundError,
   RepositoryError,
-  ServiceError
+  ServiceError,
+  AuthenticationError,
+  AuthorizationError,
+  ConflictError,
+  OdooUserError
 };
@@ -98,6 +98,17 @@ class IOdooClient {
     throw new Error('Method disconnect() must be implemented');
   }
 
+  /**
+   * Verify a user's credentials against the configured database (common.authenticate)
+   * Does not change the client's own session
+   * @param {string} login - User login
+   * @param {string} password - User password or API key
+   * @returns {Promise<number|false>} User ID, or false when the credentials are rejected
+   */
+  async authenticate(login, password) {
+    throw new Error('Method authenticate() must be implemented');
+  }
+
   /**
    * Check if client is connected
    * @returns {boolean} Connection status
@@ -10,9 +10,10 @@ class IRepository {
    * @param {Array} fields - Fields to retrieve
    * @param {number} limit - Maximum number of records
    * @param {number} offset - Number of records to skip
+   * @param {string|null} order - Odoo order clause
    * @returns {Promise<Array>} Array of records
    */
-  async findAll(filters = [], fields = [], limit = 100, offset = 0) {
+  async findAll(filters = [], fields = [], limit = 100, offset = 0, order = null) {
     throw new Error('Method findAll() must be implemented');
   }
 
@@ -31,9 +32,10 @@ class IRepository {
    * @param {Array} filters - Odoo domain filters
    * @param {Array} fields - Fields to retrieve
    * @param {number} limit - Maximum number of records
+   * @param {string|null} order - Odoo order clause
    * @returns {Promise<Array>} Array of matching records
    */
-  async findBy(filters, fields = [], limit = 100) {
+  async findBy(filters, fields = [], limit = 100, order = null) {
     throw new Error('Method findBy() must be implemented');
   }
 
@@ -46,6 +48,15 @@ class IRepository {
     throw new Error('Method create() must be implemented');
   }
 
+  /**
+   * Create several records in one call
+   * @param {Array<Object>} records - Record data
+   * @returns {Promise<Array<number>>} IDs of created records
+   */
+  async createMany(records) {
+    throw new Error('Method createMany() must be implemented');
+  }
+
   /**
    * Update an existing record
    * @param {number} id - Record ID
@@ -74,6 +85,30 @@ class IRepository {
     throw new Error('Method count() must be implemented');
   }
 
+  /**
+   * Aggregate records matching filters
+   * @param {Array} filters - Odoo domain filters
+   * @param {Array<string>} fields - Aggregated fields
+   * @param {Array<string>} groupBy - Group by specs
+   * @param {Object} options - Grouping options
+   * @returns {Promise<Array>} Groups
+   */
+  async readGroup(filters = [], fields = [], groupBy = [], options = {}) {
+    throw new Error('Method readGroup() must be implemented');
+  }
+
+  /**
+   * Call a model method on records
+   * @param {Array<number>} ids - Record IDs
+   * @param {string} method - Method name
+   * @param {Array} args - Extra positional arguments
+   * @param {Object} kwargs - Keyword arguments
+   * @returns {Promise<any>} Method result
+   */
+  async callMethod(ids, method, args = [], kwargs = {}) {
+    throw new Error('Method callMethod() must be implemented');
+  }
+
   /**
    * Check if a record exists
    * @param {number} id - Record ID
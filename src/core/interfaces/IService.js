@@ -10,18 +10,20 @@ class IService {
    * @param {number} page - Page number
    * @param {number} limit - Records per page
    * @param {Object} filters - Optional filters
+   * @param {Object} options - Query options (sort, fields)
    * @returns {Promise<Object>} Paginated results
    */
-  async getAll(page = 1, limit = 50, filters = {}) {
+  async getAll(page = 1, limit = 50, filters = {}, options = {}) {
     throw new Error('Method getAll() must be implemented');
   }
 
   /**
    * Get a single record by ID
    * @param {number} id - Record ID
+   * @param {Object} options - Query options (fields, scope)
    * @returns {Promise<Object>} Record object
    */
-  async getById(id) {
+  async getById(id, options = {}) {
     throw new Error('Method getById() must be implemented');
   }
 
@@ -38,18 +40,20 @@ class IService {
    * Update an existing record
    * @param {number} id - Record ID
    * @param {Object} data - Updated data
+   * @param {Object} options - Write options (scope)
    * @returns {Promise<Object>} Updated record
    */
-  async update(id, data) {
+  async update(id, data, options = {}) {
     throw new Error('Method update() must be implemented');
   }
 
   /**
    * Delete a record
    * @param {number} id - Record ID
+   * @param {Object} options - Write options (scope)
    * @returns {Promise<Object>} Deletion result
    */
-  async delete(id) {
+  async delete(id, options = {}) {
     throw new Error('Method delete() must be implemented');
   }
 }
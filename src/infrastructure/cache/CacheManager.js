@@ -8,11 +8,91 @@ class CacheManager {
    * Create a Cache Manager
    * @param {Object} cacheClient - Cache client (Redis, Memory, etc.)
    * @param {Object} logger - Logger instance
+   * @param {Object} options - Additional options
+   * @param {Object} options.fallback - Client used while the primary client is disconnected
    */
-  constructor(cacheClient, logger = console) {
+  constructor(cacheClient, logger = console, options = {}) {
     this.cache = cacheClient;
+    this.fallback = options.fallback || null;
     this.logger = logger;
     this.enabled = true;
+    this.usingFallback = false;
+    // Keys and patterns invalidated while the primary was down, replayed once it is back
+    this.missedDeletes = new Set();
+    this.missedPatterns = new Set();
+    this.recovery = null;
+  }
+
+  /**
+   * Resolve the client serving the current call
+   * Switches to the fallback client while the primary reports itself disconnected. Switching
+   * back waits for the invalidations the primary missed, so it never serves stale entries.
+   * @private
+   * @returns {Promise<Object>} Cache client
+   */
+  async _activeClient() {
+    const primaryDown =
+      this.fallback && typeof this.cache.isConnected === 'function' && !this.cache.isConnected();
+
+    if (primaryDown !== this.usingFallback) {
+      this.usingFallback = Boolean(primaryDown);
+      if (this.usingFallback) {
+        this.logger.warn('Primary cache unavailable, using fallback cache');
+      } else {
+        this.logger.info('Primary cache available again');
+        this.recovery = this._replayMissed().finally(() => {
+          this.recovery = null;
+        });
+      }
+    }
+
+    if (!this.usingFallback && this.recovery) {
+      await this.recovery;
+    }
+
+    return this.usingFallback ? this.fallback : this.cache;
+  }
+
+  /**
+   * Clients that may hold entries: the active client and the fallback
+   * Entries written to the fallback during an outage must be invalidated too
+   * @private
+   * @returns {Promise<Array<Object>>} Cache clients
+   */
+  async _clients() {
+    const active = await this._activeClient();
+    return this.fallback && active !== this.fallback ? [active, this.fallback] : [active];
+  }
+
+  /**
+   * Apply the deletes and invalidations made during an outage to the primary client
+   * Whatever fails stays recorded for the next recovery.
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _replayMissed() {
+    const replayed = this.missedDeletes.size + this.missedPatterns.size;
+
+    try {
+      for (const key of this.missedDeletes) {
+        await this.cache.del(key);
+        this.missedDeletes.delete(key);
+      }
+
+      for (const pattern of this.missedPatterns) {
+        const keys = await this.cache.keys(pattern);
+        if (keys.length > 0) {
+          await this.cache.del(keys);
+        }
+        this.missedPatterns.delete(pattern);
+      }
+
+      if (replayed > 0) {
+        this.logger.info(`Replayed ${replayed} cache invalidations missed by the primary cache`);
+      }
+    } catch (error) {
+      this.logger.error('Failed to replay missed invalidations on the primary cache', error);
+    }
   }
 
   /**
@@ -28,7 +108,8 @@ class CacheManager {
     try {
       this.logger.debug(`Cache GET: ${key}`);
 
-      const cached = await this.cache.get(key);
+      const client = await this._activeClient();
+      const cached = await client.get(key);
 
       if (cached) {
         this.logger.debug(`Cache HIT: ${key}`);
@@ -58,7 +139,8 @@ class CacheManager {
     try {
       this.logger.debug(`Cache SET: ${key} (TTL: ${ttl}s)`);
 
-      await this.cache.setEx(key, ttl, JSON.stringify(value));
+      const client = await this._activeClient();
+      await client.setEx(key, ttl, JSON.stringify(value));
       return true;
     } catch (error) {
       this.logger.error(`Cache SET error for key ${key}`, error);
@@ -79,7 +161,12 @@ class CacheManager {
     try {
       this.logger.debug(`Cache DELETE: ${key}`);
 
-      await this.cache.del(key);
+      const clients = await this._clients();
+      if (this.usingFallback) {
+        this.missedDeletes.add(key);
+      }
+
+      await Promise.all(clients.map((client) => client.del(key)));
       return true;
     } catch (error) {
       this.logger.error(`Cache DELETE error for key ${key}`, error);
@@ -100,15 +187,27 @@ class CacheManager {
     try {
       this.logger.info(`Cache INVALIDATE: ${pattern}`);
 
-      const keys = await this.cache.keys(pattern);
+      let invalidated = 0;
 
-      if (keys.length > 0) {
-        await this.cache.del(keys);
-        this.logger.info(`Invalidated ${keys.length} cache keys`);
-        return keys.length;
+      const clients = await this._clients();
+      if (this.usingFallback) {
+        this.missedPatterns.add(pattern);
       }
 
-      return 0;
+      for (const client of clients) {
+        const keys = await client.keys(pattern);
+
+        if (keys.length > 0) {
+          await client.del(keys);
+          invalidated += keys.length;
+        }
+      }
+
+      if (invalidated > 0) {
+        this.logger.info(`Invalidated ${invalidated} cache keys`);
+      }
+
+      return invalidated;
     } catch (error) {
       this.logger.error(`Cache INVALIDATE error for pattern ${pattern}`, error);
       return 0;
@@ -126,7 +225,8 @@ class CacheManager {
     }
 
     try {
-      const result = await this.cache.exists(key);
+      const client = await this._activeClient();
+      const result = await client.exists(key);
       return result > 0;
     } catch (error) {
       this.logger.error(`Cache EXISTS error for key ${key}`, error);
@@ -167,7 +267,12 @@ class CacheManager {
   async clear() {
     try {
       this.logger.warn('Clearing all cache');
-      await this.cache.flushAll();
+      const clients = await this._clients();
+      if (this.usingFallback) {
+        this.missedPatterns.add('*');
+      }
+
+      await Promise.all(clients.map((client) => client.flushAll()));
       return true;
     } catch (error) {
       this.logger.error('Cache CLEAR error', error);
@@ -205,9 +310,11 @@ class CacheManager {
    */
   async getStats() {
     try {
-      const info = await this.cache.info();
+      const client = await this._activeClient();
+      const info = await client.info();
       return {
         enabled: this.enabled,
+        usingFallback: this.usingFallback,
         info
       };
     } catch (error) {
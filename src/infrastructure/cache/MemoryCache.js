@@ -0,0 +1,195 @@
+/**
+ * In-Memory Cache Client
+ * LRU cache implementing the same client contract CacheManager uses with Redis
+ * (get, setEx, del, keys, exists, flushAll, info)
+ * Suitable for single-instance deployments, tests and as a fallback when Redis is down
+ */
+class MemoryCache {
+  /**
+   * Create an In-Memory Cache Client
+   * @param {Object} config - Cache configuration
+   * @param {number} config.maxEntries - Maximum number of keys before the least recently used is evicted
+   * @param {Object} logger - Logger instance
+   */
+  constructor(config = {}, logger = console) {
+    this.maxEntries = config.maxEntries || 1000;
+    this.logger = logger;
+
+    // Map iteration order doubles as recency order: oldest entries come first
+    this.store = new Map();
+    this.evictions = 0;
+  }
+
+  /**
+   * Connect (no-op, kept for parity with RedisCache)
+   * @returns {Promise<void>}
+   */
+  async connect() {
+    this.logger.info('Using in-memory cache', { maxEntries: this.maxEntries });
+  }
+
+  /**
+   * Get a value
+   * @param {string} key - Key
+   * @returns {Promise<string|null>} Value
+   */
+  async get(key) {
+    const entry = this._getEntry(key);
+
+    if (!entry) {
+      return null;
+    }
+
+    // Mark as most recently used
+    this.store.delete(key);
+    this.store.set(key, entry);
+
+    return entry.value;
+  }
+
+  /**
+   * Set a value with expiration
+   * @param {string} key - Key
+   * @param {number} seconds - TTL in seconds
+   * @param {string} value - Value
+   * @returns {Promise<string>} Result
+   */
+  async setEx(key, seconds, value) {
+    this.store.delete(key);
+    this.store.set(key, { value, expiresAt: Date.now() + seconds * 1000 });
+
+    while (this.store.size > this.maxEntries) {
+      const oldestKey = this.store.keys().next().value;
+      this.store.delete(oldestKey);
+      this.evictions += 1;
+    }
+
+    return 'OK';
+  }
+
+  /**
+   * Delete a key or keys
+   * @param {string|Array} keys - Key(s) to delete
+   * @returns {Promise<number>} Number of keys deleted
+   */
+  async del(keys) {
+    const list = Array.isArray(keys) ? keys : [keys];
+
+    return list.reduce((deleted, key) => deleted + (this.store.delete(key) ? 1 : 0), 0);
+  }
+
+  /**
+   * Get keys matching a Redis style glob pattern (*, ? and [...])
+   * @param {string} pattern - Pattern
+   * @returns {Promise<Array>} Matching keys
+   */
+  async keys(pattern) {
+    const matcher = this._globToRegExp(pattern);
+
+    return Array.from(this.store.keys()).filter(
+      (key) => this._getEntry(key) !== null && matcher.test(key)
+    );
+  }
+
+  /**
+   * Check if key exists
+   * @param {string} key - Key
+   * @returns {Promise<number>} 1 if exists, 0 if not
+   */
+  async exists(key) {
+    return this._getEntry(key) ? 1 : 0;
+  }
+
+  /**
+   * Flush all keys
+   * @returns {Promise<string>} Result
+   */
+  async flushAll() {
+    this.store.clear();
+    return 'OK';
+  }
+
+  /**
+   * Get cache info
+   * @returns {Promise<Object>} Cache info
+   */
+  async info() {
+    return {
+      driver: 'memory',
+      entries: this.store.size,
+      maxEntries: this.maxEntries,
+      evictions: this.evictions
+    };
+  }
+
+  /**
+   * Disconnect (drops all entries)
+   * @returns {Promise<void>}
+   */
+  async disconnect() {
+    this.store.clear();
+  }
+
+  /**
+   * Check if connected (always true)
+   * @returns {boolean} Connection status
+   */
+  isConnected() {
+    return true;
+  }
+
+  /**
+   * Get a live entry, removing it when its TTL has elapsed
+   * @private
+   * @param {string} key - Key
+   * @returns {Object|null} Entry
+   */
+  _getEntry(key) {
+    const entry = this.store.get(key);
+
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.store.delete(key);
+      return null;
+    }
+
+    return entry;
+  }
+
+  /**
+   * Translate a Redis glob pattern into a regular expression
+   * @private
+   * @param {string} pattern - Glob pattern
+   * @returns {RegExp} Regular expression
+   */
+  _globToRegExp(pattern) {
+    let source = '';
+
+    for (let i = 0; i < pattern.length; i += 1) {
+      const char = pattern[i];
+
+      if (char === '\\' && i + 1 < pattern.length) {
+        i += 1;
+        source += pattern[i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      } else if (char === '*') {
+        source += '.*';
+      } else if (char === '?') {
+        source += '.';
+      } else if (char === '[' && pattern.indexOf(']', i + 1) > i + 1) {
+        // Character classes ([abc], [^a], [a-z]) share regex syntax
+        const end = pattern.indexOf(']', i + 1);
+        source += `[${pattern.slice(i + 1, end).replace(/\\/g, '\\\\')}]`;
+        i = end;
+      } else {
+        source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      }
+    }
+
+    return new RegExp(`^${source}$`);
+  }
+}
+
+module.exports = MemoryCache;
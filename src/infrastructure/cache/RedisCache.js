@@ -32,10 +32,21 @@ class RedisCache {
         port: this.config.port
       });
 
+      const connectAttempts = this.config.connectAttempts || 3;
+      let everConnected = false;
+
       this.client = redis.createClient({
         socket: {
           host: this.config.host,
-          port: this.config.port
+          port: this.config.port,
+          // Give up on the initial connection after a few attempts so callers can fall back;
+          // once connected, keep reconnecting in the background
+          reconnectStrategy: (retries) => {
+            if (!everConnected && retries >= connectAttempts) {
+              return new Error(`Redis unreachable after ${connectAttempts} attempts`);
+            }
+            return Math.min(retries * 100, 3000);
+          }
         },
         password: this.config.password || undefined
       });
@@ -45,14 +56,23 @@ class RedisCache {
         this.logger.error('Redis client error', err);
       });
 
-      // Connect event
-      this.client.on('connect', () => {
+      // Ready event (connected and authenticated)
+      this.client.on('ready', () => {
         this.logger.info('Redis client connected');
+        everConnected = true;
         this.connected = true;
       });
 
+      // Connection lost; commands would queue until Redis is back, so report as disconnected
+      this.client.on('reconnecting', () => {
+        if (this.connected) {
+          this.logger.warn('Redis client disconnected, reconnecting');
+        }
+        this.connected = false;
+      });
+
       // Disconnect event
-      this.client.on('disconnect', () => {
+      this.client.on('end', () => {
         this.logger.warn('Redis client disconnected');
         this.connected = false;
       });
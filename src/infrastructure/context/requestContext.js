@@ -0,0 +1,29 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Request Context
+ * Carries per-request state (the authenticated caller) through async calls
+ * so lower layers such as the Odoo connection pool can read it without it
+ * being passed through every service and repository signature
+ */
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function inside a request context
+ * @param {Object} context - Context values (e.g., { subject, uid })
+ * @param {Function} fn - Function to run
+ * @returns {any} Result of the function
+ */
+const runWithContext = (context, fn) => storage.run(context, fn);
+
+/**
+ * Get the current request context
+ * @returns {Object|null} Context, or null outside a request
+ */
+const getContext = () => storage.getStore() || null;
+
+module.exports = {
+  runWithContext,
+  getContext
+};
@@ -1,6 +1,10 @@
 const Odoo = require('odoo-xmlrpc');
 const IOdooClient = require('../../core/interfaces/IOdooClient');
 const { OdooConnectionError } = require('../../core/errors');
+const { toOdooError } = require('./odooFaults');
+
+// Message odoo-xmlrpc reports when authenticate returns no uid (rejected credentials)
+const NO_UID_MESSAGE = 'No UID returned from authentication.';
 
 /**
  * Odoo Client Implementation
@@ -130,7 +134,7 @@ class OdooClient extends IOdooClient {
       });
     } catch (error) {
       this.logger.error(`Failed to execute ${model}.${method}`, error);
-      throw new OdooConnectionError(`Failed to execute ${model}.${method}`, error);
+      throw toOdooError(error, `Failed to execute ${model}.${method}`);
     }
   }
 
@@ -204,6 +208,43 @@ class OdooClient extends IOdooClient {
     return await this.execute_kw(model, 'unlink', [ids]);
   }
 
+  /**
+   * Verify a user's credentials against the configured database
+   * Uses a throwaway odoo-xmlrpc instance so the client's own session is untouched
+   * @param {string} login - User login
+   * @param {string} password - User password or API key
+   * @returns {Promise<number|false>} User ID, or false when the credentials are rejected
+   */
+  async authenticate(login, password) {
+    const odoo = new Odoo({
+      url: this.config.getUrl(),
+      port: this.config.port,
+      db: this.config.database,
+      username: login,
+      password
+    });
+
+    try {
+      return await new Promise((resolve, reject) => {
+        odoo.connect((err, uid) => {
+          if (err && err.message === NO_UID_MESSAGE) {
+            resolve(false);
+          } else if (err) {
+            reject(err);
+          } else {
+            resolve(uid);
+          }
+        });
+      });
+    } catch (error) {
+      this.logger.error('Failed to authenticate user against Odoo', {
+        login,
+        error: error.message
+      });
+      throw new OdooConnectionError('Failed to authenticate user against Odoo', error);
+    }
+  }
+
   /**
    * Disconnect from Odoo instance
    * @returns {Promise<void>}
@@ -1,10 +1,16 @@
-const OdooClient = require('./OdooClient');
-const { OdooConnectionError } = require('../../core/errors');
+const { createOdooClient } = require('./createOdooClient');
+const { OdooConnectionError, AuthenticationError } = require('../../core/errors');
+const { getContext } = require('../context/requestContext');
 
 /**
  * Odoo Connection Pool
  * Implements Singleton Pattern for connection pooling
  * Manages a pool of Odoo client connections for better performance
+ *
+ * With impersonation enabled, the pool also keeps one authenticated client per
+ * logged-in user, keyed by the JWT subject. Calls made inside a request context
+ * run on that client, so Odoo applies the user's own access rules and records
+ * their uid in create_uid/write_uid.
  */
 class OdooConnectionPool {
   static instance = null;
@@ -50,10 +56,15 @@ class OdooConnectionPool {
     this.maxConnections = config.pool.max || 10;
     this.idleTimeout = config.pool.idleTimeoutMillis || 30000;
 
+    // Per-user sessions (JWT subject -> { client, lastUsedAt }), oldest first
+    this.impersonation = config.impersonation || { enabled: false };
+    this.userSessions = new Map();
+
     // Connection tracking
     this.availableConnections = [];
     this.activeConnections = new Set();
     this.connectionQueue = [];
+    this.idleTimers = new Set();
 
     // Statistics
     this.stats = {
@@ -61,12 +72,16 @@ class OdooConnectionPool {
       acquired: 0,
       released: 0,
       destroyed: 0,
-      queuedRequests: 0
+      queuedRequests: 0,
+      userSessionsOpened: 0,
+      userSessionsExpired: 0
     };
 
     this.logger.info('OdooConnectionPool initialized', {
       min: this.minConnections,
-      max: this.maxConnections
+      max: this.maxConnections,
+      transport: config.transport || 'xmlrpc',
+      impersonation: Boolean(this.impersonation.enabled)
     });
   }
 
@@ -172,6 +187,12 @@ class OdooConnectionPool {
    * @returns {Promise<any>} Result of the function
    */
   async withConnection(fn) {
+    // Run as the caller when the request has a per-user session
+    const userClient = this._userClient();
+    if (userClient) {
+      return await fn(userClient);
+    }
+
     const connection = await this.acquire();
 
     try {
@@ -181,6 +202,77 @@ class OdooConnectionPool {
     }
   }
 
+  /**
+   * Open an authenticated session for a user
+   * Uses the user's own login and password or API key; Odoo rejects bad credentials
+   * @param {string} subject - JWT subject the session is keyed by
+   * @param {string} login - User login
+   * @param {string} password - User password or API key
+   * @returns {Promise<void>}
+   */
+  async openUserSession(subject, login, password) {
+    await this.closeUserSession(subject);
+
+    const client = createOdooClient(
+      {
+        ...this.config,
+        username: login,
+        password,
+        retry: { ...this.config.retry, maxAttempts: 1 }
+      },
+      this.logger
+    );
+
+    try {
+      await client.connect();
+    } catch (error) {
+      throw new OdooConnectionError('Failed to open Odoo session for user', error);
+    }
+
+    this.userSessions.set(subject, { client, lastUsedAt: Date.now() });
+    this.stats.userSessionsOpened++;
+
+    // Drop the least recently used sessions beyond the cap
+    while (this.userSessions.size > (this.impersonation.maxSessions || 500)) {
+      const oldest = this.userSessions.keys().next().value;
+      await this.closeUserSession(oldest);
+    }
+
+    this.logger.info('Opened Odoo session for user', { subject, login });
+  }
+
+  /**
+   * Close a user's session
+   * @param {string} subject - JWT subject
+   * @returns {Promise<boolean>} True when a session was closed
+   */
+  async closeUserSession(subject) {
+    const session = this.userSessions.get(subject);
+    if (!session) {
+      return false;
+    }
+
+    this.userSessions.delete(subject);
+
+    try {
+      await session.client.disconnect();
+    } catch (error) {
+      this.logger.error('Error closing user session', error);
+    }
+
+    return true;
+  }
+
+  /**
+   * Check whether a user has a live session
+   * @param {string} subject - JWT subject
+   * @returns {boolean} True when the session exists and has not idled out
+   */
+  hasUserSession(subject) {
+    const session = this.userSessions.get(subject);
+    return Boolean(session) && !this._isExpired(session);
+  }
+
   /**
    * Get pool statistics
    * @returns {Object} Pool statistics
@@ -191,7 +283,8 @@ class OdooConnectionPool {
       available: this.availableConnections.length,
       active: this.activeConnections.size,
       total: this.availableConnections.length + this.activeConnections.size,
-      queued: this.connectionQueue.length
+      queued: this.connectionQueue.length,
+      userSessions: this.userSessions.size
     };
   }
 
@@ -227,6 +320,14 @@ class OdooConnectionPool {
     this.availableConnections = [];
     this.activeConnections.clear();
 
+    // Pending idle timers would keep the process alive after the pool is gone
+    this.idleTimers.forEach((timer) => clearTimeout(timer));
+    this.idleTimers.clear();
+
+    await Promise.all(
+      Array.from(this.userSessions.keys()).map((subject) => this.closeUserSession(subject))
+    );
+
     this.logger.info('Connection pool destroyed', this.stats);
   }
 
@@ -237,7 +338,7 @@ class OdooConnectionPool {
    */
   async _createConnection() {
     try {
-      const connection = new OdooClient(this.config, this.logger);
+      const connection = createOdooClient(this.config, this.logger);
       await connection.connect();
 
       this.stats.created++;
@@ -293,7 +394,8 @@ class OdooConnectionPool {
   _setIdleTimeout(connection) {
     // Only set timeout if we have more than minimum connections
     if (this.availableConnections.length > this.minConnections) {
-      setTimeout(() => {
+      const timer = setTimeout(() => {
+        this.idleTimers.delete(timer);
         const index = this.availableConnections.indexOf(connection);
         if (index > -1) {
           this.availableConnections.splice(index, 1);
@@ -305,9 +407,56 @@ class OdooConnectionPool {
           });
         }
       }, this.idleTimeout);
+      this.idleTimers.add(timer);
     }
   }
 
+  /**
+   * Resolve the client of the user behind the current request
+   * @private
+   * @returns {IOdooClient|null} User client, or null to use the shared pool
+   */
+  _userClient() {
+    if (!this.impersonation.enabled) {
+      return null;
+    }
+
+    const context = getContext();
+    if (!context || !context.subject) {
+      return null;
+    }
+
+    const session = this.userSessions.get(context.subject);
+
+    if (!session || this._isExpired(session)) {
+      if (session) {
+        this.stats.userSessionsExpired++;
+        this.closeUserSession(context.subject);
+      }
+
+      // Never fall back to the service account for a user's request
+      throw new AuthenticationError('Odoo session expired, please log in again');
+    }
+
+    // Keep the map in recency order for eviction
+    session.lastUsedAt = Date.now();
+    this.userSessions.delete(context.subject);
+    this.userSessions.set(context.subject, session);
+
+    return session.client;
+  }
+
+  /**
+   * Check whether a user session has been idle too long
+   * @private
+   * @param {Object} session - Session entry
+   * @returns {boolean} True when expired
+   */
+  _isExpired(session) {
+    const idleTimeout = this.impersonation.idleTimeoutMillis || 8 * 60 * 60 * 1000;
+    return Date.now() - session.lastUsedAt > idleTimeout;
+  }
+
   // ============================================================================
   // IOdooClient Interface Implementation
   // These methods allow the pool to be used as a drop-in replacement for OdooClient
@@ -414,6 +563,18 @@ class OdooConnectionPool {
     });
   }
 
+  /**
+   * Verify a user's credentials using a pooled connection
+   * @param {string} login - User login
+   * @param {string} password - User password or API key
+   * @returns {Promise<number|false>} User ID, or false when the credentials are rejected
+   */
+  async authenticate(login, password) {
+    return await this.withConnection(async (connection) => {
+      return await connection.authenticate(login, password);
+    });
+  }
+
   /**
    * Check if pool is connected (has available or active connections)
    * @returns {boolean} Connection status
@@ -0,0 +1,417 @@
+const http = require('http');
+const https = require('https');
+const IOdooClient = require('../../core/interfaces/IOdooClient');
+const { OdooConnectionError } = require('../../core/errors');
+const { toOdooError } = require('./odooFaults');
+
+// JSON-RPC error code Odoo returns when a web session is no longer valid
+const SESSION_EXPIRED_CODE = 100;
+
+/**
+ * Odoo JSON-RPC Client Implementation
+ * Speaks Odoo's JSON-RPC endpoints and implements IOdooClient interface
+ * Supports two routes:
+ *  - 'jsonrpc': stateless /jsonrpc endpoint (service/method/args), authenticated per call
+ *  - 'call_kw': session based /web/dataset/call_kw endpoint used by the Odoo web client
+ */
+class OdooJsonRpcClient extends IOdooClient {
+  /**
+   * Create an Odoo JSON-RPC Client
+   * @param {Object} config - Odoo configuration
+   * @param {Object} logger - Logger instance
+   */
+  constructor(config, logger = console) {
+    super();
+
+    this.config = config;
+    this.logger = logger;
+    this.endpoint = config.jsonRpcEndpoint === 'call_kw' ? 'call_kw' : 'jsonrpc';
+    this.uid = null;
+    this.sessionId = null;
+    this.connected = false;
+    this.requestId = 0;
+  }
+
+  /**
+   * Connect to Odoo instance and authenticate
+   * @returns {Promise<void>}
+   */
+  async connect() {
+    if (this.connected && this.uid) {
+      return;
+    }
+
+    try {
+      this.logger.info('Connecting to Odoo via JSON-RPC...', {
+        connection: this.config.getConnectionString(),
+        endpoint: this.endpoint
+      });
+
+      // Authenticate with retry logic
+      this.uid = await this._authenticateWithRetry();
+
+      this.connected = true;
+
+      this.logger.info('Successfully connected to Odoo', {
+        uid: this.uid,
+        database: this.config.database
+      });
+    } catch (error) {
+      this.logger.error('Failed to connect to Odoo', error);
+      throw new OdooConnectionError('Failed to connect to Odoo', error);
+    }
+  }
+
+  /**
+   * Authenticate with retry logic
+   * @private
+   * @returns {Promise<number>} User ID
+   */
+  async _authenticateWithRetry() {
+    const { maxAttempts, delayMs, backoffMultiplier } = this.config.retry;
+    let lastError;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt += 1) {
+      try {
+        this.logger.info(`Authentication attempt ${attempt}/${maxAttempts}`);
+
+        const uid = await this._login();
+
+        if (!uid) {
+          throw new Error('No UID returned from authentication.');
+        }
+
+        return uid;
+      } catch (error) {
+        lastError = error;
+        this.logger.warn(`Authentication attempt ${attempt} failed`, error);
+
+        if (attempt < maxAttempts) {
+          const delay = delayMs * backoffMultiplier ** (attempt - 1);
+          this.logger.info(`Retrying in ${delay}ms...`);
+          await this._sleep(delay);
+        }
+      }
+    }
+
+    throw new OdooConnectionError(
+      `Failed to authenticate after ${maxAttempts} attempts`,
+      lastError
+    );
+  }
+
+  /**
+   * Perform a single login round-trip for the configured credentials
+   * @private
+   * @returns {Promise<number|false>} User ID or false when credentials are rejected
+   */
+  async _login() {
+    const { database, username, password } = this.config;
+
+    if (this.endpoint === 'call_kw') {
+      const result = await this._post('/web/session/authenticate', {
+        db: database,
+        login: username,
+        password
+      });
+      return result && result.uid ? result.uid : false;
+    }
+
+    return this._post('/jsonrpc', {
+      service: 'common',
+      method: 'authenticate',
+      args: [database, username, password, {}]
+    });
+  }
+
+  /**
+   * Execute Odoo RPC method
+   * @param {string} model - Odoo model name
+   * @param {string} method - Method name
+   * @param {Array} params - Method parameters
+   * @param {Object} kwargs - Keyword arguments
+   * @returns {Promise<any>} Method result
+   */
+  async execute_kw(model, method, params = [], kwargs = {}) {
+    await this.connect();
+
+    try {
+      this.logger.debug(`Executing ${model}.${method}`, { params, kwargs });
+
+      return await this._call(model, method, params, kwargs);
+    } catch (error) {
+      let fault = error;
+
+      // Web sessions expire server side; log in again once before giving up
+      if (error.code === SESSION_EXPIRED_CODE && this.endpoint === 'call_kw') {
+        this.logger.warn('Odoo session expired, re-authenticating');
+        try {
+          await this.disconnect();
+          await this.connect();
+          return await this._call(model, method, params, kwargs);
+        } catch (retryError) {
+          fault = retryError;
+        }
+      }
+
+      this.logger.error(`Failed to execute ${model}.${method}`, fault);
+      throw toOdooError(fault, `Failed to execute ${model}.${method}`);
+    }
+  }
+
+  /**
+   * Dispatch a model method call on the configured endpoint
+   * @private
+   * @param {string} model - Odoo model name
+   * @param {string} method - Method name
+   * @param {Array} params - Method parameters
+   * @param {Object} kwargs - Keyword arguments
+   * @returns {Promise<any>} Method result
+   */
+  async _call(model, method, params, kwargs) {
+    if (this.endpoint === 'call_kw') {
+      return this._post(`/web/dataset/call_kw/${model}/${method}`, {
+        model,
+        method,
+        args: params,
+        kwargs
+      });
+    }
+
+    return this._post('/jsonrpc', {
+      service: 'object',
+      method: 'execute_kw',
+      args: [this.config.database, this.uid, this.config.password, model, method, params, kwargs]
+    });
+  }
+
+  /**
+   * Search for records
+   * @param {string} model - Odoo model name
+   * @param {Array} domain - Search domain
+   * @param {Object} options - Search options
+   * @returns {Promise<Array>} Array of record IDs
+   */
+  async search(model, domain = [], options = {}) {
+    return this.execute_kw(model, 'search', [domain], options);
+  }
+
+  /**
+   * Read records
+   * @param {string} model - Odoo model name
+   * @param {Array} ids - Record IDs
+   * @param {Array} fields - Fields to read
+   * @returns {Promise<Array>} Array of records
+   */
+  async read(model, ids, fields = []) {
+    const kwargs = fields.length > 0 ? { fields } : {};
+    return this.execute_kw(model, 'read', [ids], kwargs);
+  }
+
+  /**
+   * Search and read records in one call
+   * @param {string} model - Odoo model name
+   * @param {Array} domain - Search domain
+   * @param {Array} fields - Fields to read
+   * @param {Object} options - Search options
+   * @returns {Promise<Array>} Array of records
+   */
+  async searchRead(model, domain = [], fields = [], options = {}) {
+    const kwargs = { ...options };
+    if (fields.length > 0) {
+      kwargs.fields = fields;
+    }
+    return this.execute_kw(model, 'search_read', [domain], kwargs);
+  }
+
+  /**
+   * Create a new record
+   * @param {string} model - Odoo model name
+   * @param {Object} values - Record values
+   * @returns {Promise<number>} Created record ID
+   */
+  async create(model, values) {
+    return this.execute_kw(model, 'create', [values]);
+  }
+
+  /**
+   * Update existing records
+   * @param {string} model - Odoo model name
+   * @param {Array} ids - Record IDs
+   * @param {Object} values - Updated values
+   * @returns {Promise<boolean>} Success status
+   */
+  async write(model, ids, values) {
+    return this.execute_kw(model, 'write', [ids, values]);
+  }
+
+  /**
+   * Delete records
+   * @param {string} model - Odoo model name
+   * @param {Array} ids - Record IDs
+   * @returns {Promise<boolean>} Success status
+   */
+  async unlink(model, ids) {
+    return this.execute_kw(model, 'unlink', [ids]);
+  }
+
+  /**
+   * Verify a user's credentials against the configured database
+   * Uses the stateless /jsonrpc common service so the client's own session is untouched
+   * @param {string} login - User login
+   * @param {string} password - User password or API key
+   * @returns {Promise<number|false>} User ID, or false when the credentials are rejected
+   */
+  async authenticate(login, password) {
+    try {
+      const uid = await this._post('/jsonrpc', {
+        service: 'common',
+        method: 'authenticate',
+        args: [this.config.database, login, password, {}]
+      });
+
+      return uid || false;
+    } catch (error) {
+      this.logger.error('Failed to authenticate user against Odoo', {
+        login,
+        error: error.message
+      });
+      throw new OdooConnectionError('Failed to authenticate user against Odoo', error);
+    }
+  }
+
+  /**
+   * Disconnect from Odoo instance
+   * @returns {Promise<void>}
+   */
+  async disconnect() {
+    if (this.connected) {
+      this.logger.info('Disconnecting from Odoo');
+      this.connected = false;
+      this.uid = null;
+      this.sessionId = null;
+    }
+  }
+
+  /**
+   * Check if client is connected
+   * @returns {boolean} Connection status
+   */
+  isConnected() {
+    return this.connected && this.uid !== null;
+  }
+
+  /**
+   * POST a JSON-RPC 2.0 envelope and unwrap the result
+   * Odoo reports faults in the `error` member with the server exception under `error.data`
+   * @private
+   * @param {string} path - Endpoint path
+   * @param {Object} params - JSON-RPC params
+   * @returns {Promise<any>} RPC result
+   */
+  _post(path, params) {
+    this.requestId += 1;
+
+    const body = JSON.stringify({
+      jsonrpc: '2.0',
+      method: 'call',
+      params,
+      id: this.requestId
+    });
+
+    const transport = this.config.protocol === 'https' ? https : http;
+    const headers = {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body)
+    };
+
+    if (this.sessionId) {
+      headers.Cookie = `session_id=${this.sessionId}`;
+    }
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request(
+        {
+          host: this.config.host,
+          port: this.config.port,
+          path,
+          method: 'POST',
+          headers,
+          timeout: this.config.timeout.request
+        },
+        (res) => {
+          const chunks = [];
+
+          this._storeSessionCookie(res.headers['set-cookie']);
+
+          res.on('data', (data) => chunks.push(data));
+          res.on('end', () => {
+            const raw = Buffer.concat(chunks).toString('utf8');
+
+            if (res.statusCode !== 200) {
+              reject(new Error(`Odoo responded with HTTP ${res.statusCode} for ${path}`));
+              return;
+            }
+
+            let payload;
+            try {
+              payload = JSON.parse(raw);
+            } catch (parseError) {
+              reject(new Error(`Invalid JSON-RPC response from ${path}`));
+              return;
+            }
+
+            if (payload.error) {
+              const { data = {} } = payload.error;
+              const fault = new Error(data.message || payload.error.message);
+              fault.code = payload.error.code;
+              fault.data = data;
+              reject(fault);
+              return;
+            }
+
+            resolve(payload.result);
+          });
+        }
+      );
+
+      req.on('timeout', () => {
+        req.destroy(new Error(`Odoo request to ${path} timed out`));
+      });
+      req.on('error', reject);
+
+      req.write(body);
+      req.end();
+    });
+  }
+
+  /**
+   * Remember the session cookie issued by /web/session/authenticate
+   * @private
+   * @param {Array<string>} cookies - Set-Cookie headers
+   */
+  _storeSessionCookie(cookies) {
+    if (!Array.isArray(cookies)) {
+      return;
+    }
+
+    const sessionCookie = cookies.find((cookie) => cookie.startsWith('session_id='));
+    if (sessionCookie) {
+      [this.sessionId] = sessionCookie.substring('session_id='.length).split(';');
+    }
+  }
+
+  /**
+   * Sleep utility for retry logic
+   * @private
+   * @param {number} ms - Milliseconds to sleep
+   * @returns {Promise<void>}
+   */
+  _sleep(ms) {
+    return new Promise((resolve) => {
+      setTimeout(resolve, ms);
+    });
+  }
+}
+
+module.exports = OdooJsonRpcClient;
@@ -0,0 +1,34 @@
+const OdooClient = require('./OdooClient');
+const OdooJsonRpcClient = require('./OdooJsonRpcClient');
+
+/**
+ * Available Odoo transports, keyed by the `transport` value of a profile
+ */
+const TRANSPORTS = {
+  xmlrpc: OdooClient,
+  jsonrpc: OdooJsonRpcClient
+};
+
+/**
+ * Create an Odoo client for the transport selected in configuration
+ * @param {Object} config - Odoo configuration
+ * @param {Object} logger - Logger instance
+ * @returns {IOdooClient} Odoo client instance
+ */
+function createOdooClient(config, logger = console) {
+  const transport = config.transport || 'xmlrpc';
+  const ClientClass = TRANSPORTS[transport];
+
+  if (!ClientClass) {
+    throw new Error(
+      `Unknown Odoo transport: ${transport} (expected one of ${Object.keys(TRANSPORTS).join(', ')})`
+    );
+  }
+
+  return new ClientClass(config, logger);
+}
+
+module.exports = {
+  createOdooClient,
+  TRANSPORTS
+};
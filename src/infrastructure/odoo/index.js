@@ -3,11 +3,15 @@
  */
 
 const OdooClient = require('./OdooClient');
+const OdooJsonRpcClient = require('./OdooJsonRpcClient');
 const OdooConnectionPool = require('./OdooConnectionPool');
 const OdooModelFactory = require('./OdooModelFactory');
+const { createOdooClient } = require('./createOdooClient');
 
 module.exports = {
   OdooClient,
+  OdooJsonRpcClient,
+  createOdooClient,
   OdooConnectionPool,
   OdooModelFactory
 };
@@ -0,0 +1,43 @@
+const { OdooConnectionError, OdooUserError } = require('../../core/errors');
+
+/**
+ * Odoo Faults
+ * Tells faults Odoo raises for the user (business rule violations) apart from
+ * infrastructure failures, for both the XML-RPC and JSON-RPC clients
+ */
+
+// Exceptions Odoo raises with a message meant for the end user
+const USER_EXCEPTIONS = [
+  'odoo.exceptions.UserError',
+  'odoo.exceptions.ValidationError',
+  'odoo.exceptions.RedirectWarning',
+  'odoo.exceptions.Warning',
+  'odoo.exceptions.except_orm'
+];
+
+// Fault code /xmlrpc/2 returns for UserError and its subclasses (odoo.service.wsgi_server)
+const XMLRPC_WARNING_CODE = 2;
+
+/**
+ * Turn a failed model call into the error the API reports
+ * @param {Error} error - Fault raised by the transport
+ * @param {string} message - Message for infrastructure failures
+ * @returns {AppError} OdooUserError for user-facing faults, OdooConnectionError otherwise
+ */
+const toOdooError = (error, message) => {
+  // JSON-RPC: { code: 200, data: { name: 'odoo.exceptions.UserError', message } }
+  if (error && error.data && USER_EXCEPTIONS.includes(error.data.name)) {
+    return new OdooUserError(error.data.message || error.message, error.data.name);
+  }
+
+  // XML-RPC: xmlrpc.client.Fault(2, message)
+  if (error && error.faultCode === XMLRPC_WARNING_CODE && error.faultString) {
+    return new OdooUserError(error.faultString, 'odoo.exceptions.UserError');
+  }
+
+  return new OdooConnectionError(message, error);
+};
+
+module.exports = {
+  toOdooError
+};
@@ -0,0 +1,107 @@
+/**
+ * Job Scheduler
+ * Runs background tasks at fixed intervals inside the connector process
+ * A job never overlaps itself: a tick arriving while the previous run is still busy is skipped.
+ * Timers are unref'd so pending jobs never keep the process alive on shutdown.
+ */
+class JobScheduler {
+  /**
+   * Create a Job Scheduler
+   * @param {Object} logger - Logger instance
+   */
+  constructor(logger = console) {
+    this.logger = logger;
+    this.jobs = new Map();
+  }
+
+  /**
+   * Register a job
+   * @param {string} name - Unique job name
+   * @param {number} intervalMs - Milliseconds between runs
+   * @param {Function} task - Async function to run
+   * @returns {JobScheduler} This scheduler, for chaining
+   */
+  schedule(name, intervalMs, task) {
+    if (this.jobs.has(name)) {
+      throw new Error(`Job '${name}' is already scheduled`);
+    }
+    if (!Number.isFinite(intervalMs) || intervalMs <= 0) {
+      throw new Error(`Job '${name}' needs a positive interval`);
+    }
+
+    this.jobs.set(name, {
+      name,
+      intervalMs,
+      task,
+      timer: null,
+      running: false,
+      lastRunAt: null,
+      lastError: null
+    });
+
+    return this;
+  }
+
+  /**
+   * Start every registered job
+   */
+  start() {
+    this.jobs.forEach((job) => {
+      if (job.timer) return;
+
+      job.timer = setInterval(() => this.run(job.name), job.intervalMs);
+      if (typeof job.timer.unref === 'function') {
+        job.timer.unref();
+      }
+
+      this.logger.info(`Scheduled job '${job.name}'`, { intervalMs: job.intervalMs });
+    });
+  }
+
+  /**
+   * Run a job now
+   * Failures are logged and kept on the job rather than thrown, so one bad run does not stop
+   * the schedule
+   * @param {string} name - Job name
+   * @returns {Promise<boolean>} False when the job was still running and this run was skipped
+   */
+  async run(name) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new Error(`Unknown job '${name}'`);
+    }
+
+    if (job.running) {
+      this.logger.warn(`Job '${name}' is still running, skipping this run`);
+      return false;
+    }
+
+    job.running = true;
+    try {
+      await job.task();
+      job.lastError = null;
+    } catch (error) {
+      job.lastError = error.message;
+      this.logger.error(`Job '${name}' failed`, error);
+    } finally {
+      job.running = false;
+      job.lastRunAt = new Date().toISOString();
+    }
+
+    return true;
+  }
+
+  /**
+   * Stop every job
+   */
+  stop() {
+    this.jobs.forEach((job) => {
+      if (job.timer) {
+        clearInterval(job.timer);
+        job.timer = null;
+      }
+    });
+  }
+}
+
+module.exports = JobScheduler;
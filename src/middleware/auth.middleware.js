@@ -1,6 +1,8 @@
 const jwt = require('jsonwebtoken');
-const { AppError } = require('../core/errors');
+const { AuthenticationError, AuthorizationError } = require('../core/errors');
 const { createLogger } = require('../infrastructure/logging/Logger');
+const { resolvePermissions, hasPermission } = require('../utils/permissions');
+const { runWithContext } = require('../infrastructure/context/requestContext');
 const config = require('../config');
 
 const logger = createLogger('AuthMiddleware');
@@ -22,7 +24,7 @@ const authenticate = async (req, res, next) => {
     const authHeader = req.headers.authorization;
 
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      throw new AppError('No token provided', 401);
+      throw new AuthenticationError('No token provided');
     }
 
     const token = authHeader.substring(7); // Remove 'Bearer ' prefix
@@ -30,15 +32,26 @@ const authenticate = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, config.security.jwtSecret);
 
+    // Refresh tokens may only be exchanged at /auth/refresh
+    if (decoded.type === 'refresh') {
+      throw new AuthenticationError('Refresh tokens cannot be used to access the API');
+    }
+
+    // Calendar tokens travel in feed URLs and only open the calendar feed
+    if (decoded.type === 'calendar') {
+      throw new AuthenticationError('Calendar tokens cannot be used to access the API');
+    }
+
     // Attach user info to request
     req.user = decoded;
 
     logger.debug('User authenticated', {
-      userId: decoded.userId,
-      email: decoded.email
+      uid: decoded.uid,
+      login: decoded.login
     });
 
-    next();
+    // Lets the Odoo pool run this request's RPCs in the user's own session
+    runWithContext({ subject: decoded.sub, uid: decoded.uid }, next);
   } catch (error) {
     logger.warn('Authentication failed', {
       error: error.message,
@@ -46,11 +59,11 @@ const authenticate = async (req, res, next) => {
     });
 
     if (error.name === 'JsonWebTokenError') {
-      return next(new AppError('Invalid token', 401));
+      return next(new AuthenticationError('Invalid token'));
     }
 
     if (error.name === 'TokenExpiredError') {
-      return next(new AppError('Token expired', 401));
+      return next(new AuthenticationError('Token expired'));
     }
 
     next(error);
@@ -68,7 +81,10 @@ const optionalAuth = async (req, res, next) => {
     if (authHeader && authHeader.startsWith('Bearer ')) {
       const token = authHeader.substring(7);
       const decoded = jwt.verify(token, config.security.jwtSecret);
-      req.user = decoded;
+      if (decoded.type !== 'refresh' && decoded.type !== 'calendar') {
+        req.user = decoded;
+        return runWithContext({ subject: decoded.sub, uid: decoded.uid }, next);
+      }
     }
 
     next();
@@ -78,6 +94,105 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+/**
+ * Authenticate a calendar feed request with the ?token= query parameter
+ * Calendar clients cannot send headers, so feeds carry a long-lived 'calendar' token instead
+ * of an access token. Feed requests run without a user context: the token holder's Odoo
+ * session is long gone by the time their client polls, so Odoo is read with the service
+ * account and the token's permissions and employee scope still apply.
+ * @param {Request} req - Express request
+ * @param {Response} res - Express response
+ * @param {Function} next - Next middleware
+ */
+const authenticateFeed = (req, res, next) => {
+  const { token } = req.query;
+
+  if (!token) {
+    // With AUTH_ENABLED=false anonymous callers keep full access
+    if (!config.security.authEnabled) {
+      return next();
+    }
+
+    return next(new AuthenticationError('No token provided'));
+  }
+
+  try {
+    const decoded = jwt.verify(String(token), config.security.jwtSecret);
+
+    if (decoded.type !== 'calendar') {
+      throw new AuthenticationError('Invalid calendar token');
+    }
+
+    req.user = decoded;
+    next();
+  } catch (error) {
+    logger.warn('Calendar feed authentication failed', {
+      error: error.message,
+      ip: req.ip
+    });
+
+    if (error.name === 'TokenExpiredError') {
+      return next(new AuthenticationError('Calendar token expired'));
+    }
+
+    next(error.isOperational ? error : new AuthenticationError('Invalid calendar token'));
+  }
+};
+
+/**
+ * Require a permission on the route
+ * Permissions are resolved from the Odoo groups carried in the access token,
+ * so mapping changes apply without logging in again
+ * @param {string} permission - Required permission ('resource:action')
+ * @returns {Function} Express middleware
+ */
+const authorize = (permission) => (req, res, next) => {
+  if (!req.user) {
+    // With AUTH_ENABLED=false anonymous callers keep full access
+    if (!config.security.authEnabled) {
+      return next();
+    }
+
+    return next(new AuthenticationError());
+  }
+
+  const granted = resolvePermissions(req.user.groups, config.rbac.groups);
+
+  if (!hasPermission(granted, permission)) {
+    logger.warn('Permission denied', {
+      uid: req.user.uid,
+      permission,
+      method: req.method,
+      url: req.originalUrl
+    });
+
+    return next(new AuthorizationError(`Missing permission '${permission}'`, permission));
+  }
+
+  next();
+};
+
+/**
+ * Restrict a router's records to the caller's own and those of their reports
+ * Callers holding '<resource>:all' keep access to every employee's records.
+ * Sets req.scope ({ employeeId }), which controllers pass on to services
+ * @param {string} resource - Permission resource (e.g. 'attendance')
+ * @returns {Function} Express middleware
+ */
+const scopeToEmployee = (resource) => (req, res, next) => {
+  req.scope = null;
+
+  if (req.user) {
+    const granted = resolvePermissions(req.user.groups, config.rbac.groups);
+
+    if (!hasPermission(granted, `${resource}:all`)) {
+      req.scope = { employeeId: req.user.employeeId || null };
+    }
+  }
+
+  next();
+};
+
 /**
  * Generate JWT token
  * @param {Object} payload - Token payload
@@ -100,6 +215,9 @@ const verifyToken = (token) => {
 module.exports = {
   authenticate,
   optionalAuth,
+  authenticateFeed,
+  authorize,
+  scopeToEmployee,
   generateToken,
   verifyToken
 };
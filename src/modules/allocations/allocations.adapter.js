@@ -0,0 +1,43 @@
+const { unpackRelational } = require('../common/relational.helper');
+
+class AllocationsAdapter {
+  constructor() {
+    // DTO keys produced by each Odoo field, used to answer ?fields= requests
+    this.fieldMap = {
+      employee_id: ['employeeId', 'employeeName'],
+      holiday_status_id: ['typeId', 'typeName'],
+      number_of_days: ['days'],
+      date_from: ['dateFrom'],
+      date_to: ['dateTo'],
+      state: ['state'],
+      create_date: ['createdAt']
+    };
+  }
+
+  toDTO(record) {
+    if (!record) return null;
+
+    const employee = unpackRelational(record.employee_id);
+    const type = unpackRelational(record.holiday_status_id);
+
+    return {
+      id: record.id,
+      employeeId: employee.id,
+      employeeName: employee.name,
+      typeId: type.id,
+      typeName: type.name,
+      days: record.number_of_days,
+      dateFrom: record.date_from,
+      // Open-ended allocations have no end date
+      dateTo: record.date_to || null,
+      state: record.state,
+      createdAt: record.create_date
+    };
+  }
+
+  toDTOArray(records) {
+    return Array.isArray(records) ? records.map((rec) => this.toDTO(rec)) : [];
+  }
+}
+
+module.exports = AllocationsAdapter;
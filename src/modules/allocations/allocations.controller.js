@@ -0,0 +1,5 @@
+const OdooModelController = require('../common/odooModel.controller');
+
+class AllocationsController extends OdooModelController {}
+
+module.exports = AllocationsController;
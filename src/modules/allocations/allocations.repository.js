@@ -0,0 +1,5 @@
+const BaseRepository = require('../../core/base/BaseRepository');
+
+class AllocationsRepository extends BaseRepository {}
+
+module.exports = AllocationsRepository;
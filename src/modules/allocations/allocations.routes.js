@@ -0,0 +1,99 @@
+const express = require('express');
+const { authorize, scopeToEmployee } = require('../../middleware/auth.middleware');
+
+function createAllocationsRoutes(controller) {
+  const router = express.Router();
+
+  // Allocations are time off data: same permissions and self-service scoping
+  router.use(scopeToEmployee('timeoff'));
+
+  /**
+   * @swagger
+   * tags:
+   *   - name: Allocations
+   *     description: Leave allocations (days granted per employee and leave type)
+   */
+
+  /**
+   * @swagger
+   * /allocations:
+   *   get:
+   *     summary: List leave allocations
+   *     description: Filters support operators, e.g. `state=validate` or `date_to[null]=true`
+   *     tags: [Allocations]
+   *     parameters:
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: employee_id
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: holiday_status_id
+   *         schema:
+   *           type: integer
+   *         description: Filter by leave type
+   *       - $ref: '#/components/parameters/Sort'
+   *       - $ref: '#/components/parameters/Fields'
+   *     responses:
+   *       200:
+   *         description: Allocations
+   *       403:
+   *         description: Requires the `timeoff:read` permission
+   */
+  router.get('/', authorize('timeoff:read'), controller.getAll);
+
+  /**
+   * @swagger
+   * /allocations/export:
+   *   get:
+   *     summary: Export leave allocations
+   *     description: Streams every matching record; accepts the same filters as the list route
+   *     tags: [Allocations]
+   *     parameters:
+   *       - $ref: '#/components/parameters/ExportFormat'
+   *       - $ref: '#/components/parameters/Sort'
+   *       - $ref: '#/components/parameters/Fields'
+   *     responses:
+   *       200:
+   *         description: Export file
+   *       400:
+   *         description: Unsupported format or invalid filter
+   *       403:
+   *         description: Requires the `timeoff:read` permission
+   */
+  router.get('/export', authorize('timeoff:read'), controller.exportAll);
+
+  /**
+   * @swagger
+   * /allocations/{id}:
+   *   get:
+   *     summary: Get a leave allocation
+   *     tags: [Allocations]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - $ref: '#/components/parameters/Fields'
+   *     responses:
+   *       200:
+   *         description: Allocation
+   *       404:
+   *         description: Allocation not found
+   *       403:
+   *         description: Requires the `timeoff:read` permission
+   */
+  router.get('/:id', authorize('timeoff:read'), controller.getById);
+
+  return router;
+}
+
+module.exports = createAllocationsRoutes;
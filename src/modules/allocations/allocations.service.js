@@ -0,0 +1,5 @@
+const OdooModelService = require('../common/odooModel.service');
+
+class AllocationsService extends OdooModelService {}
+
+module.exports = AllocationsService;
@@ -1,6 +1,17 @@
 const { unpackRelational } = require('../common/relational.helper');
 
 class AttendanceAdapter {
+  constructor() {
+    // DTO keys produced by each Odoo field, used to answer ?fields= requests
+    this.fieldMap = {
+      employee_id: ['employeeId', 'employeeName'],
+      check_in: ['checkIn'],
+      check_out: ['checkOut'],
+      worked_hours: ['workedHours'],
+      create_date: ['createdAt']
+    };
+  }
+
   toDTO(record) {
     if (!record) return null;
 
@@ -1,5 +1,166 @@
-const BaseController = require('../../core/base/BaseController');
+const OdooModelController = require('../common/odooModel.controller');
 
-class AttendanceController extends BaseController {}
+class AttendanceController extends OdooModelController {
+  constructor(service, logger) {
+    super(service, logger);
+
+    this.checkIn = this.checkIn.bind(this);
+    this.checkOut = this.checkOut.bind(this);
+    this.getOpen = this.getOpen.bind(this);
+    this.getSummary = this.getSummary.bind(this);
+    this.getOvertime = this.getOvertime.bind(this);
+    this.getAnomalies = this.getAnomalies.bind(this);
+  }
+
+  /**
+   * Check an employee in (POST /check-in)
+   * Defaults to the caller's own employee when no employeeId is given
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async checkIn(req, res, next) {
+    try {
+      const employeeId = this._getEmployeeId(req);
+
+      this.logger.info(`POST check in employee: ${employeeId}`);
+
+      const record = await this.service.checkIn(employeeId, { scope: req.scope || null });
+
+      res.status(201).json({
+        success: true,
+        data: record,
+        message: 'Employee checked in successfully'
+      });
+    } catch (error) {
+      this.logger.error('Failed to check in employee', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Check an employee out (POST /check-out)
+   * Defaults to the caller's own employee when no employeeId is given
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async checkOut(req, res, next) {
+    try {
+      const employeeId = this._getEmployeeId(req);
+
+      this.logger.info(`POST check out employee: ${employeeId}`);
+
+      const record = await this.service.checkOut(employeeId, { scope: req.scope || null });
+
+      res.status(200).json({
+        success: true,
+        data: record,
+        message: 'Employee checked out successfully'
+      });
+    } catch (error) {
+      this.logger.error('Failed to check out employee', error);
+      next(error);
+    }
+  }
+
+  /**
+   * List employees currently clocked in (GET /open)
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getOpen(req, res, next) {
+    try {
+      this.logger.info('GET open attendances');
+
+      const result = await this.service.getOpen(this._getQueryOptions(req));
+
+      res.status(200).json(result);
+    } catch (error) {
+      this.logger.error('Failed to get open attendances', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Summarise worked hours, presence, late arrivals and early departures (GET /summary)
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getSummary(req, res, next) {
+    try {
+      const { from, to, groupBy } = req.query;
+      const query = { from, to, groupBy, employeeId: req.query.employee_id };
+
+      this.logger.info('GET attendance summary', query);
+
+      const result = await this.service.getSummary(query, { scope: req.scope || null });
+
+      res.status(200).json(result);
+    } catch (error) {
+      this.logger.error('Failed to get attendance summary', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Compute daily and weekly overtime against working schedules (GET /overtime)
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getOvertime(req, res, next) {
+    try {
+      const { from, to } = req.query;
+      const query = { from, to, employeeId: req.query.employee_id };
+
+      this.logger.info('GET attendance overtime', query);
+
+      const result = await this.service.getOvertime(query, { scope: req.scope || null });
+
+      res.status(200).json(result);
+    } catch (error) {
+      this.logger.error('Failed to get attendance overtime', error);
+      next(error);
+    }
+  }
+
+  /**
+   * List attendances closed or flagged by the missing check-out detector (GET /anomalies)
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getAnomalies(req, res, next) {
+    try {
+      this.logger.info('GET attendance anomalies', { action: req.query.action });
+
+      const result = await this.service.getAnomalies({ action: req.query.action });
+
+      res.status(200).json(result);
+    } catch (error) {
+      this.logger.error('Failed to get attendance anomalies', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Employee targeted by a clock action: the body's employeeId, else the caller's employee
+   * @private
+   * @param {Request} req - Express request object
+   * @returns {number|null} Employee ID (validated by the service)
+   */
+  _getEmployeeId(req) {
+    const { employeeId } = req.body || {};
+
+    if (employeeId !== undefined && employeeId !== null && employeeId !== '') {
+      return Number(employeeId);
+    }
+
+    return req.user ? req.user.employeeId || null : null;
+  }
+}
 
 module.exports = AttendanceController;
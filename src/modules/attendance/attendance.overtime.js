@@ -0,0 +1,210 @@
+const { isoWeek, odooWeekday } = require('../../utils/datetime');
+
+/**
+ * Overtime Engine
+ * Pure overtime rules applied to the hours an employee worked each local day.
+ * Daily overtime is what a day exceeds its expected hours; weekly overtime is what the
+ * remaining straight time of an ISO week exceeds the weekly threshold.
+ */
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Cap a number of hours
+ * @param {number} hours - Hours
+ * @param {number|null} cap - Cap (null or undefined for none)
+ * @returns {number} Capped hours
+ */
+const capHours = (hours, cap) => (cap === null || cap === undefined ? hours : Math.min(hours, cap));
+
+/**
+ * Policy of a company: the default policy with the company's overrides applied
+ * @param {Object} rules - Overtime rules ({ default, companies })
+ * @param {number|null} companyId - res.company ID
+ * @returns {Object} Policy
+ */
+const resolvePolicy = (rules, companyId) => {
+  const override = (companyId && rules.companies && rules.companies[companyId]) || {};
+
+  return {
+    weekendDays: [5, 6],
+    dailyThresholdHours: null,
+    fallbackDailyHours: 8,
+    weeklyThresholdHours: null,
+    dailyCapHours: null,
+    weeklyCapHours: null,
+    ...rules.default,
+    ...override,
+    multipliers: {
+      regular: 1,
+      weekend: 1,
+      publicHoliday: 1,
+      ...rules.default.multipliers,
+      ...override.multipliers
+    }
+  };
+};
+
+/**
+ * Kind of day, which selects its expected hours and multiplier
+ * @param {string} date - Local date ('YYYY-MM-DD')
+ * @param {Object} policy - Policy
+ * @param {Set<string>} holidays - Public holidays
+ * @returns {string} regular, weekend or publicHoliday
+ */
+const dayTypeOf = (date, policy, holidays) => {
+  if (holidays.has(date)) return 'publicHoliday';
+  return policy.weekendDays.includes(odooWeekday(date)) ? 'weekend' : 'regular';
+};
+
+/**
+ * Hours expected on a day before overtime starts
+ * Public holidays expect nothing. Weekends expect only scheduled hours. Other days expect
+ * the policy's daily threshold, else the scheduled hours, else fallbackDailyHours when the
+ * employee has no working schedule at all.
+ * @param {string} dayType - regular, weekend or publicHoliday
+ * @param {number|null} scheduledHours - Hours of the day's shift (null without a schedule)
+ * @param {Object} policy - Policy
+ * @returns {number} Expected hours
+ */
+const expectedHoursOf = (dayType, scheduledHours, policy) => {
+  if (dayType === 'publicHoliday') return 0;
+  if (dayType === 'weekend') return scheduledHours || 0;
+  if (policy.dailyThresholdHours !== null && policy.dailyThresholdHours !== undefined) {
+    return policy.dailyThresholdHours;
+  }
+  return scheduledHours === null ? policy.fallbackDailyHours : scheduledHours;
+};
+
+/**
+ * Apply a weekly cap on total overtime
+ * Weekly overtime is cut first, then daily overtime from the last day of the week backwards
+ * @param {Object} week - Week being computed ({ weeklyOvertimeHours, cappedHours })
+ * @param {Array<Object>} days - Day rows of the week, in date order
+ * @param {number|null} cap - Weekly cap
+ */
+const applyWeeklyCap = (week, days, cap) => {
+  const dailyOvertime = days.reduce((total, day) => total + day.overtimeHours, 0);
+  let excess = dailyOvertime + week.weeklyOvertimeHours - capHours(Infinity, cap);
+  if (excess <= 0) return;
+
+  const weeklyCut = Math.min(excess, week.weeklyOvertimeHours);
+  week.weeklyOvertimeHours -= weeklyCut;
+  week.cappedHours += weeklyCut;
+  excess -= weeklyCut;
+
+  for (let index = days.length - 1; index >= 0 && excess > 0; index -= 1) {
+    const cut = Math.min(excess, days[index].overtimeHours);
+    days[index].overtimeHours -= cut;
+    days[index].cappedHours += cut;
+    excess -= cut;
+  }
+};
+
+/**
+ * Compute an employee's overtime over a range of days
+ * @param {Object} input - Engine input
+ * @param {Array<string>} input.dates - Every local date of the range, in order
+ * @param {Map<string, number>} input.worked - Worked hours per local date
+ * @param {Function} input.scheduledHours - (date) => shift hours, 0 on days off, null without a
+ *   working schedule
+ * @param {Set<string>} input.holidays - Public holidays
+ * @param {Object} input.policy - Policy from resolvePolicy
+ * @returns {Object} { days, weeks, totals }; days only lists dates with worked hours
+ */
+const computeOvertime = ({ dates, worked, scheduledHours, holidays, policy }) => {
+  const weeks = new Map();
+
+  dates.forEach((date) => {
+    const dayType = dayTypeOf(date, policy, holidays);
+    const expectedHours = expectedHoursOf(dayType, scheduledHours(date), policy);
+    const workedHours = worked.get(date) || 0;
+    const week = isoWeek(date);
+
+    if (!weeks.has(week)) {
+      weeks.set(week, { week, expectedHours: 0, days: [] });
+    }
+    weeks.get(week).expectedHours += expectedHours;
+
+    if (workedHours <= 0) return;
+
+    const overtime = Math.max(0, workedHours - expectedHours);
+    const overtimeHours = capHours(overtime, policy.dailyCapHours);
+
+    weeks.get(week).days.push({
+      date,
+      dayType,
+      workedHours,
+      expectedHours,
+      overtimeHours,
+      cappedHours: overtime - overtimeHours,
+      multiplier: policy.multipliers[dayType]
+    });
+  });
+
+  const result = { days: [], weeks: [] };
+
+  weeks.forEach(({ week, expectedHours, days }) => {
+    if (days.length === 0) return;
+
+    const thresholdHours =
+      policy.weeklyThresholdHours === null || policy.weeklyThresholdHours === undefined
+        ? expectedHours
+        : policy.weeklyThresholdHours;
+    const workedHours = days.reduce((total, day) => total + day.workedHours, 0);
+    // Hours already paid as daily overtime (or capped away) do not count twice
+    const straightHours = days.reduce(
+      (total, day) => total + day.workedHours - day.overtimeHours - day.cappedHours,
+      0
+    );
+
+    const row = {
+      weeklyOvertimeHours: Math.max(0, straightHours - thresholdHours),
+      cappedHours: 0
+    };
+    applyWeeklyCap(row, days, policy.weeklyCapHours);
+
+    const dailyOvertimeHours = days.reduce((total, day) => total + day.overtimeHours, 0);
+    const weightedHours =
+      days.reduce((total, day) => total + day.overtimeHours * day.multiplier, 0) +
+      row.weeklyOvertimeHours * policy.multipliers.regular;
+
+    result.days.push(
+      ...days.map((day) => ({
+        ...day,
+        workedHours: round(day.workedHours),
+        expectedHours: round(day.expectedHours),
+        overtimeHours: round(day.overtimeHours),
+        cappedHours: round(day.cappedHours),
+        weightedHours: round(day.overtimeHours * day.multiplier)
+      }))
+    );
+    result.weeks.push({
+      week,
+      workedHours: round(workedHours),
+      thresholdHours: round(thresholdHours),
+      dailyOvertimeHours: round(dailyOvertimeHours),
+      weeklyOvertimeHours: round(row.weeklyOvertimeHours),
+      overtimeHours: round(dailyOvertimeHours + row.weeklyOvertimeHours),
+      cappedHours: round(row.cappedHours + days.reduce((total, day) => total + day.cappedHours, 0)),
+      weightedHours: round(weightedHours)
+    });
+  });
+
+  result.totals = result.weeks.reduce(
+    (totals, week) => ({
+      workedHours: round(totals.workedHours + week.workedHours),
+      overtimeHours: round(totals.overtimeHours + week.overtimeHours),
+      cappedHours: round(totals.cappedHours + week.cappedHours),
+      weightedHours: round(totals.weightedHours + week.weightedHours)
+    }),
+    { workedHours: 0, overtimeHours: 0, cappedHours: 0, weightedHours: 0 }
+  );
+
+  return result;
+};
+
+module.exports = {
+  resolvePolicy,
+  computeOvertime
+};
@@ -1,5 +1,136 @@
 const BaseRepository = require('../../core/base/BaseRepository');
+const { RepositoryError } = require('../../core/errors');
 
-class AttendanceRepository extends BaseRepository {}
+class AttendanceRepository extends BaseRepository {
+  constructor(odooClient, modelName, logger, models = {}) {
+    super(odooClient, modelName, logger);
+    this.models = {
+      employee: 'hr.employee',
+      calendar: 'resource.calendar',
+      calendarAttendance: 'resource.calendar.attendance',
+      calendarLeave: 'resource.calendar.leaves',
+      ...models
+    };
+  }
+
+  /**
+   * Find open attendances (checked in, not yet checked out), most recent first
+   * @param {Array} filters - Extra domain terms (e.g., employee or scope)
+   * @param {Array} fields - Fields to retrieve
+   * @param {number} limit - Maximum number of records (0 for all)
+   * @returns {Promise<Array>} Open attendances
+   */
+  async findOpen(filters = [], fields = [], limit = 0) {
+    return await this.findBy(
+      [['check_out', '=', false], ...filters],
+      fields,
+      limit,
+      'check_in desc'
+    );
+  }
+
+  /**
+   * Count employees matching a domain
+   * @param {Array} filters - Odoo domain on the employee model
+   * @returns {Promise<number>} Count of employees
+   */
+  async countEmployees(filters) {
+    try {
+      await this.odooClient.connect();
+
+      return await this.odooClient.execute_kw(this.models.employee, 'search_count', [filters]);
+    } catch (error) {
+      this.logger.error(`[${this.modelName}] Failed to count ${this.models.employee}`, error);
+      throw new RepositoryError(`Failed to count ${this.models.employee}`, error, 'countEmployees');
+    }
+  }
+
+  /**
+   * Load the working schedules (resource.calendar) of employees
+   * @param {Array<number>} employeeIds - Employee IDs
+   * @returns {Promise<Object>} { employees, calendars, lines } raw Odoo records
+   */
+  async findWorkSchedules(employeeIds) {
+    if (employeeIds.length === 0) {
+      return { employees: [], calendars: [], lines: [] };
+    }
+
+    try {
+      await this.odooClient.connect();
+
+      const employees = await this.odooClient.execute_kw(
+        this.models.employee,
+        'read',
+        [employeeIds],
+        { fields: ['resource_calendar_id', 'company_id'] }
+      );
+
+      const calendarIds = Array.from(
+        new Set(
+          employees
+            .filter((employee) => Array.isArray(employee.resource_calendar_id))
+            .map((employee) => employee.resource_calendar_id[0])
+        )
+      );
+
+      if (calendarIds.length === 0) {
+        return { employees, calendars: [], lines: [] };
+      }
+
+      const [calendars, lines] = await Promise.all([
+        this.odooClient.execute_kw(this.models.calendar, 'read', [calendarIds], {
+          fields: ['name', 'tz', 'two_weeks_calendar']
+        }),
+        this.odooClient.execute_kw(
+          this.models.calendarAttendance,
+          'search_read',
+          [[['calendar_id', 'in', calendarIds]]],
+          {
+            fields: ['calendar_id', 'dayofweek', 'hour_from', 'hour_to', 'week_type', 'day_period']
+          }
+        )
+      ]);
+
+      return { employees, calendars, lines };
+    } catch (error) {
+      this.logger.error(`[${this.modelName}] Failed to load working schedules`, error);
+      throw new RepositoryError('Failed to load working schedules', error, 'findWorkSchedules');
+    }
+  }
+
+  /**
+   * Find public holidays overlapping a period
+   * Public holidays are resource.calendar.leaves not tied to a resource, either company-wide
+   * (no calendar) or attached to one of the given calendars
+   * @param {Array<number>} calendarIds - Working schedule IDs
+   * @param {string} start - Period start (Odoo UTC datetime)
+   * @param {string} end - Period end, exclusive (Odoo UTC datetime)
+   * @returns {Promise<Array>} Leaves ({ calendar_id, date_from, date_to, name })
+   */
+  async findPublicHolidays(calendarIds, start, end) {
+    try {
+      await this.odooClient.connect();
+
+      return await this.odooClient.execute_kw(
+        this.models.calendarLeave,
+        'search_read',
+        [
+          [
+            ['resource_id', '=', false],
+            ['date_from', '<', end],
+            ['date_to', '>', start],
+            '|',
+            ['calendar_id', '=', false],
+            ['calendar_id', 'in', calendarIds]
+          ]
+        ],
+        { fields: ['calendar_id', 'date_from', 'date_to', 'name'] }
+      );
+    } catch (error) {
+      this.logger.error(`[${this.modelName}] Failed to load public holidays`, error);
+      throw new RepositoryError('Failed to load public holidays', error, 'findPublicHolidays');
+    }
+  }
+}
 
 module.exports = AttendanceRepository;
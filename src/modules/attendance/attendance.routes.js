@@ -1,8 +1,12 @@
 const express = require('express');
+const { authorize, scopeToEmployee } = require('../../middleware/auth.middleware');
 
 function createAttendanceRoutes(controller) {
   const router = express.Router();
 
+  // Employees only reach their own records and those of their reports
+  router.use(scopeToEmployee('attendance'));
+
   /**
    * @swagger
    * tags:
@@ -15,6 +19,7 @@ function createAttendanceRoutes(controller) {
    * /attendance:
    *   get:
    *     summary: List attendance entries
+   *     description: Filters support operators, e.g. `check_in[gte]=2026-01-01`, `check_out[null]=true`
    *     tags: [Attendance]
    *     parameters:
    *       - in: query
@@ -30,11 +35,213 @@ function createAttendanceRoutes(controller) {
    *         schema:
    *           type: integer
    *         description: Filter by employee id
+   *       - $ref: '#/components/parameters/Sort'
+   *       - $ref: '#/components/parameters/Fields'
    *     responses:
    *       200:
    *         description: Attendance records
+   *       403:
+   *         description: Requires the `attendance:read` permission
+   */
+  router.get('/', authorize('attendance:read'), controller.getAll);
+
+  /**
+   * @swagger
+   * /attendance/export:
+   *   get:
+   *     summary: Export attendance entries
+   *     description: Streams every matching record; accepts the same filters as the list route
+   *     tags: [Attendance]
+   *     parameters:
+   *       - $ref: '#/components/parameters/ExportFormat'
+   *       - $ref: '#/components/parameters/Sort'
+   *       - $ref: '#/components/parameters/Fields'
+   *     responses:
+   *       200:
+   *         description: Export file
+   *       400:
+   *         description: Unsupported format or invalid filter
+   *       403:
+   *         description: Requires the `attendance:read` permission
+   */
+  router.get('/export', authorize('attendance:read'), controller.exportAll);
+
+  /**
+   * @swagger
+   * /attendance/open:
+   *   get:
+   *     summary: List employees currently clocked in
+   *     description: Open attendances (no check-out yet), most recent check-in first
+   *     tags: [Attendance]
+   *     parameters:
+   *       - $ref: '#/components/parameters/Fields'
+   *     responses:
+   *       200:
+   *         description: Open attendances
+   *       403:
+   *         description: Requires the `attendance:read` permission
+   */
+  router.get('/open', authorize('attendance:read'), controller.getOpen);
+
+  /**
+   * @swagger
+   * /attendance/summary:
+   *   get:
+   *     summary: Timesheet summary per employee and period
+   *     description: >
+   *       Worked hours, days present, late arrivals and early departures against each
+   *       employee's working schedule, aggregated in Odoo with read_group
+   *     tags: [Attendance]
+   *     parameters:
+   *       - in: query
+   *         name: from
+   *         required: true
+   *         schema:
+   *           type: string
+   *           format: date
+   *       - in: query
+   *         name: to
+   *         required: true
+   *         schema:
+   *           type: string
+   *           format: date
+   *         description: Last day, inclusive
+   *       - in: query
+   *         name: groupBy
+   *         schema:
+   *           type: string
+   *           enum: [day, week, month]
+   *           default: day
+   *       - in: query
+   *         name: employee_id
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Summary rows and totals
+   *       400:
+   *         description: Invalid dates, period or employee
+   *       403:
+   *         description: Requires the `attendance:read` permission
+   */
+  router.get('/summary', authorize('attendance:read'), controller.getSummary);
+
+  /**
+   * @swagger
+   * /attendance/overtime:
+   *   get:
+   *     summary: Daily and weekly overtime per employee
+   *     description: >
+   *       Compares worked hours with each employee's working schedule and public holidays,
+   *       applying the thresholds, caps and multipliers of their company's overtime policy
+   *     tags: [Attendance]
+   *     parameters:
+   *       - in: query
+   *         name: from
+   *         required: true
+   *         schema:
+   *           type: string
+   *           format: date
+   *       - in: query
+   *         name: to
+   *         required: true
+   *         schema:
+   *           type: string
+   *           format: date
+   *         description: Last day, inclusive
+   *       - in: query
+   *         name: employee_id
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Overtime days, weeks and totals per employee
+   *       400:
+   *         description: Invalid dates or employee
+   *       403:
+   *         description: Requires the `attendance:read` permission
+   */
+  router.get('/overtime', authorize('attendance:read'), controller.getOvertime);
+
+  /**
+   * @swagger
+   * /attendance/anomalies:
+   *   get:
+   *     summary: Attendances left open too long
+   *     description: >
+   *       Findings of the missing check-out job: attendances it closed at the scheduled end of
+   *       the shift, and attendances it flagged for review, with the action taken
+   *     tags: [Attendance]
+   *     parameters:
+   *       - in: query
+   *         name: action
+   *         schema:
+   *           type: string
+   *           enum: [closed, flagged]
+   *     responses:
+   *       200:
+   *         description: Anomalies, detector policy and last run time
+   *       400:
+   *         description: Unknown action
+   *       403:
+   *         description: Requires the `attendance:all` permission
+   */
+  router.get('/anomalies', authorize('attendance:all'), controller.getAnomalies);
+
+  /**
+   * @swagger
+   * /attendance/check-in:
+   *   post:
+   *     summary: Check an employee in at the current server time
+   *     tags: [Attendance]
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               employeeId:
+   *                 type: integer
+   *                 description: Defaults to the caller's own employee
+   *     responses:
+   *       201:
+   *         description: Created attendance
+   *       403:
+   *         description: Requires the `attendance:create` permission
+   *       404:
+   *         description: Employee not found or outside the caller's scope
+   *       409:
+   *         description: The employee is already checked in
+   */
+  router.post('/check-in', authorize('attendance:create'), controller.checkIn);
+
+  /**
+   * @swagger
+   * /attendance/check-out:
+   *   post:
+   *     summary: Check an employee out at the current server time
+   *     description: Closes the employee's open attendance
+   *     tags: [Attendance]
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               employeeId:
+   *                 type: integer
+   *                 description: Defaults to the caller's own employee
+   *     responses:
+   *       200:
+   *         description: Closed attendance
+   *       403:
+   *         description: Requires the `attendance:create` permission
+   *       404:
+   *         description: Employee not found or outside the caller's scope
+   *       409:
+   *         description: The employee is not checked in
    */
-  router.get('/', controller.getAll);
+  router.post('/check-out', authorize('attendance:create'), controller.checkOut);
 
   /**
    * @swagger
@@ -48,11 +255,14 @@ function createAttendanceRoutes(controller) {
    *         required: true
    *         schema:
    *           type: integer
+   *       - $ref: '#/components/parameters/Fields'
    *     responses:
    *       200:
    *         description: Attendance record
+   *       403:
+   *         description: Requires the `attendance:read` permission
    */
-  router.get('/:id', controller.getById);
+  router.get('/:id', authorize('attendance:read'), controller.getById);
 
   /**
    * @swagger
@@ -79,8 +289,10 @@ function createAttendanceRoutes(controller) {
    *     responses:
    *       201:
    *         description: Created attendance entry
+   *       403:
+   *         description: Requires the `attendance:create` permission
    */
-  router.post('/', controller.create);
+  router.post('/', authorize('attendance:create'), controller.create);
 
   /**
    * @swagger
@@ -110,9 +322,11 @@ function createAttendanceRoutes(controller) {
    *     responses:
    *       200:
    *         description: Updated attendance entry
+   *       403:
+   *         description: Requires the `attendance:update` permission
    */
-  router.put('/:id', controller.update);
-  router.patch('/:id', controller.patch);
+  router.put('/:id', authorize('attendance:update'), controller.update);
+  router.patch('/:id', authorize('attendance:update'), controller.patch);
 
   /**
    * @swagger
@@ -129,8 +343,10 @@ function createAttendanceRoutes(controller) {
    *     responses:
    *       200:
    *         description: Deletion result
+   *       403:
+   *         description: Requires the `attendance:delete` permission
    */
-  router.delete('/:id', controller.delete);
+  router.delete('/:id', authorize('attendance:delete'), controller.delete);
 
   return router;
 }
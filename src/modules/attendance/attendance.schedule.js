@@ -0,0 +1,113 @@
+const {
+  addDays,
+  isValidTimeZone,
+  odooWeekday,
+  odooWeekType,
+  parseOdooDatetime,
+  toZonedParts
+} = require('../../utils/datetime');
+
+/**
+ * Working Schedules
+ * Turns resource.calendar records and their attendance lines into the shift an employee
+ * is expected to work on a given local date
+ */
+
+/**
+ * Build the schedule of each employee
+ * Employees without a working schedule are left out
+ * @param {Object} records - Raw records from AttendanceRepository.findWorkSchedules
+ * @param {string} defaultTimeZone - Zone used when a calendar has no valid tz
+ * @returns {Map<number, Object>} Employee ID to schedule ({ id, name, tz, twoWeeks, lines })
+ */
+const buildSchedules = ({ employees, calendars, lines }, defaultTimeZone = 'UTC') => {
+  const schedules = new Map(
+    calendars.map((calendar) => [
+      calendar.id,
+      {
+        id: calendar.id,
+        name: calendar.name,
+        tz: isValidTimeZone(calendar.tz) ? calendar.tz : defaultTimeZone,
+        twoWeeks: Boolean(calendar.two_weeks_calendar),
+        lines: []
+      }
+    ])
+  );
+
+  lines
+    // Two-week calendars carry section rows without hours; lunch breaks are not worked
+    .filter((line) => line.hour_to > line.hour_from && line.day_period !== 'lunch')
+    .forEach((line) => {
+      const schedule = schedules.get(line.calendar_id[0]);
+      if (!schedule) return;
+
+      schedule.lines.push({
+        weekday: Number(line.dayofweek),
+        weekType: line.week_type || false,
+        hourFrom: line.hour_from,
+        hourTo: line.hour_to
+      });
+    });
+
+  return employees.reduce((result, employee) => {
+    const calendar = employee.resource_calendar_id;
+    if (Array.isArray(calendar) && schedules.has(calendar[0])) {
+      result.set(employee.id, schedules.get(calendar[0]));
+    }
+    return result;
+  }, new Map());
+};
+
+/**
+ * Expected shift on a local date
+ * @param {Object} schedule - Schedule from buildSchedules
+ * @param {string} date - Local date ('YYYY-MM-DD')
+ * @returns {Object|null} { start, end, hours } in decimal local hours, or null on days off
+ */
+const shiftFor = (schedule, date) => {
+  const weekday = odooWeekday(date);
+  const weekType = odooWeekType(date);
+
+  const lines = schedule.lines.filter(
+    (line) =>
+      line.weekday === weekday &&
+      (!schedule.twoWeeks || !line.weekType || line.weekType === weekType)
+  );
+
+  if (lines.length === 0) return null;
+
+  return {
+    start: Math.min(...lines.map((line) => line.hourFrom)),
+    end: Math.max(...lines.map((line) => line.hourTo)),
+    hours: lines.reduce((total, line) => total + line.hourTo - line.hourFrom, 0)
+  };
+};
+
+/**
+ * Local dates covered by public holidays
+ * Company-wide leaves (no calendar) apply to every calendar
+ * @param {Array} leaves - Raw records from AttendanceRepository.findPublicHolidays
+ * @param {number|null} calendarId - Calendar ID (null for employees without a schedule)
+ * @param {string} timeZone - Zone the dates are cut in
+ * @returns {Set<string>} Dates ('YYYY-MM-DD')
+ */
+const holidayDates = (leaves, calendarId, timeZone) =>
+  leaves
+    .filter((leave) => !leave.calendar_id || leave.calendar_id[0] === calendarId)
+    .reduce((dates, leave) => {
+      const first = toZonedParts(parseOdooDatetime(leave.date_from), timeZone).date;
+      // date_to is the end instant; step back a second so a leave ending at midnight stops there
+      const end = new Date(parseOdooDatetime(leave.date_to).getTime() - 1000);
+      const last = toZonedParts(end, timeZone).date;
+
+      for (let date = first; date <= last; date = addDays(date, 1)) {
+        dates.add(date);
+      }
+      return dates;
+    }, new Set());
+
+module.exports = {
+  buildSchedules,
+  shiftFor,
+  holidayDates
+};
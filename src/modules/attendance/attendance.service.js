@@ -1,5 +1,680 @@
 const OdooModelService = require('../common/odooModel.service');
+const {
+  ConflictError,
+  NotFoundError,
+  ServiceError,
+  ValidationError
+} = require('../../core/errors');
+const { formatOdooDatetime, unique } = require('../../utils/helpers');
+const {
+  addDays,
+  isDateString,
+  isValidTimeZone,
+  isoWeek,
+  parseOdooDatetime,
+  startOfZonedDay,
+  toZonedParts
+} = require('../../utils/datetime');
+const { unpackRelational } = require('../common/relational.helper');
+const { buildSchedules, holidayDates, shiftFor } = require('./attendance.schedule');
+const { computeOvertime, resolvePolicy } = require('./attendance.overtime');
 
-class AttendanceService extends OdooModelService {}
+const SUMMARY_PERIODS = ['day', 'week', 'month'];
+const MAX_SUMMARY_DAYS = 366;
+const MISSING_CHECKOUT_ACTIONS = ['close', 'flag'];
+
+class AttendanceService extends OdooModelService {
+  constructor(repository, options = {}) {
+    super(repository, options);
+    // Zone used to cut days in summaries, and for calendars without a valid tz
+    this.timezone = options.timezone || 'UTC';
+    this.graceMinutes = options.graceMinutes || 0;
+    // Overtime policies ({ default, companies }), see config/overtime.json
+    this.overtimeRules = options.overtimeRules || { default: {}, companies: {} };
+    // Attendances open longer than maxOpenHours are closed at the shift end or flagged
+    this.missingCheckOut = {
+      maxOpenHours: 16,
+      action: 'flag',
+      historySize: 500,
+      ...options.missingCheckOut
+    };
+    // Findings of the detector: the attendances flagged by the last run, recent closures
+    this.anomalies = { flagged: [], closed: [], lastRunAt: null };
+
+    if (!isValidTimeZone(this.timezone)) {
+      throw new Error(`Unknown attendance time zone '${this.timezone}'`);
+    }
+    if (!MISSING_CHECKOUT_ACTIONS.includes(this.missingCheckOut.action)) {
+      throw new Error(`Unknown missing check-out action '${this.missingCheckOut.action}'`);
+    }
+  }
+
+  /**
+   * Check an employee in at the current server time
+   * Refused while the employee has an open attendance
+   * @param {number} employeeId - Employee ID
+   * @param {Object} options - Write options
+   * @param {Object} options.scope - Caller's row scope ({ employeeId }), null for every employee
+   * @returns {Promise<Object>} Created attendance
+   */
+  async checkIn(employeeId, options = {}) {
+    try {
+      await this._assertEmployee(employeeId, options.scope);
+
+      const [open] = await this.repository.findOpen([['employee_id', '=', employeeId]], ['id'], 1);
+      if (open) {
+        throw new ConflictError(
+          `Employee ${employeeId} is already checked in`,
+          this.repository.modelName,
+          open.id
+        );
+      }
+
+      this.logger.info(`Checking in employee ${employeeId}`);
+
+      const id = await this.repository.create({
+        employee_id: employeeId,
+        check_in: formatOdooDatetime(new Date())
+      });
+      await this._invalidateCache();
+
+      return await this.getById(id);
+    } catch (error) {
+      this.logger.error('Failed to check in employee', error);
+      if (error.isOperational) throw error;
+      throw new ServiceError('Failed to check in employee', error);
+    }
+  }
+
+  /**
+   * Check an employee out at the current server time, closing their open attendance
+   * @param {number} employeeId - Employee ID
+   * @param {Object} options - Write options
+   * @param {Object} options.scope - Caller's row scope ({ employeeId }), null for every employee
+   * @returns {Promise<Object>} Closed attendance
+   */
+  async checkOut(employeeId, options = {}) {
+    try {
+      await this._assertEmployee(employeeId, options.scope);
+
+      const [open] = await this.repository.findOpen([['employee_id', '=', employeeId]], ['id'], 1);
+      if (!open) {
+        throw new ConflictError(
+          `Employee ${employeeId} is not checked in`,
+          this.repository.modelName
+        );
+      }
+
+      this.logger.info(`Checking out employee ${employeeId}`, { attendanceId: open.id });
+
+      await this.repository.update(open.id, { check_out: formatOdooDatetime(new Date()) });
+      await this._invalidateCache();
+
+      return await this.getById(open.id);
+    } catch (error) {
+      this.logger.error('Failed to check out employee', error);
+      if (error.isOperational) throw error;
+      throw new ServiceError('Failed to check out employee', error);
+    }
+  }
+
+  /**
+   * List the open attendances, i.e. the employees currently clocked in
+   * @param {Object} options - Query options
+   * @param {string} options.fields - Sparse fieldset (e.g., 'employee_id,check_in')
+   * @param {Object} options.scope - Caller's row scope ({ employeeId }), null for every record
+   * @returns {Promise<Object>} Open attendances
+   */
+  async getOpen(options = {}) {
+    try {
+      const fields = this._resolveFields(options.fields);
+      const records = await this.repository.findOpen(
+        this._scopeDomain(options.scope),
+        fields || this.defaultFields
+      );
+
+      return {
+        success: true,
+        data: this._toDTOArray(records, fields),
+        count: records.length
+      };
+    } catch (error) {
+      this.logger.error('Failed to fetch open attendances', error);
+      if (error.isOperational) throw error;
+      throw new ServiceError('Failed to fetch open attendances', error);
+    }
+  }
+
+  /**
+   * Summarise attendance per employee and period
+   * Aggregation happens in Odoo with read_group: one call groups by check-in day for worked
+   * hours and last check-out, a second groups by check-out day for each day's first check-in
+   * (Odoo will not aggregate a field the rows are grouped on). Late arrivals and early
+   * departures compare those against the employee's resource.calendar shift.
+   * @param {Object} query - Summary query
+   * @param {string} query.from - First day ('YYYY-MM-DD')
+   * @param {string} query.to - Last day, inclusive ('YYYY-MM-DD')
+   * @param {string} query.groupBy - day, week (ISO) or month
+   * @param {number} query.employeeId - Restrict to one employee
+   * @param {Object} options - Query options
+   * @param {Object} options.scope - Caller's row scope ({ employeeId }), null for every record
+   * @returns {Promise<Object>} Rows per employee and period, plus totals
+   */
+  async getSummary(query = {}, options = {}) {
+    try {
+      const { from, to, groupBy, employeeId } = this._validatePeriodQuery(
+        query,
+        'attendance summary',
+        SUMMARY_PERIODS
+      );
+
+      this.logger.info('Summarising attendance', { from, to, groupBy, employeeId });
+
+      const domain = this._periodDomain({ from, to, employeeId }, options.scope);
+      const groupOptions = { context: { tz: this.timezone } };
+
+      const [dayGroups, checkInGroups] = await Promise.all([
+        this.repository.readGroup(
+          domain,
+          ['worked_hours:sum', 'check_out:max'],
+          ['employee_id', 'check_in:day'],
+          groupOptions
+        ),
+        this.repository.readGroup(
+          domain,
+          ['check_in:min'],
+          ['employee_id', 'check_out:day'],
+          groupOptions
+        )
+      ]);
+
+      const firstCheckIns = this._firstCheckIns(checkInGroups);
+      const employeeIds = unique(
+        dayGroups.map((group) => unpackRelational(group.employee_id).id).filter(Boolean)
+      );
+      const schedules = buildSchedules(
+        await this.repository.findWorkSchedules(employeeIds),
+        this.timezone
+      );
+
+      const rows = new Map();
+      dayGroups.forEach((group) => {
+        const employee = unpackRelational(group.employee_id);
+        const day = this._groupDay(group, 'check_in');
+        if (!day) return;
+
+        const period = this._periodOf(day, groupBy);
+        const key = `${employee.id}:${period}`;
+        if (!rows.has(key)) {
+          rows.set(key, {
+            employeeId: employee.id,
+            employeeName: employee.name,
+            period,
+            workedHours: 0,
+            daysPresent: 0,
+            lateArrivals: 0,
+            earlyDepartures: 0
+          });
+        }
+
+        const row = rows.get(key);
+        row.workedHours += group.worked_hours || 0;
+        row.daysPresent += 1;
+
+        const schedule = schedules.get(employee.id);
+        const firstCheckIn = firstCheckIns.get(`${employee.id}:${day}`);
+        if (schedule && firstCheckIn) {
+          const { late, early } = this._compareToShift(
+            schedule,
+            firstCheckIn,
+            parseOdooDatetime(group.check_out)
+          );
+          row.lateArrivals += late ? 1 : 0;
+          row.earlyDepartures += early ? 1 : 0;
+        }
+      });
+
+      const data = Array.from(rows.values())
+        .map((row) => ({ ...row, workedHours: Math.round(row.workedHours * 100) / 100 }))
+        .sort((a, b) => a.employeeId - b.employeeId || a.period.localeCompare(b.period));
+
+      const totals = data.reduce(
+        (result, row) => ({
+          workedHours: Math.round((result.workedHours + row.workedHours) * 100) / 100,
+          daysPresent: result.daysPresent + row.daysPresent,
+          lateArrivals: result.lateArrivals + row.lateArrivals,
+          earlyDepartures: result.earlyDepartures + row.earlyDepartures
+        }),
+        { workedHours: 0, daysPresent: 0, lateArrivals: 0, earlyDepartures: 0 }
+      );
+
+      return {
+        success: true,
+        data,
+        summary: { from, to, groupBy, timezone: this.timezone, ...totals }
+      };
+    } catch (error) {
+      this.logger.error('Failed to summarise attendance', error);
+      if (error.isOperational) throw error;
+      throw new ServiceError('Failed to summarise attendance', error);
+    }
+  }
+
+  /**
+   * Compute daily and weekly overtime per employee
+   * Worked hours per local day come from a read_group on hr.attendance; each employee's
+   * resource.calendar shifts and public holidays set the expected hours, and the overtime
+   * policy of their company (config/overtime.json) sets thresholds, caps and multipliers.
+   * @param {Object} query - Overtime query
+   * @param {string} query.from - First day ('YYYY-MM-DD')
+   * @param {string} query.to - Last day, inclusive ('YYYY-MM-DD')
+   * @param {number} query.employeeId - Restrict to one employee
+   * @param {Object} options - Query options
+   * @param {Object} options.scope - Caller's row scope ({ employeeId }), null for every record
+   * @returns {Promise<Object>} Days, weeks and totals per employee, plus overall totals
+   */
+  async getOvertime(query = {}, options = {}) {
+    try {
+      const { from, to, employeeId } = this._validatePeriodQuery(query, 'overtime');
+
+      this.logger.info('Computing overtime', { from, to, employeeId });
+
+      const groups = await this.repository.readGroup(
+        this._periodDomain({ from, to, employeeId }, options.scope),
+        ['worked_hours:sum'],
+        ['employee_id', 'check_in:day'],
+        { context: { tz: this.timezone } }
+      );
+
+      const employees = new Map();
+      groups.forEach((group) => {
+        const employee = unpackRelational(group.employee_id);
+        const day = this._groupDay(group, 'check_in');
+        if (!employee.id || !day) return;
+
+        if (!employees.has(employee.id)) {
+          employees.set(employee.id, { ...employee, worked: new Map() });
+        }
+        employees.get(employee.id).worked.set(day, group.worked_hours || 0);
+      });
+
+      const records = await this.repository.findWorkSchedules(Array.from(employees.keys()));
+      const schedules = buildSchedules(records, this.timezone);
+      const companies = new Map(
+        records.employees.map((employee) => [employee.id, unpackRelational(employee.company_id).id])
+      );
+      const { start, end } = this._periodBounds(from, to);
+      const leaves =
+        employees.size > 0
+          ? await this.repository.findPublicHolidays(
+              records.calendars.map((calendar) => calendar.id),
+              start,
+              end
+            )
+          : [];
+
+      const dates = [];
+      for (let date = from; date <= to; date = addDays(date, 1)) {
+        dates.push(date);
+      }
+
+      const data = Array.from(employees.values())
+        .sort((a, b) => a.id - b.id)
+        .map((employee) => {
+          const schedule = schedules.get(employee.id) || null;
+          const companyId = companies.get(employee.id) || null;
+          const { days, weeks, totals } = computeOvertime({
+            dates,
+            worked: employee.worked,
+            scheduledHours: (date) =>
+              schedule ? (shiftFor(schedule, date) || { hours: 0 }).hours : null,
+            holidays: holidayDates(leaves, schedule ? schedule.id : null, this.timezone),
+            policy: resolvePolicy(this.overtimeRules, companyId)
+          });
+
+          return {
+            employeeId: employee.id,
+            employeeName: employee.name,
+            companyId,
+            ...totals,
+            days,
+            weeks
+          };
+        });
+
+      const totals = data.reduce(
+        (result, row) => ({
+          workedHours: Math.round((result.workedHours + row.workedHours) * 100) / 100,
+          overtimeHours: Math.round((result.overtimeHours + row.overtimeHours) * 100) / 100,
+          cappedHours: Math.round((result.cappedHours + row.cappedHours) * 100) / 100,
+          weightedHours: Math.round((result.weightedHours + row.weightedHours) * 100) / 100
+        }),
+        { workedHours: 0, overtimeHours: 0, cappedHours: 0, weightedHours: 0 }
+      );
+
+      return {
+        success: true,
+        data,
+        summary: { from, to, timezone: this.timezone, employees: data.length, ...totals }
+      };
+    } catch (error) {
+      this.logger.error('Failed to compute overtime', error);
+      if (error.isOperational) throw error;
+      throw new ServiceError('Failed to compute overtime', error);
+    }
+  }
+
+  /**
+   * Find attendances left open longer than maxOpenHours and apply the missing check-out policy
+   * With the 'close' action each one is checked out at the scheduled end of its shift; those
+   * without a shift to close at, or that Odoo refuses to close, are flagged instead.
+   * Runs from the scheduler; the findings are kept in memory for getAnomalies.
+   * @returns {Promise<Object>} { found, closed, flagged }
+   */
+  async detectMissingCheckOuts() {
+    try {
+      const now = new Date();
+      const { maxOpenHours, action, historySize } = this.missingCheckOut;
+      const cutoff = formatOdooDatetime(new Date(now.getTime() - maxOpenHours * 3600000));
+
+      const records = await this.repository.findOpen(
+        [['check_in', '<', cutoff]],
+        ['employee_id', 'check_in']
+      );
+
+      const schedules =
+        action === 'close' && records.length > 0
+          ? buildSchedules(
+              await this.repository.findWorkSchedules(
+                unique(records.map((record) => unpackRelational(record.employee_id).id))
+              ),
+              this.timezone
+            )
+          : new Map();
+
+      const flagged = [];
+      const closed = [];
+
+      for (const record of records) {
+        const employee = unpackRelational(record.employee_id);
+        const checkIn = parseOdooDatetime(record.check_in);
+        const anomaly = {
+          attendanceId: record.id,
+          employeeId: employee.id,
+          employeeName: employee.name,
+          checkIn: record.check_in,
+          openHours: Math.round(((now - checkIn) / 3600000) * 100) / 100,
+          action: 'flagged',
+          checkOut: null,
+          reason: null,
+          detectedAt: formatOdooDatetime(now)
+        };
+
+        if (action === 'close') {
+          const schedule = schedules.get(employee.id);
+          const shiftEnd = schedule ? this._shiftEnd(schedule, checkIn) : null;
+
+          if (!shiftEnd) {
+            anomaly.reason = 'No scheduled shift end after the check-in';
+          } else {
+            try {
+              await this.repository.update(record.id, { check_out: formatOdooDatetime(shiftEnd) });
+              anomaly.action = 'closed';
+              anomaly.checkOut = formatOdooDatetime(shiftEnd);
+            } catch (error) {
+              anomaly.reason = error.originalError ? error.originalError.message : error.message;
+            }
+          }
+        }
+
+        (anomaly.action === 'closed' ? closed : flagged).push(anomaly);
+      }
+
+      if (closed.length > 0) {
+        await this._invalidateCache();
+      }
+
+      this.anomalies = {
+        flagged,
+        closed: [...closed, ...this.anomalies.closed].slice(0, historySize),
+        lastRunAt: formatOdooDatetime(now)
+      };
+
+      const result = { found: records.length, closed: closed.length, flagged: flagged.length };
+      this.logger.info('Missing check-out detection finished', result);
+
+      return result;
+    } catch (error) {
+      this.logger.error('Failed to detect missing check-outs', error);
+      if (error.isOperational) throw error;
+      throw new ServiceError('Failed to detect missing check-outs', error);
+    }
+  }
+
+  /**
+   * List the anomalies found by the missing check-out detector
+   * Flagged attendances come from the last run; closed ones from the recent history
+   * @param {Object} query - Anomaly query
+   * @param {string} query.action - Only 'closed' or 'flagged' anomalies
+   * @returns {Promise<Object>} Anomalies, with the detector policy and last run time
+   */
+  async getAnomalies(query = {}) {
+    const { action } = query;
+
+    if (action !== undefined && !['closed', 'flagged'].includes(action)) {
+      throw new ValidationError('Invalid anomaly query', {
+        action: 'Expected one of: closed, flagged'
+      });
+    }
+
+    const data = [
+      ...(action === 'closed' ? [] : this.anomalies.flagged),
+      ...(action === 'flagged' ? [] : this.anomalies.closed)
+    ];
+
+    return {
+      success: true,
+      data,
+      count: data.length,
+      lastRunAt: this.anomalies.lastRunAt,
+      policy: {
+        maxOpenHours: this.missingCheckOut.maxOpenHours,
+        action: this.missingCheckOut.action
+      }
+    };
+  }
+
+  /**
+   * Ensure an employee exists and is within the caller's scope
+   * @private
+   * @param {number} employeeId - Employee ID
+   * @param {Object|null} scope - Caller's row scope ({ employeeId })
+   * @returns {Promise<void>}
+   */
+  async _assertEmployee(employeeId, scope) {
+    if (!Number.isInteger(employeeId) || employeeId <= 0) {
+      throw new ValidationError('employeeId must be a positive integer', {
+        employeeId: 'Expected a positive integer'
+      });
+    }
+
+    // Same subtree rule as _scopeDomain, applied to the employee being clocked
+    const domain = [['id', '=', employeeId]];
+    if (scope) {
+      domain.push(scope.employeeId ? ['id', 'child_of', scope.employeeId] : ['id', 'in', []]);
+    }
+
+    if ((await this.repository.countEmployees(domain)) === 0) {
+      throw new NotFoundError(
+        `Employee with ID ${employeeId} not found`,
+        this.repository.models.employee,
+        employeeId
+      );
+    }
+  }
+
+  /**
+   * Validate and normalise a period query (summary, overtime)
+   * @private
+   * @param {Object} query - Raw query ({ from, to, groupBy, employeeId })
+   * @param {string} description - Query name used in the error message
+   * @param {Array<string>|null} periods - Accepted groupBy values, null when not grouped
+   * @returns {Object} Normalised query
+   */
+  _validatePeriodQuery(query, description, periods = null) {
+    const { from, to, groupBy = 'day' } = query;
+    const employeeId =
+      query.employeeId !== undefined && query.employeeId !== '' ? Number(query.employeeId) : null;
+    const errors = {};
+
+    if (!isDateString(from)) errors.from = 'Expected a date (YYYY-MM-DD)';
+    if (!isDateString(to)) errors.to = 'Expected a date (YYYY-MM-DD)';
+    if (periods && !periods.includes(groupBy)) {
+      errors.groupBy = `Expected one of: ${periods.join(', ')}`;
+    }
+    if (employeeId !== null && (!Number.isInteger(employeeId) || employeeId <= 0)) {
+      errors.employee_id = 'Expected a positive integer';
+    }
+
+    if (!errors.from && !errors.to) {
+      const days = (Date.parse(to) - Date.parse(from)) / 86400000 + 1;
+      if (days < 1) errors.to = "Must not be before 'from'";
+      if (days > MAX_SUMMARY_DAYS) errors.to = `Range is limited to ${MAX_SUMMARY_DAYS} days`;
+    }
+
+    if (Object.keys(errors).length > 0) {
+      throw new ValidationError(`Invalid ${description} query`, errors);
+    }
+
+    return periods ? { from, to, groupBy, employeeId } : { from, to, employeeId };
+  }
+
+  /**
+   * UTC bounds of a range of local days, in the service time zone
+   * @private
+   * @param {string} from - First day ('YYYY-MM-DD')
+   * @param {string} to - Last day, inclusive ('YYYY-MM-DD')
+   * @returns {Object} { start, end } Odoo datetimes, end exclusive
+   */
+  _periodBounds(from, to) {
+    return {
+      start: formatOdooDatetime(startOfZonedDay(from, this.timezone)),
+      end: formatOdooDatetime(startOfZonedDay(addDays(to, 1), this.timezone))
+    };
+  }
+
+  /**
+   * Attendance domain of a period query: scope, employee and check-in bounds
+   * @private
+   * @param {Object} query - Normalised query ({ from, to, employeeId })
+   * @param {Object|null} scope - Caller's row scope ({ employeeId })
+   * @returns {Array} Odoo domain
+   */
+  _periodDomain({ from, to, employeeId }, scope) {
+    const { start, end } = this._periodBounds(from, to);
+
+    return [
+      ...this._scopeDomain(scope),
+      ...(employeeId ? [['employee_id', '=', employeeId]] : []),
+      ['check_in', '>=', start],
+      ['check_in', '<', end]
+    ];
+  }
+
+  /**
+   * Local day a date read_group group covers, in the summary time zone
+   * Uses __range when Odoo returns it and falls back to the group's __domain bounds
+   * @private
+   * @param {Object} group - read_group result
+   * @param {string} field - Grouped datetime field
+   * @returns {string|null} Day ('YYYY-MM-DD')
+   */
+  _groupDay(group, field) {
+    const range = group.__range && group.__range[`${field}:day`];
+    const bound = range
+      ? range.from
+      : ((group.__domain || []).find(
+          (term) => Array.isArray(term) && term[0] === field && term[1] === '>='
+        ) || [])[2];
+
+    return bound ? toZonedParts(parseOdooDatetime(bound), this.timezone).date : null;
+  }
+
+  /**
+   * Earliest check-in per employee and check-in day
+   * @private
+   * @param {Array} groups - read_group results carrying check_in:min
+   * @returns {Map<string, Date>} `${employeeId}:${day}` to first check-in
+   */
+  _firstCheckIns(groups) {
+    return groups.reduce((result, group) => {
+      const checkIn = parseOdooDatetime(group.check_in);
+      if (!checkIn) return result;
+
+      const employee = unpackRelational(group.employee_id);
+      const key = `${employee.id}:${toZonedParts(checkIn, this.timezone).date}`;
+      if (!result.has(key) || checkIn < result.get(key)) {
+        result.set(key, checkIn);
+      }
+      return result;
+    }, new Map());
+  }
+
+  /**
+   * Compare a day's first check-in and last check-out with the scheduled shift
+   * @private
+   * @param {Object} schedule - Employee schedule (see attendance.schedule)
+   * @param {Date} firstCheckIn - First check-in of the day
+   * @param {Date|null} lastCheckOut - Last check-out of the day (null while still open)
+   * @returns {Object} { late, early }
+   */
+  _compareToShift(schedule, firstCheckIn, lastCheckOut) {
+    const grace = this.graceMinutes / 60;
+    const arrival = toZonedParts(firstCheckIn, schedule.tz);
+    const shift = shiftFor(schedule, arrival.date);
+
+    if (!shift) return { late: false, early: false };
+
+    const departure = lastCheckOut ? toZonedParts(lastCheckOut, schedule.tz) : null;
+
+    return {
+      late: arrival.hours > shift.start + grace,
+      // Shifts ending after midnight are not early departures
+      early: Boolean(
+        departure && departure.date === arrival.date && departure.hours < shift.end - grace
+      )
+    };
+  }
+
+  /**
+   * Scheduled end of the shift an attendance started in
+   * @private
+   * @param {Object} schedule - Employee schedule (see attendance.schedule)
+   * @param {Date} checkIn - Check-in
+   * @returns {Date|null} Shift end, or null without a shift ending after the check-in
+   */
+  _shiftEnd(schedule, checkIn) {
+    const { date } = toZonedParts(checkIn, schedule.tz);
+    const shift = shiftFor(schedule, date);
+    if (!shift) return null;
+
+    const end = new Date(startOfZonedDay(date, schedule.tz).getTime() + shift.end * 3600000);
+
+    return end > checkIn ? end : null;
+  }
+
+  /**
+   * Period a day falls in
+   * @private
+   * @param {string} day - 'YYYY-MM-DD'
+   * @param {string} groupBy - day, week or month
+   * @returns {string} Period key ('2026-03-02', '2026-W10' or '2026-03')
+   */
+  _periodOf(day, groupBy) {
+    if (groupBy === 'week') return isoWeek(day);
+    if (groupBy === 'month') return day.slice(0, 7);
+    return day;
+  }
+}
 
 module.exports = AttendanceService;
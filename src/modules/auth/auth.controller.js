@@ -0,0 +1,105 @@
+const config = require('../../config');
+const { resolvePermissions } = require('../../utils/permissions');
+
+/**
+ * Auth Controller
+ * Handles login, token refresh and current user requests
+ */
+class AuthController {
+  /**
+   * Create an Auth Controller
+   * @param {AuthService} service - Auth service instance
+   * @param {Object} logger - Logger instance
+   */
+  constructor(service, logger = console) {
+    if (!service) {
+      throw new Error('Service is required for AuthController');
+    }
+
+    this.service = service;
+    this.logger = logger;
+
+    this.login = this.login.bind(this);
+    this.refresh = this.refresh.bind(this);
+    this.logout = this.logout.bind(this);
+    this.me = this.me.bind(this);
+  }
+
+  /**
+   * Log in with Odoo credentials (POST /login)
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async login(req, res, next) {
+    try {
+      const result = await this.service.login(req.body);
+
+      res.status(200).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      this.logger.error('Login failed', { error: error.message });
+      next(error);
+    }
+  }
+
+  /**
+   * Exchange a refresh token (POST /refresh)
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async refresh(req, res, next) {
+    try {
+      const result = await this.service.refresh(req.body);
+
+      res.status(200).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      this.logger.error('Token refresh failed', { error: error.message });
+      next(error);
+    }
+  }
+
+  /**
+   * Log out and close the user's Odoo session (POST /logout)
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async logout(req, res, next) {
+    try {
+      const result = await this.service.logout(req.user);
+
+      res.status(200).json({
+        success: true,
+        data: result,
+        message: 'Logged out successfully'
+      });
+    } catch (error) {
+      this.logger.error('Logout failed', { error: error.message });
+      next(error);
+    }
+  }
+
+  /**
+   * Return the authenticated user (GET /me)
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  me(req, res) {
+    const { uid, login, name, employeeId, groups } = req.user;
+    const permissions = resolvePermissions(groups, config.rbac.groups);
+
+    res.status(200).json({
+      success: true,
+      data: { uid, login, name, employeeId, groups, permissions }
+    });
+  }
+}
+
+module.exports = AuthController;
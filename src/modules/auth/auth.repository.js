@@ -0,0 +1,100 @@
+const BaseRepository = require('../../core/base/BaseRepository');
+const { RepositoryError } = require('../../core/errors');
+
+/**
+ * Auth Repository
+ * Verifies credentials and loads Odoo users (res.users) with their security groups
+ */
+class AuthRepository extends BaseRepository {
+  /**
+   * Create an Auth Repository
+   * @param {IOdooClient} odooClient - Odoo client instance
+   * @param {string} modelName - Odoo user model name (e.g., 'res.users')
+   * @param {Object} logger - Logger instance
+   * @param {Object} models - Related model names ({ employee })
+   */
+  constructor(odooClient, modelName, logger, models = {}) {
+    super(odooClient, modelName, logger);
+    this.models = {
+      employee: 'hr.employee',
+      ...models
+    };
+  }
+
+  /**
+   * Check a login/password pair with Odoo's common.authenticate
+   * @param {string} login - User login
+   * @param {string} password - User password or API key
+   * @returns {Promise<number|false>} User ID, or false when the credentials are rejected
+   */
+  async authenticate(login, password) {
+    try {
+      this.logger.info(`[${this.modelName}] Authenticating user`, { login });
+
+      await this.odooClient.connect();
+
+      return await this.odooClient.authenticate(login, password);
+    } catch (error) {
+      this.logger.error(`[${this.modelName}] Failed to authenticate user`, error);
+      throw new RepositoryError('Failed to authenticate user against Odoo', error, 'authenticate');
+    }
+  }
+
+  /**
+   * Resolve res.groups IDs to their XML IDs (e.g., 'hr.group_hr_user')
+   * XML IDs are stable across databases, unlike group IDs or translated names
+   * @param {Array<number>} groupIds - Group IDs
+   * @returns {Promise<Array<string>>} Group XML IDs
+   */
+  async findGroupXmlIds(groupIds = []) {
+    if (groupIds.length === 0) {
+      return [];
+    }
+
+    try {
+      await this.odooClient.connect();
+
+      const records = await this.odooClient.execute_kw(
+        'ir.model.data',
+        'search_read',
+        [
+          [
+            ['model', '=', 'res.groups'],
+            ['res_id', 'in', groupIds]
+          ]
+        ],
+        { fields: ['module', 'name'] }
+      );
+
+      return records.map((record) => `${record.module}.${record.name}`).sort();
+    } catch (error) {
+      this.logger.error(`[${this.modelName}] Failed to resolve group XML IDs`, error);
+      throw new RepositoryError('Failed to resolve user groups', error, 'findGroupXmlIds');
+    }
+  }
+
+  /**
+   * Find the employee linked to a user (hr.employee.user_id)
+   * @param {number} uid - Odoo user ID
+   * @returns {Promise<number|null>} Employee ID, or null when the user has no employee
+   */
+  async findEmployeeId(uid) {
+    try {
+      await this.odooClient.connect();
+
+      const ids = await this.odooClient.execute_kw(
+        this.models.employee,
+        'search',
+        [[['user_id', '=', uid]]],
+        { limit: 1 }
+      );
+
+      return ids.length > 0 ? ids[0] : null;
+    } catch (error) {
+      this.logger.error(`[${this.modelName}] Failed to find linked employee`, error);
+      throw new RepositoryError('Failed to find linked employee', error, 'findEmployeeId');
+    }
+  }
+}
+
+module.exports = AuthRepository;
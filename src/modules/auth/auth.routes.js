@@ -0,0 +1,103 @@
+const express = require('express');
+const { authenticate } = require('../../middleware/auth.middleware');
+const { authLimiter } = require('../../middleware/rateLimit.middleware');
+
+function createAuthRoutes(controller) {
+  const router = express.Router();
+
+  /**
+   * @swagger
+   * tags:
+   *   - name: Auth
+   *     description: Log in with Odoo credentials and manage API tokens
+   */
+
+  /**
+   * @swagger
+   * /auth/login:
+   *   post:
+   *     summary: Log in with Odoo credentials
+   *     description: Checks the credentials with Odoo's common.authenticate on the configured database and returns an access and a refresh token carrying the Odoo uid and group XML IDs.
+   *     tags: [Auth]
+   *     security: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [login, password]
+   *             properties:
+   *               login:
+   *                 type: string
+   *               password:
+   *                 type: string
+   *                 description: Odoo password or API key
+   *     responses:
+   *       200:
+   *         description: Access and refresh tokens
+   *       401:
+   *         description: Invalid login or password
+   *       429:
+   *         description: Too many authentication attempts
+   */
+  router.post('/login', authLimiter, controller.login);
+
+  /**
+   * @swagger
+   * /auth/refresh:
+   *   post:
+   *     summary: Exchange a refresh token for a new token pair
+   *     tags: [Auth]
+   *     security: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [refreshToken]
+   *             properties:
+   *               refreshToken:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: New access and refresh tokens
+   *       401:
+   *         description: Invalid or expired refresh token
+   */
+  router.post('/refresh', authLimiter, controller.refresh);
+
+  /**
+   * @swagger
+   * /auth/logout:
+   *   post:
+   *     summary: Log out
+   *     description: Closes the user's Odoo session when impersonation is enabled. Tokens stay valid until they expire, but can no longer reach Odoo as the user.
+   *     tags: [Auth]
+   *     responses:
+   *       200:
+   *         description: Logged out
+   *       401:
+   *         description: Missing or invalid token
+   */
+  router.post('/logout', authenticate, controller.logout);
+
+  /**
+   * @swagger
+   * /auth/me:
+   *   get:
+   *     summary: Get the authenticated user
+   *     tags: [Auth]
+   *     responses:
+   *       200:
+   *         description: Odoo uid, login, name, linked employee and groups from the access token, plus the permissions they grant
+   *       401:
+   *         description: Missing or invalid token
+   */
+  router.get('/me', authenticate, controller.me);
+
+  return router;
+}
+
+module.exports = createAuthRoutes;
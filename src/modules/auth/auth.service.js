@@ -0,0 +1,180 @@
+const { AuthenticationError, ValidationError } = require('../../core/errors');
+const { generateToken, verifyToken } = require('../../middleware/auth.middleware');
+
+/**
+ * Auth Service
+ * Authenticates users against Odoo and issues access/refresh JWTs
+ * carrying the Odoo uid and security groups
+ */
+class AuthService {
+  /**
+   * Create an Auth Service
+   * @param {AuthRepository} repository - Auth repository instance
+   * @param {Object} options - Additional options
+   * @param {AuthValidator} options.validator - Payload validator
+   * @param {Object} options.logger - Logger instance
+   * @param {string} options.accessExpiresIn - Access token lifetime (e.g., '24h')
+   * @param {string} options.refreshExpiresIn - Refresh token lifetime (e.g., '7d')
+   * @param {OdooConnectionPool} options.sessions - Keeps per-user Odoo sessions (impersonation), or null
+   */
+  constructor(repository, options = {}) {
+    if (!repository) {
+      throw new Error('Repository is required for AuthService');
+    }
+
+    this.repository = repository;
+    this.validator = options.validator || null;
+    this.logger = options.logger || console;
+    this.accessExpiresIn = options.accessExpiresIn || '24h';
+    this.refreshExpiresIn = options.refreshExpiresIn || '7d';
+    this.sessions = options.sessions || null;
+  }
+
+  /**
+   * Log a user in with their Odoo credentials
+   * @param {Object} credentials - { login, password }
+   * @returns {Promise<Object>} Tokens and user profile
+   */
+  async login(credentials) {
+    const { login, password } = this._validate('validateLogin', credentials);
+
+    this.logger.info('Login attempt', { login });
+
+    const uid = await this.repository.authenticate(login, password);
+
+    if (!uid) {
+      this.logger.warn('Login rejected by Odoo', { login });
+      throw new AuthenticationError('Invalid login or password');
+    }
+
+    const profile = await this._loadProfile(uid);
+
+    // Later RPCs for this user run in their own Odoo session
+    if (this.sessions) {
+      await this.sessions.openUserSession(String(uid), login, password);
+    }
+
+    this.logger.info('User logged in', { uid, login });
+
+    return this._issueTokens(profile);
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair
+   * Groups are re-read from Odoo so membership changes apply on refresh
+   * @param {Object} payload - { refreshToken }
+   * @returns {Promise<Object>} Tokens and user profile
+   */
+  async refresh(payload) {
+    const { refreshToken } = this._validate('validateRefresh', payload);
+
+    let decoded;
+    try {
+      decoded = verifyToken(refreshToken);
+    } catch (error) {
+      throw new AuthenticationError(
+        error.name === 'TokenExpiredError' ? 'Refresh token expired' : 'Invalid refresh token'
+      );
+    }
+
+    if (decoded.type !== 'refresh') {
+      throw new AuthenticationError('Invalid refresh token');
+    }
+
+    // Sessions live in memory; after a restart or idle timeout the user must log in again
+    if (this.sessions && !this.sessions.hasUserSession(decoded.sub)) {
+      throw new AuthenticationError('Odoo session expired, please log in again');
+    }
+
+    const profile = await this._loadProfile(decoded.uid);
+
+    return this._issueTokens(profile);
+  }
+
+  /**
+   * Log a user out, closing their Odoo session
+   * Tokens stay valid until they expire but can no longer reach Odoo as the user
+   * @param {Object} user - Decoded access token
+   * @returns {Promise<Object>} Logout result
+   */
+  async logout(user) {
+    const closed = this.sessions ? await this.sessions.closeUserSession(user.sub) : false;
+
+    this.logger.info('User logged out', { uid: user.uid, sessionClosed: closed });
+
+    return { sessionClosed: closed };
+  }
+
+  /**
+   * Load the user's profile, linked employee and group XML IDs from Odoo
+   * @private
+   * @param {number} uid - Odoo user ID
+   * @returns {Promise<Object>} Profile
+   */
+  async _loadProfile(uid) {
+    const user = await this.repository.findById(uid, ['name', 'login', 'active', 'groups_id']);
+
+    if (!user || user.active === false) {
+      throw new AuthenticationError('User is inactive or no longer exists');
+    }
+
+    const [groups, employeeId] = await Promise.all([
+      this.repository.findGroupXmlIds(user.groups_id || []),
+      this.repository.findEmployeeId(uid)
+    ]);
+
+    return {
+      uid,
+      login: user.login,
+      name: user.name,
+      employeeId,
+      groups
+    };
+  }
+
+  /**
+   * Sign an access/refresh token pair
+   * @private
+   * @param {Object} profile - User profile
+   * @returns {Object} Tokens and user profile
+   */
+  _issueTokens(profile) {
+    const subject = String(profile.uid);
+
+    return {
+      accessToken: generateToken(
+        { sub: subject, ...profile, type: 'access' },
+        this.accessExpiresIn
+      ),
+      refreshToken: generateToken(
+        { sub: subject, uid: profile.uid, type: 'refresh' },
+        this.refreshExpiresIn
+      ),
+      tokenType: 'Bearer',
+      expiresIn: this.accessExpiresIn,
+      user: profile
+    };
+  }
+
+  /**
+   * Validate a payload with the configured validator
+   * @private
+   * @param {string} method - Validator method name
+   * @param {Object} data - Payload
+   * @returns {Object} Validated payload
+   */
+  _validate(method, data) {
+    if (!this.validator) {
+      return data || {};
+    }
+
+    const result = this.validator[method](data);
+    if (!result.isValid) {
+      throw new ValidationError(result.errors, result.fields);
+    }
+
+    return result.value;
+  }
+}
+
+module.exports = AuthService;
@@ -0,0 +1,78 @@
+const Joi = require('joi');
+
+/**
+ * Auth Validator
+ * Validates login and token refresh payloads
+ */
+class AuthValidator {
+  constructor() {
+    this.loginSchema = Joi.object({
+      login: Joi.string().trim().max(200).required().messages({
+        'string.empty': 'Login is required',
+        'any.required': 'Login is required'
+      }),
+
+      password: Joi.string().max(200).required().messages({
+        'string.empty': 'Password is required',
+        'any.required': 'Password is required'
+      })
+    });
+
+    this.refreshSchema = Joi.object({
+      refreshToken: Joi.string().required().messages({
+        'string.empty': 'Refresh token is required',
+        'any.required': 'Refresh token is required'
+      })
+    });
+  }
+
+  /**
+   * Validate login credentials
+   * @param {Object} data - Login payload
+   * @returns {Object} Validation result
+   */
+  validateLogin(data) {
+    return this._validate(this.loginSchema, data);
+  }
+
+  /**
+   * Validate a token refresh request
+   * @param {Object} data - Refresh payload
+   * @returns {Object} Validation result
+   */
+  validateRefresh(data) {
+    return this._validate(this.refreshSchema, data);
+  }
+
+  /**
+   * Run a schema and shape the result like the other validators
+   * @private
+   * @param {Joi.ObjectSchema} schema - Joi schema
+   * @param {Object} data - Payload
+   * @returns {Object} Validation result
+   */
+  _validate(schema, data) {
+    const { error, value } = schema.validate(data || {}, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      return {
+        isValid: false,
+        errors: error.details.map((detail) => detail.message),
+        fields: error.details.reduce((acc, detail) => {
+          acc[detail.path[0]] = detail.message;
+          return acc;
+        }, {})
+      };
+    }
+
+    return {
+      isValid: true,
+      value
+    };
+  }
+}
+
+module.exports = AuthValidator;
@@ -0,0 +1,62 @@
+const BaseController = require('../../core/base/BaseController');
+const { ValidationError } = require('../../core/errors');
+const { omit } = require('../../utils/helpers');
+const { EXPORT_FORMATS, createExportWriter } = require('../../utils/exportWriter');
+
+/**
+ * Generic Odoo Model Controller
+ * Adds collection exports on top of the BaseController CRUD handlers
+ */
+class OdooModelController extends BaseController {
+  constructor(service, logger) {
+    super(service, logger);
+
+    this.exportAll = this.exportAll.bind(this);
+  }
+
+  /**
+   * Export every matching record (GET /export?format=csv|xlsx|ndjson)
+   * Accepts the same filters, sort and fields as GET /
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async exportAll(req, res, next) {
+    try {
+      const format = String(req.query.format || 'csv').toLowerCase();
+
+      if (!Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format)) {
+        throw new ValidationError(`Unsupported export format '${format}'`, {
+          format: `Supported formats: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+        });
+      }
+
+      const filters = omit(req.query, ['page', 'limit', 'sort', 'fields', 'format']);
+      const { sort, fields, scope } = this._getQueryOptions(req);
+      const resource = req.baseUrl.split('/').pop() || 'export';
+      const name = `${resource}-${new Date().toISOString().slice(0, 10)}`;
+
+      this.logger.info('GET export records', { format, filters });
+
+      const total = await this.service.exportAll(
+        filters,
+        { sort, fields, scope },
+        createExportWriter(format, res, name)
+      );
+
+      this.logger.info('Export streamed', { format, total });
+    } catch (error) {
+      this.logger.error('Failed to export records', error);
+
+      // Once rows are streaming the status is sent; abort so the client sees a truncated download
+      if (res.headersSent) {
+        res.destroy(error);
+        return;
+      }
+
+      next(error);
+    }
+  }
+}
+
+module.exports = OdooModelController;
@@ -1,70 +1,116 @@
 const BaseService = require('../../core/base/BaseService');
-const { NotFoundError } = require('../../core/errors');
+const { ServiceError } = require('../../core/errors');
+
+// Records read per Odoo round-trip while streaming an export
+const DEFAULT_EXPORT_PAGE_SIZE = 500;
 
 /**
  * Generic Odoo Model Service
- * Adds support for default field selection while reusing BaseService flows
+ * Adds support for default field selection and employee row scoping while reusing BaseService flows
  */
 class OdooModelService extends BaseService {
   constructor(repository, options = {}) {
     super(repository, options.validator || null, options.adapter || null, options.logger);
     this.defaultFields = options.defaultFields || [];
+    this.filterableFields = options.filterableFields || null;
+    this.textFilterFields = options.textFilterFields || [];
+    this.cache = options.cache || null;
+    this.cacheTtl = options.cacheTtl || this.cacheTtl;
+    this.scopeField = options.scopeField || null;
+    this.scopeModel = options.scopeModel || this.scopeModel;
+    this.exportPageSize = options.exportPageSize || DEFAULT_EXPORT_PAGE_SIZE;
   }
 
-  async getAll(page = 1, limit = 50, filters = {}) {
+  /**
+   * Stream every record matching the getAll filters, one page at a time
+   * Reads bypass the cache. Pages are ordered with an id tie-breaker so offsets stay stable.
+   * @param {Object} filters - Filters, as accepted by getAll
+   * @param {Object} options - Query options (sort, fields, scope), as accepted by getAll
+   * @param {Object} writer - Receives the export
+   * @param {Function} writer.begin - Called once with the DTO column names before any rows
+   * @param {Function} writer.write - Called with each page of DTOs, may return a promise
+   * @param {Function} writer.end - Called once after the last page
+   * @returns {Promise<number>} Number of records exported
+   */
+  async exportAll(filters, options, writer) {
     try {
-      this._validatePagination(page, limit);
-
-      const offset = (page - 1) * limit;
-      const odooFilters = this._buildOdooFilters(filters);
-
-      const [records, total] = await Promise.all([
-        this.repository.findAll(odooFilters, this.defaultFields, limit, offset),
-        this.repository.count(odooFilters)
-      ]);
-
-      const transformedRecords = this.adapter
-        ? records.map((record) => this.adapter.toDTO(record))
-        : records;
-
-      return {
-        success: true,
-        data: transformedRecords,
-        pagination: {
-          page,
-          limit,
-          total,
-          totalPages: Math.ceil(total / limit),
-          hasNext: page * limit < total,
-          hasPrev: page > 1
-        }
-      };
-    } catch (error) {
-      this.logger.error('Failed to get all records', error);
-      if (error.isOperational) throw error;
-      throw error;
-    }
-  }
+      const { scope, fields, sort } = options || {};
+      const domain = [...this._scopeDomain(scope), ...this._buildOdooFilters(filters)];
+      const selected = this._resolveFields(fields);
+      const order = this._exportOrder(this._resolveOrder(sort));
+      const readFields = selected || this.defaultFields;
 
-  async getById(id) {
-    try {
-      this._validateId(id);
+      this.logger.info('Exporting records', { model: this.repository.modelName, domain, order });
+
+      let offset = 0;
+      let page = await this.repository.findAll(domain, readFields, this.exportPageSize, 0, order);
 
-      this.logger.info(`Getting record by ID: ${id}`);
+      await writer.begin(this._exportColumns(selected));
 
-      const record = await this.repository.findById(id, this.defaultFields);
+      while (page.length > 0) {
+        await writer.write(this._toDTOArray(page, selected));
+        offset += page.length;
 
-      if (!record) {
-        throw new NotFoundError(`${this.repository.modelName} with ID ${id} not found`);
+        if (page.length < this.exportPageSize) break;
+
+        page = await this.repository.findAll(
+          domain,
+          readFields,
+          this.exportPageSize,
+          offset,
+          order
+        );
       }
 
-      return this.adapter ? this.adapter.toDTO(record) : record;
+      await writer.end();
+
+      this.logger.info('Export finished', { model: this.repository.modelName, records: offset });
+
+      return offset;
     } catch (error) {
-      this.logger.error(`Failed to get record by ID: ${id}`, error);
+      this.logger.error('Failed to export records', error);
       if (error.isOperational) throw error;
-      throw error;
+      throw new ServiceError('Failed to export records', error);
     }
   }
+
+  /**
+   * Make an order clause total by appending an id tie-breaker
+   * @private
+   * @param {string|null} order - Requested order clause
+   * @returns {string} Order clause
+   */
+  _exportOrder(order) {
+    if (!order) return 'id asc';
+
+    return order.split(', ').some((clause) => clause.startsWith('id '))
+      ? order
+      : `${order}, id asc`;
+  }
+
+  /**
+   * DTO keys exported for a fieldset, in adapter order
+   * Derived from the adapter's fieldMap so headers are known even when nothing matches
+   * @private
+   * @param {Array|null} fields - Requested fields (null exports the full DTO)
+   * @returns {Array<string>} Column names
+   */
+  _exportColumns(fields) {
+    if (!this.adapter || !this.adapter.fieldMap) {
+      return fields || this.defaultFields;
+    }
+
+    const { fieldMap } = this.adapter;
+
+    return Array.from(
+      new Set(
+        (fields || Object.keys(fieldMap)).reduce(
+          (columns, field) => columns.concat(fieldMap[field] || []),
+          ['id']
+        )
+      )
+    );
+  }
 }
 
 module.exports = OdooModelService;
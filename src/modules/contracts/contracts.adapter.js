@@ -0,0 +1,84 @@
+const { unpackRelational } = require('../common/relational.helper');
+
+// Writable DTO keys and the hr.contract field each one maps to
+const WRITABLE_FIELDS = {
+  name: 'name',
+  employeeId: 'employee_id',
+  departmentId: 'department_id',
+  jobId: 'job_id',
+  wage: 'wage',
+  structureTypeId: 'structure_type_id',
+  dateStart: 'date_start',
+  dateEnd: 'date_end',
+  scheduleId: 'resource_calendar_id',
+  state: 'state'
+};
+
+class ContractsAdapter {
+  constructor() {
+    // DTO keys produced by each Odoo field, used to answer ?fields= requests
+    this.fieldMap = {
+      name: ['name'],
+      employee_id: ['employeeId', 'employeeName'],
+      department_id: ['departmentId', 'departmentName'],
+      job_id: ['jobId', 'jobName'],
+      wage: ['wage'],
+      structure_type_id: ['structureTypeId', 'structureTypeName'],
+      date_start: ['dateStart'],
+      date_end: ['dateEnd'],
+      resource_calendar_id: ['scheduleId', 'scheduleName'],
+      state: ['state'],
+      create_date: ['createdAt']
+    };
+  }
+
+  toDTO(record) {
+    if (!record) return null;
+
+    const employee = unpackRelational(record.employee_id);
+    const department = unpackRelational(record.department_id);
+    const job = unpackRelational(record.job_id);
+    const structureType = unpackRelational(record.structure_type_id);
+    const schedule = unpackRelational(record.resource_calendar_id);
+
+    return {
+      id: record.id,
+      name: record.name,
+      employeeId: employee.id,
+      employeeName: employee.name,
+      departmentId: department.id,
+      departmentName: department.name,
+      jobId: job.id,
+      jobName: job.name,
+      wage: record.wage,
+      structureTypeId: structureType.id,
+      structureTypeName: structureType.name,
+      dateStart: record.date_start,
+      // Open-ended contracts have no end date
+      dateEnd: record.date_end || null,
+      scheduleId: schedule.id,
+      scheduleName: schedule.name,
+      state: record.state,
+      createdAt: record.create_date
+    };
+  }
+
+  toDTOArray(records) {
+    return Array.isArray(records) ? records.map((rec) => this.toDTO(rec)) : [];
+  }
+
+  // Only the provided keys are written, so partial updates leave the other fields alone
+  toOdooFormat(data) {
+    if (!data) return null;
+
+    return Object.entries(WRITABLE_FIELDS).reduce((values, [key, field]) => {
+      if (data[key] !== undefined) {
+        // A null end date makes the contract open-ended
+        values[field] = data[key] === null ? false : data[key];
+      }
+      return values;
+    }, {});
+  }
+}
+
+module.exports = ContractsAdapter;
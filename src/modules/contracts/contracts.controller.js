@@ -0,0 +1,65 @@
+const OdooModelController = require('../common/odooModel.controller');
+const { omit } = require('../../utils/helpers');
+
+class ContractsController extends OdooModelController {
+  constructor(service, logger) {
+    super(service, logger);
+
+    this.getByEmployee = this.getByEmployee.bind(this);
+    this.getExpiring = this.getExpiring.bind(this);
+  }
+
+  /**
+   * Contracts of an employee (GET /employees/:id/contracts)
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getByEmployee(req, res, next) {
+    try {
+      const { id } = req.params;
+      const page = parseInt(req.query.page, 10) || 1;
+      const limit = parseInt(req.query.limit, 10) || 50;
+      const options = this._getQueryOptions(req);
+
+      this.logger.info(`GET contracts of employee: ${id}`);
+
+      const result = await this.service.getByEmployee(parseInt(id, 10), page, limit, options);
+
+      this._setCacheHeader(res, options.meta);
+      res.status(200).json(result);
+    } catch (error) {
+      this.logger.error(`Failed to get contracts of employee: ${req.params.id}`, error);
+      next(error);
+    }
+  }
+
+  /**
+   * Running contracts ending soon (GET /expiring?within=30d)
+   * Accepts the same filters, sort and fields as GET /
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getExpiring(req, res, next) {
+    try {
+      const page = parseInt(req.query.page, 10) || 1;
+      const limit = parseInt(req.query.limit, 10) || 50;
+      const within = req.query.within || '30d';
+      const filters = omit(req.query, ['page', 'limit', 'sort', 'fields', 'within']);
+      const options = this._getQueryOptions(req);
+
+      this.logger.info('GET expiring contracts', { within, filters });
+
+      const result = await this.service.getExpiring(within, page, limit, filters, options);
+
+      this._setCacheHeader(res, options.meta);
+      res.status(200).json(result);
+    } catch (error) {
+      this.logger.error('Failed to get expiring contracts', error);
+      next(error);
+    }
+  }
+}
+
+module.exports = ContractsController;
@@ -0,0 +1,49 @@
+const express = require('express');
+const { authorize, scopeToEmployee } = require('../../middleware/auth.middleware');
+
+// Mounted on /employees ahead of the employee routes
+function createEmployeeContractsRoutes(controller) {
+  const router = express.Router();
+
+  /**
+   * @swagger
+   * /employees/{id}/contracts:
+   *   get:
+   *     summary: Contracts of an employee
+   *     description: Newest first unless `sort` says otherwise
+   *     tags: [Contracts]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *       - $ref: '#/components/parameters/Sort'
+   *       - $ref: '#/components/parameters/Fields'
+   *     responses:
+   *       200:
+   *         description: Contract list
+   *       400:
+   *         description: Invalid employee ID
+   *       403:
+   *         description: Requires the `contracts:read` permission
+   */
+  router.get(
+    '/:id/contracts',
+    scopeToEmployee('contracts'),
+    authorize('contracts:read'),
+    controller.getByEmployee
+  );
+
+  return router;
+}
+
+module.exports = createEmployeeContractsRoutes;
@@ -0,0 +1,5 @@
+const BaseRepository = require('../../core/base/BaseRepository');
+
+class ContractsRepository extends BaseRepository {}
+
+module.exports = ContractsRepository;
@@ -0,0 +1,251 @@
+const express = require('express');
+const { authorize, scopeToEmployee } = require('../../middleware/auth.middleware');
+
+function createContractsRoutes(controller) {
+  const router = express.Router();
+
+  // Employees only reach their own records and those of their reports
+  router.use(scopeToEmployee('contracts'));
+
+  /**
+   * @swagger
+   * tags:
+   *   - name: Contracts
+   *     description: Employee contracts (wage, structure type, dates, working schedule)
+   */
+
+  /**
+   * @swagger
+   * /contracts:
+   *   get:
+   *     summary: List contracts
+   *     description: Filters support operators, e.g. `state[ne]=cancel` or `date_end[lte]=2026-12-31`
+   *     tags: [Contracts]
+   *     parameters:
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: employee_id
+   *         schema:
+   *           type: integer
+   *         description: Filter by employee
+   *       - in: query
+   *         name: department_id
+   *         schema:
+   *           type: integer
+   *         description: Filter by department
+   *       - in: query
+   *         name: state
+   *         schema:
+   *           type: string
+   *           enum: [draft, open, close, cancel]
+   *         description: Filter by state
+   *       - $ref: '#/components/parameters/Sort'
+   *       - $ref: '#/components/parameters/Fields'
+   *     responses:
+   *       200:
+   *         description: Contract list
+   *       403:
+   *         description: Requires the `contracts:read` permission
+   */
+  router.get('/', authorize('contracts:read'), controller.getAll);
+
+  /**
+   * @swagger
+   * /contracts/export:
+   *   get:
+   *     summary: Export contracts
+   *     description: Streams every matching record; accepts the same filters as the list route
+   *     tags: [Contracts]
+   *     parameters:
+   *       - $ref: '#/components/parameters/ExportFormat'
+   *       - $ref: '#/components/parameters/Sort'
+   *       - $ref: '#/components/parameters/Fields'
+   *     responses:
+   *       200:
+   *         description: Export file
+   *       400:
+   *         description: Unsupported format or invalid filter
+   *       403:
+   *         description: Requires the `contracts:read` permission
+   */
+  router.get('/export', authorize('contracts:read'), controller.exportAll);
+
+  /**
+   * @swagger
+   * /contracts/expiring:
+   *   get:
+   *     summary: Running contracts ending soon
+   *     description: >
+   *       Running contracts whose end date falls between today and the end of the window,
+   *       soonest first. Each contract carries `daysLeft`. Accepts the same filters as the
+   *       list route.
+   *     tags: [Contracts]
+   *     parameters:
+   *       - in: query
+   *         name: within
+   *         schema:
+   *           type: string
+   *           default: 30d
+   *         description: Window in days or weeks, e.g. `30d` or `6w` (up to 366 days)
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: department_id
+   *         schema:
+   *           type: integer
+   *         description: Filter by department
+   *       - $ref: '#/components/parameters/Sort'
+   *       - $ref: '#/components/parameters/Fields'
+   *     responses:
+   *       200:
+   *         description: Expiring contracts, with the window in `summary`
+   *       400:
+   *         description: Invalid window or filter
+   *       403:
+   *         description: Requires the `contracts:read` permission
+   */
+  router.get('/expiring', authorize('contracts:read'), controller.getExpiring);
+
+  /**
+   * @swagger
+   * /contracts/{id}:
+   *   get:
+   *     summary: Get contract by ID
+   *     tags: [Contracts]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - $ref: '#/components/parameters/Fields'
+   *     responses:
+   *       200:
+   *         description: Contract details
+   *       404:
+   *         description: Contract not found
+   *       403:
+   *         description: Requires the `contracts:read` permission
+   */
+  router.get('/:id', authorize('contracts:read'), controller.getById);
+
+  /**
+   * @swagger
+   * /contracts:
+   *   post:
+   *     summary: Create a contract
+   *     tags: [Contracts]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [name, employeeId, wage, dateStart]
+   *             properties:
+   *               name:
+   *                 type: string
+   *               employeeId:
+   *                 type: integer
+   *               departmentId:
+   *                 type: integer
+   *               jobId:
+   *                 type: integer
+   *               wage:
+   *                 type: number
+   *               structureTypeId:
+   *                 type: integer
+   *               dateStart:
+   *                 type: string
+   *                 format: date
+   *               dateEnd:
+   *                 type: string
+   *                 format: date
+   *                 nullable: true
+   *               scheduleId:
+   *                 type: integer
+   *                 description: Working schedule (resource.calendar)
+   *               state:
+   *                 type: string
+   *                 enum: [draft, open, close, cancel]
+   *     responses:
+   *       201:
+   *         description: Created contract
+   *       400:
+   *         description: Invalid payload
+   *       403:
+   *         description: Requires the `contracts:create` permission
+   */
+  router.post('/', authorize('contracts:create'), controller.create);
+
+  /**
+   * @swagger
+   * /contracts/{id}:
+   *   put:
+   *     summary: Update a contract
+   *     description: Accepts any of the create fields; `dateEnd` null makes the contract open-ended
+   *     tags: [Contracts]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *     responses:
+   *       200:
+   *         description: Updated contract
+   *       400:
+   *         description: Invalid payload
+   *       404:
+   *         description: Contract not found
+   *       403:
+   *         description: Requires the `contracts:update` permission
+   */
+  router.put('/:id', authorize('contracts:update'), controller.update);
+  router.patch('/:id', authorize('contracts:update'), controller.patch);
+
+  /**
+   * @swagger
+   * /contracts/{id}:
+   *   delete:
+   *     summary: Delete a contract
+   *     tags: [Contracts]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Contract deleted
+   *       404:
+   *         description: Contract not found
+   *       403:
+   *         description: Requires the `contracts:delete` permission
+   */
+  router.delete('/:id', authorize('contracts:delete'), controller.delete);
+
+  return router;
+}
+
+module.exports = createContractsRoutes;
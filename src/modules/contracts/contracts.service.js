@@ -0,0 +1,92 @@
+const OdooModelService = require('../common/odooModel.service');
+const { ServiceError, ValidationError } = require('../../core/errors');
+const { addDays } = require('../../utils/datetime');
+
+// Longest look-ahead accepted by getExpiring, in days
+const MAX_WITHIN_DAYS = 366;
+const WITHIN_UNITS = { d: 1, w: 7 };
+const MS_PER_DAY = 86400000;
+
+/**
+ * Parse a look-ahead window such as '30d' or '6w'
+ * @param {string} within - Window (a bare number counts days)
+ * @returns {number} Days
+ */
+const parseWithin = (within) => {
+  const match = /^(\d+)([dw]?)$/.exec(String(within).trim().toLowerCase());
+  const days = match ? Number(match[1]) * WITHIN_UNITS[match[2] || 'd'] : NaN;
+
+  if (!(days >= 1 && days <= MAX_WITHIN_DAYS)) {
+    throw new ValidationError(`Invalid window '${within}'`, {
+      within: `Expected days or weeks such as 30d or 6w, up to ${MAX_WITHIN_DAYS} days`
+    });
+  }
+
+  return days;
+};
+
+class ContractsService extends OdooModelService {
+  /**
+   * Contracts of an employee, newest first unless another sort is requested
+   * @param {number} employeeId - Employee ID
+   * @param {number} page - Page number
+   * @param {number} limit - Records per page
+   * @param {Object} options - Query options (sort, fields, scope, meta), as accepted by getAll
+   * @returns {Promise<Object>} Paginated contracts
+   */
+  async getByEmployee(employeeId, page = 1, limit = 50, options = {}) {
+    this._validateId(employeeId);
+
+    this.logger.info(`Getting contracts of employee ${employeeId}`);
+
+    return this.getAll(
+      page,
+      limit,
+      { employee_id: employeeId },
+      { ...options, sort: options.sort || '-date_start' }
+    );
+  }
+
+  /**
+   * Running contracts ending within a window, soonest first
+   * Each contract carries daysLeft, counted from today (UTC) to its end date
+   * @param {string} within - Window such as '30d' or '6w'
+   * @param {number} page - Page number
+   * @param {number} limit - Records per page
+   * @param {Object} filters - Extra filters, as accepted by getAll
+   * @param {Object} options - Query options (sort, fields, scope, meta), as accepted by getAll
+   * @returns {Promise<Object>} Paginated contracts with a summary ({ within, from, to })
+   */
+  async getExpiring(within = '30d', page = 1, limit = 50, filters = {}, options = {}) {
+    try {
+      const days = parseWithin(within);
+      const from = new Date().toISOString().slice(0, 10);
+      const to = addDays(from, days);
+
+      this.logger.info('Getting expiring contracts', { from, to });
+
+      const result = await this.getAll(
+        page,
+        limit,
+        { ...filters, state: 'open', date_end: { gte: from, lte: to } },
+        { ...options, sort: options.sort || 'date_end,id' }
+      );
+
+      const daysLeft = (date) => Math.round((Date.parse(date) - Date.parse(from)) / MS_PER_DAY);
+
+      return {
+        ...result,
+        data: result.data.map((contract) =>
+          contract.dateEnd ? { ...contract, daysLeft: daysLeft(contract.dateEnd) } : contract
+        ),
+        summary: { within: days, from, to }
+      };
+    } catch (error) {
+      this.logger.error('Failed to get expiring contracts', error);
+      if (error.isOperational) throw error;
+      throw new ServiceError('Failed to fetch expiring contracts', error);
+    }
+  }
+}
+
+module.exports = ContractsService;
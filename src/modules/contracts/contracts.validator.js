@@ -0,0 +1,130 @@
+const Joi = require('joi');
+
+// hr.contract states: new, running, expired and cancelled
+const STATES = ['draft', 'open', 'close', 'cancel'];
+
+/**
+ * Contracts Validator
+ * Validates contract payloads before they reach Odoo
+ */
+class ContractsValidator {
+  constructor() {
+    const fields = {
+      name: Joi.string().trim().max(255).messages({
+        'string.empty': 'Contract reference cannot be empty'
+      }),
+
+      employeeId: Joi.number().integer().positive().messages({
+        'number.base': 'Employee ID must be a number'
+      }),
+
+      departmentId: Joi.number().integer().positive().allow(null).messages({
+        'number.base': 'Department ID must be a number'
+      }),
+
+      jobId: Joi.number().integer().positive().allow(null).messages({
+        'number.base': 'Job ID must be a number'
+      }),
+
+      wage: Joi.number().min(0).messages({
+        'number.base': 'Wage must be a number',
+        'number.min': 'Wage cannot be negative'
+      }),
+
+      structureTypeId: Joi.number().integer().positive().allow(null).messages({
+        'number.base': 'Structure type ID must be a number'
+      }),
+
+      dateStart: Joi.string().isoDate().messages({
+        'string.isoDate': 'Start date must be a date (YYYY-MM-DD)'
+      }),
+
+      dateEnd: Joi.string().isoDate().allow(null).messages({
+        'string.isoDate': 'End date must be a date (YYYY-MM-DD)'
+      }),
+
+      scheduleId: Joi.number().integer().positive().allow(null).messages({
+        'number.base': 'Working schedule ID must be a number'
+      }),
+
+      state: Joi.string()
+        .valid(...STATES)
+        .messages({
+          'any.only': `State must be one of: ${STATES.join(', ')}`
+        })
+    };
+
+    // Schema for creating a contract
+    this.createSchema = Joi.object({
+      ...fields,
+      name: fields.name.required().messages({ 'any.required': 'Contract reference is required' }),
+      employeeId: fields.employeeId
+        .required()
+        .messages({ 'any.required': 'Employee ID is required' }),
+      wage: fields.wage.required().messages({ 'any.required': 'Wage is required' }),
+      dateStart: fields.dateStart.required().messages({ 'any.required': 'Start date is required' })
+    });
+
+    // Schema for updating a contract
+    this.updateSchema = Joi.object(fields).min(1).messages({
+      'object.min': 'At least one field must be provided for update'
+    });
+  }
+
+  /**
+   * Validate contract data for creation
+   * @param {Object} data - Contract data
+   * @returns {Object} Validation result
+   */
+  validate(data) {
+    return this._validate(this.createSchema, data);
+  }
+
+  /**
+   * Validate contract data for update
+   * @param {Object} data - Contract data
+   * @returns {Object} Validation result
+   */
+  validateUpdate(data) {
+    return this._validate(this.updateSchema, data);
+  }
+
+  /**
+   * Validate data against a schema
+   * An end date before the start date is refused when both are given
+   * @private
+   * @param {Joi.Schema} schema - Joi schema
+   * @param {Object} data - Data to validate
+   * @returns {Object} Validation result ({ isValid, errors, fields } or { isValid, value })
+   */
+  _validate(schema, data) {
+    const { error, value } = schema.validate(data, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    const details = error ? error.details.map(({ message, path }) => ({ message, path })) : [];
+
+    if (value && value.dateStart && value.dateEnd && value.dateEnd < value.dateStart) {
+      details.push({ message: 'End date cannot be before the start date', path: ['dateEnd'] });
+    }
+
+    if (details.length > 0) {
+      return {
+        isValid: false,
+        errors: details.map((detail) => detail.message),
+        fields: details.reduce((acc, detail) => {
+          acc[detail.path[0]] = detail.message;
+          return acc;
+        }, {})
+      };
+    }
+
+    return {
+      isValid: true,
+      value
+    };
+  }
+}
+
+module.exports = ContractsValidator;
@@ -6,6 +6,26 @@ const Employee = require('./employee.model');
  * Handles the impedance mismatch between Odoo's data structure and our DTOs
  */
 class EmployeeAdapter {
+  /**
+   * Create an Employee Adapter
+   */
+  constructor() {
+    // DTO keys produced by each Odoo field, used to answer ?fields= requests
+    this.fieldMap = {
+      name: ['name'],
+      work_email: ['email'],
+      work_phone: ['phone'],
+      mobile_phone: ['mobile'],
+      job_id: ['jobId', 'jobTitle'],
+      department_id: ['departmentId', 'department'],
+      parent_id: ['managerId', 'manager'],
+      work_location: ['workLocation'],
+      active: ['active'],
+      create_date: ['createdAt'],
+      write_date: ['updatedAt']
+    };
+  }
+
   /**
    * Convert Odoo employee format to our DTO format
    * @param {Object} odooEmployee - Employee data from Odoo
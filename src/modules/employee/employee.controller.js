@@ -1,4 +1,6 @@
 const BaseController = require('../../core/base/BaseController');
+const { parseBoolean } = require('../../utils/helpers');
+const { parseCsv } = require('../../utils/csv');
 
 /**
  * Employee Controller
@@ -21,6 +23,10 @@ class EmployeeController extends BaseController {
     this.searchByName = this.searchByName.bind(this);
     this.getActive = this.getActive.bind(this);
     this.getByEmail = this.getByEmail.bind(this);
+    this.getOrgChart = this.getOrgChart.bind(this);
+    this.getCompanyOrgChart = this.getCompanyOrgChart.bind(this);
+    this.getManagementChain = this.getManagementChain.bind(this);
+    this.importEmployees = this.importEmployees.bind(this);
     this.deactivate = this.deactivate.bind(this);
     this.reactivate = this.reactivate.bind(this);
   }
@@ -42,7 +48,8 @@ class EmployeeController extends BaseController {
       const result = await this.service.getByDepartment(
         parseInt(departmentId, 10),
         page,
-        limit
+        limit,
+        this._getQueryOptions(req)
       );
 
       res.status(200).json(result);
@@ -69,7 +76,8 @@ class EmployeeController extends BaseController {
       const result = await this.service.getByManager(
         parseInt(managerId, 10),
         page,
-        limit
+        limit,
+        this._getQueryOptions(req)
       );
 
       res.status(200).json(result);
@@ -96,7 +104,8 @@ class EmployeeController extends BaseController {
       const result = await this.service.getByJob(
         parseInt(jobId, 10),
         page,
-        limit
+        limit,
+        this._getQueryOptions(req)
       );
 
       res.status(200).json(result);
@@ -119,7 +128,7 @@ class EmployeeController extends BaseController {
 
       this.logger.info(`SEARCH employees by name: ${name}`);
 
-      const result = await this.service.searchByName(name, limit);
+      const result = await this.service.searchByName(name, limit, this._getQueryOptions(req));
 
       res.status(200).json(result);
     } catch (error) {
@@ -141,7 +150,7 @@ class EmployeeController extends BaseController {
 
       this.logger.info('GET active employees');
 
-      const result = await this.service.getActive(page, limit);
+      const result = await this.service.getActive(page, limit, this._getQueryOptions(req));
 
       res.status(200).json(result);
     } catch (error) {
@@ -162,7 +171,7 @@ class EmployeeController extends BaseController {
 
       this.logger.info(`GET employee by email: ${email}`);
 
-      const employee = await this.service.getByEmail(email);
+      const employee = await this.service.getByEmail(email, this._getQueryOptions(req));
 
       res.status(200).json({
         success: true,
@@ -174,6 +183,90 @@ class EmployeeController extends BaseController {
     }
   }
 
+  /**
+   * Get the reporting tree below an employee (GET /:id/org-chart)
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getOrgChart(req, res, next) {
+    try {
+      const { id } = req.params;
+      const depth = req.query.depth !== undefined ? Number(req.query.depth) : null;
+
+      this.logger.info(`GET org chart for employee: ${id}`, { depth });
+
+      const result = await this.service.getOrgChart(parseInt(id, 10), depth);
+
+      res.status(200).json(result);
+    } catch (error) {
+      this.logger.error('Failed to get org chart', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Get the company-wide reporting tree (GET /org-chart)
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getCompanyOrgChart(req, res, next) {
+    try {
+      this.logger.info('GET company org chart');
+
+      const result = await this.service.getCompanyOrgChart();
+
+      res.status(200).json(result);
+    } catch (error) {
+      this.logger.error('Failed to get company org chart', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Get an employee's management chain (GET /:id/managers)
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getManagementChain(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      this.logger.info(`GET management chain for employee: ${id}`);
+
+      const result = await this.service.getManagementChain(parseInt(id, 10));
+
+      res.status(200).json(result);
+    } catch (error) {
+      this.logger.error('Failed to get management chain', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Import employees from a JSON array or CSV body (POST /import)
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async importEmployees(req, res, next) {
+    try {
+      const dryRun = parseBoolean(req.query.dryRun);
+      const rows = req.is('text/csv') ? parseCsv(req.body) : req.body;
+
+      this.logger.info('POST import employees', { dryRun });
+
+      const result = await this.service.importEmployees(rows, { dryRun });
+
+      res.status(result.summary.created > 0 ? 201 : 200).json(result);
+    } catch (error) {
+      this.logger.error('Failed to import employees', error);
+      next(error);
+    }
+  }
+
   /**
    * Deactivate an employee (POST /:id/deactivate)
    * @param {Request} req - Express request object
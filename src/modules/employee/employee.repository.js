@@ -1,4 +1,5 @@
 const BaseRepository = require('../../core/base/BaseRepository');
+const { RepositoryError } = require('../../core/errors');
 
 /**
  * Employee Repository
@@ -21,11 +22,13 @@ class EmployeeRepository extends BaseRepository {
    * @param {number} departmentId - Department ID
    * @param {Array} fields - Fields to retrieve
    * @param {number} limit - Maximum number of records
+   * @param {number} offset - Number of records to skip
+   * @param {string|null} order - Odoo order clause
    * @returns {Promise<Array>} Array of employees
    */
-  async findByDepartment(departmentId, fields = [], limit = 100) {
+  async findByDepartment(departmentId, fields = [], limit = 100, offset = 0, order = null) {
     const filters = [['department_id', '=', departmentId]];
-    return await this.findBy(filters, fields, limit);
+    return await this.findAll(filters, fields, limit, offset, order);
   }
 
   /**
@@ -33,11 +36,47 @@ class EmployeeRepository extends BaseRepository {
    * @param {number} managerId - Manager ID
    * @param {Array} fields - Fields to retrieve
    * @param {number} limit - Maximum number of records
+   * @param {number} offset - Number of records to skip
+   * @param {string|null} order - Odoo order clause
    * @returns {Promise<Array>} Array of employees
    */
-  async findByManager(managerId, fields = [], limit = 100) {
+  async findByManager(managerId, fields = [], limit = 100, offset = 0, order = null) {
     const filters = [['parent_id', '=', managerId]];
-    return await this.findBy(filters, fields, limit);
+    return await this.findAll(filters, fields, limit, offset, order);
+  }
+
+  /**
+   * Find the direct reports of several managers in one call
+   * @param {Array<number>} managerIds - Manager IDs
+   * @param {Array} fields - Fields to retrieve
+   * @returns {Promise<Array>} Array of employees
+   */
+  async findByManagers(managerIds, fields = []) {
+    const filters = [['parent_id', 'in', managerIds]];
+    // A limit of 0 reads every match
+    return await this.findAll(filters, fields, 0);
+  }
+
+  /**
+   * Find an employee and everyone below them (child_of follows parent_id)
+   * @param {number} employeeId - Employee ID
+   * @param {Array} fields - Fields to retrieve
+   * @returns {Promise<Array>} Array of employees, including the employee
+   */
+  async findSubordinates(employeeId, fields = []) {
+    const filters = [['id', 'child_of', employeeId]];
+    return await this.findAll(filters, fields, 0);
+  }
+
+  /**
+   * Find an employee and every manager above them (parent_of follows parent_id)
+   * @param {number} employeeId - Employee ID
+   * @param {Array} fields - Fields to retrieve
+   * @returns {Promise<Array>} Array of employees, including the employee
+   */
+  async findManagementChain(employeeId, fields = []) {
+    const filters = [['id', 'parent_of', employeeId]];
+    return await this.findAll(filters, fields, 0);
   }
 
   /**
@@ -45,11 +84,13 @@ class EmployeeRepository extends BaseRepository {
    * @param {number} jobId - Job ID
    * @param {Array} fields - Fields to retrieve
    * @param {number} limit - Maximum number of records
+   * @param {number} offset - Number of records to skip
+   * @param {string|null} order - Odoo order clause
    * @returns {Promise<Array>} Array of employees
    */
-  async findByJob(jobId, fields = [], limit = 100) {
+  async findByJob(jobId, fields = [], limit = 100, offset = 0, order = null) {
     const filters = [['job_id', '=', jobId]];
-    return await this.findBy(filters, fields, limit);
+    return await this.findAll(filters, fields, limit, offset, order);
   }
 
   /**
@@ -57,11 +98,12 @@ class EmployeeRepository extends BaseRepository {
    * @param {Array} fields - Fields to retrieve
    * @param {number} limit - Maximum number of records
    * @param {number} offset - Number of records to skip
+   * @param {string|null} order - Odoo order clause
    * @returns {Promise<Array>} Array of active employees
    */
-  async findActive(fields = [], limit = 100, offset = 0) {
+  async findActive(fields = [], limit = 100, offset = 0, order = null) {
     const filters = [['active', '=', true]];
-    return await this.findAll(filters, fields, limit, offset);
+    return await this.findAll(filters, fields, limit, offset, order);
   }
 
   /**
@@ -69,11 +111,12 @@ class EmployeeRepository extends BaseRepository {
    * @param {string} name - Name to search for
    * @param {Array} fields - Fields to retrieve
    * @param {number} limit - Maximum number of records
+   * @param {string|null} order - Odoo order clause
    * @returns {Promise<Array>} Array of matching employees
    */
-  async searchByName(name, fields = [], limit = 100) {
+  async searchByName(name, fields = [], limit = 100, order = null) {
     const filters = [['name', 'ilike', name]];
-    return await this.findBy(filters, fields, limit);
+    return await this.findBy(filters, fields, limit, order);
   }
 
   /**
@@ -88,6 +131,29 @@ class EmployeeRepository extends BaseRepository {
     return results.length > 0 ? results[0] : null;
   }
 
+  /**
+   * Look up records of a related model (e.g., hr.department, hr.job) by exact name
+   * @param {string} model - Odoo model name
+   * @param {Array<string>} names - Names to resolve
+   * @returns {Promise<Array>} Matching records ({ id, name })
+   */
+  async findRelatedByName(model, names) {
+    if (names.length === 0) {
+      return [];
+    }
+
+    try {
+      await this.odooClient.connect();
+
+      return await this.odooClient.execute_kw(model, 'search_read', [[['name', 'in', names]]], {
+        fields: ['id', 'name']
+      });
+    } catch (error) {
+      this.logger.error(`[${this.modelName}] Failed to resolve ${model} names`, error);
+      throw new RepositoryError(`Failed to resolve ${model} names`, error, 'findRelatedByName');
+    }
+  }
+
   /**
    * Get employee count by department
    * @param {number} departmentId - Department ID
@@ -98,6 +164,16 @@ class EmployeeRepository extends BaseRepository {
     return await this.count(filters);
   }
 
+  /**
+   * Get employee count by manager
+   * @param {number} managerId - Manager ID
+   * @returns {Promise<number>} Count of direct reports
+   */
+  async countByManager(managerId) {
+    const filters = [['parent_id', '=', managerId]];
+    return await this.count(filters);
+  }
+
   /**
    * Get employee count by job
    * @param {number} jobId - Job ID
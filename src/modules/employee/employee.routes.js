@@ -1,4 +1,5 @@
 const express = require('express');
+const { authorize } = require('../../middleware/auth.middleware');
 
 /**
  * Employee Routes
@@ -14,6 +15,7 @@ function createEmployeeRoutes(controller) {
    * /employees:
    *   get:
    *     summary: Get all employees
+   *     description: Filters support operators, e.g. `department_id[in]=1,2` or `name[ilike]=john`
    *     tags: [Employees]
    *     parameters:
    *       - in: query
@@ -26,13 +28,17 @@ function createEmployeeRoutes(controller) {
    *         schema:
    *           type: integer
    *         description: Number of items per page
+   *       - $ref: '#/components/parameters/Sort'
+   *       - $ref: '#/components/parameters/Fields'
    *     responses:
    *       200:
    *         description: List of employees
+   *       403:
+   *         description: Requires the `employees:read` permission
    *       500:
    *         description: Server error
    */
-  router.get('/', controller.getAll);
+  router.get('/', authorize('employees:read'), controller.getAll);
 
   /**
    * @swagger
@@ -49,11 +55,15 @@ function createEmployeeRoutes(controller) {
    *         name: limit
    *         schema:
    *           type: integer
+   *       - $ref: '#/components/parameters/Sort'
+   *       - $ref: '#/components/parameters/Fields'
    *     responses:
    *       200:
    *         description: List of active employees
+   *       403:
+   *         description: Requires the `employees:read` permission
    */
-  router.get('/active', controller.getActive);
+  router.get('/active', authorize('employees:read'), controller.getActive);
 
   /**
    * @swagger
@@ -71,11 +81,15 @@ function createEmployeeRoutes(controller) {
    *         name: limit
    *         schema:
    *           type: integer
+   *       - $ref: '#/components/parameters/Sort'
+   *       - $ref: '#/components/parameters/Fields'
    *     responses:
    *       200:
    *         description: Search results
+   *       403:
+   *         description: Requires the `employees:read` permission
    */
-  router.get('/search', controller.searchByName);
+  router.get('/search', authorize('employees:read'), controller.searchByName);
 
   /**
    * @swagger
@@ -89,17 +103,21 @@ function createEmployeeRoutes(controller) {
    *         required: true
    *         schema:
    *           type: integer
+   *       - $ref: '#/components/parameters/Sort'
+   *       - $ref: '#/components/parameters/Fields'
    *     responses:
    *       200:
    *         description: List of employees in department
+   *       403:
+   *         description: Requires the `employees:read` permission
    */
-  router.get('/department/:departmentId', controller.getByDepartment);
+  router.get('/department/:departmentId', authorize('employees:read'), controller.getByDepartment);
 
   /**
    * @swagger
    * /employees/manager/{managerId}:
    *   get:
-   *     summary: Get employees by manager
+   *     summary: Get the direct reports of a manager
    *     tags: [Employees]
    *     parameters:
    *       - in: path
@@ -107,11 +125,23 @@ function createEmployeeRoutes(controller) {
    *         required: true
    *         schema:
    *           type: integer
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *       - $ref: '#/components/parameters/Sort'
+   *       - $ref: '#/components/parameters/Fields'
    *     responses:
    *       200:
    *         description: List of employees under manager
+   *       403:
+   *         description: Requires the `employees:read` permission
    */
-  router.get('/manager/:managerId', controller.getByManager);
+  router.get('/manager/:managerId', authorize('employees:read'), controller.getByManager);
 
   /**
    * @swagger
@@ -125,11 +155,15 @@ function createEmployeeRoutes(controller) {
    *         required: true
    *         schema:
    *           type: integer
+   *       - $ref: '#/components/parameters/Sort'
+   *       - $ref: '#/components/parameters/Fields'
    *     responses:
    *       200:
    *         description: List of employees with job
+   *       403:
+   *         description: Requires the `employees:read` permission
    */
-  router.get('/job/:jobId', controller.getByJob);
+  router.get('/job/:jobId', authorize('employees:read'), controller.getByJob);
 
   /**
    * @swagger
@@ -143,13 +177,82 @@ function createEmployeeRoutes(controller) {
    *         required: true
    *         schema:
    *           type: string
+   *       - $ref: '#/components/parameters/Fields'
    *     responses:
    *       200:
    *         description: Employee details
    *       404:
    *         description: Employee not found
+   *       403:
+   *         description: Requires the `employees:read` permission
+   */
+  router.get('/email/:email', authorize('employees:read'), controller.getByEmail);
+
+  /**
+   * @swagger
+   * /employees/org-chart:
+   *   get:
+   *     summary: Get the company org chart
+   *     description: Every active employee nested under their manager. Employees without a manager are roots.
+   *     tags: [Employees]
+   *     responses:
+   *       200:
+   *         description: Root nodes, each with nested `reports`
+   *       403:
+   *         description: Requires the `employees:read` permission
+   */
+  router.get('/org-chart', authorize('employees:read'), controller.getCompanyOrgChart);
+
+  /**
+   * @swagger
+   * /employees/{id}/org-chart:
+   *   get:
+   *     summary: Get the reporting tree below an employee
+   *     tags: [Employees]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: depth
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           maximum: 20
+   *         description: Levels of reports to include (all levels when omitted)
+   *     responses:
+   *       200:
+   *         description: The employee with nested `reports`
+   *       404:
+   *         description: Employee not found
+   *       403:
+   *         description: Requires the `employees:read` permission
    */
-  router.get('/email/:email', controller.getByEmail);
+  router.get('/:id/org-chart', authorize('employees:read'), controller.getOrgChart);
+
+  /**
+   * @swagger
+   * /employees/{id}/managers:
+   *   get:
+   *     summary: Get an employee's management chain
+   *     tags: [Employees]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Managers from the direct manager up to the top
+   *       404:
+   *         description: Employee not found
+   *       403:
+   *         description: Requires the `employees:read` permission
+   */
+  router.get('/:id/managers', authorize('employees:read'), controller.getManagementChain);
 
   /**
    * @swagger
@@ -163,13 +266,16 @@ function createEmployeeRoutes(controller) {
    *         required: true
    *         schema:
    *           type: integer
+   *       - $ref: '#/components/parameters/Fields'
    *     responses:
    *       200:
    *         description: Employee details
    *       404:
    *         description: Employee not found
+   *       403:
+   *         description: Requires the `employees:read` permission
    */
-  router.get('/:id', controller.getById);
+  router.get('/:id', authorize('employees:read'), controller.getById);
 
   /**
    * @swagger
@@ -212,8 +318,53 @@ function createEmployeeRoutes(controller) {
    *         description: Employee created successfully
    *       400:
    *         description: Validation error
+   *       403:
+   *         description: Requires the `employees:create` permission
+   */
+  router.post('/', authorize('employees:create'), controller.create);
+
+  /**
+   * @swagger
+   * /employees/import:
+   *   post:
+   *     summary: Import employees in bulk
+   *     description: >
+   *       Accepts a JSON array or a CSV file with a header row. Columns use the create
+   *       payload names; `department` and `job` may be given by name instead of ID.
+   *     tags: [Employees]
+   *     parameters:
+   *       - in: query
+   *         name: dryRun
+   *         schema:
+   *           type: boolean
+   *         description: Validate and report without creating anything
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: array
+   *             items:
+   *               type: object
+   *         text/csv:
+   *           schema:
+   *             type: string
+   *     responses:
+   *       200:
+   *         description: Per-row report (dry run, or nothing was created)
+   *       201:
+   *         description: Per-row report, at least one employee created
+   *       400:
+   *         description: Empty payload, malformed CSV or too many rows
+   *       403:
+   *         description: Requires the `employees:create` permission
    */
-  router.post('/', controller.create);
+  router.post(
+    '/import',
+    authorize('employees:create'),
+    express.text({ type: 'text/csv', limit: '5mb' }),
+    controller.importEmployees
+  );
 
   /**
    * @swagger
@@ -238,8 +389,10 @@ function createEmployeeRoutes(controller) {
    *         description: Employee updated successfully
    *       404:
    *         description: Employee not found
+   *       403:
+   *         description: Requires the `employees:update` permission
    */
-  router.put('/:id', controller.update);
+  router.put('/:id', authorize('employees:update'), controller.update);
 
   /**
    * @swagger
@@ -262,8 +415,10 @@ function createEmployeeRoutes(controller) {
    *     responses:
    *       200:
    *         description: Employee updated successfully
+   *       403:
+   *         description: Requires the `employees:update` permission
    */
-  router.patch('/:id', controller.patch);
+  router.patch('/:id', authorize('employees:update'), controller.patch);
 
   /**
    * @swagger
@@ -280,8 +435,10 @@ function createEmployeeRoutes(controller) {
    *     responses:
    *       200:
    *         description: Employee deactivated successfully
+   *       403:
+   *         description: Requires the `employees:update` permission
    */
-  router.post('/:id/deactivate', controller.deactivate);
+  router.post('/:id/deactivate', authorize('employees:update'), controller.deactivate);
 
   /**
    * @swagger
@@ -298,8 +455,10 @@ function createEmployeeRoutes(controller) {
    *     responses:
    *       200:
    *         description: Employee reactivated successfully
+   *       403:
+   *         description: Requires the `employees:update` permission
    */
-  router.post('/:id/reactivate', controller.reactivate);
+  router.post('/:id/reactivate', authorize('employees:update'), controller.reactivate);
 
   /**
    * @swagger
@@ -318,8 +477,10 @@ function createEmployeeRoutes(controller) {
    *         description: Employee deleted successfully
    *       404:
    *         description: Employee not found
+   *       403:
+   *         description: Requires the `employees:delete` permission
    */
-  router.delete('/:id', controller.delete);
+  router.delete('/:id', authorize('employees:delete'), controller.delete);
 
   return router;
 }
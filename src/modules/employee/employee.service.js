@@ -1,5 +1,12 @@
 const BaseService = require('../../core/base/BaseService');
 const { NotFoundError, ValidationError } = require('../../core/errors');
+const { chunk } = require('../../utils/helpers');
+
+// Fields read for org chart nodes
+const ORG_CHART_FIELDS = ['id', 'name', 'job_id', 'department_id', 'parent_id'];
+
+// Deepest ?depth= accepted by the org chart (one Odoo read per level)
+const MAX_ORG_CHART_DEPTH = 20;
 
 /**
  * Employee Service
@@ -13,9 +20,25 @@ class EmployeeService extends BaseService {
    * @param {EmployeeValidator} validator - Employee validator instance
    * @param {EmployeeAdapter} adapter - Employee adapter instance
    * @param {Object} logger - Logger instance
+   * @param {Object} options - Additional options
+   * @param {Array} options.filterableFields - Fields accepted by list filters
+   * @param {Array} options.textFilterFields - Filterable char fields, never coerced to numbers
+   * @param {Array} options.knownFields - Fields accepted by ?sort= and ?fields=
+   * @param {CacheManager} options.cache - Read-through cache for getAll/getById
+   * @param {number} options.cacheTtl - Cache TTL in seconds
+   * @param {Object} options.models - Related model names ({ department, job }) used by imports
+   * @param {Object} options.bulkImport - Import limits ({ maxRows, chunkSize })
    */
-  constructor(repository, validator, adapter, logger) {
+  constructor(repository, validator, adapter, logger, options = {}) {
     super(repository, validator, adapter, logger);
+
+    this.filterableFields = options.filterableFields || null;
+    this.textFilterFields = options.textFilterFields || [];
+    this.knownFields = options.knownFields || null;
+    this.cache = options.cache || null;
+    this.cacheTtl = options.cacheTtl || this.cacheTtl;
+    this.models = { department: 'hr.department', job: 'hr.job', ...options.models };
+    this.bulkImport = { maxRows: 1000, chunkSize: 50, ...options.bulkImport };
   }
 
   /**
@@ -23,24 +46,31 @@ class EmployeeService extends BaseService {
    * @param {number} departmentId - Department ID
    * @param {number} page - Page number
    * @param {number} limit - Records per page
+   * @param {Object} options - Query options (sort, fields)
    * @returns {Promise<Object>} Paginated employees
    */
-  async getByDepartment(departmentId, page = 1, limit = 50) {
+  async getByDepartment(departmentId, page = 1, limit = 50, options = {}) {
     try {
       this._validateId(departmentId);
       this._validatePagination(page, limit);
 
       this.logger.info(`Getting employees for department ${departmentId}`);
 
+      const fields = this._resolveFields(options.fields);
+      const order = this._resolveOrder(options.sort);
+
       const offset = (page - 1) * limit;
+
       const [employees, total] = await Promise.all([
-        this.repository.findByDepartment(departmentId, [], limit),
+        this.repository.findByDepartment(
+          ...this._withOrder([departmentId, fields || [], limit, offset], order)
+        ),
         this.repository.countByDepartment(departmentId)
       ]);
 
       return {
         success: true,
-        data: this.adapter.toDTOArray(employees),
+        data: this._toDTOArray(employees, fields),
         pagination: {
           page,
           limit,
@@ -61,21 +91,39 @@ class EmployeeService extends BaseService {
    * @param {number} managerId - Manager ID
    * @param {number} page - Page number
    * @param {number} limit - Records per page
+   * @param {Object} options - Query options (sort, fields)
    * @returns {Promise<Object>} Paginated employees
    */
-  async getByManager(managerId, page = 1, limit = 50) {
+  async getByManager(managerId, page = 1, limit = 50, options = {}) {
     try {
       this._validateId(managerId);
       this._validatePagination(page, limit);
 
       this.logger.info(`Getting employees for manager ${managerId}`);
 
-      const employees = await this.repository.findByManager(managerId, [], limit);
+      const fields = this._resolveFields(options.fields);
+      const order = this._resolveOrder(options.sort);
+
+      const offset = (page - 1) * limit;
+
+      const [employees, total] = await Promise.all([
+        this.repository.findByManager(
+          ...this._withOrder([managerId, fields || [], limit, offset], order)
+        ),
+        this.repository.countByManager(managerId)
+      ]);
 
       return {
         success: true,
-        data: this.adapter.toDTOArray(employees),
-        total: employees.length
+        data: this._toDTOArray(employees, fields),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
       };
     } catch (error) {
       this.logger.error(`Failed to get employees by manager ${managerId}`, error);
@@ -83,28 +131,156 @@ class EmployeeService extends BaseService {
     }
   }
 
+  /**
+   * Get the reporting tree below an employee
+   * With a depth, reports are read one level at a time (parent_id in [...]);
+   * without one, the whole subtree is read in a single child_of search
+   * @param {number} id - Employee ID
+   * @param {number|null} depth - Levels of reports to include (null for all)
+   * @returns {Promise<Object>} Nested tree ({ ..., reports: [...] })
+   */
+  async getOrgChart(id, depth = null) {
+    try {
+      this._validateId(id);
+      this._validateDepth(depth);
+
+      this.logger.info(`Getting org chart for employee ${id}`, { depth });
+
+      let records;
+
+      if (depth === null) {
+        records = await this.repository.findSubordinates(id, ORG_CHART_FIELDS);
+      } else {
+        const root = await this.repository.findById(id, ORG_CHART_FIELDS);
+        records = root ? [root] : [];
+
+        const seen = new Set(records.map((record) => record.id));
+        let level = Array.from(seen);
+
+        for (let current = 0; current < depth && level.length > 0; current += 1) {
+          const reports = (await this.repository.findByManagers(level, ORG_CHART_FIELDS)).filter(
+            (record) => !seen.has(record.id)
+          );
+
+          reports.forEach((record) => seen.add(record.id));
+          records.push(...reports);
+          level = reports.map((record) => record.id);
+        }
+      }
+
+      if (!records.some((record) => record.id === id)) {
+        throw new NotFoundError(`Employee with ID ${id} not found`, 'Employee', id);
+      }
+
+      const [tree] = this._buildTree(records, [id]);
+
+      return {
+        success: true,
+        data: tree
+      };
+    } catch (error) {
+      this.logger.error(`Failed to get org chart for employee ${id}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the reporting tree of the whole company in a single read
+   * Employees without a (visible) manager become roots
+   * @returns {Promise<Object>} Root nodes
+   */
+  async getCompanyOrgChart() {
+    try {
+      this.logger.info('Getting company org chart');
+
+      const records = await this.repository.findAll([], ORG_CHART_FIELDS, 0);
+      const ids = new Set(records.map((record) => record.id));
+
+      const rootIds = records
+        .filter((record) => !record.parent_id || !ids.has(record.parent_id[0]))
+        .map((record) => record.id);
+
+      return {
+        success: true,
+        data: this._buildTree(records, rootIds),
+        total: records.length
+      };
+    } catch (error) {
+      this.logger.error('Failed to get company org chart', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the management chain of an employee, from their manager up to the top
+   * Read in a single parent_of search
+   * @param {number} id - Employee ID
+   * @returns {Promise<Object>} Managers, nearest first
+   */
+  async getManagementChain(id) {
+    try {
+      this._validateId(id);
+
+      this.logger.info(`Getting management chain for employee ${id}`);
+
+      const records = await this.repository.findManagementChain(id, ORG_CHART_FIELDS);
+      const byId = new Map(records.map((record) => [record.id, record]));
+
+      let current = byId.get(id);
+      if (!current) {
+        throw new NotFoundError(`Employee with ID ${id} not found`, 'Employee', id);
+      }
+
+      const chain = [];
+      const seen = new Set([id]);
+      let managerId = current.parent_id ? current.parent_id[0] : null;
+
+      while (managerId && byId.has(managerId) && !seen.has(managerId)) {
+        current = byId.get(managerId);
+        seen.add(managerId);
+        chain.push(this._toDTO(current, ORG_CHART_FIELDS));
+        managerId = current.parent_id ? current.parent_id[0] : null;
+      }
+
+      return {
+        success: true,
+        data: chain,
+        total: chain.length
+      };
+    } catch (error) {
+      this.logger.error(`Failed to get management chain for employee ${id}`, error);
+      throw error;
+    }
+  }
+
   /**
    * Get employees by job
    * @param {number} jobId - Job ID
    * @param {number} page - Page number
    * @param {number} limit - Records per page
+   * @param {Object} options - Query options (sort, fields)
    * @returns {Promise<Object>} Paginated employees
    */
-  async getByJob(jobId, page = 1, limit = 50) {
+  async getByJob(jobId, page = 1, limit = 50, options = {}) {
     try {
       this._validateId(jobId);
       this._validatePagination(page, limit);
 
       this.logger.info(`Getting employees for job ${jobId}`);
 
+      const fields = this._resolveFields(options.fields);
+      const order = this._resolveOrder(options.sort);
+
+      const offset = (page - 1) * limit;
+
       const [employees, total] = await Promise.all([
-        this.repository.findByJob(jobId, [], limit),
+        this.repository.findByJob(...this._withOrder([jobId, fields || [], limit, offset], order)),
         this.repository.countByJob(jobId)
       ]);
 
       return {
         success: true,
-        data: this.adapter.toDTOArray(employees),
+        data: this._toDTOArray(employees, fields),
         pagination: {
           page,
           limit,
@@ -124,9 +300,10 @@ class EmployeeService extends BaseService {
    * Search employees by name
    * @param {string} name - Name to search for
    * @param {number} limit - Maximum results
+   * @param {Object} options - Query options (sort, fields)
    * @returns {Promise<Object>} Search results
    */
-  async searchByName(name, limit = 50) {
+  async searchByName(name, limit = 50, options = {}) {
     try {
       if (!name || name.trim() === '') {
         throw new ValidationError('Search name cannot be empty');
@@ -134,11 +311,16 @@ class EmployeeService extends BaseService {
 
       this.logger.info(`Searching employees by name: ${name}`);
 
-      const employees = await this.repository.searchByName(name, [], limit);
+      const fields = this._resolveFields(options.fields);
+      const order = this._resolveOrder(options.sort);
+
+      const employees = await this.repository.searchByName(
+        ...this._withOrder([name, fields || [], limit], order)
+      );
 
       return {
         success: true,
-        data: this.adapter.toDTOArray(employees),
+        data: this._toDTOArray(employees, fields),
         total: employees.length
       };
     } catch (error) {
@@ -151,23 +333,27 @@ class EmployeeService extends BaseService {
    * Get active employees
    * @param {number} page - Page number
    * @param {number} limit - Records per page
+   * @param {Object} options - Query options (sort, fields)
    * @returns {Promise<Object>} Paginated active employees
    */
-  async getActive(page = 1, limit = 50) {
+  async getActive(page = 1, limit = 50, options = {}) {
     try {
       this._validatePagination(page, limit);
 
       this.logger.info('Getting active employees');
 
       const offset = (page - 1) * limit;
+      const fields = this._resolveFields(options.fields);
+      const order = this._resolveOrder(options.sort);
+
       const [employees, total] = await Promise.all([
-        this.repository.findActive([], limit, offset),
+        this.repository.findActive(...this._withOrder([fields || [], limit, offset], order)),
         this.repository.count([['active', '=', true]])
       ]);
 
       return {
         success: true,
-        data: this.adapter.toDTOArray(employees),
+        data: this._toDTOArray(employees, fields),
         pagination: {
           page,
           limit,
@@ -186,9 +372,10 @@ class EmployeeService extends BaseService {
   /**
    * Get employee by email
    * @param {string} email - Employee email
+   * @param {Object} options - Query options (fields)
    * @returns {Promise<Object>} Employee or null
    */
-  async getByEmail(email) {
+  async getByEmail(email, options = {}) {
     try {
       if (!email || email.trim() === '') {
         throw new ValidationError('Email cannot be empty');
@@ -196,23 +383,77 @@ class EmployeeService extends BaseService {
 
       this.logger.info(`Getting employee by email: ${email}`);
 
-      const employee = await this.repository.findByEmail(email);
+      const fields = this._resolveFields(options.fields);
+      const employee = fields
+        ? await this.repository.findByEmail(email, fields)
+        : await this.repository.findByEmail(email);
 
       if (!employee) {
-        throw new NotFoundError(
-          `Employee with email ${email} not found`,
-          'Employee',
-          email
-        );
+        throw new NotFoundError(`Employee with email ${email} not found`, 'Employee', email);
       }
 
-      return this.adapter.toDTO(employee);
+      return this._toDTO(employee, fields);
     } catch (error) {
       this.logger.error(`Failed to get employee by email: ${email}`, error);
       throw error;
     }
   }
 
+  /**
+   * Import employees in bulk
+   * Every row is validated with the employee validator after department and job
+   * names are resolved to IDs. Valid rows are then created in chunks, one Odoo
+   * create per chunk; a chunk Odoo rejects is retried row by row to find the culprit.
+   * @param {Array<Object>} rows - Employee rows (DTO keys, plus `department`/`job` names)
+   * @param {Object} options - Import options
+   * @param {boolean} options.dryRun - Only report what would happen
+   * @returns {Promise<Object>} Per-row report and summary
+   */
+  async importEmployees(rows, options = {}) {
+    try {
+      const dryRun = Boolean(options.dryRun);
+
+      this._validateImportRows(rows);
+
+      this.logger.info('Importing employees', { rows: rows.length, dryRun });
+
+      const lookups = await this._resolveImportNames(rows);
+      const report = rows.map((row, index) => this._prepareImportRow(row, index + 1, lookups));
+
+      if (!dryRun) {
+        const valid = report.filter((entry) => entry.status === 'valid');
+
+        for (const batch of chunk(valid, this.bulkImport.chunkSize)) {
+          await this._createImportBatch(batch);
+        }
+
+        if (valid.length > 0) {
+          await this._invalidateCache();
+        }
+
+        // The created IDs are reported instead of echoing the submitted values
+        report.forEach((entry) => delete entry.data);
+      }
+
+      const summary = report.reduce(
+        (totals, entry) => ({ ...totals, [entry.status]: totals[entry.status] + 1 }),
+        { total: report.length, valid: 0, created: 0, invalid: 0, failed: 0 }
+      );
+
+      this.logger.info('Employee import finished', { dryRun, ...summary });
+
+      return {
+        success: true,
+        dryRun,
+        summary,
+        rows: report
+      };
+    } catch (error) {
+      this.logger.error('Failed to import employees', error);
+      throw error;
+    }
+  }
+
   /**
    * Deactivate an employee (soft delete)
    * @param {number} id - Employee ID
@@ -229,6 +470,7 @@ class EmployeeService extends BaseService {
 
       // Update active status
       await this.repository.update(id, { active: false });
+      await this._invalidateCache();
 
       return {
         success: true,
@@ -253,6 +495,7 @@ class EmployeeService extends BaseService {
 
       // Update active status
       await this.repository.update(id, { active: true });
+      await this._invalidateCache();
 
       // Fetch and return updated employee
       return await this.getById(id);
@@ -261,6 +504,168 @@ class EmployeeService extends BaseService {
       throw error;
     }
   }
+
+  /**
+   * Ensure an import payload is a non-empty list within the row limit
+   * @private
+   * @param {Array} rows - Import rows
+   */
+  _validateImportRows(rows) {
+    if (!Array.isArray(rows) || rows.length === 0) {
+      throw new ValidationError('Import expects a non-empty JSON array or CSV with a header row');
+    }
+
+    if (rows.length > this.bulkImport.maxRows) {
+      throw new ValidationError(
+        `Import is limited to ${this.bulkImport.maxRows} rows, got ${rows.length}`
+      );
+    }
+  }
+
+  /**
+   * Resolve the department and job names used by an import, one read per model
+   * @private
+   * @param {Array<Object>} rows - Import rows
+   * @returns {Promise<Object>} { department, job } maps of name to matching IDs
+   */
+  async _resolveImportNames(rows) {
+    const namesOf = (key) =>
+      Array.from(
+        new Set(
+          rows
+            .filter((row) => row && typeof row[key] === 'string' && row[key].trim() !== '')
+            .map((row) => row[key].trim())
+        )
+      );
+
+    const [departments, jobs] = await Promise.all([
+      this.repository.findRelatedByName(this.models.department, namesOf('department')),
+      this.repository.findRelatedByName(this.models.job, namesOf('job'))
+    ]);
+
+    const toLookup = (records) =>
+      records.reduce((lookup, record) => {
+        lookup.set(record.name, [...(lookup.get(record.name) || []), record.id]);
+        return lookup;
+      }, new Map());
+
+    return { department: toLookup(departments), job: toLookup(jobs) };
+  }
+
+  /**
+   * Resolve and validate a single import row
+   * @private
+   * @param {Object} row - Import row
+   * @param {number} number - 1-based row number
+   * @param {Object} lookups - Name lookups from _resolveImportNames
+   * @returns {Object} Report entry (status 'valid' with data, or 'invalid' with errors)
+   */
+  _prepareImportRow(row, number, lookups) {
+    if (!row || typeof row !== 'object' || Array.isArray(row)) {
+      return { row: number, status: 'invalid', errors: { row: 'Expected an object' } };
+    }
+
+    const { department, job, ...data } = row;
+    const errors = {};
+
+    [
+      ['department', department, 'departmentId'],
+      ['job', job, 'jobId']
+    ].forEach(([key, name, idKey]) => {
+      if (name === undefined || name === '' || data[idKey] !== undefined) return;
+
+      const ids = lookups[key].get(String(name).trim()) || [];
+      if (ids.length === 1) {
+        [data[idKey]] = ids;
+      } else {
+        errors[key] = ids.length === 0 ? `Unknown ${key} '${name}'` : `Ambiguous ${key} '${name}'`;
+      }
+    });
+
+    const result = this.validator.validate(data);
+    if (!result.isValid) {
+      Object.assign(errors, result.fields);
+    }
+
+    if (Object.keys(errors).length > 0) {
+      return { row: number, name: row.name, status: 'invalid', errors };
+    }
+
+    return { row: number, name: row.name, status: 'valid', data: result.value };
+  }
+
+  /**
+   * Create a batch of validated import rows, updating their report entries
+   * @private
+   * @param {Array<Object>} batch - Report entries with status 'valid'
+   * @returns {Promise<void>}
+   */
+  async _createImportBatch(batch) {
+    const values = batch.map((entry) => this.adapter.toOdooFormat(entry.data));
+
+    try {
+      const ids = await this.repository.createMany(values);
+
+      batch.forEach((entry, index) => {
+        entry.status = 'created';
+        entry.id = ids[index];
+      });
+    } catch (error) {
+      // Odoo rolls back the whole call, so retry one by one to isolate failing rows
+      this.logger.warn('Import batch rejected, retrying row by row', { rows: batch.length });
+
+      for (const [index, entry] of batch.entries()) {
+        try {
+          entry.id = await this.repository.create(values[index]);
+          entry.status = 'created';
+        } catch (rowError) {
+          entry.status = 'failed';
+          entry.error = rowError.originalError ? rowError.originalError.message : rowError.message;
+        }
+      }
+    }
+  }
+
+  /**
+   * Validate an org chart depth
+   * @private
+   * @param {number|null} depth - Levels of reports (null for all)
+   */
+  _validateDepth(depth) {
+    if (depth === null) return;
+
+    if (!Number.isInteger(depth) || depth < 1 || depth > MAX_ORG_CHART_DEPTH) {
+      throw new ValidationError(`Invalid depth: must be between 1 and ${MAX_ORG_CHART_DEPTH}`);
+    }
+  }
+
+  /**
+   * Nest employee records under their managers
+   * @private
+   * @param {Array} records - Employee records (with parent_id)
+   * @param {Array<number>} rootIds - IDs of the top-level nodes
+   * @returns {Array<Object>} Root nodes, each with nested `reports`
+   */
+  _buildTree(records, rootIds) {
+    const nodes = new Map(
+      records.map((record) => [
+        record.id,
+        { ...this._toDTO(record, ORG_CHART_FIELDS), reports: [] }
+      ])
+    );
+
+    const roots = new Set(rootIds);
+
+    records.forEach((record) => {
+      const managerId = record.parent_id ? record.parent_id[0] : null;
+
+      if (!roots.has(record.id) && nodes.has(managerId)) {
+        nodes.get(managerId).reports.push(nodes.get(record.id));
+      }
+    });
+
+    return rootIds.map((rootId) => nodes.get(rootId));
+  }
 }
 
 module.exports = EmployeeService;
@@ -1,6 +1,19 @@
 const { unpackRelational } = require('../common/relational.helper');
 
 class ExpensesAdapter {
+  constructor() {
+    // DTO keys produced by each Odoo field, used to answer ?fields= requests
+    this.fieldMap = {
+      name: ['name'],
+      employee_id: ['employeeId', 'employeeName'],
+      total_amount: ['total'],
+      state: ['state'],
+      payment_state: ['paymentState'],
+      date: ['date'],
+      create_date: ['createdAt']
+    };
+  }
+
   toDTO(record) {
     if (!record) return null;
 
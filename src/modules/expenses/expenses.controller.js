@@ -1,5 +1,5 @@
-const BaseController = require('../../core/base/BaseController');
+const OdooModelController = require('../common/odooModel.controller');
 
-class ExpensesController extends BaseController {}
+class ExpensesController extends OdooModelController {}
 
 module.exports = ExpensesController;
@@ -1,8 +1,12 @@
 const express = require('express');
+const { authorize, scopeToEmployee } = require('../../middleware/auth.middleware');
 
 function createExpensesRoutes(controller) {
   const router = express.Router();
 
+  // Employees only reach their own records and those of their reports
+  router.use(scopeToEmployee('expenses'));
+
   /**
    * @swagger
    * tags:
@@ -15,6 +19,7 @@ function createExpensesRoutes(controller) {
    * /expenses:
    *   get:
    *     summary: List expenses
+   *     description: Filters support operators, e.g. `total_amount[gt]=100` or `or[0][state]=draft&or[1][state]=reported`
    *     tags: [Expenses]
    *     parameters:
    *       - in: query
@@ -33,11 +38,36 @@ function createExpensesRoutes(controller) {
    *         name: state
    *         schema:
    *           type: string
+   *       - $ref: '#/components/parameters/Sort'
+   *       - $ref: '#/components/parameters/Fields'
    *     responses:
    *       200:
    *         description: Expense list
+   *       403:
+   *         description: Requires the `expenses:read` permission
+   */
+  router.get('/', authorize('expenses:read'), controller.getAll);
+
+  /**
+   * @swagger
+   * /expenses/export:
+   *   get:
+   *     summary: Export expenses
+   *     description: Streams every matching record; accepts the same filters as the list route
+   *     tags: [Expenses]
+   *     parameters:
+   *       - $ref: '#/components/parameters/ExportFormat'
+   *       - $ref: '#/components/parameters/Sort'
+   *       - $ref: '#/components/parameters/Fields'
+   *     responses:
+   *       200:
+   *         description: Export file
+   *       400:
+   *         description: Unsupported format or invalid filter
+   *       403:
+   *         description: Requires the `expenses:read` permission
    */
-  router.get('/', controller.getAll);
+  router.get('/export', authorize('expenses:read'), controller.exportAll);
 
   /**
    * @swagger
@@ -51,11 +81,14 @@ function createExpensesRoutes(controller) {
    *         required: true
    *         schema:
    *           type: integer
+   *       - $ref: '#/components/parameters/Fields'
    *     responses:
    *       200:
    *         description: Expense details
+   *       403:
+   *         description: Requires the `expenses:read` permission
    */
-  router.get('/:id', controller.getById);
+  router.get('/:id', authorize('expenses:read'), controller.getById);
 
   /**
    * @swagger
@@ -87,8 +120,10 @@ function createExpensesRoutes(controller) {
    *     responses:
    *       201:
    *         description: Created expense
+   *       403:
+   *         description: Requires the `expenses:create` permission
    */
-  router.post('/', controller.create);
+  router.post('/', authorize('expenses:create'), controller.create);
 
   /**
    * @swagger
@@ -123,9 +158,11 @@ function createExpensesRoutes(controller) {
    *     responses:
    *       200:
    *         description: Updated expense
+   *       403:
+   *         description: Requires the `expenses:update` permission
    */
-  router.put('/:id', controller.update);
-  router.patch('/:id', controller.patch);
+  router.put('/:id', authorize('expenses:update'), controller.update);
+  router.patch('/:id', authorize('expenses:update'), controller.patch);
 
   /**
    * @swagger
@@ -142,8 +179,10 @@ function createExpensesRoutes(controller) {
    *     responses:
    *       200:
    *         description: Deletion result
+   *       403:
+   *         description: Requires the `expenses:delete` permission
    */
-  router.delete('/:id', controller.delete);
+  router.delete('/:id', authorize('expenses:delete'), controller.delete);
 
   return router;
 }
@@ -1,6 +1,20 @@
 const { unpackRelational } = require('../common/relational.helper');
 
 class InvoicesAdapter {
+  constructor() {
+    // DTO keys produced by each Odoo field, used to answer ?fields= requests
+    this.fieldMap = {
+      name: ['name'],
+      partner_id: ['customerId', 'customerName'],
+      invoice_date: ['invoiceDate'],
+      invoice_date_due: ['dueDate'],
+      amount_total: ['amountTotal'],
+      payment_state: ['paymentState'],
+      state: ['state'],
+      move_type: ['moveType']
+    };
+  }
+
   toDTO(record) {
     if (!record) return null;
 
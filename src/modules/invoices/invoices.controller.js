@@ -1,5 +1,5 @@
-const BaseController = require('../../core/base/BaseController');
+const OdooModelController = require('../common/odooModel.controller');
 
-class InvoicesController extends BaseController {}
+class InvoicesController extends OdooModelController {}
 
 module.exports = InvoicesController;
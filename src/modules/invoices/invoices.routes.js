@@ -1,4 +1,5 @@
 const express = require('express');
+const { authorize } = require('../../middleware/auth.middleware');
 
 function createInvoicesRoutes(controller) {
   const router = express.Router();
@@ -15,6 +16,7 @@ function createInvoicesRoutes(controller) {
    * /invoices:
    *   get:
    *     summary: List invoices
+   *     description: Filters support operators, e.g. `payment_state[nin]=paid,reversed` or `invoice_date_due[lt]=2026-01-31`
    *     tags: [Invoices]
    *     parameters:
    *       - in: query
@@ -37,11 +39,36 @@ function createInvoicesRoutes(controller) {
    *         name: move_type
    *         schema:
    *           type: string
+   *       - $ref: '#/components/parameters/Sort'
+   *       - $ref: '#/components/parameters/Fields'
    *     responses:
    *       200:
    *         description: Invoice list
+   *       403:
+   *         description: Requires the `invoices:read` permission
    */
-  router.get('/', controller.getAll);
+  router.get('/', authorize('invoices:read'), controller.getAll);
+
+  /**
+   * @swagger
+   * /invoices/export:
+   *   get:
+   *     summary: Export invoices
+   *     description: Streams every matching record; accepts the same filters as the list route
+   *     tags: [Invoices]
+   *     parameters:
+   *       - $ref: '#/components/parameters/ExportFormat'
+   *       - $ref: '#/components/parameters/Sort'
+   *       - $ref: '#/components/parameters/Fields'
+   *     responses:
+   *       200:
+   *         description: Export file
+   *       400:
+   *         description: Unsupported format or invalid filter
+   *       403:
+   *         description: Requires the `invoices:read` permission
+   */
+  router.get('/export', authorize('invoices:read'), controller.exportAll);
 
   /**
    * @swagger
@@ -55,11 +82,14 @@ function createInvoicesRoutes(controller) {
    *         required: true
    *         schema:
    *           type: integer
+   *       - $ref: '#/components/parameters/Fields'
    *     responses:
    *       200:
    *         description: Invoice details
+   *       403:
+   *         description: Requires the `invoices:read` permission
    */
-  router.get('/:id', controller.getById);
+  router.get('/:id', authorize('invoices:read'), controller.getById);
 
   /**
    * @swagger
@@ -96,8 +126,10 @@ function createInvoicesRoutes(controller) {
    *     responses:
    *       201:
    *         description: Created invoice
+   *       403:
+   *         description: Requires the `invoices:create` permission
    */
-  router.post('/', controller.create);
+  router.post('/', authorize('invoices:create'), controller.create);
 
   /**
    * @swagger
@@ -131,9 +163,11 @@ function createInvoicesRoutes(controller) {
    *     responses:
    *       200:
    *         description: Updated invoice
+   *       403:
+   *         description: Requires the `invoices:update` permission
    */
-  router.put('/:id', controller.update);
-  router.patch('/:id', controller.patch);
+  router.put('/:id', authorize('invoices:update'), controller.update);
+  router.patch('/:id', authorize('invoices:update'), controller.patch);
 
   /**
    * @swagger
@@ -150,8 +184,10 @@ function createInvoicesRoutes(controller) {
    *     responses:
    *       200:
    *         description: Deletion result
+   *       403:
+   *         description: Requires the `invoices:delete` permission
    */
-  router.delete('/:id', controller.delete);
+  router.delete('/:id', authorize('invoices:delete'), controller.delete);
 
   return router;
 }
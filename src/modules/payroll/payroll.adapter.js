@@ -1,6 +1,19 @@
 const { unpackRelational } = require('../common/relational.helper');
 
 class PayrollAdapter {
+  constructor() {
+    // DTO keys produced by each Odoo field, used to answer ?fields= requests
+    this.fieldMap = {
+      number: ['number'],
+      employee_id: ['employeeId', 'employeeName'],
+      date_from: ['dateFrom'],
+      date_to: ['dateTo'],
+      state: ['state'],
+      amount_total: ['total'],
+      create_date: ['createdAt']
+    };
+  }
+
   toDTO(record) {
     if (!record) return null;
 
@@ -23,14 +36,14 @@ class PayrollAdapter {
     return Array.isArray(records) ? records.map((rec) => this.toDTO(rec)) : [];
   }
 
+  // state is left out: it only changes through the hr.payslip workflow actions
   toOdooFormat(data) {
     if (!data) return null;
 
     return {
       employee_id: data.employeeId,
       date_from: data.dateFrom,
-      date_to: data.dateTo,
-      state: data.state
+      date_to: data.dateTo
     };
   }
 }
@@ -1,5 +1,139 @@
-const BaseController = require('../../core/base/BaseController');
+const OdooModelController = require('../common/odooModel.controller');
 
-class PayrollController extends BaseController {}
+class PayrollController extends OdooModelController {
+  constructor(service, logger) {
+    super(service, logger);
+
+    this.compute = this.compute.bind(this);
+    this.confirm = this.confirm.bind(this);
+    this.cancel = this.cancel.bind(this);
+    this.draft = this.draft.bind(this);
+    this.getLines = this.getLines.bind(this);
+  }
+
+  /**
+   * Get a payslip by ID (GET /:id?include=lines)
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getById(req, res, next) {
+    try {
+      const { id } = req.params;
+      const include = String(req.query.include || '')
+        .split(',')
+        .map((name) => name.trim())
+        .filter(Boolean);
+
+      this.logger.info(`GET payslip by ID: ${id}`, { include });
+
+      const options = { ...this._getQueryOptions(req), include };
+      const record = await this.service.getById(parseInt(id, 10), options);
+
+      this._setCacheHeader(res, options.meta);
+      res.status(200).json({
+        success: true,
+        data: record
+      });
+    } catch (error) {
+      this.logger.error(`Failed to get payslip by ID: ${req.params.id}`, error);
+      next(error);
+    }
+  }
+
+  /**
+   * Salary rule lines, worked days and inputs of a payslip (GET /:id/lines)
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getLines(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      this.logger.info(`GET payslip lines: ${id}`);
+
+      const result = await this.service.getLines(parseInt(id, 10), { scope: req.scope || null });
+
+      res.status(200).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      this.logger.error(`Failed to get payslip lines: ${req.params.id}`, error);
+      next(error);
+    }
+  }
+
+  /**
+   * Compute a payslip's lines (POST /:id/compute)
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async compute(req, res, next) {
+    await this._runAction('compute', 'Payslip computed', req, res, next);
+  }
+
+  /**
+   * Confirm a computed payslip (POST /:id/confirm)
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async confirm(req, res, next) {
+    await this._runAction('confirm', 'Payslip confirmed', req, res, next);
+  }
+
+  /**
+   * Cancel a payslip (POST /:id/cancel)
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async cancel(req, res, next) {
+    await this._runAction('cancel', 'Payslip cancelled', req, res, next);
+  }
+
+  /**
+   * Set a payslip back to draft (POST /:id/draft)
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async draft(req, res, next) {
+    await this._runAction('draft', 'Payslip set to draft', req, res, next);
+  }
+
+  /**
+   * Run a workflow action on the payslip in the path
+   * @private
+   * @param {string} action - compute, confirm, cancel or draft
+   * @param {string} message - Success message
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async _runAction(action, message, req, res, next) {
+    try {
+      const { id } = req.params;
+
+      this.logger.info(`POST ${action} payslip: ${id}`);
+
+      const record = await this.service.runAction(parseInt(id, 10), action, {
+        scope: req.scope || null
+      });
+
+      res.status(200).json({
+        success: true,
+        data: record,
+        message
+      });
+    } catch (error) {
+      this.logger.error(`Failed to ${action} payslip`, error);
+      next(error);
+    }
+  }
+}
 
 module.exports = PayrollController;
@@ -0,0 +1,95 @@
+const { unpackRelational } = require('../common/relational.helper');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Payslip Lines Adapter
+ * Maps hr.payslip.line, hr.payslip.worked_days and hr.payslip.input records to DTOs and
+ * summarises gross, deductions and net from the salary rule lines.
+ * Summary codes follow Odoo's default structure, where the NET rule adds the (negative)
+ * deduction lines to GROSS.
+ */
+class PayslipLinesAdapter {
+  constructor(options = {}) {
+    this.codes = { gross: 'GROSS', net: 'NET', ...options.codes };
+  }
+
+  lineToDTO(record) {
+    const category = unpackRelational(record.category_id);
+
+    return {
+      id: record.id,
+      sequence: record.sequence,
+      code: record.code,
+      name: record.name,
+      categoryId: category.id,
+      categoryName: category.name,
+      quantity: record.quantity,
+      rate: record.rate,
+      amount: record.amount,
+      total: record.total
+    };
+  }
+
+  workedDayToDTO(record) {
+    return {
+      id: record.id,
+      code: record.code,
+      name: record.name,
+      days: record.number_of_days,
+      hours: record.number_of_hours,
+      amount: record.amount === undefined ? null : record.amount
+    };
+  }
+
+  inputToDTO(record) {
+    return {
+      id: record.id,
+      code: record.code,
+      name: record.name,
+      amount: record.amount
+    };
+  }
+
+  /**
+   * Gross, deductions and net of a payslip
+   * Totals are null when the structure has no line with the configured code
+   * @param {Array<Object>} lines - Line DTOs
+   * @returns {Object} { gross, deductions, net }
+   */
+  summarize(lines) {
+    const totalOf = (code) => {
+      const matches = lines.filter((line) => line.code === code);
+      return matches.length > 0
+        ? round(matches.reduce((total, line) => total + (line.total || 0), 0))
+        : null;
+    };
+
+    const gross = totalOf(this.codes.gross);
+    const net = totalOf(this.codes.net);
+
+    return {
+      gross,
+      deductions: gross === null || net === null ? null : round(gross - net),
+      net
+    };
+  }
+
+  /**
+   * Breakdown of one payslip
+   * @param {Object} records - Raw records from PayrollRepository.findDetails
+   * @returns {Object} { lines, workedDays, inputs, summary }
+   */
+  toDTO({ lines = [], workedDays = [], inputs = [] }) {
+    const lineDTOs = lines.map((record) => this.lineToDTO(record));
+
+    return {
+      lines: lineDTOs,
+      workedDays: workedDays.map((record) => this.workedDayToDTO(record)),
+      inputs: inputs.map((record) => this.inputToDTO(record)),
+      summary: this.summarize(lineDTOs)
+    };
+  }
+}
+
+module.exports = PayslipLinesAdapter;
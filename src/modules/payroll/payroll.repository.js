@@ -1,5 +1,61 @@
 const BaseRepository = require('../../core/base/BaseRepository');
+const { RepositoryError } = require('../../core/errors');
 
-class PayrollRepository extends BaseRepository {}
+class PayrollRepository extends BaseRepository {
+  constructor(odooClient, modelName, logger, models = {}) {
+    super(odooClient, modelName, logger);
+    this.models = {
+      line: 'hr.payslip.line',
+      workedDays: 'hr.payslip.worked_days',
+      input: 'hr.payslip.input',
+      ...models
+    };
+  }
+
+  /**
+   * Find the salary rule lines, worked days and inputs of payslips
+   * The three models are read in parallel
+   * @param {Array<number>} payslipIds - Payslip IDs
+   * @param {Object} fields - Fields to retrieve ({ lines, workedDays, inputs })
+   * @returns {Promise<Object>} { lines, workedDays, inputs }
+   */
+  async findDetails(payslipIds, fields = {}) {
+    try {
+      await this.odooClient.connect();
+
+      const read = (model, filters, modelFields, order) =>
+        this.odooClient.execute_kw(model, 'search_read', [filters], {
+          fields: modelFields.length > 0 ? modelFields : undefined,
+          order
+        });
+
+      const [lines, workedDays, inputs] = await Promise.all([
+        read(
+          this.models.line,
+          [['slip_id', 'in', payslipIds]],
+          fields.lines || [],
+          'sequence asc, id asc'
+        ),
+        read(
+          this.models.workedDays,
+          [['payslip_id', 'in', payslipIds]],
+          fields.workedDays || [],
+          'sequence asc, id asc'
+        ),
+        read(
+          this.models.input,
+          [['payslip_id', 'in', payslipIds]],
+          fields.inputs || [],
+          'sequence asc, id asc'
+        )
+      ]);
+
+      return { lines, workedDays, inputs };
+    } catch (error) {
+      this.logger.error(`[${this.modelName}] Failed to fetch payslip details`, error);
+      throw new RepositoryError('Failed to fetch payslip details', error, 'findDetails');
+    }
+  }
+}
 
 module.exports = PayrollRepository;
@@ -1,8 +1,12 @@
 const express = require('express');
+const { authorize, scopeToEmployee } = require('../../middleware/auth.middleware');
 
 function createPayrollRoutes(controller) {
   const router = express.Router();
 
+  // Employees only reach their own records and those of their reports
+  router.use(scopeToEmployee('payroll'));
+
   /**
    * @swagger
    * tags:
@@ -15,6 +19,7 @@ function createPayrollRoutes(controller) {
    * /payroll:
    *   get:
    *     summary: List payslips
+   *     description: Filters support operators, e.g. `state[ne]=cancel` or `date_to[lte]=2026-03-31`
    *     tags: [Payroll]
    *     parameters:
    *       - in: query
@@ -35,11 +40,36 @@ function createPayrollRoutes(controller) {
    *         schema:
    *           type: string
    *         description: Filter by state
+   *       - $ref: '#/components/parameters/Sort'
+   *       - $ref: '#/components/parameters/Fields'
    *     responses:
    *       200:
    *         description: Payslip list
+   *       403:
+   *         description: Requires the `payroll:read` permission
    */
-  router.get('/', controller.getAll);
+  router.get('/', authorize('payroll:read'), controller.getAll);
+
+  /**
+   * @swagger
+   * /payroll/export:
+   *   get:
+   *     summary: Export payslips
+   *     description: Streams every matching record; accepts the same filters as the list route
+   *     tags: [Payroll]
+   *     parameters:
+   *       - $ref: '#/components/parameters/ExportFormat'
+   *       - $ref: '#/components/parameters/Sort'
+   *       - $ref: '#/components/parameters/Fields'
+   *     responses:
+   *       200:
+   *         description: Export file
+   *       400:
+   *         description: Unsupported format or invalid filter
+   *       403:
+   *         description: Requires the `payroll:read` permission
+   */
+  router.get('/export', authorize('payroll:read'), controller.exportAll);
 
   /**
    * @swagger
@@ -53,11 +83,47 @@ function createPayrollRoutes(controller) {
    *         required: true
    *         schema:
    *           type: integer
+   *       - $ref: '#/components/parameters/Fields'
+   *       - in: query
+   *         name: include
+   *         schema:
+   *           type: string
+   *           enum: [lines]
+   *         description: Embed the salary rule lines, worked days, inputs and summary
    *     responses:
    *       200:
    *         description: Payslip details
+   *       400:
+   *         description: Unknown include
+   *       403:
+   *         description: Requires the `payroll:read` permission
    */
-  router.get('/:id', controller.getById);
+  router.get('/:id', authorize('payroll:read'), controller.getById);
+
+  /**
+   * @swagger
+   * /payroll/{id}/lines:
+   *   get:
+   *     summary: Payslip line breakdown
+   *     description: >
+   *       Salary rule lines (code, category, quantity, rate, amount, total), worked days and
+   *       inputs of the payslip, with its gross, deductions and net
+   *     tags: [Payroll]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Lines, worked days, inputs and summary
+   *       404:
+   *         description: Payslip not found
+   *       403:
+   *         description: Requires the `payroll:read` permission
+   */
+  router.get('/:id/lines', authorize('payroll:read'), controller.getLines);
 
   /**
    * @swagger
@@ -81,13 +147,15 @@ function createPayrollRoutes(controller) {
    *               dateTo:
    *                 type: string
    *                 format: date
-   *               state:
-   *                 type: string
    *     responses:
    *       201:
    *         description: Created payslip
+   *       400:
+   *         description: Invalid payload, including any attempt to set `state`
+   *       403:
+   *         description: Requires the `payroll:create` permission
    */
-  router.post('/', controller.create);
+  router.post('/', authorize('payroll:create'), controller.create);
 
   /**
    * @swagger
@@ -108,8 +176,6 @@ function createPayrollRoutes(controller) {
    *           schema:
    *             type: object
    *             properties:
-   *               state:
-   *                 type: string
    *               dateFrom:
    *                 type: string
    *                 format: date
@@ -119,9 +185,109 @@ function createPayrollRoutes(controller) {
    *     responses:
    *       200:
    *         description: Updated payslip
+   *       400:
+   *         description: Invalid payload; `state` only changes through the workflow actions
+   *       403:
+   *         description: Requires the `payroll:update` permission
+   */
+  router.put('/:id', authorize('payroll:update'), controller.update);
+  router.patch('/:id', authorize('payroll:update'), controller.patch);
+
+  /**
+   * @swagger
+   * /payroll/{id}/compute:
+   *   post:
+   *     summary: Compute a payslip (compute_sheet)
+   *     tags: [Payroll]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Payslip with its recomputed lines
+   *       404:
+   *         description: Payslip not found
+   *       422:
+   *         description: Odoo refused to compute (e.g. missing contract or structure)
+   *       403:
+   *         description: Requires the `payroll:update` permission
+   */
+  router.post('/:id/compute', authorize('payroll:update'), controller.compute);
+
+  /**
+   * @swagger
+   * /payroll/{id}/confirm:
+   *   post:
+   *     summary: Confirm a payslip (action_payslip_done)
+   *     tags: [Payroll]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Confirmed payslip
+   *       404:
+   *         description: Payslip not found
+   *       422:
+   *         description: Odoo refused the transition (e.g. payslip not computed)
+   *       403:
+   *         description: Requires the `payroll:update` permission
+   */
+  router.post('/:id/confirm', authorize('payroll:update'), controller.confirm);
+
+  /**
+   * @swagger
+   * /payroll/{id}/cancel:
+   *   post:
+   *     summary: Cancel a payslip (action_payslip_cancel)
+   *     tags: [Payroll]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Cancelled payslip
+   *       404:
+   *         description: Payslip not found
+   *       422:
+   *         description: Odoo refused the transition (e.g. payslip already paid)
+   *       403:
+   *         description: Requires the `payroll:update` permission
+   */
+  router.post('/:id/cancel', authorize('payroll:update'), controller.cancel);
+
+  /**
+   * @swagger
+   * /payroll/{id}/draft:
+   *   post:
+   *     summary: Set a payslip back to draft (action_payslip_draft)
+   *     tags: [Payroll]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Draft payslip
+   *       404:
+   *         description: Payslip not found
+   *       422:
+   *         description: Odoo refused the transition
+   *       403:
+   *         description: Requires the `payroll:update` permission
    */
-  router.put('/:id', controller.update);
-  router.patch('/:id', controller.patch);
+  router.post('/:id/draft', authorize('payroll:update'), controller.draft);
 
   /**
    * @swagger
@@ -138,8 +304,10 @@ function createPayrollRoutes(controller) {
    *     responses:
    *       200:
    *         description: Deletion result
+   *       403:
+   *         description: Requires the `payroll:delete` permission
    */
-  router.delete('/:id', controller.delete);
+  router.delete('/:id', authorize('payroll:delete'), controller.delete);
 
   return router;
 }
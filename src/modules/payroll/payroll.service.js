@@ -1,5 +1,125 @@
 const OdooModelService = require('../common/odooModel.service');
+const { ServiceError, ValidationError } = require('../../core/errors');
+const PayslipLinesAdapter = require('./payroll.lines');
 
-class PayrollService extends OdooModelService {}
+// hr.payslip workflow methods run by each action
+const DEFAULT_ACTIONS = {
+  compute: 'compute_sheet',
+  confirm: 'action_payslip_done',
+  cancel: 'action_payslip_cancel',
+  draft: 'action_payslip_draft'
+};
+
+// Related records GET /payroll/:id can embed with ?include=
+const INCLUDES = ['lines'];
+
+class PayrollService extends OdooModelService {
+  constructor(repository, options = {}) {
+    super(repository, options);
+    this.actions = { ...DEFAULT_ACTIONS, ...options.actions };
+    this.linesAdapter = options.linesAdapter || new PayslipLinesAdapter();
+    // Fields read from each detail model ({ lines, workedDays, inputs })
+    this.detailFields = options.detailFields || {};
+  }
+
+  /**
+   * Get a payslip, optionally embedding related records
+   * With include: ['lines'] the breakdown is read alongside the payslip and added as
+   * lines, workedDays, inputs and summary
+   * @param {number} id - Payslip ID
+   * @param {Object} options - Query options, as accepted by BaseService.getById
+   * @param {Array<string>} options.include - Related records to embed
+   * @returns {Promise<Object>} Payslip
+   */
+  async getById(id, options = {}) {
+    const include = options.include || [];
+    const unknown = include.filter((name) => !INCLUDES.includes(name));
+    if (unknown.length > 0) {
+      throw new ValidationError(`Unknown include '${unknown.join(', ')}'`, {
+        include: `Expected one of: ${INCLUDES.join(', ')}`
+      });
+    }
+
+    if (!include.includes('lines')) {
+      return super.getById(id, options);
+    }
+
+    try {
+      this._validateId(id);
+
+      const [payslip, details] = await Promise.all([
+        super.getById(id, options),
+        this.repository.findDetails([id], this.detailFields)
+      ]);
+
+      return { ...payslip, ...this.linesAdapter.toDTO(details) };
+    } catch (error) {
+      this.logger.error(`Failed to get payslip ${id} with its lines`, error);
+      if (error.isOperational) throw error;
+      throw new ServiceError(`Failed to fetch payslip ${id}`, error);
+    }
+  }
+
+  /**
+   * Salary rule lines, worked days and inputs of a payslip, with gross, deductions and net
+   * @param {number} id - Payslip ID
+   * @param {Object} options - Query options
+   * @param {Object} options.scope - Caller's row scope ({ employeeId }), null for every record
+   * @returns {Promise<Object>} { payslipId, lines, workedDays, inputs, summary }
+   */
+  async getLines(id, options = {}) {
+    try {
+      this._validateId(id);
+
+      // Existence and scope check, so out-of-scope payslips read as missing
+      await super.getById(id, { scope: options.scope });
+
+      const details = await this.repository.findDetails([id], this.detailFields);
+
+      return { payslipId: id, ...this.linesAdapter.toDTO(details) };
+    } catch (error) {
+      this.logger.error(`Failed to get lines of payslip ${id}`, error);
+      if (error.isOperational) throw error;
+      throw new ServiceError(`Failed to fetch lines of payslip ${id}`, error);
+    }
+  }
+
+  /**
+   * Move a payslip through Odoo's payroll workflow
+   * The hr.payslip methods compute the lines and enforce the allowed transitions;
+   * their refusals surface as OdooUserError (422)
+   * @param {number} id - Payslip ID
+   * @param {string} action - compute, confirm, cancel or draft
+   * @param {Object} options - Action options
+   * @param {Object} options.scope - Caller's row scope ({ employeeId }), null for every record
+   * @returns {Promise<Object>} Refreshed payslip
+   */
+  async runAction(id, action, options = {}) {
+    try {
+      this._validateId(id);
+
+      const method = this.actions[action];
+      if (!method) {
+        throw new ValidationError(`Unknown payslip action '${action}'`, {
+          action: `Expected one of: ${Object.keys(this.actions).join(', ')}`
+        });
+      }
+
+      // Existence and scope check, so out-of-scope payslips read as missing
+      await this.getById(id, { scope: options.scope });
+
+      this.logger.info(`Running ${method} on payslip ${id}`);
+
+      await this.repository.callMethod([id], method);
+      await this._invalidateCache();
+
+      return await this.getById(id);
+    } catch (error) {
+      this.logger.error(`Failed to ${action} payslip ${id}`, error);
+      if (error.isOperational) throw error;
+      throw new ServiceError(`Failed to ${action} payslip ${id}`, error);
+    }
+  }
+}
 
 module.exports = PayrollService;
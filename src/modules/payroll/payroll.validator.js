@@ -0,0 +1,108 @@
+const Joi = require('joi');
+
+// State only changes through the workflow actions, which run Odoo's checks
+const STATE_MESSAGE =
+  'state cannot be written directly; use the compute, confirm, cancel or draft actions';
+
+/**
+ * Payroll Validator
+ * Validates payslip payloads before they reach Odoo
+ */
+class PayrollValidator {
+  constructor() {
+    // Schema for creating a payslip shell
+    this.createSchema = Joi.object({
+      employeeId: Joi.number().integer().positive().required().messages({
+        'number.base': 'Employee ID must be a number',
+        'any.required': 'Employee ID is required'
+      }),
+
+      dateFrom: Joi.string().isoDate().required().messages({
+        'string.isoDate': 'Start date must be a date (YYYY-MM-DD)',
+        'any.required': 'Start date is required'
+      }),
+
+      dateTo: Joi.string().isoDate().required().messages({
+        'string.isoDate': 'End date must be a date (YYYY-MM-DD)',
+        'any.required': 'End date is required'
+      }),
+
+      state: Joi.any().forbidden().messages({
+        'any.unknown': STATE_MESSAGE
+      })
+    });
+
+    // Schema for updating a payslip
+    this.updateSchema = Joi.object({
+      employeeId: Joi.number().integer().positive().optional().messages({
+        'number.base': 'Employee ID must be a number'
+      }),
+
+      dateFrom: Joi.string().isoDate().optional().messages({
+        'string.isoDate': 'Start date must be a date (YYYY-MM-DD)'
+      }),
+
+      dateTo: Joi.string().isoDate().optional().messages({
+        'string.isoDate': 'End date must be a date (YYYY-MM-DD)'
+      }),
+
+      state: Joi.any().forbidden().messages({
+        'any.unknown': STATE_MESSAGE
+      })
+    })
+      .min(1)
+      .messages({
+        'object.min': 'At least one field must be provided for update'
+      });
+  }
+
+  /**
+   * Validate payslip data for creation
+   * @param {Object} data - Payslip data
+   * @returns {Object} Validation result
+   */
+  validate(data) {
+    return this._validate(this.createSchema, data);
+  }
+
+  /**
+   * Validate payslip data for update
+   * @param {Object} data - Payslip data
+   * @returns {Object} Validation result
+   */
+  validateUpdate(data) {
+    return this._validate(this.updateSchema, data);
+  }
+
+  /**
+   * Validate data against a schema
+   * @private
+   * @param {Joi.Schema} schema - Joi schema
+   * @param {Object} data - Data to validate
+   * @returns {Object} Validation result ({ isValid, errors, fields } or { isValid, value })
+   */
+  _validate(schema, data) {
+    const { error, value } = schema.validate(data, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      return {
+        isValid: false,
+        errors: error.details.map((detail) => detail.message),
+        fields: error.details.reduce((acc, detail) => {
+          acc[detail.path[0]] = detail.message;
+          return acc;
+        }, {})
+      };
+    }
+
+    return {
+      isValid: true,
+      value
+    };
+  }
+}
+
+module.exports = PayrollValidator;
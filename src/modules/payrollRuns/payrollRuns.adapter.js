@@ -0,0 +1,44 @@
+class PayrollRunsAdapter {
+  constructor() {
+    // DTO keys produced by each Odoo field, used to answer ?fields= requests
+    this.fieldMap = {
+      name: ['name'],
+      date_start: ['dateFrom'],
+      date_end: ['dateTo'],
+      state: ['state'],
+      slip_ids: ['payslipCount'],
+      create_date: ['createdAt']
+    };
+  }
+
+  toDTO(record) {
+    if (!record) return null;
+
+    return {
+      id: record.id,
+      name: record.name,
+      dateFrom: record.date_start,
+      dateTo: record.date_end,
+      state: record.state,
+      payslipCount: Array.isArray(record.slip_ids) ? record.slip_ids.length : null,
+      createdAt: record.create_date
+    };
+  }
+
+  toDTOArray(records) {
+    return Array.isArray(records) ? records.map((rec) => this.toDTO(rec)) : [];
+  }
+
+  // state is left out: runs move on through the generate, compute and confirm steps
+  toOdooFormat(data) {
+    if (!data) return null;
+
+    return {
+      name: data.name || `Payroll ${data.dateFrom} - ${data.dateTo}`,
+      date_start: data.dateFrom,
+      date_end: data.dateTo
+    };
+  }
+}
+
+module.exports = PayrollRunsAdapter;
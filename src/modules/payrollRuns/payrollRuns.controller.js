@@ -0,0 +1,149 @@
+const OdooModelController = require('../common/odooModel.controller');
+
+class PayrollRunsController extends OdooModelController {
+  constructor(service, logger) {
+    super(service, logger);
+
+    this.generate = this.generate.bind(this);
+    this.compute = this.compute.bind(this);
+    this.confirm = this.confirm.bind(this);
+    this.getProgress = this.getProgress.bind(this);
+    this.getPayslips = this.getPayslips.bind(this);
+    this.getPaymentFile = this.getPaymentFile.bind(this);
+  }
+
+  /**
+   * Generate the payslips of a run (POST /:id/generate)
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async generate(req, res, next) {
+    await this._startStep('generate', 'Payslip generation started', req, res, next);
+  }
+
+  /**
+   * Compute every draft payslip of a run (POST /:id/compute)
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async compute(req, res, next) {
+    await this._startStep('compute', 'Payslip computation started', req, res, next);
+  }
+
+  /**
+   * Confirm every computed payslip of a run (POST /:id/confirm)
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async confirm(req, res, next) {
+    await this._startStep('confirm', 'Payslip confirmation started', req, res, next);
+  }
+
+  /**
+   * Progress of a run's latest step (GET /:id/progress)
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getProgress(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const progress = await this.service.getProgress(parseInt(id, 10));
+
+      res.status(200).json({
+        success: true,
+        data: progress
+      });
+    } catch (error) {
+      this.logger.error(`Failed to get payroll run progress: ${req.params.id}`, error);
+      next(error);
+    }
+  }
+
+  /**
+   * Status of each employee in a run (GET /:id/payslips)
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getPayslips(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      this.logger.info(`GET payroll run payslips: ${id}`);
+
+      const result = await this.service.getPayslips(parseInt(id, 10));
+
+      res.status(200).json({
+        success: true,
+        ...result
+      });
+    } catch (error) {
+      this.logger.error(`Failed to get payroll run payslips: ${req.params.id}`, error);
+      next(error);
+    }
+  }
+
+  /**
+   * Bank transfer file of a run's confirmed payslips
+   * (GET /:id/payment-file?format=sepa|nacha|csv&date=)
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getPaymentFile(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { format, date } = req.query;
+
+      this.logger.info(`GET payroll run payment file: ${id}`, { format, date });
+
+      const file = await this.service.getPaymentFile(parseInt(id, 10), { format, date });
+
+      res.status(200);
+      res.set('Content-Type', file.contentType);
+      res.set('X-Payment-Count', String(file.count));
+      res.set('X-Payment-Total', file.total);
+      res.attachment(file.filename);
+      res.send(file.content);
+    } catch (error) {
+      this.logger.error(`Failed to get payroll run payment file: ${req.params.id}`, error);
+      next(error);
+    }
+  }
+
+  /**
+   * Start a batch step on the run in the path
+   * Responds 202 with the step's progress; poll GET /:id/progress until it is done
+   * @private
+   * @param {string} step - generate, compute or confirm
+   * @param {string} message - Success message
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async _startStep(step, message, req, res, next) {
+    try {
+      const { id } = req.params;
+
+      this.logger.info(`POST ${step} payroll run: ${id}`);
+
+      const progress = await this.service.startStep(parseInt(id, 10), step, req.body || {});
+
+      res.status(202).json({
+        success: true,
+        data: progress,
+        message
+      });
+    } catch (error) {
+      this.logger.error(`Failed to start ${step} of payroll run`, error);
+      next(error);
+    }
+  }
+}
+
+module.exports = PayrollRunsController;
@@ -0,0 +1,404 @@
+const { toCsvRow } = require('../../utils/csv');
+
+/**
+ * Bank Payment Files
+ * Renders salary transfers as a SEPA credit transfer (pain.001.001.03), a NACHA file of PPD
+ * credits or a generic CSV. Amounts are integer cents, so file totals add up exactly.
+ * A transfer is { payslipId, number, employeeId, employeeName, holderName, accountNumber,
+ * bic, routingNumber, amountCents }.
+ */
+
+const PAYMENT_FORMATS = {
+  sepa: { contentType: 'application/xml; charset=utf-8', extension: 'xml' },
+  nacha: { contentType: 'text/plain; charset=us-ascii', extension: 'ach' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' }
+};
+
+// Largest amounts each format can carry, in cents
+const MAX_AMOUNT_CENTS = {
+  sepa: 99999999999,
+  // Entry amounts are 10 digits, batch and file totals 12
+  nacha: 9999999999,
+  csv: Infinity
+};
+const MAX_NACHA_TOTAL_CENTS = 999999999999;
+
+const NACHA_RECORD_LENGTH = 94;
+const NACHA_BLOCKING_FACTOR = 10;
+
+/**
+ * Amount in cents
+ * @param {number} amount - Amount in currency units
+ * @returns {number} Cents
+ */
+const toCents = (amount) => Math.round(Number(amount) * 100);
+
+/**
+ * Format cents as a decimal amount (e.g., 123456 -> '1234.56')
+ * @param {number} cents - Cents
+ * @returns {string} Amount
+ */
+const formatCents = (cents) => `${Math.floor(cents / 100)}.${String(cents % 100).padStart(2, '0')}`;
+
+/**
+ * Strip spaces from an account number and upper-case it
+ * @param {string} value - Account number as entered in Odoo
+ * @returns {string} Compact account number
+ */
+const compactAccount = (value) =>
+  String(value || '')
+    .replace(/\s+/g, '')
+    .toUpperCase();
+
+/**
+ * Check an IBAN's format and mod-97 check digits (ISO 13616)
+ * @param {string} value - IBAN, spaces allowed
+ * @returns {boolean} True for a well-formed IBAN
+ */
+const isValidIban = (value) => {
+  const iban = compactAccount(value);
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(iban)) return false;
+
+  const digits = `${iban.slice(4)}${iban.slice(0, 4)}`.replace(/[A-Z]/g, (letter) =>
+    String(letter.charCodeAt(0) - 55)
+  );
+
+  // Reduce piecewise: the number is far too large for a double
+  return (
+    Array.from(digits).reduce((remainder, digit) => (remainder * 10 + Number(digit)) % 97, 0) === 1
+  );
+};
+
+/**
+ * Check an ABA routing number's check digit
+ * @param {string} value - Routing number
+ * @returns {boolean} True for a well-formed routing number
+ */
+const isValidRoutingNumber = (value) => {
+  const routing = String(value || '').trim();
+  if (!/^\d{9}$/.test(routing)) return false;
+
+  const weights = [3, 7, 1, 3, 7, 1, 3, 7, 1];
+  const sum = Array.from(routing).reduce(
+    (total, digit, index) => total + digit * weights[index],
+    0
+  );
+
+  return sum % 10 === 0;
+};
+
+/**
+ * Reason a transfer cannot go into a file of the given format
+ * @param {Object} payment - Transfer
+ * @param {string} format - sepa, nacha or csv
+ * @returns {string|null} Problem, or null when the transfer is fine
+ */
+const paymentProblem = (payment, format) => {
+  if (!payment.accountNumber) return 'no bank account number';
+  if (format === 'sepa' && !isValidIban(payment.accountNumber)) {
+    return `bank account ${payment.accountNumber} is not a valid IBAN`;
+  }
+  if (format === 'nacha') {
+    if (!isValidRoutingNumber(payment.routingNumber)) return 'no valid ABA routing number';
+    if (!/^[A-Za-z0-9-]{1,17}$/.test(payment.accountNumber)) {
+      return `bank account ${payment.accountNumber} does not fit a NACHA entry`;
+    }
+  }
+  if (payment.amountCents > MAX_AMOUNT_CENTS[format]) {
+    return `amount ${formatCents(payment.amountCents)} is too large for a ${format} file`;
+  }
+  return null;
+};
+
+/**
+ * Reduce text to the SEPA character set (Latin letters, digits and / - ? : ( ) . , ' +)
+ * @param {string} value - Text
+ * @param {number} maxLength - Maximum length
+ * @returns {string} Text safe for a SEPA field
+ */
+const sepaText = (value, maxLength) =>
+  String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^A-Za-z0-9/\-?:().,'+ ]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, maxLength);
+
+/**
+ * Escape XML character data
+ * @param {string} value - Text
+ * @returns {string} Escaped text
+ */
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+/**
+ * UTC timestamp to the second, as written in CreDtTm
+ * @param {Date} date - Instant
+ * @returns {string} Timestamp (e.g., 2026-03-31T17:05:00)
+ */
+const isoSeconds = (date) => date.toISOString().slice(0, 19);
+
+/**
+ * Financial institution of an account: its BIC, or NOTPROVIDED (allowed within SEPA)
+ * @param {string|null} bic - BIC
+ * @returns {string} FinInstnId element
+ */
+const institution = (bic) =>
+  bic
+    ? `<FinInstnId><BIC>${escapeXml(compactAccount(bic))}</BIC></FinInstnId>`
+    : '<FinInstnId><Othr><Id>NOTPROVIDED</Id></Othr></FinInstnId>';
+
+/**
+ * Render transfers as a SEPA credit transfer initiation (pain.001.001.03)
+ * SEPA credit transfers are always in EUR.
+ * @param {Array<Object>} payments - Transfers
+ * @param {Object} options - File options
+ * @param {string} options.messageId - Unique message ID (max 35 characters)
+ * @param {string} options.executionDate - Requested execution date ('YYYY-MM-DD')
+ * @param {Object} options.debtor - Paying account ({ name, iban, bic })
+ * @param {string} options.remittance - Unstructured remittance information
+ * @param {Date} options.now - Creation time
+ * @returns {string} XML document
+ */
+const buildSepa = (
+  payments,
+  { messageId, executionDate, debtor, remittance, now = new Date() }
+) => {
+  const total = formatCents(payments.reduce((sum, payment) => sum + payment.amountCents, 0));
+  const id = escapeXml(sepaText(messageId, 35));
+  const debtorName = escapeXml(sepaText(debtor.name, 70));
+
+  const transfers = payments.map((payment) => {
+    const endToEndId = sepaText(payment.number || `SLIP-${payment.payslipId}`, 35);
+    const creditor = sepaText(payment.holderName || payment.employeeName, 70);
+
+    return [
+      '      <CdtTrfTxInf>',
+      `        <PmtId><EndToEndId>${escapeXml(endToEndId)}</EndToEndId></PmtId>`,
+      `        <Amt><InstdAmt Ccy="EUR">${formatCents(payment.amountCents)}</InstdAmt></Amt>`,
+      `        <CdtrAgt>${institution(payment.bic)}</CdtrAgt>`,
+      `        <Cdtr><Nm>${escapeXml(creditor)}</Nm></Cdtr>`,
+      `        <CdtrAcct><Id><IBAN>${compactAccount(payment.accountNumber)}</IBAN></Id></CdtrAcct>`,
+      '        <Purp><Cd>SALA</Cd></Purp>',
+      `        <RmtInf><Ustrd>${escapeXml(sepaText(remittance, 140))}</Ustrd></RmtInf>`,
+      '      </CdtTrfTxInf>'
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<Document xmlns="urn:iso:std:iso:20022:tech:xsd:pain.001.001.03">',
+    '  <CstmrCdtTrfInitn>',
+    '    <GrpHdr>',
+    `      <MsgId>${id}</MsgId>`,
+    `      <CreDtTm>${isoSeconds(now)}</CreDtTm>`,
+    `      <NbOfTxs>${payments.length}</NbOfTxs>`,
+    `      <CtrlSum>${total}</CtrlSum>`,
+    `      <InitgPty><Nm>${debtorName}</Nm></InitgPty>`,
+    '    </GrpHdr>',
+    '    <PmtInf>',
+    `      <PmtInfId>${id}</PmtInfId>`,
+    '      <PmtMtd>TRF</PmtMtd>',
+    '      <BtchBookg>true</BtchBookg>',
+    `      <NbOfTxs>${payments.length}</NbOfTxs>`,
+    `      <CtrlSum>${total}</CtrlSum>`,
+    '      <PmtTpInf><SvcLvl><Cd>SEPA</Cd></SvcLvl><CtgyPurp><Cd>SALA</Cd></CtgyPurp></PmtTpInf>',
+    `      <ReqdExctnDt>${executionDate}</ReqdExctnDt>`,
+    `      <Dbtr><Nm>${debtorName}</Nm></Dbtr>`,
+    `      <DbtrAcct><Id><IBAN>${compactAccount(debtor.iban)}</IBAN></Id></DbtrAcct>`,
+    `      <DbtrAgt>${institution(debtor.bic)}</DbtrAgt>`,
+    '      <ChrgBr>SLEV</ChrgBr>',
+    ...transfers,
+    '    </PmtInf>',
+    '  </CstmrCdtTrfInitn>',
+    '</Document>',
+    ''
+  ].join('\n');
+};
+
+/**
+ * Left-justified, space-padded NACHA alphanumeric field
+ * @param {string} value - Text
+ * @param {number} length - Field length
+ * @returns {string} Field
+ */
+const alpha = (value, length) =>
+  String(value === null || value === undefined ? '' : value)
+    .normalize('NFD')
+    .replace(/[^\x20-\x7e]/g, '')
+    .toUpperCase()
+    .slice(0, length)
+    .padEnd(length, ' ');
+
+/**
+ * Right-justified, zero-padded NACHA numeric field
+ * @param {number|string} value - Number
+ * @param {number} length - Field length
+ * @returns {string} Field
+ */
+const numeric = (value, length) => String(value).padStart(length, '0').slice(-length);
+
+/**
+ * Date as YYMMDD
+ * @param {string} date - Date ('YYYY-MM-DD')
+ * @returns {string} NACHA date
+ */
+const yymmdd = (date) => date.slice(2, 10).replace(/-/g, '');
+
+/**
+ * Render transfers as a NACHA file holding one batch of PPD credits
+ * @param {Array<Object>} payments - Transfers
+ * @param {Object} options - File options
+ * @param {Object} options.origin - Originator ({ immediateDestination, immediateDestinationName,
+ *   immediateOrigin, immediateOriginName, companyName, companyId, originatingDfi,
+ *   entryDescription, transactionCode })
+ * @param {string} options.effectiveDate - Effective entry date ('YYYY-MM-DD')
+ * @param {string} options.referenceCode - File reference code (max 8 characters)
+ * @param {Date} options.now - Creation time
+ * @returns {string} NACHA file
+ */
+const buildNacha = (payments, { origin, effectiveDate, referenceCode = '', now = new Date() }) => {
+  const odfi = numeric(origin.originatingDfi, 8);
+  const total = payments.reduce((sum, payment) => sum + payment.amountCents, 0);
+  const routingOf = (payment) => String(payment.routingNumber).trim();
+  const hash = numeric(
+    payments.reduce((sum, payment) => sum + Number(routingOf(payment).slice(0, 8)), 0) % 1e10,
+    10
+  );
+  const created = now.toISOString();
+
+  const fileHeader = [
+    '101',
+    ` ${numeric(origin.immediateDestination, 9)}`,
+    alpha(origin.immediateOrigin, 10).trimEnd().padStart(10, ' '),
+    yymmdd(created.slice(0, 10)),
+    created.slice(11, 16).replace(':', ''),
+    'A094101',
+    alpha(origin.immediateDestinationName, 23),
+    alpha(origin.immediateOriginName, 23),
+    alpha(referenceCode, 8)
+  ].join('');
+
+  const batchHeader = [
+    '5220',
+    alpha(origin.companyName, 16),
+    alpha('', 20),
+    alpha(origin.companyId, 10),
+    'PPD',
+    alpha(origin.entryDescription, 10),
+    alpha('', 6),
+    yymmdd(effectiveDate),
+    alpha('', 3),
+    '1',
+    odfi,
+    numeric(1, 7)
+  ].join('');
+
+  const entries = payments.map((payment, index) =>
+    [
+      '6',
+      numeric(origin.transactionCode, 2),
+      routingOf(payment),
+      alpha(compactAccount(payment.accountNumber), 17),
+      numeric(payment.amountCents, 10),
+      alpha(payment.number || payment.employeeId, 15),
+      alpha(payment.holderName || payment.employeeName, 22),
+      alpha('', 2),
+      '0',
+      odfi,
+      numeric(index + 1, 7)
+    ].join('')
+  );
+
+  const batchControl = [
+    '8220',
+    numeric(entries.length, 6),
+    hash,
+    numeric(0, 12),
+    numeric(total, 12),
+    alpha(origin.companyId, 10),
+    alpha('', 19),
+    alpha('', 6),
+    odfi,
+    numeric(1, 7)
+  ].join('');
+
+  const recordCount = entries.length + 4;
+  const blockCount = Math.ceil(recordCount / NACHA_BLOCKING_FACTOR);
+
+  const fileControl = [
+    '9',
+    numeric(1, 6),
+    numeric(blockCount, 6),
+    numeric(entries.length, 8),
+    hash,
+    numeric(0, 12),
+    numeric(total, 12),
+    alpha('', 39)
+  ].join('');
+
+  // The last block is filled up with all-nines records
+  const filler = Array(blockCount * NACHA_BLOCKING_FACTOR - recordCount).fill(
+    '9'.repeat(NACHA_RECORD_LENGTH)
+  );
+
+  return `${[fileHeader, batchHeader, ...entries, batchControl, fileControl, ...filler].join('\n')}\n`;
+};
+
+/**
+ * Render transfers as CSV, one row per transfer
+ * @param {Array<Object>} payments - Transfers
+ * @param {Object} options - File options
+ * @param {string} options.currency - Currency code
+ * @param {string} options.remittance - Payment reference
+ * @returns {string} CSV document
+ */
+const buildCsv = (payments, { currency, remittance }) =>
+  [
+    toCsvRow([
+      'employeeId',
+      'employeeName',
+      'payslipNumber',
+      'accountHolder',
+      'accountNumber',
+      'bic',
+      'routingNumber',
+      'amount',
+      'currency',
+      'reference'
+    ]),
+    ...payments.map((payment) =>
+      toCsvRow([
+        payment.employeeId,
+        payment.employeeName,
+        payment.number,
+        payment.holderName || payment.employeeName,
+        compactAccount(payment.accountNumber),
+        payment.bic,
+        payment.routingNumber,
+        formatCents(payment.amountCents),
+        currency,
+        remittance
+      ])
+    )
+  ].join('');
+
+module.exports = {
+  PAYMENT_FORMATS,
+  MAX_NACHA_TOTAL_CENTS,
+  toCents,
+  formatCents,
+  isValidIban,
+  isValidRoutingNumber,
+  paymentProblem,
+  buildSepa,
+  buildNacha,
+  buildCsv
+};
@@ -0,0 +1,193 @@
+const BaseRepository = require('../../core/base/BaseRepository');
+const { OdooUserError, RepositoryError } = require('../../core/errors');
+
+// Contract states whose employees are paid for a period
+const PAYABLE_CONTRACT_STATES = ['open', 'close'];
+
+class PayrollRunsRepository extends BaseRepository {
+  constructor(odooClient, modelName, logger, models = {}) {
+    super(odooClient, modelName, logger);
+    this.models = {
+      payslip: 'hr.payslip',
+      contract: 'hr.contract',
+      line: 'hr.payslip.line',
+      employee: 'hr.employee',
+      bankAccount: 'res.partner.bank',
+      ...models
+    };
+  }
+
+  /**
+   * Find the contracts running during a period, newest first
+   * @param {Object} period - Period and filters
+   * @param {string} period.dateFrom - First day ('YYYY-MM-DD')
+   * @param {string} period.dateTo - Last day ('YYYY-MM-DD')
+   * @param {number} [period.departmentId] - Only contracts of this department
+   * @param {Array<number>} [period.employeeIds] - Only contracts of these employees
+   * @returns {Promise<Array>} Contracts ({ id, employee_id, date_start })
+   */
+  async findEligibleContracts({ dateFrom, dateTo, departmentId, employeeIds }) {
+    const filters = [
+      ['state', 'in', PAYABLE_CONTRACT_STATES],
+      ['date_start', '<=', dateTo],
+      '|',
+      ['date_end', '=', false],
+      ['date_end', '>=', dateFrom]
+    ];
+    if (departmentId) filters.push(['department_id', '=', departmentId]);
+    if (employeeIds) filters.push(['employee_id', 'in', employeeIds]);
+
+    try {
+      await this.odooClient.connect();
+
+      return await this.odooClient.execute_kw(this.models.contract, 'search_read', [filters], {
+        fields: ['id', 'employee_id', 'date_start'],
+        order: 'date_start desc, id desc'
+      });
+    } catch (error) {
+      this.logger.error(`[${this.modelName}] Failed to fetch ${this.models.contract}`, error);
+      throw new RepositoryError(
+        `Failed to fetch ${this.models.contract} records`,
+        error,
+        'findEligibleContracts'
+      );
+    }
+  }
+
+  /**
+   * Find the payslips of a run
+   * @param {number} runId - Run ID
+   * @param {Array<string>} fields - Fields to retrieve
+   * @returns {Promise<Array>} Payslips, in creation order
+   */
+  async findPayslips(runId, fields = []) {
+    try {
+      await this.odooClient.connect();
+
+      return await this.odooClient.execute_kw(
+        this.models.payslip,
+        'search_read',
+        [[['payslip_run_id', '=', runId]]],
+        { fields, order: 'id asc' }
+      );
+    } catch (error) {
+      this.logger.error(`[${this.modelName}] Failed to fetch ${this.models.payslip}`, error);
+      throw new RepositoryError(
+        `Failed to fetch ${this.models.payslip} records`,
+        error,
+        'findPayslips'
+      );
+    }
+  }
+
+  /**
+   * Create a payslip
+   * @param {Object} values - hr.payslip values
+   * @returns {Promise<number>} Payslip ID
+   */
+  async createPayslip(values) {
+    try {
+      await this.odooClient.connect();
+
+      return await this.odooClient.execute_kw(this.models.payslip, 'create', [values]);
+    } catch (error) {
+      this.logger.error(`[${this.modelName}] Failed to create ${this.models.payslip}`, error);
+      if (error instanceof OdooUserError) throw error;
+      throw new RepositoryError(
+        `Failed to create ${this.models.payslip} record`,
+        error,
+        'createPayslip'
+      );
+    }
+  }
+
+  /**
+   * Find the salary rule lines of payslips with a given code
+   * @param {Array<number>} payslipIds - Payslip IDs
+   * @param {string} code - Salary rule code (e.g., 'NET')
+   * @returns {Promise<Array>} Lines ({ id, slip_id, total })
+   */
+  async findLinesByCode(payslipIds, code) {
+    return this._searchRead(
+      this.models.line,
+      [
+        ['slip_id', 'in', payslipIds],
+        ['code', '=', code]
+      ],
+      ['id', 'slip_id', 'total'],
+      'findLinesByCode'
+    );
+  }
+
+  /**
+   * Find employees by ID
+   * @param {Array<number>} ids - Employee IDs
+   * @param {Array<string>} fields - Fields to retrieve
+   * @returns {Promise<Array>} Employees
+   */
+  async findEmployees(ids, fields = []) {
+    return this._searchRead(this.models.employee, [['id', 'in', ids]], fields, 'findEmployees');
+  }
+
+  /**
+   * Find bank accounts by ID
+   * @param {Array<number>} ids - res.partner.bank IDs
+   * @param {Array<string>} fields - Fields to retrieve
+   * @returns {Promise<Array>} Bank accounts
+   */
+  async findBankAccounts(ids, fields = []) {
+    return this._searchRead(
+      this.models.bankAccount,
+      [['id', 'in', ids]],
+      fields,
+      'findBankAccounts'
+    );
+  }
+
+  /**
+   * Call a public method of the payslip model
+   * @param {Array<number>} ids - Payslip IDs
+   * @param {string} method - Method name (e.g., 'compute_sheet')
+   * @returns {Promise<*>} Method result
+   */
+  async callPayslipMethod(ids, method) {
+    try {
+      await this.odooClient.connect();
+
+      return await this.odooClient.execute_kw(this.models.payslip, method, [ids]);
+    } catch (error) {
+      this.logger.error(
+        `[${this.modelName}] Failed to call ${this.models.payslip}.${method}`,
+        error
+      );
+      if (error instanceof OdooUserError) throw error;
+      throw new RepositoryError(
+        `Failed to call ${this.models.payslip}.${method}`,
+        error,
+        'callPayslipMethod'
+      );
+    }
+  }
+
+  /**
+   * search_read on a related model
+   * @private
+   * @param {string} model - Model name
+   * @param {Array} filters - Odoo domain
+   * @param {Array<string>} fields - Fields to retrieve
+   * @param {string} operation - Repository method, reported on failure
+   * @returns {Promise<Array>} Records
+   */
+  async _searchRead(model, filters, fields, operation) {
+    try {
+      await this.odooClient.connect();
+
+      return await this.odooClient.execute_kw(model, 'search_read', [filters], { fields });
+    } catch (error) {
+      this.logger.error(`[${this.modelName}] Failed to fetch ${model}`, error);
+      throw new RepositoryError(`Failed to fetch ${model} records`, error, operation);
+    }
+  }
+}
+
+module.exports = PayrollRunsRepository;
@@ -0,0 +1,316 @@
+const express = require('express');
+const { authorize } = require('../../middleware/auth.middleware');
+
+function createPayrollRunsRoutes(controller) {
+  const router = express.Router();
+
+  // Runs span every employee, so they are reserved to callers who see all payslips
+  router.use(authorize('payroll:all'));
+
+  /**
+   * @swagger
+   * tags:
+   *   - name: PayrollRuns
+   *     description: Batch payroll runs (payslip batches)
+   */
+
+  /**
+   * @swagger
+   * /payroll/runs:
+   *   get:
+   *     summary: List payroll runs
+   *     tags: [PayrollRuns]
+   *     parameters:
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: state
+   *         schema:
+   *           type: string
+   *         description: Filter by state
+   *       - $ref: '#/components/parameters/Sort'
+   *       - $ref: '#/components/parameters/Fields'
+   *     responses:
+   *       200:
+   *         description: Payroll run list
+   *       403:
+   *         description: Requires the `payroll:all` and `payroll:read` permissions
+   */
+  router.get('/', authorize('payroll:read'), controller.getAll);
+
+  /**
+   * @swagger
+   * /payroll/runs/export:
+   *   get:
+   *     summary: Export payroll runs
+   *     description: Streams every matching record; accepts the same filters as the list route
+   *     tags: [PayrollRuns]
+   *     parameters:
+   *       - $ref: '#/components/parameters/ExportFormat'
+   *       - $ref: '#/components/parameters/Sort'
+   *       - $ref: '#/components/parameters/Fields'
+   *     responses:
+   *       200:
+   *         description: Export file
+   *       400:
+   *         description: Unsupported format or invalid filter
+   *       403:
+   *         description: Requires the `payroll:all` and `payroll:read` permissions
+   */
+  router.get('/export', authorize('payroll:read'), controller.exportAll);
+
+  /**
+   * @swagger
+   * /payroll/runs/{id}:
+   *   get:
+   *     summary: Get payroll run by ID
+   *     tags: [PayrollRuns]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - $ref: '#/components/parameters/Fields'
+   *     responses:
+   *       200:
+   *         description: Payroll run details
+   *       404:
+   *         description: Payroll run not found
+   *       403:
+   *         description: Requires the `payroll:all` and `payroll:read` permissions
+   */
+  router.get('/:id', authorize('payroll:read'), controller.getById);
+
+  /**
+   * @swagger
+   * /payroll/runs/{id}/payslips:
+   *   get:
+   *     summary: Status of each employee in a run
+   *     description: >
+   *       One row per employee with their payslip number and state, and the error of the
+   *       latest step when it failed for them. Employees whose payslip could not be generated
+   *       are listed without a payslip.
+   *     tags: [PayrollRuns]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Per-employee status, with counts per payslip state
+   *       404:
+   *         description: Payroll run not found
+   *       403:
+   *         description: Requires the `payroll:all` and `payroll:read` permissions
+   */
+  router.get('/:id/payslips', authorize('payroll:read'), controller.getPayslips);
+
+  /**
+   * @swagger
+   * /payroll/runs/{id}/progress:
+   *   get:
+   *     summary: Progress of the run's latest step
+   *     description: >
+   *       Status (running, done or failed), total, processed, succeeded and failed payslips
+   *       and per-employee errors. Progress is kept in memory: after a restart the status is
+   *       `idle`.
+   *     tags: [PayrollRuns]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Step progress
+   *       404:
+   *         description: Payroll run not found
+   *       403:
+   *         description: Requires the `payroll:all` and `payroll:read` permissions
+   */
+  router.get('/:id/progress', authorize('payroll:read'), controller.getProgress);
+
+  /**
+   * @swagger
+   * /payroll/runs/{id}/payment-file:
+   *   get:
+   *     summary: Bank transfer file of the run's confirmed payslips
+   *     description: >
+   *       Pays each confirmed payslip's NET amount to the employee's bank account, as a SEPA
+   *       credit transfer (pain.001.001.03), a NACHA file of PPD credits or a generic CSV.
+   *       Nothing is generated when a payslip lacks a net amount or usable bank details.
+   *       The headers X-Payment-Count and X-Payment-Total carry the number and sum of transfers.
+   *     tags: [PayrollRuns]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: format
+   *         schema:
+   *           type: string
+   *           enum: [sepa, nacha, csv]
+   *           default: sepa
+   *       - in: query
+   *         name: date
+   *         schema:
+   *           type: string
+   *           format: date
+   *         description: Requested execution (effective entry) date, today by default
+   *     responses:
+   *       200:
+   *         description: Payment file
+   *       400:
+   *         description: >
+   *           Unsupported format, paying account for the format not configured, SEPA with a
+   *           currency other than EUR, no confirmed payslips, or payslips with a missing net
+   *           amount or bank details (listed in `errors`)
+   *       404:
+   *         description: Payroll run not found
+   *       403:
+   *         description: Requires the `payroll:all` and `payroll:read` permissions
+   */
+  router.get('/:id/payment-file', authorize('payroll:read'), controller.getPaymentFile);
+
+  /**
+   * @swagger
+   * /payroll/runs:
+   *   post:
+   *     summary: Create a payroll run
+   *     description: With a `departmentId` the payslips of its employees are generated right away
+   *     tags: [PayrollRuns]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [dateFrom, dateTo]
+   *             properties:
+   *               name:
+   *                 type: string
+   *               dateFrom:
+   *                 type: string
+   *                 format: date
+   *               dateTo:
+   *                 type: string
+   *                 format: date
+   *               departmentId:
+   *                 type: integer
+   *     responses:
+   *       201:
+   *         description: Created run, with the generate step's progress when it started
+   *       400:
+   *         description: Invalid payload
+   *       403:
+   *         description: Requires the `payroll:all` and `payroll:create` permissions
+   */
+  router.post('/', authorize('payroll:create'), controller.create);
+
+  /**
+   * @swagger
+   * /payroll/runs/{id}/generate:
+   *   post:
+   *     summary: Generate the run's payslips
+   *     description: >
+   *       Creates a payslip for each employee with a contract running during the period who
+   *       has none in the run yet. Runs in the background; poll the progress route.
+   *     tags: [PayrollRuns]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               departmentId:
+   *                 type: integer
+   *               employeeIds:
+   *                 type: array
+   *                 items:
+   *                   type: integer
+   *     responses:
+   *       202:
+   *         description: Step started
+   *       404:
+   *         description: Payroll run not found
+   *       409:
+   *         description: Another step of the run is still running
+   *       403:
+   *         description: Requires the `payroll:all` and `payroll:update` permissions
+   */
+  router.post('/:id/generate', authorize('payroll:update'), controller.generate);
+
+  /**
+   * @swagger
+   * /payroll/runs/{id}/compute:
+   *   post:
+   *     summary: Compute the run's draft payslips (compute_sheet)
+   *     description: Runs in the background; poll the progress route
+   *     tags: [PayrollRuns]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       202:
+   *         description: Step started
+   *       404:
+   *         description: Payroll run not found
+   *       409:
+   *         description: Another step of the run is still running
+   *       403:
+   *         description: Requires the `payroll:all` and `payroll:update` permissions
+   */
+  router.post('/:id/compute', authorize('payroll:update'), controller.compute);
+
+  /**
+   * @swagger
+   * /payroll/runs/{id}/confirm:
+   *   post:
+   *     summary: Confirm the run's payslips and close it
+   *     description: >
+   *       Confirms every draft or waiting payslip (action_payslip_done), then closes the run
+   *       when none failed. Runs in the background; poll the progress route.
+   *     tags: [PayrollRuns]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       202:
+   *         description: Step started
+   *       404:
+   *         description: Payroll run not found
+   *       409:
+   *         description: Another step of the run is still running
+   *       403:
+   *         description: Requires the `payroll:all` and `payroll:update` permissions
+   */
+  router.post('/:id/confirm', authorize('payroll:update'), controller.confirm);
+
+  return router;
+}
+
+module.exports = createPayrollRunsRoutes;
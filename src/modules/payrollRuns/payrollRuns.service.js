@@ -0,0 +1,578 @@
+const OdooModelService = require('../common/odooModel.service');
+const { ConflictError, ServiceError, ValidationError } = require('../../core/errors');
+const {
+  PAYMENT_FORMATS,
+  MAX_NACHA_TOTAL_CENTS,
+  toCents,
+  formatCents,
+  isValidIban,
+  paymentProblem,
+  buildSepa,
+  buildNacha,
+  buildCsv
+} = require('./payrollRuns.payment');
+
+// hr.payslip methods run on each payslip of the batch, and the hr.payslip.run method
+// closing it once every payslip is confirmed
+const DEFAULT_PAYSLIP_ACTIONS = {
+  compute: 'compute_sheet',
+  confirm: 'action_payslip_done'
+};
+const DEFAULT_RUN_ACTIONS = {
+  close: 'action_close'
+};
+
+// Payslip states each step works on; the others are skipped
+const STEP_STATES = {
+  compute: ['draft'],
+  confirm: ['draft', 'verify']
+};
+
+const STEPS = ['generate', 'compute', 'confirm'];
+
+const DEFAULT_PAYSLIP_FIELDS = ['id', 'number', 'employee_id', 'state'];
+
+// Payslip states paid by a payment file, and the salary rule holding the amount to transfer
+const PAID_STATES = ['done', 'paid'];
+const DEFAULT_NET_CODE = 'NET';
+
+// Originator settings each payment file format cannot do without
+const REQUIRED_ORIGIN = {
+  sepa: ['debtor.name', 'debtor.iban'],
+  nacha: [
+    'nacha.immediateDestination',
+    'nacha.immediateOrigin',
+    'nacha.companyName',
+    'nacha.companyId',
+    'nacha.originatingDfi'
+  ],
+  csv: []
+};
+
+/**
+ * Payroll Runs Service
+ * Batch steps go through the payslips one by one in the background. Their progress is kept
+ * in memory per run, so it is lost on restart and not shared between instances; the payslips
+ * themselves stay in Odoo and a step can simply be started again.
+ */
+class PayrollRunsService extends OdooModelService {
+  constructor(repository, options = {}) {
+    super(repository, options);
+    this.payslipActions = { ...DEFAULT_PAYSLIP_ACTIONS, ...options.payslipActions };
+    this.runActions = { ...DEFAULT_RUN_ACTIONS, ...options.runActions };
+    this.payslipFields = options.payslipFields || DEFAULT_PAYSLIP_FIELDS;
+    this.netCode = options.netCode || DEFAULT_NET_CODE;
+    // Paying account and file settings ({ currency, debtor, nacha }), see config.payrollPayment
+    this.payment = options.payment || {};
+    // Run ID to the progress of its latest step, and to the promise of a running step
+    this.jobs = new Map();
+    this.tasks = new Map();
+  }
+
+  /**
+   * Create a run
+   * With a departmentId the generate step starts right away; its progress is returned as
+   * the run's progress
+   * @param {Object} data - Run data ({ name, dateFrom, dateTo, departmentId })
+   * @param {Object} options - Write options, as accepted by BaseService.create
+   * @returns {Promise<Object>} Created run
+   */
+  async create(data, options = {}) {
+    const run = await super.create(data, options);
+
+    if (!data.departmentId) return run;
+
+    const progress = await this.startStep(run.id, 'generate', {
+      departmentId: data.departmentId
+    });
+
+    return { ...run, progress };
+  }
+
+  /**
+   * Start a batch step in the background
+   * generate creates a payslip for every employee with a contract running during the period
+   * who has none in the run yet; compute and confirm run the payslip workflow on each
+   * payslip still waiting for it. Confirm closes the run once every payslip went through.
+   * @param {number} runId - Run ID
+   * @param {string} step - generate, compute or confirm
+   * @param {Object} params - Generate options ({ departmentId, employeeIds })
+   * @returns {Promise<Object>} Progress of the started step
+   */
+  async startStep(runId, step, params = {}) {
+    try {
+      this._validateId(runId);
+
+      if (!STEPS.includes(step)) {
+        throw new ValidationError(`Unknown payroll run step '${step}'`, {
+          step: `Expected one of: ${STEPS.join(', ')}`
+        });
+      }
+
+      let options = {};
+      if (step === 'generate' && this.validator) {
+        const validation = this.validator.validateGenerate(params);
+        if (!validation.isValid) {
+          throw new ValidationError(validation.errors, validation.fields);
+        }
+        options = validation.value;
+      }
+
+      // Existence check, and the period of the payslips to generate
+      const run = await this.getById(runId);
+
+      // Checked after the last await so two requests cannot both start a step
+      if (this.tasks.has(runId)) {
+        const { step: running } = this.jobs.get(runId);
+        throw new ConflictError(
+          `Payroll run ${runId} is already running its ${running} step`,
+          this.repository.modelName,
+          runId
+        );
+      }
+
+      const progress = {
+        runId,
+        step,
+        status: 'running',
+        total: null,
+        processed: 0,
+        succeeded: 0,
+        failed: 0,
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        errors: []
+      };
+      this.jobs.set(runId, progress);
+
+      this.logger.info(`Starting ${step} step of payroll run ${runId}`, options);
+
+      const task = this._runStep(run, step, options, progress)
+        .then(() => {
+          progress.status = 'done';
+        })
+        .catch((error) => {
+          this.logger.error(`The ${step} step of payroll run ${runId} failed`, error);
+          progress.status = 'failed';
+          progress.errors.push({ employeeId: null, payslipId: null, error: error.message });
+        })
+        .then(async () => {
+          progress.finishedAt = new Date().toISOString();
+          this.tasks.delete(runId);
+          await this._invalidateCache().catch(() => {});
+        });
+      this.tasks.set(runId, task);
+
+      return this._snapshot(progress);
+    } catch (error) {
+      this.logger.error(`Failed to start ${step} step of payroll run ${runId}`, error);
+      if (error.isOperational) throw error;
+      throw new ServiceError(`Failed to start ${step} step of payroll run ${runId}`, error);
+    }
+  }
+
+  /**
+   * Progress of a run's latest step
+   * @param {number} runId - Run ID
+   * @returns {Promise<Object>} Progress, with status 'idle' when no step ran since startup
+   */
+  async getProgress(runId) {
+    try {
+      this._validateId(runId);
+
+      const progress = this.jobs.get(runId);
+      if (progress) return this._snapshot(progress);
+
+      await this.getById(runId);
+
+      return { runId, step: null, status: 'idle' };
+    } catch (error) {
+      this.logger.error(`Failed to get progress of payroll run ${runId}`, error);
+      if (error.isOperational) throw error;
+      throw new ServiceError(`Failed to get progress of payroll run ${runId}`, error);
+    }
+  }
+
+  /**
+   * Status of each employee in a run
+   * Employees whose payslip could not be created appear without a payslip; errors of the
+   * latest step are attached to their employee
+   * @param {number} runId - Run ID
+   * @returns {Promise<Object>} { data, summary }
+   */
+  async getPayslips(runId) {
+    try {
+      this._validateId(runId);
+
+      await this.getById(runId);
+
+      const payslips = await this.repository.findPayslips(runId, this.payslipFields);
+      const progress = this.jobs.get(runId);
+      const errors = progress ? progress.errors.filter((entry) => entry.employeeId) : [];
+      const errorOf = (employeeId) => {
+        const entry = errors.find((item) => item.employeeId === employeeId);
+        return entry ? entry.error : null;
+      };
+
+      const data = payslips.map((payslip) => {
+        const [employeeId, employeeName] = payslip.employee_id || [null, null];
+
+        return {
+          employeeId,
+          employeeName,
+          payslipId: payslip.id,
+          number: payslip.number || null,
+          state: payslip.state,
+          error: errorOf(employeeId)
+        };
+      });
+
+      errors
+        .filter((entry) => !entry.payslipId)
+        .filter((entry) => !data.some((row) => row.employeeId === entry.employeeId))
+        .forEach((entry) => {
+          data.push({
+            employeeId: entry.employeeId,
+            employeeName: entry.employeeName || null,
+            payslipId: null,
+            number: null,
+            state: null,
+            error: entry.error
+          });
+        });
+
+      const states = data.reduce((counts, row) => {
+        const state = row.state || 'missing';
+        counts[state] = (counts[state] || 0) + 1;
+        return counts;
+      }, {});
+
+      return {
+        data,
+        summary: {
+          runId,
+          employees: data.length,
+          states,
+          errors: data.filter((row) => row.error).length
+        }
+      };
+    } catch (error) {
+      this.logger.error(`Failed to get payslips of payroll run ${runId}`, error);
+      if (error.isOperational) throw error;
+      throw new ServiceError(`Failed to fetch payslips of payroll run ${runId}`, error);
+    }
+  }
+
+  /**
+   * Bank transfer file paying the net salary of a run's confirmed payslips
+   * Every transfer is checked first: a missing net amount or bank account, an account the
+   * format cannot carry or a total over the format's limits rejects the whole file.
+   * Payslips that are not confirmed are left out.
+   * @param {number} runId - Run ID
+   * @param {Object} options - File options
+   * @param {string} options.format - sepa, nacha or csv
+   * @param {string} options.date - Execution date ('YYYY-MM-DD'), today by default
+   * @param {Date} options.now - Creation time
+   * @returns {Promise<Object>} { content, contentType, filename, count, total, skipped }
+   */
+  async getPaymentFile(runId, options = {}) {
+    const format = String(options.format || 'sepa').toLowerCase();
+    const now = options.now || new Date();
+    const date = options.date || now.toISOString().slice(0, 10);
+
+    try {
+      this._validateId(runId);
+
+      if (!Object.prototype.hasOwnProperty.call(PAYMENT_FORMATS, format)) {
+        throw new ValidationError(`Unsupported payment file format '${format}'`, {
+          format: `Supported formats: ${Object.keys(PAYMENT_FORMATS).join(', ')}`
+        });
+      }
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        throw new ValidationError('Execution date must be a date (YYYY-MM-DD)', {
+          date: 'Expected YYYY-MM-DD'
+        });
+      }
+
+      const currency = this.payment.currency || 'EUR';
+      if (format === 'sepa' && currency.toUpperCase() !== 'EUR') {
+        throw new ValidationError(`SEPA credit transfers are in EUR, not ${currency}`, {
+          format: 'Use the nacha or csv format for payments in other currencies'
+        });
+      }
+
+      const missing = REQUIRED_ORIGIN[format].filter((path) => {
+        const [group, key] = path.split('.');
+        return !(this.payment[group] && this.payment[group][key]);
+      });
+      const fields = Object.fromEntries(missing.map((path) => [path, 'Not configured']));
+      if (format === 'sepa' && missing.length === 0 && !isValidIban(this.payment.debtor.iban)) {
+        fields['debtor.iban'] = 'Not a valid IBAN';
+      }
+      if (Object.keys(fields).length > 0) {
+        const problem =
+          missing.length > 0 ? `missing ${missing.join(', ')}` : 'invalid debtor IBAN';
+        throw new ValidationError(
+          `Payment files in ${format} format need the paying account to be configured (${problem})`,
+          fields
+        );
+      }
+
+      const run = await this.getById(runId);
+      const { payments, skipped } = await this._collectPayments(runId, format);
+      const total = payments.reduce((sum, payment) => sum + payment.amountCents, 0);
+
+      if (format === 'nacha' && total > MAX_NACHA_TOTAL_CENTS) {
+        throw new ValidationError(`Total ${formatCents(total)} is too large for a nacha file`, {
+          total: 'Split the run into smaller batches'
+        });
+      }
+
+      this.logger.info(`Generating ${format} payment file of payroll run ${runId}`, {
+        payments: payments.length,
+        total: formatCents(total),
+        skipped
+      });
+
+      const remittance = run.name || `Payroll run ${runId}`;
+      let content;
+      if (format === 'sepa') {
+        content = buildSepa(payments, {
+          messageId: `PAYRUN-${runId}-${now.toISOString().replace(/\D/g, '').slice(0, 14)}`,
+          executionDate: date,
+          debtor: this.payment.debtor,
+          remittance,
+          now
+        });
+      } else if (format === 'nacha') {
+        content = buildNacha(payments, {
+          origin: this.payment.nacha,
+          effectiveDate: date,
+          referenceCode: `RUN${runId}`,
+          now
+        });
+      } else {
+        content = buildCsv(payments, { currency, remittance });
+      }
+
+      return {
+        content,
+        contentType: PAYMENT_FORMATS[format].contentType,
+        filename: `payroll-run-${runId}-${date}.${PAYMENT_FORMATS[format].extension}`,
+        count: payments.length,
+        total: formatCents(total),
+        skipped
+      };
+    } catch (error) {
+      this.logger.error(`Failed to generate payment file of payroll run ${runId}`, error);
+      if (error.isOperational) throw error;
+      throw new ServiceError(`Failed to generate payment file of payroll run ${runId}`, error);
+    }
+  }
+
+  /**
+   * Work through one step, updating its progress after every payslip
+   * A payslip Odoo refuses is recorded in progress.errors and the step moves on
+   * @private
+   * @param {Object} run - Run DTO
+   * @param {string} step - generate, compute or confirm
+   * @param {Object} options - Generate options ({ departmentId, employeeIds })
+   * @param {Object} progress - Progress to update
+   * @returns {Promise<void>}
+   */
+  async _runStep(run, step, options, progress) {
+    const items =
+      step === 'generate'
+        ? await this._payslipsToGenerate(run, options)
+        : (await this.repository.findPayslips(run.id, this.payslipFields)).filter((payslip) =>
+            STEP_STATES[step].includes(payslip.state)
+          );
+
+    progress.total = items.length;
+
+    for (const item of items) {
+      const [employeeId, employeeName] = item.employee_id || [null, null];
+
+      try {
+        if (step === 'generate') {
+          await this.repository.createPayslip({
+            employee_id: employeeId,
+            contract_id: item.contract_id,
+            payslip_run_id: run.id,
+            date_from: run.dateFrom,
+            date_to: run.dateTo
+          });
+        } else {
+          await this.repository.callPayslipMethod([item.id], this.payslipActions[step]);
+        }
+        progress.succeeded += 1;
+      } catch (error) {
+        this.logger.warn(`Payroll run ${run.id}: ${step} failed for employee ${employeeId}`, {
+          payslipId: item.id || null,
+          error: error.message
+        });
+        progress.failed += 1;
+        progress.errors.push({
+          employeeId,
+          employeeName,
+          payslipId: step === 'generate' ? null : item.id,
+          error: error.message
+        });
+      }
+      progress.processed += 1;
+    }
+
+    if (step === 'confirm' && progress.failed === 0) {
+      try {
+        await this.repository.callMethod([run.id], this.runActions.close);
+      } catch (error) {
+        // Some payroll versions have no close method; the payslips are confirmed either way
+        this.logger.warn(`Payroll run ${run.id} could not be closed`, { error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Employees to create a payslip for, each with their newest running contract
+   * @private
+   * @param {Object} run - Run DTO
+   * @param {Object} options - Generate options ({ departmentId, employeeIds })
+   * @returns {Promise<Array>} Items ({ employee_id, contract_id })
+   */
+  async _payslipsToGenerate(run, options) {
+    const [contracts, existing] = await Promise.all([
+      this.repository.findEligibleContracts({
+        dateFrom: run.dateFrom,
+        dateTo: run.dateTo,
+        departmentId: options.departmentId,
+        employeeIds: options.employeeIds
+      }),
+      this.repository.findPayslips(run.id, ['employee_id'])
+    ]);
+
+    const covered = new Set(
+      existing.filter((payslip) => payslip.employee_id).map((payslip) => payslip.employee_id[0])
+    );
+
+    // Contracts come newest first, so the first one seen for an employee wins
+    return contracts.reduce((items, contract) => {
+      const employeeId = contract.employee_id && contract.employee_id[0];
+      if (!employeeId || covered.has(employeeId)) return items;
+
+      covered.add(employeeId);
+      items.push({ employee_id: contract.employee_id, contract_id: contract.id });
+      return items;
+    }, []);
+  }
+
+  /**
+   * Transfers of a run's confirmed payslips, with their net amount and bank details
+   * @private
+   * @param {number} runId - Run ID
+   * @param {string} format - sepa, nacha or csv
+   * @returns {Promise<Object>} { payments, skipped }
+   * @throws {ValidationError} When no payslip is confirmed or any transfer has a problem
+   */
+  async _collectPayments(runId, format) {
+    const payslips = await this.repository.findPayslips(runId, [
+      'id',
+      'number',
+      'employee_id',
+      'state'
+    ]);
+    const confirmed = payslips.filter((payslip) => PAID_STATES.includes(payslip.state));
+
+    if (confirmed.length === 0) {
+      throw new ValidationError(`Payroll run ${runId} has no confirmed payslips`, {
+        payslips: 'Confirm the run before generating a payment file'
+      });
+    }
+
+    const employeeIds = Array.from(
+      new Set(confirmed.filter((slip) => slip.employee_id).map((slip) => slip.employee_id[0]))
+    );
+    const [lines, employees] = await Promise.all([
+      this.repository.findLinesByCode(
+        confirmed.map((slip) => slip.id),
+        this.netCode
+      ),
+      this.repository.findEmployees(employeeIds, ['id', 'name', 'bank_account_id'])
+    ]);
+
+    const accountIds = employees
+      .filter((employee) => employee.bank_account_id)
+      .map((employee) => employee.bank_account_id[0]);
+    // Routing numbers live in a localization field (l10n_us: aba_routing)
+    const routingField =
+      format === 'nacha' ? this.payment.nacha.routingField || 'aba_routing' : null;
+    const accountFields = ['id', 'acc_number', 'acc_holder_name', 'bank_bic'];
+    if (routingField) accountFields.push(routingField);
+    const accounts =
+      accountIds.length > 0
+        ? await this.repository.findBankAccounts(accountIds, accountFields)
+        : [];
+
+    const nets = lines.reduce((result, line) => {
+      const slipId = line.slip_id[0];
+      result.set(slipId, (result.get(slipId) || 0) + line.total);
+      return result;
+    }, new Map());
+
+    const problems = [];
+    const payments = confirmed.map((slip) => {
+      const [employeeId, employeeName] = slip.employee_id || [null, null];
+      const employee = employees.find((item) => item.id === employeeId) || {};
+      const accountId = employee.bank_account_id ? employee.bank_account_id[0] : null;
+      const account = accounts.find((item) => item.id === accountId) || {};
+      const net = nets.get(slip.id);
+      const label = `${employeeName || 'Unknown employee'} (payslip ${slip.number || slip.id})`;
+
+      const payment = {
+        payslipId: slip.id,
+        number: slip.number || null,
+        employeeId,
+        employeeName,
+        holderName: account.acc_holder_name || null,
+        accountNumber: account.acc_number || null,
+        bic: account.bank_bic || null,
+        routingNumber: routingField ? account[routingField] || null : null,
+        amountCents: net === undefined ? 0 : toCents(net)
+      };
+
+      if (net === undefined) {
+        problems.push(`${label}: no ${this.netCode} salary rule line`);
+      } else if (payment.amountCents <= 0) {
+        problems.push(`${label}: net amount ${net} is not positive`);
+      } else if (Math.abs(net * 100 - payment.amountCents) > 1e-6) {
+        problems.push(`${label}: net amount ${net} has more than two decimals`);
+      } else if (!accountId) {
+        problems.push(`${label}: no bank account`);
+      } else {
+        const problem = paymentProblem(payment, format);
+        if (problem) problems.push(`${label}: ${problem}`);
+      }
+
+      return payment;
+    });
+
+    if (problems.length > 0) {
+      throw new ValidationError(problems, {
+        payments: `${problems.length} of ${confirmed.length} confirmed payslips cannot be paid`
+      });
+    }
+
+    return { payments, skipped: payslips.length - confirmed.length };
+  }
+
+  /**
+   * Copy of a progress record, safe to serialize while the step keeps running
+   * @private
+   * @param {Object} progress - Progress
+   * @returns {Object} Snapshot
+   */
+  _snapshot(progress) {
+    return { ...progress, errors: progress.errors.map((entry) => ({ ...entry })) };
+  }
+}
+
+module.exports = PayrollRunsService;
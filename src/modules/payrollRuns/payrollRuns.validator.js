@@ -0,0 +1,98 @@
+const Joi = require('joi');
+
+/**
+ * Payroll Runs Validator
+ * Validates payslip run payloads before they reach Odoo
+ */
+class PayrollRunsValidator {
+  constructor() {
+    // Schema for creating a run; a department also generates its payslips right away
+    this.createSchema = Joi.object({
+      name: Joi.string().trim().max(255).optional(),
+
+      dateFrom: Joi.string().isoDate().required().messages({
+        'string.isoDate': 'Start date must be a date (YYYY-MM-DD)',
+        'any.required': 'Start date is required'
+      }),
+
+      dateTo: Joi.string().isoDate().required().messages({
+        'string.isoDate': 'End date must be a date (YYYY-MM-DD)',
+        'any.required': 'End date is required'
+      }),
+
+      departmentId: Joi.number().integer().positive().optional().messages({
+        'number.base': 'Department ID must be a number'
+      })
+    });
+
+    // Schema for the payslip generation step
+    this.generateSchema = Joi.object({
+      departmentId: Joi.number().integer().positive().optional().messages({
+        'number.base': 'Department ID must be a number'
+      }),
+
+      employeeIds: Joi.array().items(Joi.number().integer().positive()).min(1).optional().messages({
+        'array.min': 'Employee IDs must not be empty'
+      })
+    });
+  }
+
+  /**
+   * Validate run data for creation
+   * @param {Object} data - Run data
+   * @returns {Object} Validation result
+   */
+  validate(data) {
+    return this._validate(this.createSchema, data);
+  }
+
+  /**
+   * Runs are not updated through the API
+   * @param {Object} data - Run data
+   * @returns {Object} Validation result
+   */
+  validateUpdate(data) {
+    return this._validate(Joi.object({}).forbidden(), data);
+  }
+
+  /**
+   * Validate the options of the payslip generation step
+   * @param {Object} data - Generation options
+   * @returns {Object} Validation result
+   */
+  validateGenerate(data) {
+    return this._validate(this.generateSchema, data);
+  }
+
+  /**
+   * Validate data against a schema
+   * @private
+   * @param {Joi.Schema} schema - Joi schema
+   * @param {Object} data - Data to validate
+   * @returns {Object} Validation result ({ isValid, errors, fields } or { isValid, value })
+   */
+  _validate(schema, data) {
+    const { error, value } = schema.validate(data, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      return {
+        isValid: false,
+        errors: error.details.map((detail) => detail.message),
+        fields: error.details.reduce((acc, detail) => {
+          acc[detail.path[0]] = detail.message;
+          return acc;
+        }, {})
+      };
+    }
+
+    return {
+      isValid: true,
+      value
+    };
+  }
+}
+
+module.exports = PayrollRunsValidator;
@@ -1,6 +1,19 @@
 const { unpackRelational } = require('../common/relational.helper');
 
 class RecruitmentAdapter {
+  constructor() {
+    // DTO keys produced by each Odoo field, used to answer ?fields= requests
+    this.fieldMap = {
+      name: ['name'],
+      partner_name: ['applicantName'],
+      email_from: ['email'],
+      job_id: ['jobId', 'jobTitle'],
+      department_id: ['departmentId', 'departmentName'],
+      stage_id: ['stageId', 'stageName'],
+      create_date: ['createdAt']
+    };
+  }
+
   toDTO(record) {
     if (!record) return null;
 
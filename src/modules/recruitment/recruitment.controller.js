@@ -1,5 +1,5 @@
-const BaseController = require('../../core/base/BaseController');
+const OdooModelController = require('../common/odooModel.controller');
 
-class RecruitmentController extends BaseController {}
+class RecruitmentController extends OdooModelController {}
 
 module.exports = RecruitmentController;
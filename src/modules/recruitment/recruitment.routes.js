@@ -1,4 +1,5 @@
 const express = require('express');
+const { authorize } = require('../../middleware/auth.middleware');
 
 function createRecruitmentRoutes(controller) {
   const router = express.Router();
@@ -15,6 +16,7 @@ function createRecruitmentRoutes(controller) {
    * /recruitment:
    *   get:
    *     summary: List applicants
+   *     description: Filters support operators, e.g. `partner_name[ilike]=smith` or `stage_id[in]=1,2`
    *     tags: [Recruitment]
    *     parameters:
    *       - in: query
@@ -37,11 +39,36 @@ function createRecruitmentRoutes(controller) {
    *         name: stage_id
    *         schema:
    *           type: integer
+   *       - $ref: '#/components/parameters/Sort'
+   *       - $ref: '#/components/parameters/Fields'
    *     responses:
    *       200:
    *         description: Applicant list
+   *       403:
+   *         description: Requires the `recruitment:read` permission
    */
-  router.get('/', controller.getAll);
+  router.get('/', authorize('recruitment:read'), controller.getAll);
+
+  /**
+   * @swagger
+   * /recruitment/export:
+   *   get:
+   *     summary: Export applicants
+   *     description: Streams every matching record; accepts the same filters as the list route
+   *     tags: [Recruitment]
+   *     parameters:
+   *       - $ref: '#/components/parameters/ExportFormat'
+   *       - $ref: '#/components/parameters/Sort'
+   *       - $ref: '#/components/parameters/Fields'
+   *     responses:
+   *       200:
+   *         description: Export file
+   *       400:
+   *         description: Unsupported format or invalid filter
+   *       403:
+   *         description: Requires the `recruitment:read` permission
+   */
+  router.get('/export', authorize('recruitment:read'), controller.exportAll);
 
   /**
    * @swagger
@@ -55,11 +82,14 @@ function createRecruitmentRoutes(controller) {
    *         required: true
    *         schema:
    *           type: integer
+   *       - $ref: '#/components/parameters/Fields'
    *     responses:
    *       200:
    *         description: Applicant details
+   *       403:
+   *         description: Requires the `recruitment:read` permission
    */
-  router.get('/:id', controller.getById);
+  router.get('/:id', authorize('recruitment:read'), controller.getById);
 
   /**
    * @swagger
@@ -90,8 +120,10 @@ function createRecruitmentRoutes(controller) {
    *     responses:
    *       201:
    *         description: Created applicant
+   *       403:
+   *         description: Requires the `recruitment:create` permission
    */
-  router.post('/', controller.create);
+  router.post('/', authorize('recruitment:create'), controller.create);
 
   /**
    * @swagger
@@ -125,9 +157,11 @@ function createRecruitmentRoutes(controller) {
    *     responses:
    *       200:
    *         description: Updated applicant
+   *       403:
+   *         description: Requires the `recruitment:update` permission
    */
-  router.put('/:id', controller.update);
-  router.patch('/:id', controller.patch);
+  router.put('/:id', authorize('recruitment:update'), controller.update);
+  router.patch('/:id', authorize('recruitment:update'), controller.patch);
 
   /**
    * @swagger
@@ -144,8 +178,10 @@ function createRecruitmentRoutes(controller) {
    *     responses:
    *       200:
    *         description: Deletion result
+   *       403:
+   *         description: Requires the `recruitment:delete` permission
    */
-  router.delete('/:id', controller.delete);
+  router.delete('/:id', authorize('recruitment:delete'), controller.delete);
 
   return router;
 }
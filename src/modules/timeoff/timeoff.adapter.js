@@ -1,6 +1,19 @@
 const { unpackRelational } = require('../common/relational.helper');
 
 class TimeOffAdapter {
+  constructor() {
+    // DTO keys produced by each Odoo field, used to answer ?fields= requests
+    this.fieldMap = {
+      employee_id: ['employeeId', 'employeeName'],
+      holiday_status_id: ['typeId', 'typeName'],
+      date_from: ['dateFrom'],
+      date_to: ['dateTo'],
+      number_of_days: ['days'],
+      state: ['state'],
+      create_date: ['createdAt']
+    };
+  }
+
   toDTO(record) {
     if (!record) return null;
 
@@ -25,6 +38,7 @@ class TimeOffAdapter {
     return Array.isArray(records) ? records.map((rec) => this.toDTO(rec)) : [];
   }
 
+  // state is left out: it only changes through the hr.leave workflow actions
   toOdooFormat(data) {
     if (!data) return null;
 
@@ -33,8 +47,7 @@ class TimeOffAdapter {
       holiday_status_id: data.typeId,
       date_from: data.dateFrom,
       date_to: data.dateTo,
-      number_of_days: data.days,
-      state: data.state
+      number_of_days: data.days
     };
   }
 }
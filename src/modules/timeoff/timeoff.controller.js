@@ -1,5 +1,243 @@
-const BaseController = require('../../core/base/BaseController');
+const OdooModelController = require('../common/odooModel.controller');
+const { AuthenticationError } = require('../../core/errors');
 
-class TimeOffController extends BaseController {}
+class TimeOffController extends OdooModelController {
+  constructor(service, logger) {
+    super(service, logger);
+
+    this.approve = this.approve.bind(this);
+    this.refuse = this.refuse.bind(this);
+    this.validate = this.validate.bind(this);
+    this.reset = this.reset.bind(this);
+    this.getBalances = this.getBalances.bind(this);
+    this.getLeaveTypes = this.getLeaveTypes.bind(this);
+    this.getCalendar = this.getCalendar.bind(this);
+    this.getCalendarFeed = this.getCalendarFeed.bind(this);
+    this.createCalendarToken = this.createCalendarToken.bind(this);
+    this.check = this.check.bind(this);
+  }
+
+  /**
+   * Run the pre-flight checks of a leave request without creating it (POST /check)
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async check(req, res, next) {
+    try {
+      this.logger.info('POST check leave request', { body: req.body });
+
+      const result = await this.service.checkRequest(req.body, { scope: req.scope || null });
+
+      res.status(200).json({
+        success: true,
+        data: result,
+        message: 'Leave request passes all checks'
+      });
+    } catch (error) {
+      this.logger.error('Failed to check leave request', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Team absence calendar grouped by day (GET /calendar)
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getCalendar(req, res, next) {
+    try {
+      const { from, to } = req.query;
+      const query = { from, to, departmentId: req.query.department_id };
+
+      this.logger.info('GET time off calendar', query);
+
+      const result = await this.service.getCalendar(query, { scope: req.scope || null });
+
+      res.status(200).json(result);
+    } catch (error) {
+      this.logger.error('Failed to get time off calendar', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Team absence calendar as an iCalendar feed (GET /calendar.ics?token=)
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getCalendarFeed(req, res, next) {
+    try {
+      const { from, to } = req.query;
+      const query = { from, to, departmentId: req.query.department_id };
+
+      this.logger.info('GET time off calendar feed', query);
+
+      const calendar = await this.service.getCalendarFeed(query, { scope: req.scope || null });
+
+      res.set('Content-Type', 'text/calendar; charset=utf-8');
+      res.set('Content-Disposition', 'inline; filename="timeoff.ics"');
+      res.status(200).send(calendar);
+    } catch (error) {
+      this.logger.error('Failed to get time off calendar feed', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Issue a calendar token and the feed URL to subscribe to (POST /calendar/token)
+   * A department_id given in the body is baked into the URL
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async createCalendarToken(req, res, next) {
+    try {
+      if (!req.user) {
+        throw new AuthenticationError('Calendar tokens are issued to authenticated users');
+      }
+
+      this.logger.info('POST calendar token', { uid: req.user.uid });
+
+      const { token, expiresIn } = this.service.createCalendarToken(req.user);
+      const params = new URLSearchParams({ token });
+      const departmentId = (req.body || {}).department_id;
+      if (departmentId !== undefined && departmentId !== '') {
+        params.set('department_id', departmentId);
+      }
+
+      res.status(201).json({
+        success: true,
+        data: {
+          token,
+          expiresIn,
+          url: `${req.protocol}://${req.get('host')}${req.baseUrl}/calendar.ics?${params}`
+        },
+        message: 'Calendar token issued'
+      });
+    } catch (error) {
+      this.logger.error('Failed to issue calendar token', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Leave balances per leave type (GET /balances)
+   * Defaults to the caller's own employee when no employee_id is given
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getBalances(req, res, next) {
+    try {
+      const employeeId =
+        req.query.employee_id !== undefined && req.query.employee_id !== ''
+          ? req.query.employee_id
+          : req.user && req.user.employeeId;
+      const query = { employeeId, date: req.query.date };
+
+      this.logger.info('GET leave balances', query);
+
+      const result = await this.service.getBalances(query, { scope: req.scope || null });
+
+      res.status(200).json(result);
+    } catch (error) {
+      this.logger.error('Failed to get leave balances', error);
+      next(error);
+    }
+  }
+
+  /**
+   * List leave types (GET /types)
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getLeaveTypes(req, res, next) {
+    try {
+      this.logger.info('GET leave types');
+
+      const result = await this.service.getLeaveTypes();
+
+      res.status(200).json(result);
+    } catch (error) {
+      this.logger.error('Failed to get leave types', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Approve a leave request (POST /:id/approve)
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async approve(req, res, next) {
+    await this._runAction('approve', 'Leave request approved', req, res, next);
+  }
+
+  /**
+   * Refuse a leave request with a reason (POST /:id/refuse)
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async refuse(req, res, next) {
+    await this._runAction('refuse', 'Leave request refused', req, res, next);
+  }
+
+  /**
+   * Give a leave request its final validation (POST /:id/validate)
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async validate(req, res, next) {
+    await this._runAction('validate', 'Leave request validated', req, res, next);
+  }
+
+  /**
+   * Reset a refused leave request so it can be submitted again (POST /:id/reset)
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async reset(req, res, next) {
+    await this._runAction('reset', 'Leave request reset', req, res, next);
+  }
+
+  /**
+   * Run a workflow action on the leave request in the path
+   * @private
+   * @param {string} action - approve, refuse, validate or reset
+   * @param {string} message - Success message
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async _runAction(action, message, req, res, next) {
+    try {
+      const { id } = req.params;
+
+      this.logger.info(`POST ${action} leave request: ${id}`);
+
+      const record = await this.service.runAction(parseInt(id, 10), action, {
+        reason: (req.body || {}).reason,
+        scope: req.scope || null
+      });
+
+      res.status(200).json({
+        success: true,
+        data: record,
+        message
+      });
+    } catch (error) {
+      this.logger.error(`Failed to ${action} leave request`, error);
+      next(error);
+    }
+  }
+}
 
 module.exports = TimeOffController;
@@ -0,0 +1,67 @@
+const express = require('express');
+const {
+  authenticateFeed,
+  authorize,
+  scopeToEmployee
+} = require('../../middleware/auth.middleware');
+
+// Mounted ahead of the protected time off routes: calendar clients authenticate with ?token=
+function createTimeOffFeedRoutes(controller) {
+  const router = express.Router();
+
+  /**
+   * @swagger
+   * /timeoff/calendar.ics:
+   *   get:
+   *     summary: Team absence calendar feed (iCalendar)
+   *     description: >
+   *       RFC 5545 feed of submitted and approved leave requests, for calendar subscriptions.
+   *       Authenticated with a token from `POST /timeoff/calendar/token`, not a bearer header.
+   *       Without dates the feed covers TIMEOFF_FEED_PAST_DAYS before today to
+   *       TIMEOFF_FEED_FUTURE_DAYS after it.
+   *     tags: [TimeOff]
+   *     security: []
+   *     parameters:
+   *       - in: query
+   *         name: token
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: department_id
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: from
+   *         schema:
+   *           type: string
+   *           format: date
+   *       - in: query
+   *         name: to
+   *         schema:
+   *           type: string
+   *           format: date
+   *     responses:
+   *       200:
+   *         description: iCalendar document
+   *         content:
+   *           text/calendar:
+   *             schema:
+   *               type: string
+   *       401:
+   *         description: Missing, invalid or expired calendar token
+   *       403:
+   *         description: Requires the `timeoff:read` permission
+   */
+  router.get(
+    '/calendar.ics',
+    authenticateFeed,
+    scopeToEmployee('timeoff'),
+    authorize('timeoff:read'),
+    controller.getCalendarFeed
+  );
+
+  return router;
+}
+
+module.exports = createTimeOffFeedRoutes;
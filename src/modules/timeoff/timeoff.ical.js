@@ -0,0 +1,118 @@
+const { parseOdooDatetime } = require('../../utils/datetime');
+
+/**
+ * iCalendar Feed
+ * Renders leave request DTOs as an RFC 5545 calendar that clients can subscribe to.
+ * Events are published in UTC; approved requests are CONFIRMED, pending ones TENTATIVE.
+ */
+
+const PRODUCT_ID = '-//hrms-odoo-connector//Time Off//EN';
+// Content lines are folded at 75 octets (RFC 5545 section 3.1)
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a TEXT value (RFC 5545 section 3.3.11)
+ * @param {string} value - Text
+ * @returns {string} Escaped text
+ */
+const escapeText = (value) =>
+  String(value === null || value === undefined ? '' : value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+/**
+ * Format an instant as a UTC DATE-TIME (e.g., 20260302T070000Z)
+ * @param {Date} date - Instant
+ * @returns {string} DATE-TIME value
+ */
+const formatDateTime = (date) => `${date.toISOString().replace(/[-:]/g, '').slice(0, 15)}Z`;
+
+/**
+ * Fold a content line, never splitting a multi-byte character
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line, continuation lines starting with a space
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+
+  Array.from(line).forEach((char) => {
+    const size = Buffer.byteLength(char);
+    // Continuation lines lose one octet to their leading space
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  });
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+/**
+ * Event lines of a leave request
+ * @param {Object} leave - TimeOffAdapter DTO
+ * @param {string} stamp - DTSTAMP value
+ * @returns {Array<string>} Content lines
+ */
+const eventLines = (leave, stamp) => {
+  const start = parseOdooDatetime(leave.dateFrom);
+  const end = parseOdooDatetime(leave.dateTo);
+  const days = leave.days === null || leave.days === undefined ? '' : ` (${leave.days} days)`;
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:leave-${leave.id}@hrms-odoo-connector`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART:${formatDateTime(start)}`,
+    `DTEND:${formatDateTime(end)}`,
+    `SUMMARY:${escapeText(`${leave.employeeName} - ${leave.typeName}`)}`,
+    `DESCRIPTION:${escapeText(`${leave.typeName}${days}, ${leave.state}`)}`,
+    `STATUS:${leave.state === 'validate' ? 'CONFIRMED' : 'TENTATIVE'}`,
+    // Colleagues' absences must not block the subscriber's own free/busy time
+    'TRANSP:TRANSPARENT',
+    'END:VEVENT'
+  ];
+};
+
+/**
+ * Render leave requests as an iCalendar document
+ * Requests without both dates are left out
+ * @param {Array<Object>} leaves - TimeOffAdapter DTOs
+ * @param {Object} options - Calendar options
+ * @param {string} options.name - Calendar name shown by clients
+ * @param {Date} options.now - Generation time, used as DTSTAMP
+ * @returns {string} iCalendar document (CRLF line endings)
+ */
+const buildCalendar = (leaves, { name = 'Time Off', now = new Date() } = {}) => {
+  const stamp = formatDateTime(now);
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...leaves
+      .filter((leave) => leave.dateFrom && leave.dateTo)
+      .flatMap((leave) => eventLines(leave, stamp)),
+    'END:VCALENDAR'
+  ];
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  buildCalendar,
+  escapeText,
+  foldLine
+};
@@ -0,0 +1,31 @@
+/**
+ * Leave Type Adapter
+ * Maps hr.leave.type records to DTOs. Odoo 15 replaced allocation_type ('no', 'fixed', ...)
+ * with requires_allocation ('yes' or 'no'); either one is understood.
+ */
+class LeaveTypeAdapter {
+  toDTO(record) {
+    if (!record) return null;
+
+    let requiresAllocation = null;
+    if (record.requires_allocation !== undefined) {
+      requiresAllocation = record.requires_allocation === 'yes';
+    } else if (record.allocation_type !== undefined) {
+      requiresAllocation = record.allocation_type !== 'no';
+    }
+
+    return {
+      id: record.id,
+      name: record.name,
+      unit: record.request_unit || null,
+      requiresAllocation,
+      validation: record.leave_validation_type || null
+    };
+  }
+
+  toDTOArray(records) {
+    return Array.isArray(records) ? records.map((rec) => this.toDTO(rec)) : [];
+  }
+}
+
+module.exports = LeaveTypeAdapter;
@@ -1,5 +1,125 @@
 const BaseRepository = require('../../core/base/BaseRepository');
+const { RepositoryError } = require('../../core/errors');
 
-class TimeOffRepository extends BaseRepository {}
+class TimeOffRepository extends BaseRepository {
+  constructor(odooClient, modelName, logger, models = {}) {
+    super(odooClient, modelName, logger);
+    this.models = {
+      allocation: 'hr.leave.allocation',
+      leaveType: 'hr.leave.type',
+      employee: 'hr.employee',
+      calendarLeave: 'resource.calendar.leaves',
+      ...models
+    };
+  }
+
+  /**
+   * Aggregate leave allocations with read_group
+   * @param {Array} filters - Odoo domain on the allocation model
+   * @param {Array<string>} fields - Aggregates (e.g., 'number_of_days:sum')
+   * @param {Array<string>} groupBy - Group by specs (e.g., 'holiday_status_id')
+   * @returns {Promise<Array>} Groups
+   */
+  async groupAllocations(filters, fields, groupBy) {
+    try {
+      await this.odooClient.connect();
+
+      return await this.odooClient.execute_kw(
+        this.models.allocation,
+        'read_group',
+        [filters, fields, groupBy],
+        { lazy: false }
+      );
+    } catch (error) {
+      this.logger.error(`[${this.modelName}] Failed to group ${this.models.allocation}`, error);
+      throw new RepositoryError(
+        `Failed to group ${this.models.allocation} records`,
+        error,
+        'groupAllocations'
+      );
+    }
+  }
+
+  /**
+   * Find leave types, in Odoo's display order
+   * @param {Array} filters - Odoo domain on the leave type model
+   * @param {Array<string>} fields - Fields to retrieve
+   * @returns {Promise<Array>} Leave types
+   */
+  async findLeaveTypes(filters = [], fields = []) {
+    try {
+      await this.odooClient.connect();
+
+      return await this.odooClient.execute_kw(this.models.leaveType, 'search_read', [filters], {
+        fields
+      });
+    } catch (error) {
+      this.logger.error(`[${this.modelName}] Failed to fetch ${this.models.leaveType}`, error);
+      throw new RepositoryError(
+        `Failed to fetch ${this.models.leaveType} records`,
+        error,
+        'findLeaveTypes'
+      );
+    }
+  }
+
+  /**
+   * Find an employee
+   * @param {number} id - hr.employee ID
+   * @param {Array<string>} fields - Fields to retrieve
+   * @returns {Promise<Object|null>} Employee, or null when missing
+   */
+  async findEmployee(id, fields = []) {
+    try {
+      await this.odooClient.connect();
+
+      const [employee] = await this.odooClient.execute_kw(
+        this.models.employee,
+        'search_read',
+        [[['id', '=', id]]],
+        { fields, limit: 1 }
+      );
+
+      return employee || null;
+    } catch (error) {
+      this.logger.error(`[${this.modelName}] Failed to fetch employee ${id}`, error);
+      throw new RepositoryError(`Failed to fetch employee ${id}`, error, 'findEmployee');
+    }
+  }
+
+  /**
+   * Find public holidays overlapping a period
+   * Public holidays are resource.calendar.leaves not tied to a resource, either company-wide
+   * (no calendar) or attached to one of the given calendars
+   * @param {Array<number>} calendarIds - Working schedule IDs
+   * @param {string} start - Period start (Odoo UTC datetime)
+   * @param {string} end - Period end, exclusive (Odoo UTC datetime)
+   * @returns {Promise<Array>} Leaves ({ calendar_id, date_from, date_to, name })
+   */
+  async findPublicHolidays(calendarIds, start, end) {
+    try {
+      await this.odooClient.connect();
+
+      return await this.odooClient.execute_kw(
+        this.models.calendarLeave,
+        'search_read',
+        [
+          [
+            ['resource_id', '=', false],
+            ['date_from', '<', end],
+            ['date_to', '>', start],
+            '|',
+            ['calendar_id', '=', false],
+            ['calendar_id', 'in', calendarIds]
+          ]
+        ],
+        { fields: ['calendar_id', 'date_from', 'date_to', 'name'], order: 'date_from asc' }
+      );
+    } catch (error) {
+      this.logger.error(`[${this.modelName}] Failed to load public holidays`, error);
+      throw new RepositoryError('Failed to load public holidays', error, 'findPublicHolidays');
+    }
+  }
+}
 
 module.exports = TimeOffRepository;
@@ -1,8 +1,12 @@
 const express = require('express');
+const { authorize, scopeToEmployee } = require('../../middleware/auth.middleware');
 
 function createTimeOffRoutes(controller) {
   const router = express.Router();
 
+  // Employees only reach their own records and those of their reports
+  router.use(scopeToEmployee('timeoff'));
+
   /**
    * @swagger
    * tags:
@@ -15,6 +19,7 @@ function createTimeOffRoutes(controller) {
    * /timeoff:
    *   get:
    *     summary: List leave requests
+   *     description: Filters support operators, e.g. `state[in]=confirm,validate1` or `date_from[gte]=2026-01-01`
    *     tags: [TimeOff]
    *     parameters:
    *       - in: query
@@ -35,11 +40,143 @@ function createTimeOffRoutes(controller) {
    *         schema:
    *           type: string
    *         description: Filter by state (draft, confirm, validate)
+   *       - $ref: '#/components/parameters/Sort'
+   *       - $ref: '#/components/parameters/Fields'
    *     responses:
    *       200:
    *         description: Time off requests
+   *       403:
+   *         description: Requires the `timeoff:read` permission
+   */
+  router.get('/', authorize('timeoff:read'), controller.getAll);
+
+  /**
+   * @swagger
+   * /timeoff/export:
+   *   get:
+   *     summary: Export leave requests
+   *     description: Streams every matching record; accepts the same filters as the list route
+   *     tags: [TimeOff]
+   *     parameters:
+   *       - $ref: '#/components/parameters/ExportFormat'
+   *       - $ref: '#/components/parameters/Sort'
+   *       - $ref: '#/components/parameters/Fields'
+   *     responses:
+   *       200:
+   *         description: Export file
+   *       400:
+   *         description: Unsupported format or invalid filter
+   *       403:
+   *         description: Requires the `timeoff:read` permission
+   */
+  router.get('/export', authorize('timeoff:read'), controller.exportAll);
+
+  /**
+   * @swagger
+   * /timeoff/balances:
+   *   get:
+   *     summary: Leave balances of an employee
+   *     description: >
+   *       Allocated, taken, pending approval and remaining days per leave type, from validated
+   *       allocations running on the date and the employee's leave requests
+   *     tags: [TimeOff]
+   *     parameters:
+   *       - in: query
+   *         name: employee_id
+   *         schema:
+   *           type: integer
+   *         description: Defaults to the caller's own employee
+   *       - in: query
+   *         name: date
+   *         schema:
+   *           type: string
+   *           format: date
+   *         description: Reference date, defaults to today
+   *     responses:
+   *       200:
+   *         description: Balances per leave type
+   *       400:
+   *         description: Invalid employee or date
+   *       403:
+   *         description: Requires the `timeoff:read` permission
    */
-  router.get('/', controller.getAll);
+  router.get('/balances', authorize('timeoff:read'), controller.getBalances);
+
+  /**
+   * @swagger
+   * /timeoff/types:
+   *   get:
+   *     summary: List leave types
+   *     tags: [TimeOff]
+   *     responses:
+   *       200:
+   *         description: Leave types with their unit, allocation and validation settings
+   *       403:
+   *         description: Requires the `timeoff:read` permission
+   */
+  router.get('/types', authorize('timeoff:read'), controller.getLeaveTypes);
+
+  /**
+   * @swagger
+   * /timeoff/calendar:
+   *   get:
+   *     summary: Team absence calendar
+   *     description: >
+   *       Submitted and approved leave requests overlapping the range, grouped by local day.
+   *       Self-service callers see their own and their reports' absences.
+   *     tags: [TimeOff]
+   *     parameters:
+   *       - in: query
+   *         name: from
+   *         required: true
+   *         schema:
+   *           type: string
+   *           format: date
+   *       - in: query
+   *         name: to
+   *         required: true
+   *         schema:
+   *           type: string
+   *           format: date
+   *         description: Last day, inclusive
+   *       - in: query
+   *         name: department_id
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Days with their leave requests
+   *       400:
+   *         description: Invalid dates or department
+   *       403:
+   *         description: Requires the `timeoff:read` permission
+   */
+  router.get('/calendar', authorize('timeoff:read'), controller.getCalendar);
+
+  /**
+   * @swagger
+   * /timeoff/calendar/token:
+   *   post:
+   *     summary: Issue a calendar feed token
+   *     description: >
+   *       Returns a long-lived token and the `calendar.ics` URL to subscribe to from a calendar
+   *       client. The token only opens the feed.
+   *     tags: [TimeOff]
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               department_id:
+   *                 type: integer
+   *     responses:
+   *       201:
+   *         description: Token, expiry and feed URL
+   *       403:
+   *         description: Requires the `timeoff:read` permission
+   */
+  router.post('/calendar/token', authorize('timeoff:read'), controller.createCalendarToken);
 
   /**
    * @swagger
@@ -53,17 +190,23 @@ function createTimeOffRoutes(controller) {
    *         required: true
    *         schema:
    *           type: integer
+   *       - $ref: '#/components/parameters/Fields'
    *     responses:
    *       200:
    *         description: Leave request
+   *       403:
+   *         description: Requires the `timeoff:read` permission
    */
-  router.get('/:id', controller.getById);
+  router.get('/:id', authorize('timeoff:read'), controller.getById);
 
   /**
    * @swagger
    * /timeoff:
    *   post:
    *     summary: Create a leave request
+   *     description: >
+   *       Runs the same pre-flight checks as `POST /timeoff/check` before the request reaches
+   *       Odoo
    *     tags: [TimeOff]
    *     requestBody:
    *       required: true
@@ -85,14 +228,57 @@ function createTimeOffRoutes(controller) {
    *                 format: date-time
    *               days:
    *                 type: number
-   *               state:
-   *                 type: string
-   *                 description: Optional initial state
    *     responses:
    *       201:
    *         description: Created leave request
+   *       400:
+   *         description: >
+   *           Invalid payload, including any attempt to set `state`, or a failed pre-flight
+   *           check
+   *       403:
+   *         description: Requires the `timeoff:create` permission
    */
-  router.post('/', controller.create);
+  router.post('/', authorize('timeoff:create'), controller.create);
+
+  /**
+   * @swagger
+   * /timeoff/check:
+   *   post:
+   *     summary: Check a leave request without creating it
+   *     description: >
+   *       Validates the payload, then looks for overlapping requests of the employee, public
+   *       holidays in the range and, for leave types needing an allocation, an insufficient
+   *       balance. Failures are reported as field errors (`dates`, `publicHolidays`, `days`).
+   *     tags: [TimeOff]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [employeeId, typeId, dateFrom, dateTo]
+   *             properties:
+   *               employeeId:
+   *                 type: integer
+   *               typeId:
+   *                 type: integer
+   *               dateFrom:
+   *                 type: string
+   *                 format: date-time
+   *               dateTo:
+   *                 type: string
+   *                 format: date-time
+   *               days:
+   *                 type: number
+   *     responses:
+   *       200:
+   *         description: The request passes every check; includes the days and remaining balance
+   *       400:
+   *         description: Invalid payload or failed check
+   *       403:
+   *         description: Requires the `timeoff:create` permission
+   */
+  router.post('/check', authorize('timeoff:create'), controller.check);
 
   /**
    * @swagger
@@ -121,14 +307,123 @@ function createTimeOffRoutes(controller) {
    *                 format: date-time
    *               days:
    *                 type: number
-   *               state:
+   *     responses:
+   *       200:
+   *         description: Updated leave request
+   *       400:
+   *         description: Invalid payload; `state` only changes through the workflow actions
+   *       403:
+   *         description: Requires the `timeoff:update` permission
+   */
+  router.put('/:id', authorize('timeoff:update'), controller.update);
+  router.patch('/:id', authorize('timeoff:update'), controller.patch);
+
+  /**
+   * @swagger
+   * /timeoff/{id}/approve:
+   *   post:
+   *     summary: Approve a leave request (action_approve)
+   *     tags: [TimeOff]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Updated leave request
+   *       404:
+   *         description: Leave request not found
+   *       422:
+   *         description: Odoo refused the transition (e.g. wrong state or missing approval rights)
+   *       403:
+   *         description: Requires the `timeoff:update` permission
+   */
+  router.post('/:id/approve', authorize('timeoff:update'), controller.approve);
+
+  /**
+   * @swagger
+   * /timeoff/{id}/refuse:
+   *   post:
+   *     summary: Refuse a leave request (action_refuse)
+   *     tags: [TimeOff]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [reason]
+   *             properties:
+   *               reason:
    *                 type: string
+   *                 description: Posted on the leave request's chatter
+   *     responses:
+   *       200:
+   *         description: Updated leave request
+   *       404:
+   *         description: Leave request not found
+   *       422:
+   *         description: Odoo refused the transition (e.g. wrong state or missing approval rights)
+   *       403:
+   *         description: Requires the `timeoff:update` permission
+   */
+  router.post('/:id/refuse', authorize('timeoff:update'), controller.refuse);
+
+  /**
+   * @swagger
+   * /timeoff/{id}/validate:
+   *   post:
+   *     summary: Give a leave request its final validation (action_validate)
+   *     tags: [TimeOff]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Updated leave request
+   *       404:
+   *         description: Leave request not found
+   *       422:
+   *         description: Odoo refused the transition (e.g. wrong state or missing approval rights)
+   *       403:
+   *         description: Requires the `timeoff:update` permission
+   */
+  router.post('/:id/validate', authorize('timeoff:update'), controller.validate);
+
+  /**
+   * @swagger
+   * /timeoff/{id}/reset:
+   *   post:
+   *     summary: Reset a leave request to draft (action_draft)
+   *     tags: [TimeOff]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
    *     responses:
    *       200:
    *         description: Updated leave request
+   *       404:
+   *         description: Leave request not found
+   *       422:
+   *         description: Odoo refused the transition (e.g. wrong state or missing approval rights)
+   *       403:
+   *         description: Requires the `timeoff:update` permission
    */
-  router.put('/:id', controller.update);
-  router.patch('/:id', controller.patch);
+  router.post('/:id/reset', authorize('timeoff:update'), controller.reset);
 
   /**
    * @swagger
@@ -145,8 +440,10 @@ function createTimeOffRoutes(controller) {
    *     responses:
    *       200:
    *         description: Deletion result
+   *       403:
+   *         description: Requires the `timeoff:delete` permission
    */
-  router.delete('/:id', controller.delete);
+  router.delete('/:id', authorize('timeoff:delete'), controller.delete);
 
   return router;
 }
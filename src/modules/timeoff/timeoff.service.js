@@ -1,5 +1,654 @@
 const OdooModelService = require('../common/odooModel.service');
+const { ServiceError, ValidationError } = require('../../core/errors');
+const { formatOdooDatetime, generateCacheKey } = require('../../utils/helpers');
+const {
+  addDays,
+  isDateString,
+  odooWeekday,
+  parseOdooDatetime,
+  startOfZonedDay,
+  toZonedParts
+} = require('../../utils/datetime');
+const { unpackRelational } = require('../common/relational.helper');
+const LeaveTypeAdapter = require('./timeoff.leaveType');
+const { buildCalendar } = require('./timeoff.ical');
+const { holidayDates } = require('../attendance/attendance.schedule');
+const { generateToken } = require('../../middleware/auth.middleware');
 
-class TimeOffService extends OdooModelService {}
+// hr.leave workflow methods run by each action (Odoo 17 renamed action_draft to action_reset_confirm)
+const DEFAULT_ACTIONS = {
+  approve: 'action_approve',
+  refuse: 'action_refuse',
+  validate: 'action_validate',
+  reset: 'action_draft'
+};
+
+// Leave states that consume a balance: submitted, first approval, approved
+const PENDING_STATES = ['confirm', 'validate1'];
+const TAKEN_STATES = ['validate'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const MAX_CALENDAR_DAYS = 366;
+
+// Leave states Odoo checks new requests against for overlaps
+const ACTIVE_STATES = ['draft', ...PENDING_STATES, ...TAKEN_STATES];
+// Saturday and Sunday (Odoo weekday numbering), skipped when estimating requested days
+const WEEKEND_DAYS = [5, 6];
+// Fields whose change sends an update through the pre-flight checks again
+const CHECKED_FIELDS = ['employeeId', 'typeId', 'dateFrom', 'dateTo', 'days'];
+
+class TimeOffService extends OdooModelService {
+  constructor(repository, options = {}) {
+    super(repository, options);
+    this.actions = { ...DEFAULT_ACTIONS, ...options.actions };
+    this.leaveTypeAdapter = options.leaveTypeAdapter || new LeaveTypeAdapter();
+    this.leaveTypeFields = options.leaveTypeFields || [];
+    // Zone the team calendar cuts days in
+    this.timezone = options.timezone || 'UTC';
+    // Window served by the iCalendar feed when the subscriber gives no dates
+    this.calendarFeed = {
+      name: 'Time Off',
+      pastDays: 30,
+      futureDays: 180,
+      ...options.calendarFeed
+    };
+  }
+
+  /**
+   * Create a leave request once it passes the pre-flight checks
+   * Bare dates are written as the local day boundaries the checks used
+   * @param {Object} data - Leave request data
+   * @param {Object} options - Write options
+   * @param {Object} options.scope - Caller's row scope ({ employeeId }), null for every record
+   * @returns {Promise<Object>} Created leave request
+   */
+  async create(data, options = {}) {
+    const { dateFrom, dateTo } = await this.checkRequest(data, { scope: options.scope });
+
+    return super.create({ ...data, dateFrom, dateTo }, options);
+  }
+
+  /**
+   * Update a leave request (PUT and PATCH)
+   * A change of employee, type, dates or days runs the pre-flight checks on the resulting
+   * request, leaving the request itself out of the overlaps and balance; bare dates are written
+   * as local day boundaries, as on create
+   * @param {number} id - Leave request ID
+   * @param {Object} data - Changed fields
+   * @param {Object} options - Write options
+   * @param {Object} options.scope - Caller's row scope ({ employeeId }), null for every record
+   * @returns {Promise<Object>} Updated leave request
+   */
+  async update(id, data, options = {}) {
+    if (!data || !CHECKED_FIELDS.some((key) => data[key] !== undefined)) {
+      return super.update(id, data, options);
+    }
+
+    try {
+      this._validateId(id);
+
+      if (this.validator) {
+        const result = this.validator.validateUpdate(data);
+        if (!result.isValid) {
+          throw new ValidationError(result.errors, result.fields);
+        }
+      }
+
+      const current = await this.getById(id, { scope: options.scope });
+      const request = CHECKED_FIELDS.reduce(
+        (values, key) => ({ ...values, [key]: data[key] !== undefined ? data[key] : current[key] }),
+        {}
+      );
+      // Odoo recomputes the stored days when the dates change
+      if (data.days === undefined) delete request.days;
+
+      const { dateFrom, dateTo } = await this.checkRequest(request, {
+        scope: options.scope,
+        excludeId: id
+      });
+
+      return await super.update(id, { ...data, dateFrom, dateTo }, options);
+    } catch (error) {
+      this.logger.error(`Failed to update leave request ${id}`, error);
+      if (error.isOperational) throw error;
+      throw new ServiceError(`Failed to update leave request ${id}`, error);
+    }
+  }
+
+  /**
+   * Pre-flight checks of a new leave request, run before Odoo sees it
+   * Rejects requests overlapping the employee's other active requests, falling on public
+   * holidays of their working schedule, or exceeding the remaining balance of a leave type that
+   * needs an allocation. Without `days`, the requested days are estimated as the weekdays of the
+   * range that are not public holidays. Bare dates are local days in the service time zone and
+   * the end date is inclusive, so a one-day request has the same start and end date.
+   * @param {Object} data - Leave request data, as accepted by create
+   * @param {Object} options - Check options
+   * @param {Object} options.scope - Caller's row scope ({ employeeId }), null for every record
+   * @param {number} options.excludeId - Request being edited, left out of overlaps and balance
+   * @returns {Promise<Object>} { employeeId, typeId, dateFrom, dateTo, days, remaining }
+   */
+  async checkRequest(data, options = {}) {
+    try {
+      if (this.validator) {
+        const result = this.validator.validate(data);
+        if (!result.isValid) {
+          throw new ValidationError(result.errors, result.fields);
+        }
+      }
+
+      const employeeId = Number(data.employeeId);
+      const typeId = Number(data.typeId);
+      const dateFrom = this._toOdooDatetime(data.dateFrom);
+      const dateTo = this._toOdooDatetime(data.dateTo, { endOfDay: true });
+
+      if (dateTo <= dateFrom) {
+        throw new ValidationError('End date must be after the start date', {
+          dateTo: "Must not be before 'dateFrom'"
+        });
+      }
+
+      await this._assertScopedEmployee(employeeId, options.scope);
+
+      this.logger.info('Checking leave request', { employeeId, typeId, dateFrom, dateTo });
+
+      const exclude = options.excludeId ? [['id', '!=', options.excludeId]] : [];
+      const [employee, [leaveType], overlapping] = await Promise.all([
+        this.repository.findEmployee(employeeId, ['resource_calendar_id']),
+        this.repository.findLeaveTypes([['id', '=', typeId]], this.leaveTypeFields),
+        this.repository.findBy(
+          [
+            ...this._scopeDomain(options.scope),
+            ['employee_id', '=', employeeId],
+            ...exclude,
+            ['state', 'in', ACTIVE_STATES],
+            ['date_from', '<', dateTo],
+            ['date_to', '>', dateFrom]
+          ],
+          ['id', 'date_from', 'date_to', 'state'],
+          10,
+          'date_from asc'
+        )
+      ]);
+
+      const fields = {};
+      if (!employee) fields.employeeId = `Employee ${employeeId} does not exist`;
+      if (!leaveType) fields.typeId = `Leave type ${typeId} does not exist`;
+      if (Object.keys(fields).length > 0) {
+        throw new ValidationError('Leave request refers to missing records', fields);
+      }
+
+      if (overlapping.length > 0) {
+        fields.dates = `Overlaps ${overlapping
+          .map((leave) => `leave request ${leave.id} (${leave.date_from} to ${leave.date_to})`)
+          .join(', ')}`;
+      }
+
+      const calendar = unpackRelational(employee.resource_calendar_id);
+      const holidays = await this.repository.findPublicHolidays(
+        calendar.id ? [calendar.id] : [],
+        dateFrom,
+        dateTo
+      );
+      if (holidays.length > 0) {
+        fields.publicHolidays = `Falls on ${holidays
+          .map((holiday) => {
+            const day = toZonedParts(parseOdooDatetime(holiday.date_from), this.timezone).date;
+            return `${holiday.name} (${day})`;
+          })
+          .join(', ')}`;
+      }
+
+      const days =
+        data.days !== undefined
+          ? Number(data.days)
+          : this._estimateDays(
+              dateFrom,
+              dateTo,
+              holidayDates(holidays, calendar.id, this.timezone)
+            );
+      let remaining = null;
+
+      if (this.leaveTypeAdapter.toDTO(leaveType).requiresAllocation) {
+        const { data: balances } = await this.getBalances(
+          { employeeId, date: toZonedParts(parseOdooDatetime(dateFrom), this.timezone).date },
+          { scope: options.scope, excludeId: options.excludeId }
+        );
+        const balance = balances.find((row) => row.typeId === typeId);
+        remaining = balance ? balance.remaining : 0;
+
+        if (days > remaining) {
+          fields.days = `Requested ${days} days of ${leaveType.name} but only ${remaining} remain`;
+        }
+      }
+
+      if (Object.keys(fields).length > 0) {
+        throw new ValidationError(Object.values(fields), fields);
+      }
+
+      return { employeeId, typeId, dateFrom, dateTo, days, remaining };
+    } catch (error) {
+      this.logger.error('Failed to check leave request', error);
+      if (error.isOperational) throw error;
+      throw new ServiceError('Failed to check leave request', error);
+    }
+  }
+
+  /**
+   * Team absence calendar: submitted and approved leave requests grouped by local day
+   * @param {Object} query - Calendar query
+   * @param {string} query.from - First day ('YYYY-MM-DD')
+   * @param {string} query.to - Last day, inclusive ('YYYY-MM-DD')
+   * @param {number|string} query.departmentId - hr.department ID (optional)
+   * @param {Object} options - Query options
+   * @param {Object} options.scope - Caller's row scope ({ employeeId }), null for every record
+   * @returns {Promise<Object>} { success, data: [{ date, leaves }], summary }
+   */
+  async getCalendar(query = {}, options = {}) {
+    try {
+      const { from, to, departmentId } = this._validateCalendarQuery(query);
+
+      this.logger.info('Building time off calendar', { from, to, departmentId });
+
+      const leaves = await this._findCalendarLeaves({ from, to, departmentId }, options.scope);
+      const days = new Map();
+
+      leaves.forEach((leave) => {
+        const first = toZonedParts(parseOdooDatetime(leave.dateFrom), this.timezone).date;
+        // dateTo is the end instant; a leave ending at midnight stops the day before
+        const end = new Date(parseOdooDatetime(leave.dateTo).getTime() - 1000);
+        const last = toZonedParts(end, this.timezone).date;
+
+        for (
+          let date = first < from ? from : first;
+          date <= last && date <= to;
+          date = addDays(date, 1)
+        ) {
+          if (!days.has(date)) days.set(date, []);
+          days.get(date).push(leave);
+        }
+      });
+
+      const data = Array.from(days.keys())
+        .sort()
+        .map((date) => ({ date, leaves: days.get(date) }));
+
+      return {
+        success: true,
+        data,
+        summary: { from, to, departmentId, timezone: this.timezone, leaves: leaves.length }
+      };
+    } catch (error) {
+      this.logger.error('Failed to build time off calendar', error);
+      if (error.isOperational) throw error;
+      throw new ServiceError('Failed to build time off calendar', error);
+    }
+  }
+
+  /**
+   * Team absence calendar as an iCalendar (RFC 5545) feed
+   * Without dates the feed covers calendarFeed.pastDays before today to futureDays after it
+   * @param {Object} query - Calendar query ({ from, to, departmentId }), dates optional
+   * @param {Object} options - Query options
+   * @param {Object} options.scope - Caller's row scope ({ employeeId }), null for every record
+   * @returns {Promise<string>} iCalendar document
+   */
+  async getCalendarFeed(query = {}, options = {}) {
+    try {
+      const today = toZonedParts(new Date(), this.timezone).date;
+      const { from, to, departmentId } = this._validateCalendarQuery({
+        ...query,
+        from: query.from || addDays(today, -this.calendarFeed.pastDays),
+        to: query.to || addDays(today, this.calendarFeed.futureDays)
+      });
+
+      this.logger.info('Building time off calendar feed', { from, to, departmentId });
+
+      const leaves = await this._findCalendarLeaves({ from, to, departmentId }, options.scope);
+
+      return buildCalendar(leaves, { name: this.calendarFeed.name });
+    } catch (error) {
+      this.logger.error('Failed to build time off calendar feed', error);
+      if (error.isOperational) throw error;
+      throw new ServiceError('Failed to build time off calendar feed', error);
+    }
+  }
+
+  /**
+   * Leave balances of an employee per leave type
+   * Allocated days come from validated allocations running on the date; taken and pending days
+   * from leave requests of the same type starting on or after the type's first allocation.
+   * Types without allocations are listed when the employee has requests of that type.
+   * @param {Object} query - Balance query
+   * @param {number|string} query.employeeId - hr.employee ID
+   * @param {string} query.date - Reference date ('YYYY-MM-DD'), defaults to today (UTC)
+   * @param {Object} options - Query options
+   * @param {Object} options.scope - Caller's row scope ({ employeeId }), null for every record
+   * @param {number} options.excludeId - Leave request left out of taken and pending days
+   * @returns {Promise<Object>} { success, data, summary }
+   */
+  async getBalances(query = {}, options = {}) {
+    try {
+      const employeeId = Number(query.employeeId);
+      const date = query.date || new Date().toISOString().slice(0, 10);
+      const errors = {};
+
+      if (!Number.isInteger(employeeId) || employeeId <= 0) {
+        errors.employee_id = 'Expected a positive integer';
+      }
+      if (!isDateString(date)) errors.date = 'Expected a date (YYYY-MM-DD)';
+
+      if (Object.keys(errors).length > 0) {
+        throw new ValidationError('Invalid leave balance query', errors);
+      }
+
+      await this._assertScopedEmployee(employeeId, options.scope);
+
+      this.logger.info('Computing leave balances', { employeeId, date });
+
+      const employeeDomain = [
+        ...this._scopeDomain(options.scope),
+        ['employee_id', '=', employeeId]
+      ];
+
+      const allocationGroups = await this.repository.groupAllocations(
+        [
+          ...employeeDomain,
+          ['state', '=', 'validate'],
+          ['date_from', '<=', date],
+          '|',
+          ['date_to', '=', false],
+          ['date_to', '>=', date]
+        ],
+        ['number_of_days:sum', 'date_from:min'],
+        ['holiday_status_id']
+      );
+
+      const types = new Map();
+      const rowOf = (group) => {
+        const type = unpackRelational(group.holiday_status_id);
+        if (!types.has(type.id)) {
+          types.set(type.id, {
+            typeId: type.id,
+            typeName: type.name,
+            allocated: 0,
+            taken: 0,
+            pending: 0,
+            since: null
+          });
+        }
+        return types.get(type.id);
+      };
+
+      allocationGroups.forEach((group) => {
+        const row = rowOf(group);
+        row.allocated += group.number_of_days || 0;
+        row.since = group.date_from || null;
+      });
+
+      // Requests of allocated types only count from the first running allocation
+      const sinceTerms = Array.from(types.values()).filter((row) => row.since);
+      const sinceDomain =
+        sinceTerms.length > 0
+          ? [
+              ...Array(sinceTerms.length).fill('|'),
+              ['holiday_status_id', 'not in', sinceTerms.map((row) => row.typeId)],
+              ...sinceTerms.flatMap((row) => [
+                '&',
+                ['holiday_status_id', '=', row.typeId],
+                ['date_from', '>=', row.since]
+              ])
+            ]
+          : [];
+
+      const leaveGroups = await this.repository.readGroup(
+        [
+          ...employeeDomain,
+          ...(options.excludeId ? [['id', '!=', options.excludeId]] : []),
+          ['state', 'in', [...PENDING_STATES, ...TAKEN_STATES]],
+          ...sinceDomain
+        ],
+        ['number_of_days:sum'],
+        ['holiday_status_id', 'state']
+      );
+
+      leaveGroups.forEach((group) => {
+        const row = rowOf(group);
+        if (TAKEN_STATES.includes(group.state)) row.taken += group.number_of_days || 0;
+        if (PENDING_STATES.includes(group.state)) row.pending += group.number_of_days || 0;
+      });
+
+      const data = Array.from(types.values())
+        .filter((row) => row.typeId)
+        .map((row) => ({
+          typeId: row.typeId,
+          typeName: row.typeName,
+          allocated: round(row.allocated),
+          taken: round(row.taken),
+          pending: round(row.pending),
+          remaining: round(row.allocated - row.taken - row.pending)
+        }))
+        .sort((a, b) => String(a.typeName).localeCompare(String(b.typeName)));
+
+      return {
+        success: true,
+        data,
+        summary: { employeeId, date }
+      };
+    } catch (error) {
+      this.logger.error('Failed to compute leave balances', error);
+      if (error.isOperational) throw error;
+      throw new ServiceError('Failed to compute leave balances', error);
+    }
+  }
+
+  /**
+   * List the leave types requests can be made for
+   * @returns {Promise<Object>} { success, data }
+   */
+  async getLeaveTypes() {
+    try {
+      const records = await this._withCache(
+        generateCacheKey(this.repository.models.leaveType, 'all'),
+        null,
+        () => this.repository.findLeaveTypes([], this.leaveTypeFields)
+      );
+
+      return { success: true, data: this.leaveTypeAdapter.toDTOArray(records) };
+    } catch (error) {
+      this.logger.error('Failed to fetch leave types', error);
+      if (error.isOperational) throw error;
+      throw new ServiceError('Failed to fetch leave types', error);
+    }
+  }
+
+  /**
+   * Move a leave request through Odoo's approval workflow
+   * The hr.leave action methods enforce the allowed transitions and approval rights;
+   * their refusals surface as OdooUserError (422)
+   * @param {number} id - Leave request ID
+   * @param {string} action - approve, refuse, validate or reset
+   * @param {Object} options - Action options
+   * @param {string} options.reason - Why the request is refused, posted on its chatter (refuse)
+   * @param {Object} options.scope - Caller's row scope ({ employeeId }), null for every record
+   * @returns {Promise<Object>} Updated leave request
+   */
+  async runAction(id, action, options = {}) {
+    try {
+      this._validateId(id);
+
+      const method = this.actions[action];
+      if (!method) {
+        throw new ValidationError(`Unknown time off action '${action}'`, {
+          action: `Expected one of: ${Object.keys(this.actions).join(', ')}`
+        });
+      }
+
+      const reason = typeof options.reason === 'string' ? options.reason.trim() : '';
+      if (action === 'refuse' && !reason) {
+        throw new ValidationError('A reason is required to refuse a leave request', {
+          reason: 'Reason is required'
+        });
+      }
+
+      // Existence and scope check, so out-of-scope requests read as missing
+      await this.getById(id, { scope: options.scope });
+
+      this.logger.info(`Running ${method} on leave request ${id}`);
+
+      await this.repository.callMethod([id], method);
+      await this._invalidateCache();
+
+      if (action === 'refuse') {
+        try {
+          await this.repository.callMethod([id], 'message_post', [], {
+            body: `Refused: ${reason}`
+          });
+        } catch (error) {
+          // The refusal itself went through; do not report it as failed
+          this.logger.warn(`Leave request ${id} refused but its reason was not posted`, error);
+        }
+      }
+
+      return await this.getById(id);
+    } catch (error) {
+      this.logger.error(`Failed to ${action} leave request ${id}`, error);
+      if (error.isOperational) throw error;
+      throw new ServiceError(`Failed to ${action} leave request ${id}`, error);
+    }
+  }
+
+  /**
+   * Sign a calendar token for the caller's feed subscription
+   * The token carries the caller's groups and employee, so the feed keeps their permissions
+   * and scope; it is only accepted by the calendar feed
+   * @param {Object} user - Decoded access token
+   * @returns {Object} { token, expiresIn }
+   */
+  createCalendarToken(user) {
+    const token = generateToken(
+      {
+        sub: user.sub,
+        uid: user.uid,
+        login: user.login,
+        employeeId: user.employeeId || null,
+        groups: user.groups || [],
+        type: 'calendar'
+      },
+      this.calendarFeed.tokenExpiresIn
+    );
+
+    this.logger.info('Issued calendar token', { uid: user.uid });
+
+    return { token, expiresIn: this.calendarFeed.tokenExpiresIn };
+  }
+
+  /**
+   * Validate and normalise a calendar query
+   * @private
+   * @param {Object} query - Raw query ({ from, to, departmentId })
+   * @returns {Object} { from, to, departmentId }
+   */
+  _validateCalendarQuery(query) {
+    const { from, to } = query;
+    const departmentId =
+      query.departmentId !== undefined && query.departmentId !== ''
+        ? Number(query.departmentId)
+        : null;
+    const errors = {};
+
+    if (!isDateString(from)) errors.from = 'Expected a date (YYYY-MM-DD)';
+    if (!isDateString(to)) errors.to = 'Expected a date (YYYY-MM-DD)';
+    if (departmentId !== null && (!Number.isInteger(departmentId) || departmentId <= 0)) {
+      errors.department_id = 'Expected a positive integer';
+    }
+
+    if (!errors.from && !errors.to) {
+      const days = (Date.parse(to) - Date.parse(from)) / 86400000 + 1;
+      if (days < 1) errors.to = "Must not be before 'from'";
+      if (days > MAX_CALENDAR_DAYS) errors.to = `Range is limited to ${MAX_CALENDAR_DAYS} days`;
+    }
+
+    if (Object.keys(errors).length > 0) {
+      throw new ValidationError('Invalid time off calendar query', errors);
+    }
+
+    return { from, to, departmentId };
+  }
+
+  /**
+   * Submitted and approved leave requests overlapping a range of local days
+   * Read a page at a time, so busy teams are never cut off
+   * @private
+   * @param {Object} query - Normalised query ({ from, to, departmentId })
+   * @param {Object|null} scope - Caller's row scope ({ employeeId })
+   * @returns {Promise<Array<Object>>} Leave request DTOs, by start date
+   */
+  async _findCalendarLeaves({ from, to, departmentId }, scope) {
+    const domain = [
+      ...this._scopeDomain(scope),
+      ['state', 'in', [...PENDING_STATES, ...TAKEN_STATES]],
+      ['date_from', '<', formatOdooDatetime(startOfZonedDay(addDays(to, 1), this.timezone))],
+      ['date_to', '>', formatOdooDatetime(startOfZonedDay(from, this.timezone))]
+    ];
+    if (departmentId) domain.push(['department_id', '=', departmentId]);
+
+    const records = [];
+    let page;
+    do {
+      page = await this.repository.findAll(
+        domain,
+        this.defaultFields,
+        this.exportPageSize,
+        records.length,
+        'date_from asc, id asc'
+      );
+      records.push(...page);
+    } while (page.length === this.exportPageSize);
+
+    return this.adapter.toDTOArray(records).filter((leave) => leave.dateFrom && leave.dateTo);
+  }
+
+  /**
+   * Normalise a request date to the UTC datetime Odoo stores
+   * A bare date is the start of that day in the service time zone, or the start of the next
+   * day when it ends a range (end dates are inclusive)
+   * @private
+   * @param {string} value - 'YYYY-MM-DD' or 'YYYY-MM-DD HH:MM[:SS]'
+   * @param {Object} options - Conversion options
+   * @param {boolean} options.endOfDay - Whether a bare date ends the range
+   * @returns {string} 'YYYY-MM-DD HH:MM:SS'
+   */
+  _toOdooDatetime(value, options = {}) {
+    if (isDateString(value)) {
+      const date = options.endOfDay ? addDays(value, 1) : value;
+      return formatOdooDatetime(startOfZonedDay(date, this.timezone));
+    }
+    return value.length === 16 ? `${value}:00` : value;
+  }
+
+  /**
+   * Estimate the days a request takes: local weekdays in the range that are not public holidays
+   * @private
+   * @param {string} dateFrom - Start (Odoo UTC datetime)
+   * @param {string} dateTo - End (Odoo UTC datetime)
+   * @param {Set<string>} holidays - Local dates of public holidays
+   * @returns {number} Days
+   */
+  _estimateDays(dateFrom, dateTo, holidays) {
+    const first = toZonedParts(parseOdooDatetime(dateFrom), this.timezone).date;
+    // A request ending at midnight stops the day before
+    const end = new Date(parseOdooDatetime(dateTo).getTime() - 1000);
+    const last = toZonedParts(end, this.timezone).date;
+
+    let days = 0;
+    for (let date = first; date <= last; date = addDays(date, 1)) {
+      if (!WEEKEND_DAYS.includes(odooWeekday(date)) && !holidays.has(date)) days += 1;
+    }
+
+    return days;
+  }
+}
 
 module.exports = TimeOffService;
@@ -0,0 +1,141 @@
+const Joi = require('joi');
+
+// State only changes through the workflow actions, which run Odoo's checks
+const STATE_MESSAGE =
+  'state cannot be written directly; use the approve, refuse, validate or reset actions';
+
+// Odoo date or UTC datetime, as stored on hr.leave
+const ODOO_DATETIME = /^\d{4}-\d{2}-\d{2}( \d{2}:\d{2}(:\d{2})?)?$/;
+const DATETIME_MESSAGE = 'must be an Odoo date (YYYY-MM-DD) or UTC datetime (YYYY-MM-DD HH:MM:SS)';
+
+/**
+ * Time Off Validator
+ * Validates leave request payloads before they reach Odoo
+ */
+class TimeOffValidator {
+  constructor() {
+    // Schema for creating a leave request
+    this.createSchema = Joi.object({
+      employeeId: Joi.number().integer().positive().required().messages({
+        'number.base': 'Employee ID must be a number',
+        'any.required': 'Employee ID is required'
+      }),
+
+      typeId: Joi.number().integer().positive().required().messages({
+        'number.base': 'Type ID must be a number',
+        'any.required': 'Type ID is required'
+      }),
+
+      dateFrom: Joi.string()
+        .pattern(ODOO_DATETIME)
+        .required()
+        .messages({
+          'string.pattern.base': `Start date ${DATETIME_MESSAGE}`,
+          'any.required': 'Start date is required'
+        }),
+
+      dateTo: Joi.string()
+        .pattern(ODOO_DATETIME)
+        .required()
+        .messages({
+          'string.pattern.base': `End date ${DATETIME_MESSAGE}`,
+          'any.required': 'End date is required'
+        }),
+
+      days: Joi.number().positive().optional().messages({
+        'number.base': 'Days must be a number'
+      }),
+
+      state: Joi.any().forbidden().messages({
+        'any.unknown': STATE_MESSAGE
+      })
+    });
+
+    // Schema for updating a leave request
+    this.updateSchema = Joi.object({
+      employeeId: Joi.number().integer().positive().optional().messages({
+        'number.base': 'Employee ID must be a number'
+      }),
+
+      typeId: Joi.number().integer().positive().optional().messages({
+        'number.base': 'Type ID must be a number'
+      }),
+
+      dateFrom: Joi.string()
+        .pattern(ODOO_DATETIME)
+        .optional()
+        .messages({
+          'string.pattern.base': `Start date ${DATETIME_MESSAGE}`
+        }),
+
+      dateTo: Joi.string()
+        .pattern(ODOO_DATETIME)
+        .optional()
+        .messages({
+          'string.pattern.base': `End date ${DATETIME_MESSAGE}`
+        }),
+
+      days: Joi.number().positive().optional().messages({
+        'number.base': 'Days must be a number'
+      }),
+
+      state: Joi.any().forbidden().messages({
+        'any.unknown': STATE_MESSAGE
+      })
+    })
+      .min(1)
+      .messages({
+        'object.min': 'At least one field must be provided for update'
+      });
+  }
+
+  /**
+   * Validate leave request data for creation
+   * @param {Object} data - Leave request data
+   * @returns {Object} Validation result
+   */
+  validate(data) {
+    return this._validate(this.createSchema, data);
+  }
+
+  /**
+   * Validate leave request data for update
+   * @param {Object} data - Leave request data
+   * @returns {Object} Validation result
+   */
+  validateUpdate(data) {
+    return this._validate(this.updateSchema, data);
+  }
+
+  /**
+   * Validate data against a schema
+   * @private
+   * @param {Joi.Schema} schema - Joi schema
+   * @param {Object} data - Data to validate
+   * @returns {Object} Validation result ({ isValid, errors, fields } or { isValid, value })
+   */
+  _validate(schema, data) {
+    const { error, value } = schema.validate(data, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      return {
+        isValid: false,
+        errors: error.details.map((detail) => detail.message),
+        fields: error.details.reduce((acc, detail) => {
+          acc[detail.path[0]] = detail.message;
+          return acc;
+        }, {})
+      };
+    }
+
+    return {
+      isValid: true,
+      value
+    };
+  }
+}
+
+module.exports = TimeOffValidator;
@@ -26,7 +26,9 @@ const ERROR_TYPES = {
   NOT_FOUND_ERROR: 'NotFoundError',
   AUTHENTICATION_ERROR: 'AuthenticationError',
   AUTHORIZATION_ERROR: 'AuthorizationError',
+  CONFLICT_ERROR: 'ConflictError',
   ODOO_CONNECTION_ERROR: 'OdooConnectionError',
+  ODOO_USER_ERROR: 'OdooUserError',
   REPOSITORY_ERROR: 'RepositoryError',
   SERVICE_ERROR: 'ServiceError'
 };
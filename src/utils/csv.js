@@ -0,0 +1,115 @@
+const { ValidationError } = require('../core/errors');
+
+/**
+ * CSV Helpers
+ * Minimal RFC 4180 reader and writer: comma separated, double-quoted fields with "" escapes,
+ * CRLF or LF line endings. The first row holds the column names.
+ */
+
+// First characters that make Excel, LibreOffice or Sheets evaluate a cell (CSV injection)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Split CSV text into rows of raw values
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows
+ */
+const tokenize = (text) => {
+  const rows = [];
+  let row = [];
+  let value = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        value += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"' && value === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(value);
+      rows.push(row);
+      row = [];
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+
+  if (quoted) {
+    throw new ValidationError('Invalid CSV: unterminated quoted field');
+  }
+
+  if (value !== '' || row.length > 0) {
+    row.push(value);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+/**
+ * Parse CSV text into objects keyed by the header row
+ * Blank lines are skipped and empty cells are left out of the object
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} Records
+ */
+const parseCsv = (text) => {
+  const rows = tokenize(String(text || '').replace(/^\uFEFF/, '')).filter((row) =>
+    row.some((value) => value.trim() !== '')
+  );
+
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const header = rows[0].map((column) => column.trim());
+
+  return rows.slice(1).map((row) =>
+    header.reduce((record, column, index) => {
+      const value = row[index] !== undefined ? row[index].trim() : '';
+      if (column && value !== '') {
+        record[column] = value;
+      }
+      return record;
+    }, {})
+  );
+};
+
+/**
+ * Format one CSV line (CRLF terminated)
+ * Values containing commas, quotes or line breaks are quoted; null and undefined become empty
+ * cells and objects are written as JSON. Text that a spreadsheet would run as a formula gets a
+ * leading apostrophe.
+ * @param {Array} values - Cell values
+ * @returns {string} CSV line
+ */
+const toCsvRow = (values) =>
+  `${values
+    .map((value) => {
+      if (value === null || value === undefined) return '';
+
+      let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+      if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+        text = `'${text}`;
+      }
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    })
+    .join(',')}\r\n`;
+
+module.exports = {
+  parseCsv,
+  toCsvRow
+};
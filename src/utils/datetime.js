@@ -0,0 +1,138 @@
+/**
+ * Date and Time Helpers
+ * Odoo stores datetimes as naive UTC strings ("YYYY-MM-DD HH:MM:SS") and dates as "YYYY-MM-DD".
+ * These helpers convert between them and wall-clock time in an IANA time zone.
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MS_PER_DAY = 86400000;
+
+// Python's date.toordinal() of 1970-01-01, used to match Odoo's week parity
+const EPOCH_ORDINAL = 719163;
+
+/**
+ * Check a "YYYY-MM-DD" date string
+ * @param {string} value - Value to check
+ * @returns {boolean} True for a valid calendar date
+ */
+const isDateString = (value) => {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false;
+  return new Date(`${value}T00:00:00Z`).toISOString().slice(0, 10) === value;
+};
+
+/**
+ * Check an IANA time zone name
+ * @param {string} timeZone - Time zone (e.g., 'Europe/Brussels')
+ * @returns {boolean} True when the runtime knows the zone
+ */
+const isValidTimeZone = (timeZone) => {
+  try {
+    Intl.DateTimeFormat('en-US', { timeZone });
+    return Boolean(timeZone);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Parse an Odoo UTC datetime string
+ * @param {string|false} value - Odoo datetime
+ * @returns {Date|null} Date, or null for empty values
+ */
+const parseOdooDatetime = (value) => (value ? new Date(`${value.replace(' ', 'T')}Z`) : null);
+
+/**
+ * Wall-clock date and time of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} { date: 'YYYY-MM-DD', hours: decimal hours since local midnight }
+ */
+const toZonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  })
+    .formatToParts(date)
+    .reduce((result, part) => ({ ...result, [part.type]: part.value }), {});
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    hours: Number(parts.hour) + Number(parts.minute) / 60 + Number(parts.second) / 3600
+  };
+};
+
+/**
+ * Add days to a date string
+ * @param {string} date - 'YYYY-MM-DD'
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} 'YYYY-MM-DD'
+ */
+const addDays = (date, days) =>
+  new Date(Date.parse(`${date}T00:00:00Z`) + days * MS_PER_DAY).toISOString().slice(0, 10);
+
+/**
+ * The instant a local calendar day starts in a time zone
+ * @param {string} date - 'YYYY-MM-DD'
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} Local midnight as a UTC instant
+ */
+const startOfZonedDay = (date, timeZone) => {
+  const guess = Date.parse(`${date}T00:00:00Z`);
+  const local = toZonedParts(new Date(guess), timeZone);
+  const offset = Date.parse(`${local.date}T00:00:00Z`) + local.hours * 3600000 - guess;
+
+  return new Date(guess - offset);
+};
+
+/**
+ * Day of week using Odoo's numbering (Monday = 0 ... Sunday = 6)
+ * @param {string} date - 'YYYY-MM-DD'
+ * @returns {number} Day of week
+ */
+const odooWeekday = (date) => (new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7;
+
+/**
+ * Week parity of a date as Odoo computes it for two-week calendars ('0' or '1')
+ * @param {string} date - 'YYYY-MM-DD'
+ * @returns {string} Week type
+ */
+const odooWeekType = (date) => {
+  const ordinal = Date.parse(`${date}T00:00:00Z`) / MS_PER_DAY + EPOCH_ORDINAL;
+  return String(Math.floor((ordinal - 1) / 7) % 2);
+};
+
+/**
+ * ISO 8601 week of a date
+ * @param {string} date - 'YYYY-MM-DD'
+ * @returns {string} Week (e.g., '2026-W10')
+ */
+const isoWeek = (date) => {
+  // The ISO week belongs to the year of its Thursday
+  const thursday = addDays(date, 3 - odooWeekday(date));
+  const year = thursday.slice(0, 4);
+  const week =
+    Math.floor(
+      (Date.parse(`${thursday}T00:00:00Z`) - Date.parse(`${year}-01-01T00:00:00Z`)) /
+        (7 * MS_PER_DAY)
+    ) + 1;
+
+  return `${year}-W${String(week).padStart(2, '0')}`;
+};
+
+module.exports = {
+  isDateString,
+  isValidTimeZone,
+  parseOdooDatetime,
+  toZonedParts,
+  addDays,
+  startOfZonedDay,
+  odooWeekday,
+  odooWeekType,
+  isoWeek
+};
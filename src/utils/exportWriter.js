@@ -0,0 +1,117 @@
+const ExcelJS = require('exceljs');
+const { toCsvRow } = require('./csv');
+
+/**
+ * Export Writer
+ * Streams DTO pages to an HTTP response as CSV, XLSX or NDJSON.
+ * Writers follow the contract OdooModelService.exportAll drives: begin(columns), write(rows), end().
+ * Headers are only sent by begin(), so errors raised before the first page still reach the
+ * error handler as JSON.
+ */
+
+/**
+ * Supported formats
+ */
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx'
+  },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+/**
+ * Write a chunk, waiting for the stream to drain when its buffer is full
+ * @param {Writable} stream - Destination stream
+ * @param {string} chunk - Data
+ * @returns {Promise<void>}
+ */
+const writeChunk = (stream, chunk) => {
+  if (stream.write(chunk)) return Promise.resolve();
+
+  return new Promise((resolve, reject) => {
+    // Whichever event comes first detaches the other handler
+    let onDrain = null;
+    let onClose = null;
+
+    onDrain = () => {
+      stream.off('close', onClose);
+      resolve();
+    };
+    onClose = () => {
+      stream.off('drain', onDrain);
+      reject(new Error('Export stream closed before the export completed'));
+    };
+
+    stream.once('drain', onDrain);
+    stream.once('close', onClose);
+  });
+};
+
+/**
+ * Convert a DTO value into a spreadsheet cell value
+ * @param {any} value - DTO value
+ * @returns {any} Cell value
+ */
+const toCell = (value) => {
+  if (value === null || value === undefined) return null;
+  return typeof value === 'object' ? JSON.stringify(value) : value;
+};
+
+/**
+ * Create a writer streaming an export to an HTTP response
+ * @param {string} format - csv, xlsx or ndjson
+ * @param {Response} res - Express response object
+ * @param {string} name - Base file name (also the XLSX sheet name)
+ * @returns {Object} Writer ({ begin, write, end })
+ */
+const createExportWriter = (format, res, name) => {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  let columns = [];
+  let workbook = null;
+  let worksheet = null;
+
+  return {
+    async begin(exportColumns) {
+      columns = exportColumns;
+
+      res.status(200);
+      res.set('Content-Type', contentType);
+      res.attachment(`${name}.${extension}`);
+
+      if (format === 'csv') {
+        await writeChunk(res, toCsvRow(columns));
+      } else if (format === 'xlsx') {
+        workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+        worksheet = workbook.addWorksheet(name.slice(0, 31));
+        worksheet.addRow(columns).commit();
+      }
+    },
+
+    async write(rows) {
+      if (format === 'csv') {
+        await writeChunk(res, rows.map((row) => toCsvRow(columns.map((key) => row[key]))).join(''));
+      } else if (format === 'xlsx') {
+        rows.forEach((row) => worksheet.addRow(columns.map((key) => toCell(row[key]))).commit());
+      } else {
+        await writeChunk(res, rows.map((row) => `${JSON.stringify(row)}\n`).join(''));
+      }
+    },
+
+    async end() {
+      if (format === 'xlsx') {
+        worksheet.commit();
+        // Ends the response once the archive is flushed
+        await workbook.commit();
+      } else {
+        res.end();
+      }
+    }
+  };
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  createExportWriter
+};
@@ -94,6 +94,17 @@ const formatDate = (date) => {
   return d.toISOString().split('T')[0];
 };
 
+/**
+ * Format a date as an Odoo datetime string (UTC, "YYYY-MM-DD HH:MM:SS")
+ * @param {Date|string} date - Date to format
+ * @returns {string} Odoo datetime
+ */
+const formatOdooDatetime = (date) => {
+  if (!date) return null;
+  const d = date instanceof Date ? date : new Date(date);
+  return d.toISOString().slice(0, 19).replace('T', ' ');
+};
+
 /**
  * Parse boolean value
  * @param {any} value - Value to parse
@@ -214,6 +225,7 @@ module.exports = {
   generateCacheKey,
   sanitizeString,
   formatDate,
+  formatOdooDatetime,
   parseBoolean,
   retryWithBackoff,
   toCamelCase,
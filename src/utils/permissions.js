@@ -0,0 +1,42 @@
+/**
+ * Permission Helpers
+ * Resolve API permissions from Odoo group XML IDs and match them against route requirements
+ */
+
+const WILDCARD = '*';
+
+/**
+ * Collect the permissions granted by a set of Odoo groups
+ * @param {Array<string>} groups - Group XML IDs (e.g. 'hr.group_hr_user')
+ * @param {Object} mapping - Group XML ID to permission list
+ * @returns {Array<string>} Sorted, de-duplicated permissions
+ */
+const resolvePermissions = (groups = [], mapping = {}) => {
+  const granted = new Set();
+
+  (groups || []).forEach((group) => {
+    (mapping[group] || []).forEach((permission) => granted.add(permission));
+  });
+
+  return Array.from(granted).sort();
+};
+
+/**
+ * Check whether a permission list satisfies a required permission
+ * @param {Array<string>} granted - Granted permissions
+ * @param {string} required - Required permission ('resource:action')
+ * @returns {boolean} True when granted directly or through a wildcard
+ */
+const hasPermission = (granted, required) => {
+  const [resource] = required.split(':');
+
+  return (granted || []).some(
+    (permission) =>
+      permission === WILDCARD || permission === required || permission === `${resource}:${WILDCARD}`
+  );
+};
+
+module.exports = {
+  resolvePermissions,
+  hasPermission
+};
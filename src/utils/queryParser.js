@@ -0,0 +1,326 @@
+const { ValidationError } = require('../core/errors');
+
+/**
+ * Query Parser
+ * Compiles list endpoint query parameters into Odoo domains
+ *
+ * Supported grammar:
+ *   field=value              equality
+ *   field[op]=value          operator form (see OPERATORS)
+ *   field>=value             shorthand for field[gte]=value (also <= and !=)
+ *   field[in]=a,b            comma separated lists for in / nin
+ *   field=null               shorthand for field[null]=true (field[ne]=null for false)
+ *   or[0][field]=a&or[1][field][ne]=b
+ *                            OR groups; conditions inside a group are ANDed
+ *
+ * Also parses the `sort` (-date_from,employee_id) and `fields` (id,name,state)
+ * collection parameters.
+ */
+
+/**
+ * Query operator to Odoo domain operator
+ */
+const OPERATORS = {
+  eq: '=',
+  ne: '!=',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+  in: 'in',
+  nin: 'not in',
+  like: 'like',
+  ilike: 'ilike',
+  nlike: 'not ilike',
+  null: null
+};
+
+/**
+ * Trailing characters left on a key by `field>=value` style parameters
+ */
+const SHORTHAND_SUFFIXES = {
+  '>': 'gte',
+  '<': 'lte',
+  '!': 'ne'
+};
+
+/**
+ * `field>value` and `field<value` parameters arrive as a single key with an empty value
+ */
+const STRICT_SHORTHAND = /^([^<>!]+)([<>])([^<>!]+)$/;
+const STRICT_OPERATORS = {
+  '>': 'gt',
+  '<': 'lt'
+};
+
+const LIST_OPERATORS = ['in', 'nin'];
+const TEXT_OPERATORS = ['like', 'ilike', 'nlike'];
+const OR_KEY = 'or';
+
+/**
+ * Convert a query string value into the matching JS type
+ * Numbers with leading zeros or more than 15 digits (codes, barcodes) stay strings.
+ * @param {string} value - Raw query value
+ * @returns {string|number|boolean} Coerced value
+ */
+const coerceValue = (value) => {
+  if (typeof value !== 'string') return value;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (/^-?(0|[1-9]\d{0,14})(\.\d+)?$/.test(value)) return Number(value);
+  return value;
+};
+
+/**
+ * Build a single domain term
+ * @param {string} field - Field name
+ * @param {string} op - Query operator (key of OPERATORS)
+ * @param {any} value - Raw query value
+ * @param {boolean} text - Whether the field is compared as text (values are not coerced)
+ * @returns {Array} Odoo domain term
+ */
+const buildTerm = (field, op, value, text = false) => {
+  if (!Object.prototype.hasOwnProperty.call(OPERATORS, op)) {
+    throw new ValidationError(`Unsupported filter operator '${op}' on '${field}'`, {
+      [field]: `Supported operators: ${Object.keys(OPERATORS).join(', ')}`
+    });
+  }
+
+  if (op === 'null') {
+    const isNull = coerceValue(value);
+    if (typeof isNull !== 'boolean') {
+      throw new ValidationError(`Invalid value for filter '${field}[null]'`, {
+        [field]: 'Expected true or false'
+      });
+    }
+    return [field, isNull ? '=' : '!=', false];
+  }
+
+  const coerce = (item) => (text ? item : coerceValue(item));
+
+  if (LIST_OPERATORS.includes(op)) {
+    const values = Array.isArray(value) ? value : String(value).split(',');
+    return [
+      field,
+      OPERATORS[op],
+      values
+        .map((item) => String(item).trim())
+        .filter((item) => item !== '')
+        // Odoo matches unset fields with False inside in / not in lists
+        .map((item) => (item === 'null' ? false : coerce(item)))
+    ];
+  }
+
+  if (Array.isArray(value) || (value !== null && typeof value === 'object')) {
+    throw new ValidationError(`Invalid value for filter '${field}[${op}]'`, {
+      [field]: 'Expected a single value'
+    });
+  }
+
+  if (value === 'null' && !TEXT_OPERATORS.includes(op)) {
+    if (op !== 'eq' && op !== 'ne') {
+      throw new ValidationError(`Invalid value for filter '${field}[${op}]'`, {
+        [field]: `Use ${field}[null]=true or ${field}[null]=false to filter on unset values`
+      });
+    }
+    return buildTerm(field, 'null', op === 'eq' ? 'true' : 'false');
+  }
+
+  return [field, OPERATORS[op], TEXT_OPERATORS.includes(op) ? value : coerce(value)];
+};
+
+/**
+ * Ensure a field may be filtered on
+ * @param {string} field - Field name
+ * @param {Array|null} allowedFields - Whitelist (null disables the check)
+ */
+const assertFilterable = (field, allowedFields) => {
+  if (allowedFields && !allowedFields.includes(field)) {
+    throw new ValidationError(`Filtering on '${field}' is not allowed`, {
+      [field]: `Filterable fields: ${allowedFields.join(', ')}`
+    });
+  }
+};
+
+/**
+ * Compile a flat query object into a list of ANDed domain terms
+ * @param {Object} query - Parsed query parameters
+ * @param {Array|null} allowedFields - Whitelist of filterable fields
+ * @param {Array} textFields - Fields compared as text
+ * @returns {Array} Domain terms
+ */
+const compileConditions = (query, allowedFields, textFields) => {
+  const terms = [];
+
+  Object.keys(query).forEach((rawKey) => {
+    const value = query[rawKey];
+    const strict = value === '' ? STRICT_SHORTHAND.exec(rawKey) : null;
+
+    let field = rawKey;
+    let operators = { eq: value };
+
+    const suffix = rawKey.slice(-1);
+    if (strict) {
+      [, field] = strict;
+      operators = { [STRICT_OPERATORS[strict[2]]]: strict[3] };
+    } else if (SHORTHAND_SUFFIXES[suffix]) {
+      field = rawKey.slice(0, -1);
+      operators = { [SHORTHAND_SUFFIXES[suffix]]: value };
+    } else if (Array.isArray(value)) {
+      // Repeated parameters (state=draft&state=confirm) behave like [in]
+      operators = { in: value };
+    } else if (typeof value === 'object') {
+      operators = value;
+    }
+
+    if (/[<>!]/.test(field)) {
+      throw new ValidationError(`Invalid filter '${rawKey}'`, {
+        [rawKey]: 'Expected field[op]=value or one of field>=, field<=, field!=, field>, field<'
+      });
+    }
+
+    // Checked before empty values are dropped, so a misspelt field is never silently ignored
+    assertFilterable(field, allowedFields);
+
+    if (value === undefined || value === null || (value === '' && !strict)) {
+      return;
+    }
+
+    Object.keys(operators).forEach((op) => {
+      if (operators[op] !== undefined && operators[op] !== '') {
+        terms.push(buildTerm(field, op, operators[op], textFields.includes(field)));
+      }
+    });
+  });
+
+  return terms;
+};
+
+/**
+ * Combine terms with a prefix-notation operator
+ * @param {string} operator - '&' or '|'
+ * @param {Array<Array>} expressions - Expressions, each a list of domain elements
+ * @returns {Array} Combined expression
+ */
+const combine = (operator, expressions) => {
+  if (expressions.length === 0) return [];
+
+  return [
+    ...Array(expressions.length - 1).fill(operator),
+    ...expressions.reduce((result, expression) => result.concat(expression), [])
+  ];
+};
+
+/**
+ * Build an Odoo domain from list endpoint query parameters
+ * @param {Object} query - Query parameters (pagination keys already removed)
+ * @param {Array|null} allowedFields - Whitelist of filterable fields (null allows any field)
+ * @param {Array} textFields - Char fields whose values are never coerced to numbers or booleans
+ * @returns {Array} Odoo domain
+ */
+const buildDomain = (query = {}, allowedFields = null, textFields = []) => {
+  const { [OR_KEY]: orGroups, ...conditions } = query;
+
+  const domain = compileConditions(conditions, allowedFields, textFields);
+
+  if (orGroups !== undefined) {
+    const groups = Array.isArray(orGroups) ? orGroups : Object.values(orGroups);
+
+    const expressions = groups
+      .filter((group) => group !== null && typeof group === 'object')
+      .map((group) => {
+        const terms = compileConditions(group, allowedFields, textFields);
+        return combine(
+          '&',
+          terms.map((term) => [term])
+        );
+      })
+      .filter((expression) => expression.length > 0);
+
+    if (expressions.length === 0) {
+      throw new ValidationError("Invalid 'or' filter: expected or[n][field]=value groups");
+    }
+
+    domain.push(...combine('|', expressions));
+  }
+
+  return domain;
+};
+
+/**
+ * Split a comma separated query parameter into trimmed tokens
+ * @param {string|Array} value - Raw query value (repeated parameters arrive as arrays)
+ * @returns {Array<string>} Tokens
+ */
+const splitList = (value) =>
+  (Array.isArray(value) ? value : [value])
+    .reduce((tokens, item) => tokens.concat(String(item).split(',')), [])
+    .map((token) => token.trim())
+    .filter((token) => token !== '');
+
+/**
+ * Ensure every requested field is a known field of the model
+ * @param {string} param - Query parameter name, used in the error
+ * @param {Array<string>} fields - Requested fields
+ * @param {Array|null} knownFields - Known fields (null disables the check)
+ */
+const assertKnown = (param, fields, knownFields) => {
+  if (!knownFields) return;
+
+  const unknown = fields.filter((field) => !knownFields.includes(field));
+  if (unknown.length > 0) {
+    throw new ValidationError(`Unknown field(s) in '${param}': ${unknown.join(', ')}`, {
+      [param]: `Allowed fields: ${knownFields.join(', ')}`
+    });
+  }
+};
+
+/**
+ * Parse a `sort` parameter into an Odoo order clause
+ * A leading '-' sorts descending: "-date_from,employee_id" => "date_from desc, employee_id asc"
+ * @param {string|Array} sort - Raw sort parameter
+ * @param {Array|null} knownFields - Fields that may be sorted on
+ * @returns {string|null} Order clause, or null when no sort was requested
+ */
+const parseSort = (sort, knownFields = null) => {
+  if (sort === undefined || sort === null || sort === '') return null;
+
+  const clauses = splitList(sort).map((token) => {
+    const descending = token.startsWith('-');
+    return { field: token.replace(/^[-+]/, ''), direction: descending ? 'desc' : 'asc' };
+  });
+
+  assertKnown(
+    'sort',
+    clauses.map((clause) => clause.field),
+    knownFields
+  );
+
+  return clauses.length > 0
+    ? clauses.map((clause) => `${clause.field} ${clause.direction}`).join(', ')
+    : null;
+};
+
+/**
+ * Parse a `fields` parameter into the list of Odoo fields to read
+ * The record id is always included
+ * @param {string|Array} fields - Raw fields parameter
+ * @param {Array|null} knownFields - Fields that may be read
+ * @returns {Array<string>|null} Fields, or null when no selection was requested
+ */
+const parseFields = (fields, knownFields = null) => {
+  if (fields === undefined || fields === null || fields === '') return null;
+
+  const requested = splitList(fields);
+  assertKnown('fields', requested, knownFields);
+
+  return requested.length > 0 ? Array.from(new Set(['id', ...requested])) : null;
+};
+
+module.exports = {
+  OPERATORS,
+  buildDomain,
+  coerceValue,
+  parseSort,
+  parseFields
+};
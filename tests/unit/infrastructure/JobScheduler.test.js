@@ -0,0 +1,70 @@
+const JobScheduler = require('../../../src/infrastructure/scheduler/JobScheduler');
+
+describe('JobScheduler', () => {
+  let scheduler;
+  let mockLogger;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    mockLogger = {
+      info: jest.fn(),
+      error: jest.fn(),
+      warn: jest.fn(),
+      debug: jest.fn()
+    };
+    scheduler = new JobScheduler(mockLogger);
+  });
+
+  afterEach(() => {
+    scheduler.stop();
+    jest.useRealTimers();
+  });
+
+  it('should run jobs at their interval until stopped', async () => {
+    const task = jest.fn().mockResolvedValue();
+    scheduler.schedule('sync', 1000, task).start();
+
+    await jest.advanceTimersByTimeAsync(3000);
+    expect(task).toHaveBeenCalledTimes(3);
+
+    scheduler.stop();
+    await jest.advanceTimersByTimeAsync(3000);
+    expect(task).toHaveBeenCalledTimes(3);
+  });
+
+  it('should skip a run while the previous one is still busy', async () => {
+    let finish;
+    const task = jest.fn(
+      () =>
+        new Promise((resolve) => {
+          finish = resolve;
+        })
+    );
+    scheduler.schedule('sync', 1000, task);
+
+    const first = scheduler.run('sync');
+    expect(await scheduler.run('sync')).toBe(false);
+    expect(task).toHaveBeenCalledTimes(1);
+
+    finish();
+    expect(await first).toBe(true);
+  });
+
+  it('should log failures and keep the schedule running', async () => {
+    const task = jest.fn().mockRejectedValueOnce(new Error('Odoo down')).mockResolvedValue();
+    scheduler.schedule('sync', 1000, task).start();
+
+    await jest.advanceTimersByTimeAsync(2000);
+
+    expect(mockLogger.error).toHaveBeenCalledWith("Job 'sync' failed", expect.any(Error));
+    expect(task).toHaveBeenCalledTimes(2);
+    expect(scheduler.jobs.get('sync').lastError).toBeNull();
+  });
+
+  it('should refuse duplicate names and invalid intervals', () => {
+    scheduler.schedule('sync', 1000, jest.fn());
+
+    expect(() => scheduler.schedule('sync', 1000, jest.fn())).toThrow('already scheduled');
+    expect(() => scheduler.schedule('other', 0, jest.fn())).toThrow('positive interval');
+  });
+});
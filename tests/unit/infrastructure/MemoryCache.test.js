@@ -0,0 +1,108 @@
+const MemoryCache = require('../../../src/infrastructure/cache/MemoryCache');
+const CacheManager = require('../../../src/infrastructure/cache/CacheManager');
+
+describe('MemoryCache', () => {
+  let cache;
+  let mockLogger;
+
+  beforeEach(() => {
+    mockLogger = {
+      info: jest.fn(),
+      error: jest.fn(),
+      warn: jest.fn(),
+      debug: jest.fn()
+    };
+    cache = new MemoryCache({ maxEntries: 3 }, mockLogger);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should store and return values until their TTL elapses', async () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+
+    await cache.setEx('hr.leave:1', 60, '{"id":1}');
+    expect(await cache.get('hr.leave:1')).toBe('{"id":1}');
+
+    now.mockReturnValue(61000);
+    expect(await cache.get('hr.leave:1')).toBeNull();
+    expect(await cache.exists('hr.leave:1')).toBe(0);
+  });
+
+  it('should evict the least recently used entry when full', async () => {
+    await cache.setEx('a', 60, '1');
+    await cache.setEx('b', 60, '2');
+    await cache.setEx('c', 60, '3');
+
+    // Touch "a" so "b" becomes the oldest entry
+    await cache.get('a');
+    await cache.setEx('d', 60, '4');
+
+    expect(await cache.get('b')).toBeNull();
+    expect(await cache.get('a')).toBe('1');
+    expect((await cache.info()).evictions).toBe(1);
+  });
+
+  it('should match keys with Redis glob patterns', async () => {
+    await cache.setEx('hr.leave:1', 60, '1');
+    await cache.setEx('hr.leave:list:abc', 60, '2');
+    await cache.setEx('hr.employee:1', 60, '3');
+
+    expect(await cache.keys('hr.leave:*')).toEqual(['hr.leave:1', 'hr.leave:list:abc']);
+    expect(await cache.keys('hr.*:[0-9]')).toEqual(['hr.leave:1', 'hr.employee:1']);
+    expect(await cache.del(['hr.leave:1', 'missing'])).toBe(1);
+  });
+
+  describe('as a CacheManager fallback', () => {
+    it('should serve reads while the primary client is disconnected', async () => {
+      const primary = {
+        isConnected: jest.fn().mockReturnValue(false),
+        get: jest.fn(),
+        setEx: jest.fn(),
+        keys: jest.fn().mockResolvedValue([]),
+        del: jest.fn()
+      };
+      const manager = new CacheManager(primary, mockLogger, { fallback: cache });
+
+      await manager.set('hr.leave:1', { id: 1 }, 60);
+
+      expect(await manager.get('hr.leave:1')).toEqual({ id: 1 });
+      expect(primary.setEx).not.toHaveBeenCalled();
+
+      primary.isConnected.mockReturnValue(true);
+      expect(await manager.invalidate('hr.leave:*')).toBe(1);
+      expect(await cache.keys('*')).toEqual([]);
+    });
+
+    it('should replay invalidations missed by the primary before serving from it again', async () => {
+      const primary = {
+        isConnected: jest.fn().mockReturnValue(true),
+        get: jest.fn().mockResolvedValue('{"id":1,"state":"draft"}'),
+        setEx: jest.fn(),
+        keys: jest.fn().mockResolvedValue(['hr.leave:1', 'hr.leave:list:abc']),
+        del: jest.fn().mockResolvedValue(2)
+      };
+      const manager = new CacheManager(primary, mockLogger, { fallback: cache });
+
+      primary.isConnected.mockReturnValue(false);
+      await manager.invalidate('hr.leave:*');
+      await manager.delete('hr.employee:4');
+      expect(primary.keys).not.toHaveBeenCalled();
+
+      primary.isConnected.mockReturnValue(true);
+      primary.get.mockResolvedValue(null);
+
+      expect(await manager.get('hr.leave:1')).toBeNull();
+      expect(primary.del).toHaveBeenCalledWith('hr.employee:4');
+      expect(primary.keys).toHaveBeenCalledWith('hr.leave:*');
+      expect(primary.del).toHaveBeenCalledWith(['hr.leave:1', 'hr.leave:list:abc']);
+      expect(primary.del.mock.invocationCallOrder[1]).toBeLessThan(
+        primary.get.mock.invocationCallOrder[0]
+      );
+
+      await manager.get('hr.leave:1');
+      expect(primary.keys).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,101 @@
+jest.mock('../../../src/infrastructure/odoo/createOdooClient');
+
+const { createOdooClient } = require('../../../src/infrastructure/odoo/createOdooClient');
+const OdooConnectionPool = require('../../../src/infrastructure/odoo/OdooConnectionPool');
+const { runWithContext } = require('../../../src/infrastructure/context/requestContext');
+const { AuthenticationError } = require('../../../src/core/errors');
+
+describe('OdooConnectionPool', () => {
+  let pool;
+  let clients;
+
+  const createClient = (config) => ({
+    username: config.username,
+    connect: jest.fn().mockResolvedValue(),
+    disconnect: jest.fn().mockResolvedValue(),
+    execute_kw: jest.fn().mockResolvedValue(config.username)
+  });
+
+  beforeEach(() => {
+    clients = [];
+    createOdooClient.mockImplementation((config) => {
+      const client = createClient(config);
+      clients.push(client);
+      return client;
+    });
+
+    pool = new OdooConnectionPool(
+      {
+        username: 'admin',
+        password: 'admin',
+        retry: { maxAttempts: 3 },
+        pool: { min: 1, max: 2 },
+        impersonation: { enabled: true, maxSessions: 2, idleTimeoutMillis: 1000 }
+      },
+      { info: jest.fn(), error: jest.fn(), warn: jest.fn(), debug: jest.fn() }
+    );
+  });
+
+  afterEach(async () => {
+    await pool.destroy();
+    jest.restoreAllMocks();
+  });
+
+  describe('per-user sessions', () => {
+    it('should run calls inside a request context as the user', async () => {
+      await pool.openUserSession('7', 'jane', 'api-key');
+
+      const result = await runWithContext({ subject: '7' }, () =>
+        pool.execute_kw('hr.leave', 'write', [[1], { state: 'confirm' }])
+      );
+
+      expect(result).toBe('jane');
+      expect(createOdooClient).toHaveBeenCalledWith(
+        expect.objectContaining({ username: 'jane', password: 'api-key' }),
+        expect.anything()
+      );
+    });
+
+    it('should use the service account outside a request context', async () => {
+      await pool.openUserSession('7', 'jane', 'api-key');
+
+      await expect(pool.execute_kw('hr.leave', 'read', [[1]])).resolves.toBe('admin');
+    });
+
+    it('should refuse calls whose user session is missing', async () => {
+      await expect(
+        runWithContext({ subject: '8' }, () => pool.execute_kw('hr.leave', 'read', [[1]]))
+      ).rejects.toThrow(AuthenticationError);
+    });
+
+    it('should expire sessions that have been idle too long', async () => {
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+      await pool.openUserSession('7', 'jane', 'api-key');
+
+      Date.now.mockReturnValue(now + 5000);
+
+      expect(pool.hasUserSession('7')).toBe(false);
+      await expect(
+        runWithContext({ subject: '7' }, () => pool.execute_kw('hr.leave', 'read', [[1]]))
+      ).rejects.toThrow(AuthenticationError);
+    });
+
+    it('should evict the least recently used session beyond the cap', async () => {
+      await pool.openUserSession('1', 'a', 'x');
+      await pool.openUserSession('2', 'b', 'x');
+      await pool.openUserSession('3', 'c', 'x');
+
+      expect(pool.hasUserSession('1')).toBe(false);
+      expect(pool.hasUserSession('3')).toBe(true);
+      expect(clients[0].disconnect).toHaveBeenCalled();
+    });
+
+    it('should close a session on logout', async () => {
+      await pool.openUserSession('7', 'jane', 'api-key');
+
+      await expect(pool.closeUserSession('7')).resolves.toBe(true);
+      expect(pool.getStats().userSessions).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,174 @@
+const OdooJsonRpcClient = require('../../../src/infrastructure/odoo/OdooJsonRpcClient');
+const { OdooConnectionError, OdooUserError } = require('../../../src/core/errors');
+
+describe('OdooJsonRpcClient', () => {
+  let config;
+  let mockLogger;
+
+  beforeEach(() => {
+    config = {
+      host: 'localhost',
+      port: 8069,
+      protocol: 'http',
+      database: 'odoo',
+      username: 'admin',
+      password: 'secret',
+      retry: { maxAttempts: 1, delayMs: 1, backoffMultiplier: 1 },
+      timeout: { request: 1000 },
+      getConnectionString: () => 'http://admin@localhost:8069/odoo'
+    };
+
+    mockLogger = {
+      info: jest.fn(),
+      error: jest.fn(),
+      warn: jest.fn(),
+      debug: jest.fn()
+    };
+  });
+
+  describe('jsonrpc endpoint', () => {
+    it('should authenticate through the common service', async () => {
+      const client = new OdooJsonRpcClient(config, mockLogger);
+      const post = jest.spyOn(client, '_post').mockResolvedValue(2);
+
+      await client.connect();
+
+      expect(client.isConnected()).toBe(true);
+      expect(post).toHaveBeenCalledWith('/jsonrpc', {
+        service: 'common',
+        method: 'authenticate',
+        args: ['odoo', 'admin', 'secret', {}]
+      });
+    });
+
+    it('should call execute_kw on the object service', async () => {
+      const client = new OdooJsonRpcClient(config, mockLogger);
+      const post = jest
+        .spyOn(client, '_post')
+        .mockResolvedValueOnce(2)
+        .mockResolvedValueOnce([{ id: 1, name: 'John Doe' }]);
+
+      const result = await client.searchRead('hr.employee', [['active', '=', true]], ['name'], {
+        limit: 10
+      });
+
+      expect(result).toEqual([{ id: 1, name: 'John Doe' }]);
+      expect(post).toHaveBeenLastCalledWith('/jsonrpc', {
+        service: 'object',
+        method: 'execute_kw',
+        args: [
+          'odoo',
+          2,
+          'secret',
+          'hr.employee',
+          'search_read',
+          [[['active', '=', true]]],
+          { limit: 10, fields: ['name'] }
+        ]
+      });
+    });
+
+    it('should wrap RPC faults in OdooConnectionError', async () => {
+      const client = new OdooJsonRpcClient(config, mockLogger);
+      jest
+        .spyOn(client, '_post')
+        .mockResolvedValueOnce(2)
+        .mockRejectedValueOnce(new Error('Access Denied'));
+
+      await expect(client.unlink('hr.employee', [1])).rejects.toThrow(OdooConnectionError);
+    });
+
+    it('should surface Odoo user errors as OdooUserError', async () => {
+      const client = new OdooJsonRpcClient(config, mockLogger);
+      const fault = new Error('Odoo Server Error');
+      fault.code = 200;
+      fault.data = {
+        name: 'odoo.exceptions.UserError',
+        message: 'Time off request must be confirmed in order to approve it.'
+      };
+      jest.spyOn(client, '_post').mockResolvedValueOnce(2).mockRejectedValueOnce(fault);
+
+      const error = await client.unlink('hr.leave', [1]).catch((rejection) => rejection);
+
+      expect(error).toBeInstanceOf(OdooUserError);
+      expect(error.statusCode).toBe(422);
+      expect(error.message).toBe('Time off request must be confirmed in order to approve it.');
+    });
+
+    it('should fail to connect when credentials are rejected', async () => {
+      const client = new OdooJsonRpcClient(config, mockLogger);
+      jest.spyOn(client, '_post').mockResolvedValue(false);
+
+      await expect(client.connect()).rejects.toThrow(OdooConnectionError);
+      expect(client.isConnected()).toBe(false);
+    });
+  });
+
+  describe('call_kw endpoint', () => {
+    beforeEach(() => {
+      config.jsonRpcEndpoint = 'call_kw';
+    });
+
+    it('should authenticate a web session and call the dataset route', async () => {
+      const client = new OdooJsonRpcClient(config, mockLogger);
+      const post = jest
+        .spyOn(client, '_post')
+        .mockResolvedValueOnce({ uid: 2 })
+        .mockResolvedValueOnce(5);
+
+      const id = await client.create('hr.employee', { name: 'Jane Doe' });
+
+      expect(id).toBe(5);
+      expect(post).toHaveBeenNthCalledWith(1, '/web/session/authenticate', {
+        db: 'odoo',
+        login: 'admin',
+        password: 'secret'
+      });
+      expect(post).toHaveBeenNthCalledWith(2, '/web/dataset/call_kw/hr.employee/create', {
+        model: 'hr.employee',
+        method: 'create',
+        args: [{ name: 'Jane Doe' }],
+        kwargs: {}
+      });
+    });
+
+    it('should re-authenticate once when the session has expired', async () => {
+      const expired = Object.assign(new Error('Session Expired'), { code: 100 });
+      const client = new OdooJsonRpcClient(config, mockLogger);
+      const post = jest
+        .spyOn(client, '_post')
+        .mockResolvedValueOnce({ uid: 2 })
+        .mockRejectedValueOnce(expired)
+        .mockResolvedValueOnce({ uid: 2 })
+        .mockResolvedValueOnce(true);
+
+      const result = await client.write('hr.employee', [1], { name: 'Jane' });
+
+      expect(result).toBe(true);
+      expect(post).toHaveBeenCalledTimes(4);
+    });
+
+    it('should map faults of the retried call like any other', async () => {
+      const expired = Object.assign(new Error('Session Expired'), { code: 100 });
+      const fault = Object.assign(new Error('Odoo Server Error'), {
+        code: 200,
+        data: { name: 'odoo.exceptions.ValidationError', message: 'The start date is invalid.' }
+      });
+      const client = new OdooJsonRpcClient(config, mockLogger);
+      jest
+        .spyOn(client, '_post')
+        .mockResolvedValueOnce({ uid: 2 })
+        .mockRejectedValueOnce(expired)
+        .mockResolvedValueOnce({ uid: 2 })
+        .mockRejectedValueOnce(fault);
+
+      const error = await client
+        .write('hr.leave', [1], { date_from: 'x' })
+        .catch((rejection) => rejection);
+
+      expect(error).toBeInstanceOf(OdooUserError);
+      expect(error.statusCode).toBe(422);
+      expect(error.message).toBe('The start date is invalid.');
+    });
+  });
+});
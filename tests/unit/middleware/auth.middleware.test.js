@@ -0,0 +1,147 @@
+const config = require('../../../src/config');
+const {
+  authenticate,
+  authenticateFeed,
+  authorize,
+  generateToken,
+  scopeToEmployee
+} = require('../../../src/middleware/auth.middleware');
+const { hasPermission, resolvePermissions } = require('../../../src/utils/permissions');
+const { AuthenticationError, AuthorizationError } = require('../../../src/core/errors');
+
+describe('authorize', () => {
+  const run = (permission, user) => {
+    const next = jest.fn();
+    authorize(permission)({ user, method: 'DELETE', originalUrl: '/api/v1/payroll/1' }, {}, next);
+    return next;
+  };
+
+  afterEach(() => {
+    config.security.authEnabled = true;
+  });
+
+  it('should let a caller through when one of their groups grants the permission', () => {
+    const next = run('payroll:delete', { uid: 7, groups: ['hr_payroll.group_hr_payroll_manager'] });
+
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it('should reject with a 403 naming the missing permission', () => {
+    const next = run('payroll:delete', { uid: 7, groups: ['base.group_user', 'hr.group_hr_user'] });
+
+    const error = next.mock.calls[0][0];
+    expect(error).toBeInstanceOf(AuthorizationError);
+    expect(error.statusCode).toBe(403);
+    expect(error.toJSON().error).toMatchObject({
+      message: "Missing permission 'payroll:delete'",
+      permission: 'payroll:delete'
+    });
+  });
+
+  it('should require authentication when no user is attached', () => {
+    const next = run('payroll:read', undefined);
+
+    expect(next.mock.calls[0][0]).toBeInstanceOf(AuthenticationError);
+  });
+
+  it('should pass anonymous callers when authentication is disabled', () => {
+    config.security.authEnabled = false;
+
+    const next = run('payroll:delete', undefined);
+
+    expect(next).toHaveBeenCalledWith();
+  });
+});
+
+describe('scopeToEmployee', () => {
+  const run = (user) => {
+    const req = { user };
+    scopeToEmployee('timeoff')(req, {}, jest.fn());
+    return req.scope;
+  };
+
+  it('should scope employees to their own linked employee', () => {
+    expect(run({ uid: 7, employeeId: 21, groups: ['base.group_user'] })).toEqual({
+      employeeId: 21
+    });
+  });
+
+  it('should not scope callers holding the resource-wide permission', () => {
+    expect(
+      run({ uid: 7, employeeId: 21, groups: ['hr_holidays.group_hr_holidays_manager'] })
+    ).toBeNull();
+  });
+
+  it('should not scope anonymous callers', () => {
+    expect(run(undefined)).toBeNull();
+  });
+});
+
+describe('calendar tokens', () => {
+  const calendarToken = () => generateToken({ sub: '7', uid: 7, groups: [], type: 'calendar' });
+
+  afterEach(() => {
+    config.security.authEnabled = true;
+  });
+
+  it('should authenticate the feed from the token query parameter', () => {
+    const req = { query: { token: calendarToken() } };
+    const next = jest.fn();
+
+    authenticateFeed(req, {}, next);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.user).toMatchObject({ uid: 7, type: 'calendar' });
+  });
+
+  it('should only accept calendar tokens on the feed', () => {
+    const next = jest.fn();
+
+    authenticateFeed({ query: { token: generateToken({ uid: 7, type: 'access' }) } }, {}, next);
+    authenticateFeed({ query: {} }, {}, next);
+
+    expect(next.mock.calls[0][0]).toBeInstanceOf(AuthenticationError);
+    expect(next.mock.calls[1][0]).toBeInstanceOf(AuthenticationError);
+  });
+
+  it('should let anonymous feed requests through when authentication is disabled', () => {
+    config.security.authEnabled = false;
+    const next = jest.fn();
+
+    authenticateFeed({ query: {} }, {}, next);
+
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it('should reject calendar tokens on the API', async () => {
+    const next = jest.fn();
+
+    await authenticate({ headers: { authorization: `Bearer ${calendarToken()}` } }, {}, next);
+
+    expect(next.mock.calls[0][0]).toBeInstanceOf(AuthenticationError);
+    expect(next.mock.calls[0][0].message).toBe('Calendar tokens cannot be used to access the API');
+  });
+});
+
+describe('permissions', () => {
+  it('should merge the permissions of every group', () => {
+    const mapping = {
+      'base.group_user': ['timeoff:read', 'timeoff:create'],
+      'hr_holidays.group_hr_holidays_manager': ['timeoff:*']
+    };
+
+    expect(
+      resolvePermissions(
+        ['base.group_user', 'hr_holidays.group_hr_holidays_manager', 'x.unknown'],
+        mapping
+      )
+    ).toEqual(['timeoff:*', 'timeoff:create', 'timeoff:read']);
+  });
+
+  it('should honour resource and global wildcards', () => {
+    expect(hasPermission(['invoices:*'], 'invoices:delete')).toBe(true);
+    expect(hasPermission(['invoices:*'], 'payroll:delete')).toBe(false);
+    expect(hasPermission(['*'], 'payroll:delete')).toBe(true);
+    expect(hasPermission([], 'payroll:read')).toBe(false);
+  });
+});
@@ -0,0 +1,363 @@
+const AttendanceService = require('../../../src/modules/attendance/attendance.service');
+const AttendanceAdapter = require('../../../src/modules/attendance/attendance.adapter');
+const { ConflictError, NotFoundError, ValidationError } = require('../../../src/core/errors');
+
+describe('AttendanceService', () => {
+  let service;
+  let mockRepository;
+
+  beforeEach(() => {
+    jest.useFakeTimers().setSystemTime(new Date('2026-03-02T08:30:15.250Z'));
+
+    mockRepository = {
+      findOpen: jest.fn().mockResolvedValue([]),
+      findById: jest.fn().mockResolvedValue({ id: 7, employee_id: [3, 'Jane Doe'] }),
+      countEmployees: jest.fn().mockResolvedValue(1),
+      count: jest.fn().mockResolvedValue(1),
+      create: jest.fn().mockResolvedValue(7),
+      update: jest.fn().mockResolvedValue(true),
+      modelName: 'hr.attendance',
+      models: { employee: 'hr.employee' }
+    };
+
+    service = new AttendanceService(mockRepository, {
+      adapter: new AttendanceAdapter(),
+      logger: { info: jest.fn(), error: jest.fn(), warn: jest.fn(), debug: jest.fn() },
+      scopeField: 'employee_id'
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('checkIn', () => {
+    it('should create an attendance at the current server time', async () => {
+      const record = await service.checkIn(3);
+
+      expect(mockRepository.create).toHaveBeenCalledWith({
+        employee_id: 3,
+        check_in: '2026-03-02 08:30:15'
+      });
+      expect(record).toMatchObject({ id: 7, employeeId: 3, employeeName: 'Jane Doe' });
+    });
+
+    it('should refuse a check-in while an attendance is open', async () => {
+      mockRepository.findOpen.mockResolvedValue([{ id: 5 }]);
+
+      await expect(service.checkIn(3)).rejects.toThrow(ConflictError);
+      expect(mockRepository.findOpen).toHaveBeenCalledWith([['employee_id', '=', 3]], ['id'], 1);
+      expect(mockRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject employees outside the caller scope', async () => {
+      mockRepository.countEmployees.mockResolvedValue(0);
+
+      await expect(service.checkIn(9, { scope: { employeeId: 3 } })).rejects.toThrow(NotFoundError);
+      expect(mockRepository.countEmployees).toHaveBeenCalledWith([
+        ['id', '=', 9],
+        ['id', 'child_of', 3]
+      ]);
+    });
+
+    it('should require an employee ID', async () => {
+      await expect(service.checkIn(null)).rejects.toThrow(ValidationError);
+    });
+  });
+
+  describe('checkOut', () => {
+    it('should close the open attendance', async () => {
+      mockRepository.findOpen.mockResolvedValue([{ id: 5 }]);
+
+      await service.checkOut(3);
+
+      expect(mockRepository.update).toHaveBeenCalledWith(5, { check_out: '2026-03-02 08:30:15' });
+    });
+
+    it('should refuse a check-out without an open attendance', async () => {
+      await expect(service.checkOut(3)).rejects.toThrow(ConflictError);
+      expect(mockRepository.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getOpen', () => {
+    it('should list open attendances within the caller scope', async () => {
+      mockRepository.findOpen.mockResolvedValue([
+        { id: 5, employee_id: [3, 'Jane Doe'], check_in: '2026-03-02 07:00:00' }
+      ]);
+
+      const result = await service.getOpen({ scope: { employeeId: 3 } });
+
+      expect(mockRepository.findOpen).toHaveBeenCalledWith([['employee_id', 'child_of', 3]], []);
+      expect(result.count).toBe(1);
+      expect(result.data[0]).toMatchObject({
+        employeeName: 'Jane Doe',
+        checkIn: '2026-03-02 07:00:00'
+      });
+    });
+  });
+
+  describe('getSummary', () => {
+    beforeEach(() => {
+      service.timezone = 'Europe/Brussels';
+      mockRepository.readGroup = jest
+        .fn()
+        .mockResolvedValueOnce([
+          {
+            employee_id: [3, 'Jane Doe'],
+            __range: { 'check_in:day': { from: '2026-03-01 23:00:00', to: '2026-03-02 23:00:00' } },
+            worked_hours: 8.5,
+            check_out: '2026-03-02 15:30:00'
+          },
+          {
+            employee_id: [3, 'Jane Doe'],
+            __domain: [
+              '&',
+              ['check_in', '>=', '2026-03-02 23:00:00'],
+              ['check_in', '<', '2026-03-03 23:00:00']
+            ],
+            worked_hours: 8,
+            check_out: '2026-03-03 16:05:00'
+          }
+        ])
+        .mockResolvedValueOnce([
+          { employee_id: [3, 'Jane Doe'], check_in: '2026-03-02 06:55:00' },
+          { employee_id: [3, 'Jane Doe'], check_in: '2026-03-03 08:20:00' }
+        ]);
+      mockRepository.findWorkSchedules = jest.fn().mockResolvedValue({
+        employees: [{ id: 3, resource_calendar_id: [1, 'Standard 40 hours/week'] }],
+        calendars: [{ id: 1, name: 'Standard', tz: 'Europe/Brussels', two_weeks_calendar: false }],
+        lines: ['0', '1'].flatMap((dayofweek) => [
+          { calendar_id: [1], dayofweek, hour_from: 8, hour_to: 12, day_period: 'morning' },
+          { calendar_id: [1], dayofweek, hour_from: 12, hour_to: 13, day_period: 'lunch' },
+          { calendar_id: [1], dayofweek, hour_from: 13, hour_to: 17, day_period: 'afternoon' }
+        ])
+      });
+    });
+
+    it('should aggregate with read_group and compare against the working schedule', async () => {
+      const result = await service.getSummary({
+        from: '2026-03-02',
+        to: '2026-03-03',
+        groupBy: 'week',
+        employeeId: '3'
+      });
+
+      expect(mockRepository.readGroup).toHaveBeenCalledWith(
+        [
+          ['employee_id', '=', 3],
+          ['check_in', '>=', '2026-03-01 23:00:00'],
+          ['check_in', '<', '2026-03-03 23:00:00']
+        ],
+        ['worked_hours:sum', 'check_out:max'],
+        ['employee_id', 'check_in:day'],
+        { context: { tz: 'Europe/Brussels' } }
+      );
+      expect(mockRepository.findWorkSchedules).toHaveBeenCalledWith([3]);
+      expect(result.data).toEqual([
+        {
+          employeeId: 3,
+          employeeName: 'Jane Doe',
+          period: '2026-W10',
+          workedHours: 16.5,
+          daysPresent: 2,
+          lateArrivals: 1,
+          earlyDepartures: 1
+        }
+      ]);
+      expect(result.summary).toMatchObject({ groupBy: 'week', workedHours: 16.5, daysPresent: 2 });
+    });
+
+    it('should report each day separately by default', async () => {
+      const result = await service.getSummary({ from: '2026-03-02', to: '2026-03-03' });
+
+      expect(result.data.map((row) => [row.period, row.lateArrivals, row.earlyDepartures])).toEqual(
+        [
+          ['2026-03-02', 0, 1],
+          ['2026-03-03', 1, 0]
+        ]
+      );
+    });
+
+    it('should reject missing dates and unknown periods', async () => {
+      await expect(service.getSummary({ to: '2026-03-03', groupBy: 'year' })).rejects.toThrow(
+        ValidationError
+      );
+      expect(mockRepository.readGroup).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getOvertime', () => {
+    const day = (date, hours) => ({
+      employee_id: [3, 'Jane Doe'],
+      __range: { 'check_in:day': { from: `${date} 00:00:00`, to: `${date} 23:59:59` } },
+      worked_hours: hours
+    });
+    // Monday to Friday, 8 hours a day
+    const schedules = (company) => ({
+      employees: [{ id: 3, resource_calendar_id: [1, 'Standard'], company_id: company }],
+      calendars: [{ id: 1, name: 'Standard', tz: 'UTC', two_weeks_calendar: false }],
+      lines: ['0', '1', '2', '3', '4'].map((dayofweek) => ({
+        calendar_id: [1],
+        dayofweek,
+        hour_from: 8,
+        hour_to: 16
+      }))
+    });
+
+    beforeEach(() => {
+      service.overtimeRules = {
+        default: {
+          weekendDays: [5, 6],
+          dailyThresholdHours: null,
+          weeklyThresholdHours: null,
+          multipliers: { regular: 1.25, weekend: 1.5, publicHoliday: 2 }
+        },
+        companies: { 2: { weeklyThresholdHours: 10, dailyCapHours: 1, weeklyCapHours: 5 } }
+      };
+      mockRepository.readGroup = jest
+        .fn()
+        .mockResolvedValue([
+          day('2026-03-02', 10),
+          day('2026-03-03', 9),
+          day('2026-03-06', 4),
+          day('2026-03-07', 3)
+        ]);
+      mockRepository.findWorkSchedules = jest.fn().mockResolvedValue(schedules([1, 'HQ']));
+      mockRepository.findPublicHolidays = jest
+        .fn()
+        .mockResolvedValue([
+          { calendar_id: false, date_from: '2026-03-06 00:00:00', date_to: '2026-03-07 00:00:00' }
+        ]);
+    });
+
+    it('should count overtime beyond the schedule, on weekends and on public holidays', async () => {
+      const result = await service.getOvertime({ from: '2026-03-02', to: '2026-03-08' });
+
+      expect(mockRepository.readGroup).toHaveBeenCalledWith(
+        [
+          ['check_in', '>=', '2026-03-02 00:00:00'],
+          ['check_in', '<', '2026-03-09 00:00:00']
+        ],
+        ['worked_hours:sum'],
+        ['employee_id', 'check_in:day'],
+        { context: { tz: 'UTC' } }
+      );
+      expect(mockRepository.findPublicHolidays).toHaveBeenCalledWith(
+        [1],
+        '2026-03-02 00:00:00',
+        '2026-03-09 00:00:00'
+      );
+      expect(result.data[0].days.map((row) => [row.date, row.dayType, row.overtimeHours])).toEqual([
+        ['2026-03-02', 'regular', 2],
+        ['2026-03-03', 'regular', 1],
+        ['2026-03-06', 'publicHoliday', 4],
+        ['2026-03-07', 'weekend', 3]
+      ]);
+      expect(result.data[0].weeks).toEqual([
+        {
+          week: '2026-W10',
+          workedHours: 26,
+          thresholdHours: 32,
+          dailyOvertimeHours: 10,
+          weeklyOvertimeHours: 0,
+          overtimeHours: 10,
+          cappedHours: 0,
+          weightedHours: 16.25
+        }
+      ]);
+      expect(result.summary).toMatchObject({
+        employees: 1,
+        overtimeHours: 10,
+        weightedHours: 16.25
+      });
+    });
+
+    it("should apply the caps and thresholds of the employee's company", async () => {
+      mockRepository.findWorkSchedules.mockResolvedValue(schedules([2, 'Branch']));
+
+      const result = await service.getOvertime({ from: '2026-03-02', to: '2026-03-08' });
+
+      expect(result.data[0]).toMatchObject({ companyId: 2, overtimeHours: 5, cappedHours: 11 });
+      expect(result.data[0].weeks[0]).toMatchObject({
+        thresholdHours: 10,
+        dailyOvertimeHours: 4,
+        weeklyOvertimeHours: 1,
+        weightedHours: 7.25
+      });
+    });
+
+    it('should reject invalid ranges without querying Odoo', async () => {
+      await expect(service.getOvertime({ from: '2026-03-08', to: '2026-03-02' })).rejects.toThrow(
+        'Invalid overtime query'
+      );
+      expect(mockRepository.readGroup).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('detectMissingCheckOuts', () => {
+    beforeEach(() => {
+      service.missingCheckOut.action = 'close';
+      mockRepository.findOpen.mockResolvedValue([
+        { id: 11, employee_id: [3, 'Jane Doe'], check_in: '2026-02-27 07:00:00' },
+        { id: 12, employee_id: [4, 'John Roe'], check_in: '2026-02-28 09:00:00' }
+      ]);
+      mockRepository.findWorkSchedules = jest.fn().mockResolvedValue({
+        employees: [
+          { id: 3, resource_calendar_id: [1, 'Standard'] },
+          { id: 4, resource_calendar_id: [1, 'Standard'] }
+        ],
+        calendars: [{ id: 1, name: 'Standard', tz: 'Europe/Brussels', two_weeks_calendar: false }],
+        lines: ['0', '1', '2', '3', '4'].map((dayofweek) => ({
+          calendar_id: [1],
+          dayofweek,
+          hour_from: 8,
+          hour_to: 17
+        }))
+      });
+    });
+
+    it('should close attendances at the shift end and flag those without a shift', async () => {
+      const result = await service.detectMissingCheckOuts();
+
+      expect(mockRepository.findOpen).toHaveBeenCalledWith(
+        [['check_in', '<', '2026-03-01 16:30:15']],
+        ['employee_id', 'check_in']
+      );
+      // Friday shift ends 17:00 in Brussels (UTC+1); Saturday has no shift
+      expect(mockRepository.update).toHaveBeenCalledTimes(1);
+      expect(mockRepository.update).toHaveBeenCalledWith(11, { check_out: '2026-02-27 16:00:00' });
+      expect(result).toEqual({ found: 2, closed: 1, flagged: 1 });
+
+      const anomalies = await service.getAnomalies();
+      expect(anomalies.data.map((row) => [row.attendanceId, row.action, row.checkOut])).toEqual([
+        [12, 'flagged', null],
+        [11, 'closed', '2026-02-27 16:00:00']
+      ]);
+      expect(anomalies.data[0]).toMatchObject({ openHours: 47.5, reason: expect.any(String) });
+      expect(anomalies.lastRunAt).toBe('2026-03-02 08:30:15');
+    });
+
+    it('should only flag attendances under the flag policy', async () => {
+      service.missingCheckOut.action = 'flag';
+
+      const result = await service.detectMissingCheckOuts();
+
+      expect(result).toEqual({ found: 2, closed: 0, flagged: 2 });
+      expect(mockRepository.update).not.toHaveBeenCalled();
+      expect((await service.getAnomalies({ action: 'closed' })).count).toBe(0);
+    });
+
+    it('should flag attendances Odoo refuses to close', async () => {
+      mockRepository.update.mockRejectedValue(new Error('Overlapping attendance'));
+
+      await service.detectMissingCheckOuts();
+
+      const { data } = await service.getAnomalies({ action: 'flagged' });
+      expect(data.find((row) => row.attendanceId === 11)).toMatchObject({
+        action: 'flagged',
+        reason: 'Overlapping attendance'
+      });
+    });
+  });
+});
@@ -0,0 +1,124 @@
+const AuthService = require('../../../src/modules/auth/auth.service');
+const AuthValidator = require('../../../src/modules/auth/auth.validator');
+const { verifyToken } = require('../../../src/middleware/auth.middleware');
+const { AuthenticationError, ValidationError } = require('../../../src/core/errors');
+
+describe('AuthService', () => {
+  let authService;
+  let mockRepository;
+
+  beforeEach(() => {
+    mockRepository = {
+      authenticate: jest.fn().mockResolvedValue(7),
+      findById: jest.fn().mockResolvedValue({
+        id: 7,
+        name: 'Jane Officer',
+        login: 'jane',
+        active: true,
+        groups_id: [1, 12]
+      }),
+      findGroupXmlIds: jest.fn().mockResolvedValue(['base.group_user', 'hr.group_hr_user']),
+      findEmployeeId: jest.fn().mockResolvedValue(21)
+    };
+
+    authService = new AuthService(mockRepository, {
+      validator: new AuthValidator(),
+      logger: { info: jest.fn(), error: jest.fn(), warn: jest.fn(), debug: jest.fn() }
+    });
+  });
+
+  describe('login', () => {
+    it('should issue tokens carrying the Odoo uid and groups', async () => {
+      const result = await authService.login({ login: 'jane', password: 'secret' });
+
+      const access = verifyToken(result.accessToken);
+      const refresh = verifyToken(result.refreshToken);
+
+      expect(mockRepository.authenticate).toHaveBeenCalledWith('jane', 'secret');
+      expect(mockRepository.findGroupXmlIds).toHaveBeenCalledWith([1, 12]);
+      expect(mockRepository.findEmployeeId).toHaveBeenCalledWith(7);
+      expect(access).toMatchObject({
+        sub: '7',
+        uid: 7,
+        login: 'jane',
+        employeeId: 21,
+        groups: ['base.group_user', 'hr.group_hr_user'],
+        type: 'access'
+      });
+      expect(refresh).toMatchObject({ sub: '7', uid: 7, type: 'refresh' });
+      expect(refresh.groups).toBeUndefined();
+    });
+
+    it('should reject credentials Odoo does not accept', async () => {
+      mockRepository.authenticate.mockResolvedValue(false);
+
+      await expect(authService.login({ login: 'jane', password: 'wrong' })).rejects.toThrow(
+        AuthenticationError
+      );
+    });
+
+    it('should require login and password', async () => {
+      await expect(authService.login({ login: 'jane' })).rejects.toThrow(ValidationError);
+      expect(mockRepository.authenticate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('refresh', () => {
+    it('should issue a new pair for a refresh token', async () => {
+      const { refreshToken } = await authService.login({ login: 'jane', password: 'secret' });
+
+      const result = await authService.refresh({ refreshToken });
+
+      expect(verifyToken(result.accessToken)).toMatchObject({ uid: 7, type: 'access' });
+      expect(mockRepository.findById).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not accept an access token', async () => {
+      const { accessToken } = await authService.login({ login: 'jane', password: 'secret' });
+
+      await expect(authService.refresh({ refreshToken: accessToken })).rejects.toThrow(
+        AuthenticationError
+      );
+    });
+
+    it('should reject users deactivated since login', async () => {
+      const { refreshToken } = await authService.login({ login: 'jane', password: 'secret' });
+      mockRepository.findById.mockResolvedValue({ id: 7, active: false });
+
+      await expect(authService.refresh({ refreshToken })).rejects.toThrow(AuthenticationError);
+    });
+  });
+
+  describe('per-user Odoo sessions', () => {
+    let sessions;
+
+    beforeEach(() => {
+      sessions = {
+        openUserSession: jest.fn().mockResolvedValue(),
+        hasUserSession: jest.fn().mockReturnValue(true),
+        closeUserSession: jest.fn().mockResolvedValue(true)
+      };
+      authService.sessions = sessions;
+    });
+
+    it('should open a session with the user credentials on login', async () => {
+      await authService.login({ login: 'jane', password: 'secret' });
+
+      expect(sessions.openUserSession).toHaveBeenCalledWith('7', 'jane', 'secret');
+    });
+
+    it('should refuse a refresh once the session is gone', async () => {
+      const { refreshToken } = await authService.login({ login: 'jane', password: 'secret' });
+      sessions.hasUserSession.mockReturnValue(false);
+
+      await expect(authService.refresh({ refreshToken })).rejects.toThrow(AuthenticationError);
+    });
+
+    it('should close the session on logout', async () => {
+      const result = await authService.logout({ sub: '7', uid: 7 });
+
+      expect(sessions.closeUserSession).toHaveBeenCalledWith('7');
+      expect(result).toEqual({ sessionClosed: true });
+    });
+  });
+});
@@ -0,0 +1,149 @@
+const ContractsService = require('../../../src/modules/contracts/contracts.service');
+const ContractsAdapter = require('../../../src/modules/contracts/contracts.adapter');
+const ContractsValidator = require('../../../src/modules/contracts/contracts.validator');
+const { ValidationError } = require('../../../src/core/errors');
+
+describe('ContractsService', () => {
+  let service;
+  let mockRepository;
+
+  const contract = {
+    id: 7,
+    name: 'CDI Jane',
+    employee_id: [3, 'Jane Doe'],
+    department_id: [4, 'Sales'],
+    job_id: false,
+    wage: 4200,
+    structure_type_id: [1, 'Employee'],
+    date_start: '2024-01-01',
+    date_end: '2026-11-02',
+    resource_calendar_id: [1, 'Standard 40 hours/week'],
+    state: 'open'
+  };
+
+  beforeEach(() => {
+    mockRepository = {
+      findAll: jest.fn().mockResolvedValue([contract]),
+      count: jest.fn().mockResolvedValue(1),
+      create: jest.fn().mockResolvedValue(7),
+      findById: jest.fn().mockResolvedValue(contract),
+      modelName: 'hr.contract'
+    };
+
+    service = new ContractsService(mockRepository, {
+      adapter: new ContractsAdapter(),
+      validator: new ContractsValidator(),
+      logger: { info: jest.fn(), error: jest.fn(), warn: jest.fn(), debug: jest.fn() },
+      defaultFields: ['id', 'name', 'employee_id', 'date_start', 'date_end', 'state'],
+      filterableFields: ['employee_id', 'department_id', 'state', 'date_end'],
+      scopeField: 'employee_id'
+    });
+  });
+
+  describe('getByEmployee', () => {
+    it('should list the employee contracts, newest first', async () => {
+      const result = await service.getByEmployee(3);
+
+      expect(result.data[0]).toMatchObject({ id: 7, employeeId: 3, employeeName: 'Jane Doe' });
+      expect(mockRepository.findAll).toHaveBeenCalledWith(
+        [['employee_id', '=', 3]],
+        expect.any(Array),
+        50,
+        0,
+        'date_start desc'
+      );
+    });
+
+    it('should keep the caller scope and a requested sort', async () => {
+      await service.getByEmployee(3, 1, 50, { sort: 'name', scope: { employeeId: 21 } });
+
+      const [domain, , , , order] = mockRepository.findAll.mock.calls[0];
+      expect(domain).toEqual([
+        ['employee_id', 'child_of', 21],
+        ['employee_id', '=', 3]
+      ]);
+      expect(order).toBe('name asc');
+    });
+
+    it('should reject an invalid employee ID', async () => {
+      await expect(service.getByEmployee(0)).rejects.toThrow(ValidationError);
+      expect(mockRepository.findAll).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getExpiring', () => {
+    beforeEach(() => {
+      jest.useFakeTimers().setSystemTime(new Date('2026-10-19T08:00:00Z'));
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should list running contracts ending within the window, soonest first', async () => {
+      const result = await service.getExpiring('30d', 1, 50, { department_id: '4' });
+
+      const [domain, , , , order] = mockRepository.findAll.mock.calls[0];
+      expect(domain).toEqual(
+        expect.arrayContaining([
+          ['department_id', '=', 4],
+          ['state', '=', 'open'],
+          ['date_end', '>=', '2026-10-19'],
+          ['date_end', '<=', '2026-11-18']
+        ])
+      );
+      expect(order).toBe('date_end asc, id asc');
+      expect(result.data[0].daysLeft).toBe(14);
+      expect(result.summary).toEqual({ within: 30, from: '2026-10-19', to: '2026-11-18' });
+    });
+
+    it('should accept weeks and bare day counts', async () => {
+      await expect(service.getExpiring('6w')).resolves.toMatchObject({
+        summary: { within: 42, to: '2026-11-30' }
+      });
+      await expect(service.getExpiring('10')).resolves.toMatchObject({
+        summary: { within: 10 }
+      });
+    });
+
+    it.each(['abc', '0d', '2y', '400d'])('should reject the window %s', async (within) => {
+      await expect(service.getExpiring(within)).rejects.toThrow(ValidationError);
+      expect(mockRepository.findAll).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('create', () => {
+    it('should write the contract fields and clear a null end date', async () => {
+      await service.create({
+        name: 'CDI Jane',
+        employeeId: 3,
+        wage: 4200,
+        dateStart: '2024-01-01',
+        dateEnd: null,
+        scheduleId: 1
+      });
+
+      expect(mockRepository.create).toHaveBeenCalledWith({
+        name: 'CDI Jane',
+        employee_id: 3,
+        wage: 4200,
+        date_start: '2024-01-01',
+        date_end: false,
+        resource_calendar_id: 1
+      });
+    });
+
+    it('should reject an end date before the start date', async () => {
+      await expect(
+        service.create({
+          name: 'CDD Jane',
+          employeeId: 3,
+          wage: 4200,
+          dateStart: '2026-06-01',
+          dateEnd: '2026-05-31'
+        })
+      ).rejects.toMatchObject({ fields: { dateEnd: 'End date cannot be before the start date' } });
+      expect(mockRepository.create).not.toHaveBeenCalled();
+    });
+  });
+});
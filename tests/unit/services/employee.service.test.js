@@ -19,12 +19,18 @@ describe('EmployeeService', () => {
       count: jest.fn(),
       findByDepartment: jest.fn(),
       findByManager: jest.fn(),
+      findByManagers: jest.fn(),
+      findSubordinates: jest.fn(),
+      findManagementChain: jest.fn(),
       findByJob: jest.fn(),
       searchByName: jest.fn(),
       findActive: jest.fn(),
       findByEmail: jest.fn(),
       countByDepartment: jest.fn(),
       countByJob: jest.fn(),
+      countByManager: jest.fn(),
+      createMany: jest.fn(),
+      findRelatedByName: jest.fn(),
       modelName: 'hr.employee'
     };
 
@@ -50,12 +56,7 @@ describe('EmployeeService', () => {
     };
 
     // Create service instance
-    employeeService = new EmployeeService(
-      mockRepository,
-      mockValidator,
-      mockAdapter,
-      mockLogger
-    );
+    employeeService = new EmployeeService(mockRepository, mockValidator, mockAdapter, mockLogger);
   });
 
   describe('getAll', () => {
@@ -183,9 +184,7 @@ describe('EmployeeService', () => {
     it('should throw NotFoundError when employee does not exist', async () => {
       mockRepository.findById.mockResolvedValue(null);
 
-      await expect(employeeService.update(999, { name: 'Test' })).rejects.toThrow(
-        NotFoundError
-      );
+      await expect(employeeService.update(999, { name: 'Test' })).rejects.toThrow(NotFoundError);
     });
   });
 
@@ -234,4 +233,172 @@ describe('EmployeeService', () => {
       await expect(employeeService.searchByName('', 50)).rejects.toThrow(ValidationError);
     });
   });
+
+  describe('getByManager', () => {
+    it('should page through direct reports', async () => {
+      mockRepository.findByManager.mockResolvedValue([{ id: 3 }]);
+      mockRepository.countByManager.mockResolvedValue(11);
+      mockAdapter.toDTOArray.mockReturnValue([{ id: 3 }]);
+
+      const result = await employeeService.getByManager(1, 2, 10);
+
+      expect(mockRepository.findByManager).toHaveBeenCalledWith(1, [], 10, 10);
+      expect(result.pagination).toMatchObject({ page: 2, total: 11, hasNext: false });
+    });
+  });
+
+  describe('getByDepartment and getByJob', () => {
+    it('should skip the rows of earlier pages', async () => {
+      mockRepository.findByDepartment.mockResolvedValue([{ id: 3 }]);
+      mockRepository.countByDepartment.mockResolvedValue(21);
+      mockRepository.findByJob.mockResolvedValue([{ id: 3 }]);
+      mockRepository.countByJob.mockResolvedValue(21);
+
+      await employeeService.getByDepartment(4, 3, 10);
+      await employeeService.getByJob(5, 2, 10, { sort: '-name' });
+
+      expect(mockRepository.findByDepartment).toHaveBeenCalledWith(4, [], 10, 20);
+      expect(mockRepository.findByJob).toHaveBeenCalledWith(5, [], 10, 10, 'name desc');
+    });
+  });
+
+  describe('org chart', () => {
+    // CEO (1) -> CTO (2) -> Engineer (3)
+    const ceo = { id: 1, name: 'CEO', parent_id: false };
+    const cto = { id: 2, name: 'CTO', parent_id: [1, 'CEO'] };
+    const engineer = { id: 3, name: 'Engineer', parent_id: [2, 'CTO'] };
+
+    beforeEach(() => {
+      mockAdapter.toDTO.mockImplementation((record) => ({ id: record.id, name: record.name }));
+    });
+
+    it('should nest the whole subtree from a single child_of read', async () => {
+      mockRepository.findSubordinates.mockResolvedValue([ceo, cto, engineer]);
+
+      const result = await employeeService.getOrgChart(1);
+
+      expect(mockRepository.findSubordinates).toHaveBeenCalledTimes(1);
+      expect(result.data).toEqual({
+        id: 1,
+        name: 'CEO',
+        reports: [{ id: 2, name: 'CTO', reports: [{ id: 3, name: 'Engineer', reports: [] }] }]
+      });
+    });
+
+    it('should read one level per call when a depth is given', async () => {
+      mockRepository.findById.mockResolvedValue(ceo);
+      mockRepository.findByManagers.mockResolvedValueOnce([cto]);
+
+      const result = await employeeService.getOrgChart(1, 1);
+
+      expect(mockRepository.findByManagers).toHaveBeenCalledTimes(1);
+      expect(mockRepository.findByManagers).toHaveBeenCalledWith([1], expect.any(Array));
+      expect(result.data.reports).toEqual([{ id: 2, name: 'CTO', reports: [] }]);
+    });
+
+    it('should reject an invalid depth', async () => {
+      await expect(employeeService.getOrgChart(1, 0)).rejects.toThrow(ValidationError);
+    });
+
+    it('should throw NotFoundError for an unknown employee', async () => {
+      mockRepository.findSubordinates.mockResolvedValue([]);
+
+      await expect(employeeService.getOrgChart(99)).rejects.toThrow(NotFoundError);
+    });
+
+    it('should build the company tree from employees without a manager', async () => {
+      mockRepository.findAll.mockResolvedValue([ceo, cto, engineer]);
+
+      const result = await employeeService.getCompanyOrgChart();
+
+      expect(mockRepository.findAll).toHaveBeenCalledWith([], expect.any(Array), 0);
+      expect(result.data).toHaveLength(1);
+      expect(result.total).toBe(3);
+    });
+
+    it('should return the management chain nearest manager first', async () => {
+      mockRepository.findManagementChain.mockResolvedValue([ceo, cto, engineer]);
+
+      const result = await employeeService.getManagementChain(3);
+
+      expect(result.data).toEqual([
+        { id: 2, name: 'CTO' },
+        { id: 1, name: 'CEO' }
+      ]);
+    });
+  });
+
+  describe('importEmployees', () => {
+    const rows = [
+      { name: 'Jane Doe', department: 'Sales', job: 'Manager' },
+      { name: 'John Roe', department: 'Nowhere' },
+      { name: 'Ann Poe' }
+    ];
+
+    beforeEach(() => {
+      mockRepository.findRelatedByName.mockImplementation((model, names) =>
+        Promise.resolve(
+          model === 'hr.department'
+            ? [{ id: 3, name: 'Sales' }].filter((record) => names.includes(record.name))
+            : [{ id: 7, name: 'Manager' }].filter((record) => names.includes(record.name))
+        )
+      );
+      mockValidator.validate.mockImplementation((data) => ({ isValid: true, value: data }));
+      mockAdapter.toOdooFormat.mockImplementation((data) => ({ name: data.name }));
+    });
+
+    it('should resolve names and report rows without creating on a dry run', async () => {
+      const result = await employeeService.importEmployees(rows, { dryRun: true });
+
+      expect(mockRepository.findRelatedByName).toHaveBeenCalledWith('hr.department', [
+        'Sales',
+        'Nowhere'
+      ]);
+      expect(result.summary).toEqual({ total: 3, valid: 2, created: 0, invalid: 1, failed: 0 });
+      expect(result.rows[0]).toEqual({
+        row: 1,
+        name: 'Jane Doe',
+        status: 'valid',
+        data: { name: 'Jane Doe', departmentId: 3, jobId: 7 }
+      });
+      expect(result.rows[1].errors).toEqual({ department: "Unknown department 'Nowhere'" });
+      expect(mockRepository.createMany).not.toHaveBeenCalled();
+    });
+
+    it('should create valid rows in chunks', async () => {
+      employeeService.bulkImport.chunkSize = 1;
+      mockRepository.createMany.mockResolvedValueOnce([10]).mockResolvedValueOnce([11]);
+
+      const result = await employeeService.importEmployees(rows);
+
+      expect(mockRepository.createMany).toHaveBeenCalledTimes(2);
+      expect(mockRepository.createMany).toHaveBeenCalledWith([{ name: 'Jane Doe' }]);
+      expect(result.summary.created).toBe(2);
+      expect(result.rows[2]).toEqual({ row: 3, name: 'Ann Poe', status: 'created', id: 11 });
+    });
+
+    it('should retry a rejected chunk row by row to report failures', async () => {
+      mockRepository.createMany.mockRejectedValue(new Error('Constraint violated'));
+      mockRepository.create
+        .mockResolvedValueOnce(10)
+        .mockRejectedValueOnce(new Error('Duplicate badge'));
+
+      const result = await employeeService.importEmployees(rows);
+
+      expect(result.summary).toEqual({ total: 3, valid: 0, created: 1, invalid: 1, failed: 1 });
+      expect(result.rows[2]).toEqual({
+        row: 3,
+        name: 'Ann Poe',
+        status: 'failed',
+        error: 'Duplicate badge'
+      });
+    });
+
+    it('should reject an empty payload or one over the row limit', async () => {
+      employeeService.bulkImport.maxRows = 2;
+
+      await expect(employeeService.importEmployees([])).rejects.toThrow(ValidationError);
+      await expect(employeeService.importEmployees(rows)).rejects.toThrow(ValidationError);
+    });
+  });
 });
@@ -0,0 +1,223 @@
+const OdooModelService = require('../../../src/modules/common/odooModel.service');
+const { NotFoundError } = require('../../../src/core/errors');
+
+describe('OdooModelService', () => {
+  let service;
+  let mockRepository;
+  let mockCache;
+  let store;
+
+  beforeEach(() => {
+    mockRepository = {
+      findAll: jest.fn().mockResolvedValue([{ id: 1, state: 'draft' }]),
+      findById: jest.fn().mockResolvedValue({ id: 1, state: 'draft' }),
+      count: jest.fn().mockResolvedValue(1),
+      update: jest.fn().mockResolvedValue(true),
+      modelName: 'hr.leave'
+    };
+
+    store = new Map();
+    mockCache = {
+      isEnabled: () => true,
+      get: jest.fn(async (key) => (store.has(key) ? store.get(key) : null)),
+      set: jest.fn(async (key, value) => store.set(key, value)),
+      invalidate: jest.fn(async () => store.clear())
+    };
+
+    service = new OdooModelService(mockRepository, {
+      logger: { info: jest.fn(), error: jest.fn(), warn: jest.fn(), debug: jest.fn() },
+      defaultFields: ['id', 'state'],
+      cache: mockCache,
+      cacheTtl: 300
+    });
+  });
+
+  describe('read-through cache', () => {
+    it('should report a MISS, then serve the next read from cache', async () => {
+      const first = {};
+      const second = {};
+
+      await service.getById(1, { meta: first });
+      const record = await service.getById(1, { meta: second });
+
+      expect(first.cache).toBe('MISS');
+      expect(second.cache).toBe('HIT');
+      expect(record).toEqual({ id: 1, state: 'draft' });
+      expect(mockRepository.findById).toHaveBeenCalledTimes(1);
+      expect(mockCache.set).toHaveBeenCalledWith('hr.leave:1', record, 300);
+    });
+
+    it('should cache list pages per query', async () => {
+      await service.getAll(1, 50, { state: 'draft' });
+      await service.getAll(1, 50, { state: 'draft' });
+      await service.getAll(1, 50, { state: 'confirm' });
+
+      expect(mockRepository.findAll).toHaveBeenCalledTimes(2);
+    });
+
+    it('should invalidate the model namespace on update', async () => {
+      await service.update(1, { state: 'confirm' });
+
+      expect(mockCache.invalidate).toHaveBeenCalledWith('hr.leave:*');
+    });
+
+    it('should not cache missing records', async () => {
+      mockRepository.findById.mockResolvedValue(null);
+
+      await expect(service.getById(2)).rejects.toThrow(NotFoundError);
+      expect(mockCache.set).not.toHaveBeenCalled();
+    });
+
+    it('should bypass the cache when none is configured', async () => {
+      const meta = {};
+      service.cache = null;
+
+      await service.getAll(1, 50, {}, { meta });
+
+      expect(meta.cache).toBe('BYPASS');
+    });
+  });
+
+  describe('employee scoping', () => {
+    const scope = { employeeId: 21 };
+
+    beforeEach(() => {
+      service.cache = null;
+      service.scopeField = 'employee_id';
+    });
+
+    it('should restrict lists to the employee subtree', async () => {
+      await service.getAll(1, 50, { state: 'draft' }, { scope });
+
+      expect(mockRepository.count).toHaveBeenCalledWith([
+        ['employee_id', 'child_of', 21],
+        ['state', '=', 'draft']
+      ]);
+    });
+
+    it('should report out-of-scope records as not found', async () => {
+      mockRepository.count.mockResolvedValue(0);
+
+      await expect(service.getById(9, { scope })).rejects.toThrow(NotFoundError);
+      expect(mockRepository.count).toHaveBeenCalledWith([
+        ['id', '=', 9],
+        ['employee_id', 'child_of', 21]
+      ]);
+      expect(mockRepository.findById).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to update out-of-scope records', async () => {
+      mockRepository.count.mockResolvedValue(0);
+
+      await expect(service.update(9, { state: 'confirm' }, { scope })).rejects.toThrow(
+        NotFoundError
+      );
+      expect(mockRepository.update).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to move a record out of the employee subtree', async () => {
+      mockRepository.countRelated = jest.fn().mockResolvedValue(0);
+
+      await expect(service.update(9, { employee_id: 40 }, { scope })).rejects.toThrow(
+        NotFoundError
+      );
+      expect(mockRepository.countRelated).toHaveBeenCalledWith('hr.employee', [
+        ['id', '=', 40],
+        ['id', 'child_of', 21]
+      ]);
+      expect(mockRepository.update).not.toHaveBeenCalled();
+    });
+
+    it('should only create records for employees in the subtree', async () => {
+      mockRepository.create = jest.fn().mockResolvedValue(9);
+      mockRepository.countRelated = jest.fn().mockResolvedValue(0);
+
+      await expect(service.create({ employee_id: 40 }, { scope })).rejects.toThrow(NotFoundError);
+      expect(mockRepository.create).not.toHaveBeenCalled();
+
+      mockRepository.countRelated.mockResolvedValue(1);
+
+      await service.create({ employee_id: 22 }, { scope });
+      expect(mockRepository.create).toHaveBeenCalledWith({ employee_id: 22 });
+
+      await service.create({ employee_id: 40 });
+      expect(mockRepository.countRelated).toHaveBeenCalledTimes(2);
+    });
+
+    it('should match nothing when the user has no linked employee', async () => {
+      await service.getAll(1, 50, {}, { scope: { employeeId: null } });
+
+      expect(mockRepository.count).toHaveBeenCalledWith([['id', 'in', []]]);
+    });
+
+    it('should leave unscoped callers unrestricted', async () => {
+      await service.getById(1, { scope: null });
+
+      expect(mockRepository.count).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('exportAll', () => {
+    let writer;
+
+    beforeEach(() => {
+      writer = { begin: jest.fn(), write: jest.fn(), end: jest.fn() };
+      service.exportPageSize = 2;
+      service.adapter = {
+        fieldMap: { state: ['state'], employee_id: ['employeeId', 'employeeName'] },
+        toDTO: (record) => ({ id: record.id, state: record.state })
+      };
+    });
+
+    it('should stream pages until a short page is read', async () => {
+      mockRepository.findAll
+        .mockResolvedValueOnce([
+          { id: 1, state: 'draft' },
+          { id: 2, state: 'draft' }
+        ])
+        .mockResolvedValueOnce([{ id: 3, state: 'draft' }]);
+
+      const total = await service.exportAll({ state: 'draft' }, { sort: '-state' }, writer);
+
+      expect(total).toBe(3);
+      expect(writer.begin).toHaveBeenCalledWith(['id', 'state', 'employeeId', 'employeeName']);
+      expect(writer.write).toHaveBeenCalledTimes(2);
+      expect(writer.write).toHaveBeenLastCalledWith([{ id: 3, state: 'draft' }]);
+      expect(writer.end).toHaveBeenCalledTimes(1);
+      expect(mockRepository.findAll).toHaveBeenLastCalledWith(
+        [['state', '=', 'draft']],
+        ['id', 'state'],
+        2,
+        2,
+        'state desc, id asc'
+      );
+      expect(mockCache.get).not.toHaveBeenCalled();
+    });
+
+    it('should write only the header when nothing matches', async () => {
+      mockRepository.findAll.mockResolvedValueOnce([]);
+
+      await service.exportAll({}, { fields: 'state' }, writer);
+
+      expect(writer.begin).toHaveBeenCalledWith(['id', 'state']);
+      expect(writer.write).not.toHaveBeenCalled();
+      expect(writer.end).toHaveBeenCalledTimes(1);
+    });
+
+    it('should export everything without options', async () => {
+      mockRepository.findAll.mockResolvedValueOnce([{ id: 1, state: 'draft' }]);
+
+      await expect(service.exportAll({}, undefined, writer)).resolves.toBe(1);
+      expect(mockRepository.findAll.mock.calls[0][0]).toEqual([]);
+    });
+
+    it('should apply the caller scope', async () => {
+      service.scopeField = 'employee_id';
+      mockRepository.findAll.mockResolvedValueOnce([]);
+
+      await service.exportAll({}, { scope: { employeeId: 21 } }, writer);
+
+      expect(mockRepository.findAll.mock.calls[0][0]).toEqual([['employee_id', 'child_of', 21]]);
+    });
+  });
+});
@@ -0,0 +1,228 @@
+const PayrollService = require('../../../src/modules/payroll/payroll.service');
+const PayrollAdapter = require('../../../src/modules/payroll/payroll.adapter');
+const PayrollValidator = require('../../../src/modules/payroll/payroll.validator');
+const { NotFoundError, OdooUserError, ValidationError } = require('../../../src/core/errors');
+
+describe('PayrollService', () => {
+  let service;
+  let mockRepository;
+  let mockLogger;
+
+  beforeEach(() => {
+    mockRepository = {
+      findById: jest
+        .fn()
+        .mockResolvedValue({ id: 5, employee_id: [3, 'Jane Doe'], state: 'draft' }),
+      count: jest.fn().mockResolvedValue(1),
+      create: jest.fn().mockResolvedValue(5),
+      update: jest.fn().mockResolvedValue(true),
+      callMethod: jest.fn().mockResolvedValue(true),
+      modelName: 'hr.payslip'
+    };
+    mockLogger = { info: jest.fn(), error: jest.fn(), warn: jest.fn(), debug: jest.fn() };
+
+    service = new PayrollService(mockRepository, {
+      adapter: new PayrollAdapter(),
+      validator: new PayrollValidator(),
+      logger: mockLogger,
+      scopeField: 'employee_id'
+    });
+  });
+
+  describe('runAction', () => {
+    it('should call the hr.payslip method and return the refreshed payslip', async () => {
+      mockRepository.findById
+        .mockResolvedValueOnce({ id: 5, employee_id: [3, 'Jane Doe'], state: 'draft' })
+        .mockResolvedValueOnce({ id: 5, employee_id: [3, 'Jane Doe'], state: 'done' });
+
+      const record = await service.runAction(5, 'confirm');
+
+      expect(mockRepository.callMethod).toHaveBeenCalledWith([5], 'action_payslip_done');
+      expect(record).toMatchObject({ id: 5, state: 'done' });
+    });
+
+    it('should map each action to its Odoo method', async () => {
+      await service.runAction(5, 'compute');
+      await service.runAction(5, 'cancel');
+      await service.runAction(5, 'draft');
+
+      expect(mockRepository.callMethod.mock.calls.map((call) => call[1])).toEqual([
+        'compute_sheet',
+        'action_payslip_cancel',
+        'action_payslip_draft'
+      ]);
+    });
+
+    it('should reject unknown actions', async () => {
+      await expect(service.runAction(5, 'pay')).rejects.toThrow(ValidationError);
+      expect(mockRepository.callMethod).not.toHaveBeenCalled();
+    });
+
+    it('should pass Odoo user errors through unchanged', async () => {
+      mockRepository.callMethod.mockRejectedValue(
+        new OdooUserError('You cannot confirm a payslip without a running contract')
+      );
+
+      const error = await service.runAction(5, 'confirm').catch((err) => err);
+
+      expect(error).toBeInstanceOf(OdooUserError);
+      expect(error.statusCode).toBe(422);
+    });
+
+    it('should report out-of-scope payslips as missing', async () => {
+      mockRepository.count.mockResolvedValue(0);
+
+      await expect(service.runAction(5, 'compute', { scope: { employeeId: 8 } })).rejects.toThrow(
+        NotFoundError
+      );
+      expect(mockRepository.callMethod).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('state writes', () => {
+    it('should reject payloads that set state and never write it', async () => {
+      await expect(
+        service.create({
+          employeeId: 3,
+          dateFrom: '2026-03-01',
+          dateTo: '2026-03-31',
+          state: 'done'
+        })
+      ).rejects.toThrow(ValidationError);
+      await expect(service.update(5, { state: 'done' })).rejects.toThrow(ValidationError);
+
+      await service.create({ employeeId: 3, dateFrom: '2026-03-01', dateTo: '2026-03-31' });
+
+      expect(mockRepository.create).toHaveBeenCalledWith({
+        employee_id: 3,
+        date_from: '2026-03-01',
+        date_to: '2026-03-31'
+      });
+      expect(mockRepository.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('lines', () => {
+    beforeEach(() => {
+      mockRepository.findDetails = jest.fn().mockResolvedValue({
+        lines: [
+          {
+            id: 1,
+            sequence: 1,
+            code: 'BASIC',
+            name: 'Basic Salary',
+            category_id: [1, 'Basic'],
+            quantity: 1,
+            rate: 100,
+            amount: 3000,
+            total: 3000
+          },
+          {
+            id: 2,
+            sequence: 100,
+            code: 'GROSS',
+            name: 'Gross',
+            category_id: [3, 'Gross'],
+            quantity: 1,
+            rate: 100,
+            amount: 3200,
+            total: 3200
+          },
+          {
+            id: 3,
+            sequence: 150,
+            code: 'TAX',
+            name: 'Income Tax',
+            category_id: [4, 'Deduction'],
+            quantity: 1,
+            rate: 100,
+            amount: -800.5,
+            total: -800.5
+          },
+          {
+            id: 4,
+            sequence: 200,
+            code: 'NET',
+            name: 'Net Salary',
+            category_id: [5, 'Net'],
+            quantity: 1,
+            rate: 100,
+            amount: 2399.5,
+            total: 2399.5
+          }
+        ],
+        workedDays: [
+          {
+            id: 7,
+            code: 'WORK100',
+            name: 'Attendance',
+            number_of_days: 21,
+            number_of_hours: 168,
+            amount: 3000
+          }
+        ],
+        inputs: [{ id: 9, code: 'BONUS', name: 'Bonus', amount: 200 }]
+      });
+    });
+
+    it('should return the breakdown with gross, deductions and net', async () => {
+      const result = await service.getLines(5, { scope: { employeeId: 3 } });
+
+      expect(mockRepository.count).toHaveBeenCalled();
+      expect(mockRepository.findDetails).toHaveBeenCalledWith([5], {});
+      expect(result.payslipId).toBe(5);
+      expect(result.lines[2]).toEqual({
+        id: 3,
+        sequence: 150,
+        code: 'TAX',
+        name: 'Income Tax',
+        categoryId: 4,
+        categoryName: 'Deduction',
+        quantity: 1,
+        rate: 100,
+        amount: -800.5,
+        total: -800.5
+      });
+      expect(result.workedDays).toEqual([
+        { id: 7, code: 'WORK100', name: 'Attendance', days: 21, hours: 168, amount: 3000 }
+      ]);
+      expect(result.inputs).toEqual([{ id: 9, code: 'BONUS', name: 'Bonus', amount: 200 }]);
+      expect(result.summary).toEqual({ gross: 3200, deductions: 800.5, net: 2399.5 });
+    });
+
+    it('should report a null amount for worked days read without one (OCA payroll)', async () => {
+      const details = await mockRepository.findDetails();
+      mockRepository.findDetails.mockResolvedValue({
+        ...details,
+        workedDays: [{ id: 7, code: 'WORK100', name: 'Attendance', number_of_days: 21 }]
+      });
+
+      const result = await service.getLines(5);
+
+      expect(result.workedDays[0]).toMatchObject({ code: 'WORK100', amount: null });
+    });
+
+    it('should embed the breakdown with ?include=lines', async () => {
+      const payslip = await service.getById(5, { include: ['lines'] });
+
+      expect(payslip).toMatchObject({ id: 5, state: 'draft', summary: { net: 2399.5 } });
+      expect(payslip.lines).toHaveLength(4);
+
+      const plain = await service.getById(5, {});
+      expect(plain.lines).toBeUndefined();
+      expect(mockRepository.findDetails).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject unknown includes', async () => {
+      await expect(service.getById(5, { include: ['contract'] })).rejects.toThrow(ValidationError);
+    });
+
+    it('should leave the summary empty without GROSS and NET rules', async () => {
+      mockRepository.findDetails.mockResolvedValue({ lines: [], workedDays: [], inputs: [] });
+
+      const result = await service.getLines(5);
+
+      expect(result.summary).toEqual({ gross: null, deductions: null, net: null });
+    });
+  });
+});
@@ -0,0 +1,515 @@
+const PayrollRunsService = require('../../../src/modules/payrollRuns/payrollRuns.service');
+const PayrollRunsAdapter = require('../../../src/modules/payrollRuns/payrollRuns.adapter');
+const PayrollRunsValidator = require('../../../src/modules/payrollRuns/payrollRuns.validator');
+const {
+  ConflictError,
+  NotFoundError,
+  OdooUserError,
+  ValidationError
+} = require('../../../src/core/errors');
+
+describe('PayrollRunsService', () => {
+  let service;
+  let mockRepository;
+  let mockLogger;
+
+  const run = {
+    id: 9,
+    name: 'March 2026',
+    date_start: '2026-03-01',
+    date_end: '2026-03-31',
+    state: 'draft',
+    slip_ids: []
+  };
+
+  beforeEach(() => {
+    mockRepository = {
+      findById: jest.fn().mockResolvedValue(run),
+      create: jest.fn().mockResolvedValue(9),
+      callMethod: jest.fn().mockResolvedValue(true),
+      findEligibleContracts: jest.fn().mockResolvedValue([]),
+      findPayslips: jest.fn().mockResolvedValue([]),
+      createPayslip: jest.fn().mockResolvedValue(100),
+      callPayslipMethod: jest.fn().mockResolvedValue(true),
+      findLinesByCode: jest.fn().mockResolvedValue([]),
+      findEmployees: jest.fn().mockResolvedValue([]),
+      findBankAccounts: jest.fn().mockResolvedValue([]),
+      modelName: 'hr.payslip.run'
+    };
+    mockLogger = { info: jest.fn(), error: jest.fn(), warn: jest.fn(), debug: jest.fn() };
+
+    service = new PayrollRunsService(mockRepository, {
+      adapter: new PayrollRunsAdapter(),
+      validator: new PayrollRunsValidator(),
+      logger: mockLogger,
+      payment: {
+        currency: 'EUR',
+        debtor: { name: 'Acme SA', iban: 'BE71 0961 2345 6769', bic: 'GKCCBEBB' },
+        nacha: {
+          immediateDestination: '071000505',
+          immediateDestinationName: 'Bank of Example',
+          immediateOrigin: '1234567890',
+          immediateOriginName: 'Acme Inc',
+          companyName: 'Acme Inc',
+          companyId: '1234567890',
+          originatingDfi: '07100050',
+          entryDescription: 'PAYROLL',
+          transactionCode: '22'
+        }
+      }
+    });
+  });
+
+  describe('startStep', () => {
+    it('should generate one payslip per employee from their newest contract', async () => {
+      mockRepository.findEligibleContracts.mockResolvedValue([
+        { id: 31, employee_id: [3, 'Jane Doe'], date_start: '2026-02-01' },
+        { id: 12, employee_id: [3, 'Jane Doe'], date_start: '2025-01-01' },
+        { id: 14, employee_id: [4, 'John Roe'], date_start: '2024-06-01' },
+        { id: 15, employee_id: [5, 'Ann Poe'], date_start: '2024-06-01' }
+      ]);
+      // Ann already has a payslip in the run
+      mockRepository.findPayslips.mockResolvedValue([{ id: 90, employee_id: [5, 'Ann Poe'] }]);
+
+      const started = await service.startStep(9, 'generate', { departmentId: 2 });
+      await service.tasks.get(9);
+
+      expect(started).toMatchObject({ runId: 9, step: 'generate', status: 'running' });
+      expect(mockRepository.findEligibleContracts).toHaveBeenCalledWith({
+        dateFrom: '2026-03-01',
+        dateTo: '2026-03-31',
+        departmentId: 2,
+        employeeIds: undefined
+      });
+      expect(mockRepository.createPayslip.mock.calls.map((call) => call[0])).toEqual([
+        {
+          employee_id: 3,
+          contract_id: 31,
+          payslip_run_id: 9,
+          date_from: '2026-03-01',
+          date_to: '2026-03-31'
+        },
+        {
+          employee_id: 4,
+          contract_id: 14,
+          payslip_run_id: 9,
+          date_from: '2026-03-01',
+          date_to: '2026-03-31'
+        }
+      ]);
+      expect(await service.getProgress(9)).toMatchObject({
+        status: 'done',
+        total: 2,
+        processed: 2,
+        succeeded: 2,
+        failed: 0,
+        errors: []
+      });
+    });
+
+    it('should record per-employee failures and carry on', async () => {
+      mockRepository.findPayslips.mockResolvedValue([
+        { id: 100, employee_id: [3, 'Jane Doe'], state: 'draft' },
+        { id: 101, employee_id: [4, 'John Roe'], state: 'draft' },
+        { id: 102, employee_id: [5, 'Ann Poe'], state: 'done' }
+      ]);
+      mockRepository.callPayslipMethod
+        .mockRejectedValueOnce(new OdooUserError('No salary structure'))
+        .mockResolvedValueOnce(true);
+
+      await service.startStep(9, 'compute');
+      await service.tasks.get(9);
+
+      expect(mockRepository.callPayslipMethod.mock.calls).toEqual([
+        [[100], 'compute_sheet'],
+        [[101], 'compute_sheet']
+      ]);
+      expect(await service.getProgress(9)).toMatchObject({
+        step: 'compute',
+        status: 'done',
+        total: 2,
+        succeeded: 1,
+        failed: 1,
+        errors: [
+          {
+            employeeId: 3,
+            employeeName: 'Jane Doe',
+            payslipId: 100,
+            error: 'No salary structure'
+          }
+        ]
+      });
+    });
+
+    it('should confirm waiting payslips and close the run', async () => {
+      mockRepository.findPayslips.mockResolvedValue([
+        { id: 100, employee_id: [3, 'Jane Doe'], state: 'verify' },
+        { id: 101, employee_id: [4, 'John Roe'], state: 'cancel' }
+      ]);
+
+      await service.startStep(9, 'confirm');
+      await service.tasks.get(9);
+
+      expect(mockRepository.callPayslipMethod).toHaveBeenCalledTimes(1);
+      expect(mockRepository.callPayslipMethod).toHaveBeenCalledWith([100], 'action_payslip_done');
+      expect(mockRepository.callMethod).toHaveBeenCalledWith([9], 'action_close');
+    });
+
+    it('should leave the run open when a payslip could not be confirmed', async () => {
+      mockRepository.findPayslips.mockResolvedValue([
+        { id: 100, employee_id: [3, 'Jane Doe'], state: 'draft' }
+      ]);
+      mockRepository.callPayslipMethod.mockRejectedValue(new OdooUserError('Not computed'));
+
+      await service.startStep(9, 'confirm');
+      await service.tasks.get(9);
+
+      expect(mockRepository.callMethod).not.toHaveBeenCalled();
+    });
+
+    it('should mark the step failed when it cannot start working', async () => {
+      mockRepository.findEligibleContracts.mockRejectedValue(new Error('Odoo unreachable'));
+
+      await service.startStep(9, 'generate');
+      await service.tasks.get(9);
+
+      const progress = await service.getProgress(9);
+      expect(progress.status).toBe('failed');
+      expect(progress.finishedAt).not.toBeNull();
+      expect(progress.errors).toEqual([
+        { employeeId: null, payslipId: null, error: 'Odoo unreachable' }
+      ]);
+      expect(service.tasks.has(9)).toBe(false);
+    });
+
+    it('should refuse a second step while one is running', async () => {
+      let release;
+      mockRepository.findPayslips.mockReturnValue(
+        new Promise((resolve) => {
+          release = resolve;
+        })
+      );
+
+      await service.startStep(9, 'compute');
+      const error = await service.startStep(9, 'confirm').catch((err) => err);
+
+      expect(error).toBeInstanceOf(ConflictError);
+      expect(error.statusCode).toBe(409);
+
+      release([]);
+      await service.tasks.get(9);
+      await expect(service.startStep(9, 'confirm')).resolves.toMatchObject({ step: 'confirm' });
+    });
+
+    it('should reject unknown steps and invalid generate options', async () => {
+      await expect(service.startStep(9, 'pay')).rejects.toThrow(ValidationError);
+      await expect(service.startStep(9, 'generate', { employeeIds: [] })).rejects.toThrow(
+        ValidationError
+      );
+      expect(service.tasks.size).toBe(0);
+    });
+
+    it('should return 404 for missing runs', async () => {
+      mockRepository.findById.mockResolvedValue(null);
+
+      await expect(service.startStep(9, 'compute')).rejects.toThrow(NotFoundError);
+      expect(service.jobs.size).toBe(0);
+    });
+  });
+
+  describe('create', () => {
+    it('should start generating when a department is given', async () => {
+      const created = await service.create({
+        dateFrom: '2026-03-01',
+        dateTo: '2026-03-31',
+        departmentId: 2
+      });
+      await service.tasks.get(9);
+
+      expect(mockRepository.create).toHaveBeenCalledWith({
+        name: 'Payroll 2026-03-01 - 2026-03-31',
+        date_start: '2026-03-01',
+        date_end: '2026-03-31'
+      });
+      expect(created).toMatchObject({ id: 9, progress: { step: 'generate' } });
+      expect(mockRepository.findEligibleContracts).toHaveBeenCalledWith(
+        expect.objectContaining({ departmentId: 2 })
+      );
+    });
+
+    it('should only create the run without a department', async () => {
+      const created = await service.create({ dateFrom: '2026-03-01', dateTo: '2026-03-31' });
+
+      expect(created.progress).toBeUndefined();
+      expect(service.tasks.size).toBe(0);
+    });
+  });
+
+  describe('getProgress', () => {
+    it('should report idle runs', async () => {
+      await expect(service.getProgress(9)).resolves.toEqual({
+        runId: 9,
+        step: null,
+        status: 'idle'
+      });
+    });
+  });
+
+  describe('getPayslips', () => {
+    it('should list each employee with the errors of the latest step', async () => {
+      mockRepository.findEligibleContracts.mockResolvedValue([
+        { id: 31, employee_id: [3, 'Jane Doe'] },
+        { id: 14, employee_id: [4, 'John Roe'] }
+      ]);
+      mockRepository.createPayslip
+        .mockResolvedValueOnce(100)
+        .mockRejectedValueOnce(new OdooUserError('No contract structure'));
+
+      await service.startStep(9, 'generate');
+      await service.tasks.get(9);
+
+      mockRepository.findPayslips.mockResolvedValue([
+        { id: 100, number: 'SLIP/001', employee_id: [3, 'Jane Doe'], state: 'draft' }
+      ]);
+
+      const result = await service.getPayslips(9);
+
+      expect(result.data).toEqual([
+        {
+          employeeId: 3,
+          employeeName: 'Jane Doe',
+          payslipId: 100,
+          number: 'SLIP/001',
+          state: 'draft',
+          error: null
+        },
+        {
+          employeeId: 4,
+          employeeName: 'John Roe',
+          payslipId: null,
+          number: null,
+          state: null,
+          error: 'No contract structure'
+        }
+      ]);
+      expect(result.summary).toEqual({
+        runId: 9,
+        employees: 2,
+        states: { draft: 1, missing: 1 },
+        errors: 1
+      });
+    });
+  });
+
+  describe('getPaymentFile', () => {
+    const now = new Date('2026-03-31T17:05:00Z');
+
+    beforeEach(() => {
+      mockRepository.findPayslips.mockResolvedValue([
+        { id: 100, number: 'SLIP/001', employee_id: [3, 'Jane Doe'], state: 'done' },
+        { id: 101, number: 'SLIP/002', employee_id: [4, 'Jöhn Roe'], state: 'done' },
+        { id: 102, number: 'SLIP/003', employee_id: [5, 'Ann Poe'], state: 'draft' }
+      ]);
+      mockRepository.findLinesByCode.mockResolvedValue([
+        { id: 1, slip_id: [100, 'SLIP/001'], total: 2500.5 },
+        { id: 2, slip_id: [101, 'SLIP/002'], total: 1999.99 }
+      ]);
+      mockRepository.findEmployees.mockResolvedValue([
+        { id: 3, name: 'Jane Doe', bank_account_id: [7, 'DE89...'] },
+        { id: 4, name: 'Jöhn Roe', bank_account_id: [8, 'FR14...'] }
+      ]);
+      mockRepository.findBankAccounts.mockResolvedValue([
+        {
+          id: 7,
+          acc_number: 'DE89 3704 0044 0532 0130 00',
+          acc_holder_name: false,
+          bank_bic: 'COBADEFFXXX',
+          aba_routing: '021000021'
+        },
+        {
+          id: 8,
+          acc_number: 'FR1420041010050500013M02606',
+          acc_holder_name: 'Jöhn & Co Roe',
+          bank_bic: false,
+          aba_routing: '011000015'
+        }
+      ]);
+    });
+
+    it('should build a SEPA credit transfer of the confirmed payslips', async () => {
+      const file = await service.getPaymentFile(9, { format: 'sepa', date: '2026-04-01', now });
+
+      expect(mockRepository.findLinesByCode).toHaveBeenCalledWith([100, 101], 'NET');
+      expect(mockRepository.findBankAccounts).toHaveBeenCalledWith(
+        [7, 8],
+        ['id', 'acc_number', 'acc_holder_name', 'bank_bic']
+      );
+      expect(file).toMatchObject({
+        contentType: 'application/xml; charset=utf-8',
+        filename: 'payroll-run-9-2026-04-01.xml',
+        count: 2,
+        total: '4500.49',
+        skipped: 1
+      });
+      expect(file.content).toContain('<MsgId>PAYRUN-9-20260331170500</MsgId>');
+      expect(file.content.match(/<CtrlSum>4500.49<\/CtrlSum>/g)).toHaveLength(2);
+      expect(file.content).toContain('<ReqdExctnDt>2026-04-01</ReqdExctnDt>');
+      expect(file.content).toContain('<DbtrAcct><Id><IBAN>BE71096123456769</IBAN></Id></DbtrAcct>');
+      expect(file.content).toContain('<InstdAmt Ccy="EUR">2500.50</InstdAmt>');
+      expect(file.content).toContain('<IBAN>DE89370400440532013000</IBAN>');
+      expect(file.content).toContain('<Cdtr><Nm>John Co Roe</Nm></Cdtr>');
+      expect(file.content).toContain(
+        '<CdtrAgt><FinInstnId><Othr><Id>NOTPROVIDED</Id></Othr></FinInstnId></CdtrAgt>'
+      );
+      expect(file.content).toContain('<Ustrd>March 2026</Ustrd>');
+    });
+
+    it('should build a NACHA file of fixed-width records in full blocks', async () => {
+      mockRepository.findBankAccounts.mockResolvedValue([
+        { id: 7, acc_number: '123456789', acc_holder_name: false, aba_routing: '021000021' },
+        { id: 8, acc_number: '987-654', acc_holder_name: false, aba_routing: '011000015' }
+      ]);
+
+      const file = await service.getPaymentFile(9, { format: 'nacha', date: '2026-04-01', now });
+      const records = file.content.trimEnd().split('\n');
+
+      expect(mockRepository.findBankAccounts).toHaveBeenCalledWith(
+        [7, 8],
+        ['id', 'acc_number', 'acc_holder_name', 'bank_bic', 'aba_routing']
+      );
+      expect(records).toHaveLength(10);
+      records.forEach((record) => expect(record).toHaveLength(94));
+      // File header: destination, origin, creation date and time, then the names
+      expect(records[0].slice(0, 40)).toBe('101 07100050512345678902603311705A094101');
+      expect(records[0].slice(40)).toBe(
+        `${'BANK OF EXAMPLE'.padEnd(23)}${'ACME INC'.padEnd(23)}${'RUN9'.padEnd(8)}`
+      );
+      expect(records[1].slice(50, 75)).toBe('PPDPAYROLL         260401');
+      // Entry: transaction code, routing number, account, amount, ID, name and trace number
+      expect(records[2].slice(0, 39)).toBe('622021000021123456789        0000250050');
+      expect(records[2].slice(39, 76)).toBe(`${'SLIP/001'.padEnd(15)}${'JANE DOE'.padEnd(22)}`);
+      expect(records[2].slice(79)).toBe('071000500000001');
+      expect(records[3].slice(29, 39)).toBe('0000199999');
+      expect(records[3].slice(54, 76)).toBe('JOHN ROE'.padEnd(22));
+      // Entry hash: 02100002 + 01100001
+      expect(records[4].slice(0, 44)).toBe(
+        `8220000002${'0003200003'}${'0'.repeat(12)}000000450049`
+      );
+      expect(records[5].slice(0, 55)).toBe(
+        `9000001000001000000020003200003${'0'.repeat(12)}000000450049`
+      );
+      expect(records.slice(6)).toEqual(Array(4).fill('9'.repeat(94)));
+    });
+
+    it('should build a CSV with one row per transfer', async () => {
+      const file = await service.getPaymentFile(9, { format: 'csv', date: '2026-04-01', now });
+
+      expect(file.content.split('\r\n')).toEqual([
+        'employeeId,employeeName,payslipNumber,accountHolder,accountNumber,bic,routingNumber,amount,currency,reference',
+        '3,Jane Doe,SLIP/001,Jane Doe,DE89370400440532013000,COBADEFFXXX,,2500.50,EUR,March 2026',
+        '4,Jöhn Roe,SLIP/002,Jöhn & Co Roe,FR1420041010050500013M02606,,,1999.99,EUR,March 2026',
+        ''
+      ]);
+    });
+
+    it('should list every payslip that cannot be paid and generate nothing', async () => {
+      mockRepository.findPayslips.mockResolvedValue([
+        { id: 100, number: 'SLIP/001', employee_id: [3, 'Jane Doe'], state: 'done' },
+        { id: 101, number: 'SLIP/002', employee_id: [4, 'Jöhn Roe'], state: 'done' },
+        { id: 103, number: 'SLIP/004', employee_id: [6, 'Max Moe'], state: 'done' },
+        { id: 104, number: 'SLIP/005', employee_id: [7, 'Liz Loe'], state: 'done' }
+      ]);
+      mockRepository.findLinesByCode.mockResolvedValue([
+        { id: 1, slip_id: [100, 'SLIP/001'], total: 2500.5 },
+        { id: 2, slip_id: [101, 'SLIP/002'], total: 1999.99 },
+        { id: 3, slip_id: [104, 'SLIP/005'], total: 10.005 }
+      ]);
+      mockRepository.findEmployees.mockResolvedValue([
+        { id: 3, name: 'Jane Doe', bank_account_id: false },
+        { id: 4, name: 'Jöhn Roe', bank_account_id: [8, 'FR14...'] },
+        { id: 6, name: 'Max Moe', bank_account_id: false },
+        { id: 7, name: 'Liz Loe', bank_account_id: false }
+      ]);
+      mockRepository.findBankAccounts.mockResolvedValue([
+        { id: 8, acc_number: 'FR1420041010050500013M02607', acc_holder_name: false }
+      ]);
+
+      const error = await service.getPaymentFile(9, { format: 'sepa' }).catch((err) => err);
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.errors).toEqual([
+        'Jane Doe (payslip SLIP/001): no bank account',
+        'Jöhn Roe (payslip SLIP/002): bank account FR1420041010050500013M02607 is not a valid IBAN',
+        'Max Moe (payslip SLIP/004): no NET salary rule line',
+        'Liz Loe (payslip SLIP/005): net amount 10.005 has more than two decimals'
+      ]);
+      expect(error.fields).toEqual({ payments: '4 of 4 confirmed payslips cannot be paid' });
+    });
+
+    it('should require a valid routing number for NACHA files', async () => {
+      mockRepository.findBankAccounts.mockResolvedValue([
+        { id: 7, acc_number: '123456789', aba_routing: '021000022' },
+        { id: 8, acc_number: '987654', aba_routing: false }
+      ]);
+
+      const error = await service.getPaymentFile(9, { format: 'nacha' }).catch((err) => err);
+
+      expect(error.errors).toEqual([
+        'Jane Doe (payslip SLIP/001): no valid ABA routing number',
+        'Jöhn Roe (payslip SLIP/002): no valid ABA routing number'
+      ]);
+    });
+
+    it('should reject runs without confirmed payslips', async () => {
+      mockRepository.findPayslips.mockResolvedValue([
+        { id: 102, number: 'SLIP/003', employee_id: [5, 'Ann Poe'], state: 'draft' }
+      ]);
+
+      const error = await service.getPaymentFile(9, { format: 'csv' }).catch((err) => err);
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.message).toBe('Payroll run 9 has no confirmed payslips');
+      expect(mockRepository.findLinesByCode).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown formats and dates before reading Odoo', async () => {
+      await expect(service.getPaymentFile(9, { format: 'swift' })).rejects.toThrow(ValidationError);
+      await expect(
+        service.getPaymentFile(9, { format: 'csv', date: '01/04/2026' })
+      ).rejects.toThrow(ValidationError);
+      expect(mockRepository.findById).not.toHaveBeenCalled();
+    });
+
+    it('should refuse formats whose paying account is not configured', async () => {
+      service.payment = { currency: 'EUR', debtor: { name: 'Acme SA', iban: null }, nacha: {} };
+
+      const error = await service
+        .getPaymentFile(9, { format: 'sepa' })
+        .catch((rejection) => rejection);
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.message).toBe(
+        'Payment files in sepa format need the paying account to be configured (missing debtor.iban)'
+      );
+      expect(error.fields).toEqual({ 'debtor.iban': 'Not configured' });
+
+      await expect(service.getPaymentFile(9, { format: 'nacha' })).rejects.toThrow(
+        /missing nacha.immediateDestination/
+      );
+      await expect(service.getPaymentFile(9, { format: 'csv' })).resolves.toMatchObject({
+        count: 2
+      });
+    });
+
+    it('should only build SEPA files for payments in EUR', async () => {
+      service.payment.currency = 'CHF';
+
+      await expect(service.getPaymentFile(9, { format: 'sepa' })).rejects.toThrow(
+        'SEPA credit transfers are in EUR, not CHF'
+      );
+      expect(mockRepository.findById).not.toHaveBeenCalled();
+
+      const file = await service.getPaymentFile(9, { format: 'csv' });
+      expect(file.content).toContain(',2500.50,CHF,');
+    });
+  });
+});
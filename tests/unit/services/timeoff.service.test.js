@@ -0,0 +1,521 @@
+const TimeOffService = require('../../../src/modules/timeoff/timeoff.service');
+const TimeOffAdapter = require('../../../src/modules/timeoff/timeoff.adapter');
+const TimeOffValidator = require('../../../src/modules/timeoff/timeoff.validator');
+const { NotFoundError, OdooUserError, ValidationError } = require('../../../src/core/errors');
+
+describe('TimeOffService', () => {
+  let service;
+  let mockRepository;
+  let mockLogger;
+
+  beforeEach(() => {
+    mockRepository = {
+      findById: jest
+        .fn()
+        .mockResolvedValue({ id: 9, employee_id: [3, 'Jane Doe'], state: 'confirm' }),
+      count: jest.fn().mockResolvedValue(1),
+      create: jest.fn().mockResolvedValue(9),
+      update: jest.fn().mockResolvedValue(true),
+      callMethod: jest.fn().mockResolvedValue(true),
+      countRelated: jest.fn().mockResolvedValue(1),
+      modelName: 'hr.leave'
+    };
+    mockLogger = { info: jest.fn(), error: jest.fn(), warn: jest.fn(), debug: jest.fn() };
+
+    service = new TimeOffService(mockRepository, {
+      adapter: new TimeOffAdapter(),
+      validator: new TimeOffValidator(),
+      logger: mockLogger,
+      scopeField: 'employee_id',
+      actions: { reset: 'action_reset_confirm' }
+    });
+  });
+
+  describe('runAction', () => {
+    it('should call the hr.leave action method and return the updated request', async () => {
+      const record = await service.runAction(9, 'approve');
+
+      expect(mockRepository.callMethod).toHaveBeenCalledWith([9], 'action_approve');
+      expect(record).toMatchObject({ id: 9, state: 'confirm' });
+    });
+
+    it('should use configured action methods', async () => {
+      await service.runAction(9, 'reset');
+
+      expect(mockRepository.callMethod).toHaveBeenCalledWith([9], 'action_reset_confirm');
+    });
+
+    it('should require a reason to refuse and post it on the chatter', async () => {
+      await expect(service.runAction(9, 'refuse', { reason: '  ' })).rejects.toThrow(
+        ValidationError
+      );
+      expect(mockRepository.callMethod).not.toHaveBeenCalled();
+
+      await service.runAction(9, 'refuse', { reason: 'Team at minimum staffing' });
+
+      expect(mockRepository.callMethod).toHaveBeenNthCalledWith(1, [9], 'action_refuse');
+      expect(mockRepository.callMethod).toHaveBeenNthCalledWith(2, [9], 'message_post', [], {
+        body: 'Refused: Team at minimum staffing'
+      });
+    });
+
+    it('should pass Odoo user errors through unchanged', async () => {
+      const refusal = new OdooUserError(
+        'Time off request must be confirmed in order to approve it.',
+        'odoo.exceptions.UserError'
+      );
+      mockRepository.callMethod.mockRejectedValue(refusal);
+
+      await expect(service.runAction(9, 'approve')).rejects.toBe(refusal);
+    });
+
+    it('should not act on requests outside the caller scope', async () => {
+      mockRepository.count.mockResolvedValue(0);
+
+      await expect(service.runAction(9, 'approve', { scope: { employeeId: 4 } })).rejects.toThrow(
+        NotFoundError
+      );
+      expect(mockRepository.callMethod).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('state writes', () => {
+    it('should reject create and update payloads that set state', async () => {
+      await expect(
+        service.create({
+          employeeId: 3,
+          typeId: 1,
+          dateFrom: '2026-03-02',
+          dateTo: '2026-03-03',
+          state: 'validate'
+        })
+      ).rejects.toThrow(ValidationError);
+      await expect(service.update(9, { state: 'validate' })).rejects.toThrow(ValidationError);
+
+      expect(mockRepository.create).not.toHaveBeenCalled();
+      expect(mockRepository.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getBalances', () => {
+    beforeEach(() => {
+      mockRepository.groupAllocations = jest
+        .fn()
+        .mockResolvedValue([
+          { holiday_status_id: [1, 'Paid Time Off'], number_of_days: 20, date_from: '2026-01-01' }
+        ]);
+      mockRepository.readGroup = jest.fn().mockResolvedValue([
+        { holiday_status_id: [1, 'Paid Time Off'], state: 'validate', number_of_days: 6.5 },
+        { holiday_status_id: [1, 'Paid Time Off'], state: 'confirm', number_of_days: 2 },
+        { holiday_status_id: [4, 'Sick Time Off'], state: 'validate', number_of_days: 1 }
+      ]);
+    });
+
+    it('should combine allocations and requests per leave type', async () => {
+      const result = await service.getBalances({ employeeId: '3', date: '2026-03-02' });
+
+      expect(result.summary).toEqual({ employeeId: 3, date: '2026-03-02' });
+      expect(result.data).toEqual([
+        {
+          typeId: 1,
+          typeName: 'Paid Time Off',
+          allocated: 20,
+          taken: 6.5,
+          pending: 2,
+          remaining: 11.5
+        },
+        { typeId: 4, typeName: 'Sick Time Off', allocated: 0, taken: 1, pending: 0, remaining: -1 }
+      ]);
+    });
+
+    it('should only count requests from the first running allocation', async () => {
+      await service.getBalances(
+        { employeeId: 3, date: '2026-03-02' },
+        { scope: { employeeId: 3 } }
+      );
+
+      const [allocationDomain] = mockRepository.groupAllocations.mock.calls[0];
+      expect(allocationDomain).toEqual(
+        expect.arrayContaining([
+          ['employee_id', 'child_of', 3],
+          ['employee_id', '=', 3],
+          ['state', '=', 'validate'],
+          ['date_from', '<=', '2026-03-02']
+        ])
+      );
+
+      const [leaveDomain, , groupBy] = mockRepository.readGroup.mock.calls[0];
+      expect(groupBy).toEqual(['holiday_status_id', 'state']);
+      expect(leaveDomain.slice(-5)).toEqual([
+        '|',
+        ['holiday_status_id', 'not in', [1]],
+        '&',
+        ['holiday_status_id', '=', 1],
+        ['date_from', '>=', '2026-01-01']
+      ]);
+    });
+
+    it('should report employees outside the caller scope as not found', async () => {
+      mockRepository.countRelated.mockResolvedValue(0);
+
+      await expect(
+        service.getBalances({ employeeId: 8, date: '2026-03-02' }, { scope: { employeeId: 3 } })
+      ).rejects.toThrow(NotFoundError);
+      expect(mockRepository.countRelated).toHaveBeenCalledWith('hr.employee', [
+        ['id', '=', 8],
+        ['id', 'child_of', 3]
+      ]);
+      expect(mockRepository.groupAllocations).not.toHaveBeenCalled();
+    });
+
+    it('should reject an invalid employee or date', async () => {
+      await expect(service.getBalances({ employeeId: 'abc' })).rejects.toThrow(ValidationError);
+      await expect(service.getBalances({ employeeId: 3, date: '2026-02-30' })).rejects.toThrow(
+        ValidationError
+      );
+      expect(mockRepository.groupAllocations).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getLeaveTypes', () => {
+    it('should map leave types from either allocation field', async () => {
+      mockRepository.models = { leaveType: 'hr.leave.type' };
+      mockRepository.findLeaveTypes = jest.fn().mockResolvedValue([
+        { id: 1, name: 'Paid Time Off', request_unit: 'day', requires_allocation: 'yes' },
+        { id: 2, name: 'Unpaid', request_unit: 'hour', allocation_type: 'no' }
+      ]);
+
+      const result = await service.getLeaveTypes();
+
+      expect(result.data).toEqual([
+        { id: 1, name: 'Paid Time Off', unit: 'day', requiresAllocation: true, validation: null },
+        { id: 2, name: 'Unpaid', unit: 'hour', requiresAllocation: false, validation: null }
+      ]);
+    });
+  });
+
+  describe('getCalendar', () => {
+    beforeEach(() => {
+      service.timezone = 'Europe/Brussels';
+      service.defaultFields = ['id', 'employee_id', 'holiday_status_id', 'date_from', 'date_to'];
+      mockRepository.findAll = jest.fn().mockResolvedValue([
+        {
+          id: 9,
+          employee_id: [3, 'Jane Doe'],
+          holiday_status_id: [1, 'Paid Time Off'],
+          // 2026-03-02 08:00 to 2026-03-03 17:00, Brussels time
+          date_from: '2026-03-02 07:00:00',
+          date_to: '2026-03-03 16:00:00',
+          number_of_days: 2,
+          state: 'validate'
+        },
+        {
+          id: 10,
+          employee_id: [4, 'John Roe'],
+          holiday_status_id: [4, 'Sick Time Off'],
+          date_from: '2026-02-27 07:00:00',
+          date_to: '2026-03-02 16:00:00',
+          number_of_days: 2,
+          state: 'confirm'
+        }
+      ]);
+    });
+
+    it('should group overlapping requests by local day within the range', async () => {
+      const result = await service.getCalendar({
+        from: '2026-03-01',
+        to: '2026-03-02',
+        departmentId: '5'
+      });
+
+      expect(result.data.map((day) => [day.date, day.leaves.map((leave) => leave.id)])).toEqual([
+        ['2026-03-01', [10]],
+        ['2026-03-02', [9, 10]]
+      ]);
+      expect(result.summary).toMatchObject({ departmentId: 5, leaves: 2 });
+
+      const [domain, , , , order] = mockRepository.findAll.mock.calls[0];
+      expect(domain).toEqual([
+        ['state', 'in', ['confirm', 'validate1', 'validate']],
+        ['date_from', '<', '2026-03-02 23:00:00'],
+        ['date_to', '>', '2026-02-28 23:00:00'],
+        ['department_id', '=', 5]
+      ]);
+      expect(order).toBe('date_from asc, id asc');
+    });
+
+    it('should reject reversed ranges', async () => {
+      await expect(service.getCalendar({ from: '2026-03-02', to: '2026-03-01' })).rejects.toThrow(
+        ValidationError
+      );
+    });
+
+    it('should render an iCalendar feed with folded lines', async () => {
+      mockRepository.findAll.mockResolvedValue([
+        {
+          id: 9,
+          employee_id: [3, `Jane ${'Doe-'.repeat(20)}`],
+          holiday_status_id: [1, 'Paid Time Off, Belgium'],
+          date_from: '2026-03-02 07:00:00',
+          date_to: '2026-03-03 16:00:00',
+          number_of_days: 2,
+          state: 'confirm'
+        }
+      ]);
+
+      const ics = await service.getCalendarFeed({ from: '2026-03-01', to: '2026-03-31' });
+      const lines = ics.split('\r\n');
+
+      expect(lines[0]).toBe('BEGIN:VCALENDAR');
+      expect(ics).toContain('\r\nDTSTART:20260302T070000Z\r\nDTEND:20260303T160000Z\r\n');
+      expect(ics).toContain('STATUS:TENTATIVE');
+      expect(ics).toContain('Paid Time Off\\, Belgium');
+      expect(lines.every((line) => Buffer.byteLength(line) <= 75)).toBe(true);
+      expect(lines.some((line) => line.startsWith(' '))).toBe(true);
+      expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    });
+
+    it('should default the feed to the configured window around today', async () => {
+      mockRepository.findAll.mockResolvedValue([]);
+
+      await service.getCalendarFeed({});
+
+      const [domain] = mockRepository.findAll.mock.calls[0];
+      const end = Date.parse(`${domain[1][2].replace(' ', 'T')}Z`);
+      const start = Date.parse(`${domain[2][2].replace(' ', 'T')}Z`);
+      // 30 days back, today and 180 days ahead
+      expect(Math.round((end - start) / 86400000)).toBe(211);
+    });
+  });
+
+  describe('checkRequest', () => {
+    const request = {
+      employeeId: 3,
+      typeId: 1,
+      dateFrom: '2026-03-02 07:00:00',
+      dateTo: '2026-03-06 16:00:00'
+    };
+
+    beforeEach(() => {
+      mockRepository.findEmployee = jest
+        .fn()
+        .mockResolvedValue({ id: 3, resource_calendar_id: [2, 'Standard 40h'] });
+      mockRepository.findLeaveTypes = jest
+        .fn()
+        .mockResolvedValue([{ id: 1, name: 'Paid Time Off', requires_allocation: 'yes' }]);
+      mockRepository.findBy = jest.fn().mockResolvedValue([]);
+      mockRepository.findPublicHolidays = jest.fn().mockResolvedValue([]);
+      mockRepository.groupAllocations = jest
+        .fn()
+        .mockResolvedValue([
+          { holiday_status_id: [1, 'Paid Time Off'], number_of_days: 10, date_from: '2026-01-01' }
+        ]);
+      mockRepository.readGroup = jest.fn().mockResolvedValue([]);
+    });
+
+    it('should pass a request within balance and estimate its weekdays', async () => {
+      const result = await service.checkRequest(request);
+
+      expect(result).toEqual({
+        employeeId: 3,
+        typeId: 1,
+        dateFrom: '2026-03-02 07:00:00',
+        dateTo: '2026-03-06 16:00:00',
+        days: 5,
+        remaining: 10
+      });
+      expect(mockRepository.findBy.mock.calls[0][0]).toEqual([
+        ['employee_id', '=', 3],
+        ['state', 'in', ['draft', 'confirm', 'validate1', 'validate']],
+        ['date_from', '<', '2026-03-06 16:00:00'],
+        ['date_to', '>', '2026-03-02 07:00:00']
+      ]);
+      expect(mockRepository.findPublicHolidays).toHaveBeenCalledWith(
+        [2],
+        '2026-03-02 07:00:00',
+        '2026-03-06 16:00:00'
+      );
+    });
+
+    it('should report overlaps, public holidays and balance as field errors', async () => {
+      mockRepository.findBy.mockResolvedValue([
+        { id: 12, date_from: '2026-03-05 07:00:00', date_to: '2026-03-05 16:00:00' }
+      ]);
+      mockRepository.findPublicHolidays.mockResolvedValue([
+        {
+          name: 'Spring Day',
+          calendar_id: false,
+          date_from: '2026-03-04 00:00:00',
+          date_to: '2026-03-05 00:00:00'
+        }
+      ]);
+      mockRepository.groupAllocations.mockResolvedValue([
+        { holiday_status_id: [1, 'Paid Time Off'], number_of_days: 3, date_from: '2026-01-01' }
+      ]);
+
+      const error = await service.checkRequest(request).catch((err) => err);
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.fields).toEqual({
+        dates: 'Overlaps leave request 12 (2026-03-05 07:00:00 to 2026-03-05 16:00:00)',
+        publicHolidays: 'Falls on Spring Day (2026-03-04)',
+        days: 'Requested 4 days of Paid Time Off but only 3 remain'
+      });
+    });
+
+    it('should skip the balance of leave types without allocations', async () => {
+      mockRepository.findLeaveTypes.mockResolvedValue([
+        { id: 1, name: 'Unpaid', requires_allocation: 'no' }
+      ]);
+
+      const result = await service.checkRequest({ ...request, days: 40 });
+
+      expect(result.remaining).toBeNull();
+      expect(mockRepository.groupAllocations).not.toHaveBeenCalled();
+    });
+
+    it('should take a bare end date as inclusive, so one day starts and ends on the same date', async () => {
+      const result = await service.checkRequest({
+        ...request,
+        dateFrom: '2026-03-02',
+        dateTo: '2026-03-02'
+      });
+
+      expect(result).toMatchObject({
+        dateFrom: '2026-03-02 00:00:00',
+        dateTo: '2026-03-03 00:00:00',
+        days: 1
+      });
+    });
+
+    it('should read bare dates as local days of the service time zone', async () => {
+      service.timezone = 'Europe/Berlin';
+
+      const result = await service.checkRequest({
+        ...request,
+        dateFrom: '2026-01-05',
+        dateTo: '2026-01-05'
+      });
+
+      expect(result).toMatchObject({
+        dateFrom: '2026-01-04 23:00:00',
+        dateTo: '2026-01-05 23:00:00',
+        days: 1
+      });
+      expect(mockRepository.groupAllocations.mock.calls[0][0]).toContainEqual([
+        'date_from',
+        '<=',
+        '2026-01-05'
+      ]);
+
+      service.timezone = 'America/New_York';
+      mockRepository.findPublicHolidays.mockResolvedValue([
+        {
+          name: 'Holiday Monday',
+          calendar_id: false,
+          date_from: '2026-01-05 05:00:00',
+          date_to: '2026-01-06 05:00:00'
+        }
+      ]);
+
+      const error = await service
+        .checkRequest({ ...request, dateFrom: '2026-01-05', dateTo: '2026-01-06' })
+        .catch((err) => err);
+
+      expect(error.fields).toEqual({ publicHolidays: 'Falls on Holiday Monday (2026-01-05)' });
+      expect(mockRepository.findPublicHolidays).toHaveBeenLastCalledWith(
+        [2],
+        '2026-01-05 05:00:00',
+        '2026-01-07 05:00:00'
+      );
+    });
+
+    it('should write the checked local day boundaries to Odoo', async () => {
+      service.timezone = 'Europe/Berlin';
+
+      await service.create({ ...request, dateFrom: '2026-01-05', dateTo: '2026-01-06' });
+
+      expect(mockRepository.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          date_from: '2026-01-04 23:00:00',
+          date_to: '2026-01-06 23:00:00'
+        })
+      );
+    });
+
+    it('should report employees outside the caller scope as not found before any check', async () => {
+      mockRepository.countRelated.mockResolvedValue(0);
+
+      await expect(service.checkRequest(request, { scope: { employeeId: 4 } })).rejects.toThrow(
+        NotFoundError
+      );
+      await expect(service.create(request, { scope: { employeeId: 4 } })).rejects.toThrow(
+        NotFoundError
+      );
+      expect(mockRepository.countRelated).toHaveBeenCalledWith('hr.employee', [
+        ['id', '=', 3],
+        ['id', 'child_of', 4]
+      ]);
+      expect(mockRepository.findEmployee).not.toHaveBeenCalled();
+      expect(mockRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('should check updated dates as on create, leaving the request itself out', async () => {
+      service.timezone = 'Europe/Berlin';
+      mockRepository.findById.mockResolvedValue({
+        id: 9,
+        employee_id: [3, 'Jane Doe'],
+        holiday_status_id: [1, 'Paid Time Off'],
+        date_from: '2026-03-02 07:00:00',
+        date_to: '2026-03-06 16:00:00',
+        number_of_days: 5,
+        state: 'confirm'
+      });
+
+      await service.update(9, { dateFrom: '2026-03-09', dateTo: '2026-03-10' });
+
+      expect(mockRepository.findBy.mock.calls[0][0]).toEqual(
+        expect.arrayContaining([
+          ['id', '!=', 9],
+          ['date_from', '<', '2026-03-10 23:00:00'],
+          ['date_to', '>', '2026-03-08 23:00:00']
+        ])
+      );
+      expect(mockRepository.readGroup.mock.calls[0][0]).toContainEqual(['id', '!=', 9]);
+      expect(mockRepository.update).toHaveBeenCalledWith(
+        9,
+        expect.objectContaining({
+          date_from: '2026-03-08 23:00:00',
+          date_to: '2026-03-10 23:00:00'
+        })
+      );
+    });
+
+    it('should refuse updates failing the checks and skip them for other fields', async () => {
+      mockRepository.findBy.mockResolvedValue([
+        { id: 12, date_from: '2026-03-05 07:00:00', date_to: '2026-03-05 16:00:00' }
+      ]);
+
+      await expect(service.update(9, { dateTo: '2026-03-06' })).rejects.toThrow(ValidationError);
+      expect(mockRepository.update).not.toHaveBeenCalled();
+
+      mockRepository.findBy.mockClear();
+
+      await expect(service.update(9, { state: 'validate' })).rejects.toThrow(ValidationError);
+      expect(mockRepository.findBy).not.toHaveBeenCalled();
+    });
+
+    it('should reject reversed dates and never create failing requests', async () => {
+      await expect(service.checkRequest({ ...request, dateTo: '2026-03-01' })).rejects.toThrow(
+        ValidationError
+      );
+
+      mockRepository.findBy.mockResolvedValue([
+        { id: 12, date_from: '2026-03-05 07:00:00', date_to: '2026-03-05 16:00:00' }
+      ]);
+
+      await expect(service.create(request)).rejects.toThrow(ValidationError);
+      expect(mockRepository.create).not.toHaveBeenCalled();
+    });
+  });
+});
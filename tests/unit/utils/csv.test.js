@@ -0,0 +1,53 @@
+const { parseCsv, toCsvRow } = require('../../../src/utils/csv');
+const { ValidationError } = require('../../../src/core/errors');
+
+describe('csv', () => {
+  describe('parseCsv', () => {
+    it('should key rows by the header and skip blank lines and empty cells', () => {
+      const text =
+        '\uFEFFname,email,department\r\nJane Doe,jane@example.com,Sales\r\n\r\nJohn Roe,,\n';
+
+      expect(parseCsv(text)).toEqual([
+        { name: 'Jane Doe', email: 'jane@example.com', department: 'Sales' },
+        { name: 'John Roe' }
+      ]);
+    });
+
+    it('should handle quoted fields with commas, quotes and line breaks', () => {
+      const text = 'name,workLocation\n"Doe, Jane","Building ""A""\nFloor 2"';
+
+      expect(parseCsv(text)).toEqual([
+        { name: 'Doe, Jane', workLocation: 'Building "A"\nFloor 2' }
+      ]);
+    });
+
+    it('should return no rows for empty input', () => {
+      expect(parseCsv('')).toEqual([]);
+      expect(parseCsv('name,email\n')).toEqual([]);
+    });
+
+    it('should reject an unterminated quoted field', () => {
+      expect(() => parseCsv('name\n"Jane')).toThrow(ValidationError);
+    });
+  });
+
+  describe('toCsvRow', () => {
+    it('should quote values that need it and blank out missing ones', () => {
+      expect(toCsvRow([1, 'Doe, Jane', 'say "hi"', null, undefined, false])).toBe(
+        '1,"Doe, Jane","say ""hi""",,,false\r\n'
+      );
+    });
+
+    it('should keep spreadsheets from evaluating text as a formula', () => {
+      expect(toCsvRow(['=HYPERLINK("http://x")', '+1', '-2', '@SUM(A1)', -3, 'a=b'])).toBe(
+        `"'=HYPERLINK(""http://x"")",'+1,'-2,'@SUM(A1),-3,a=b\r\n`
+      );
+    });
+
+    it('should round-trip through parseCsv', () => {
+      const text = toCsvRow(['name', 'note']) + toCsvRow(['Jane', 'line one\nline two']);
+
+      expect(parseCsv(text)).toEqual([{ name: 'Jane', note: 'line one\nline two' }]);
+    });
+  });
+});
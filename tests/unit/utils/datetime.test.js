@@ -0,0 +1,32 @@
+const {
+  isDateString,
+  startOfZonedDay,
+  toZonedParts,
+  odooWeekType,
+  isoWeek
+} = require('../../../src/utils/datetime');
+
+describe('datetime', () => {
+  it('should only accept real calendar dates', () => {
+    expect(isDateString('2026-02-28')).toBe(true);
+    expect(isDateString('2026-02-30')).toBe(false);
+    expect(isDateString('28/02/2026')).toBe(false);
+  });
+
+  it('should convert between UTC and wall-clock time', () => {
+    expect(toZonedParts(new Date('2026-03-02T08:30:00Z'), 'Asia/Kolkata')).toEqual({
+      date: '2026-03-02',
+      hours: 14
+    });
+    expect(startOfZonedDay('2026-07-01', 'America/New_York').toISOString()).toBe(
+      '2026-07-01T04:00:00.000Z'
+    );
+  });
+
+  it('should number weeks like ISO 8601 and Odoo two-week calendars', () => {
+    expect(isoWeek('2025-12-31')).toBe('2026-W01');
+    expect(isoWeek('2027-01-01')).toBe('2026-W53');
+    expect(odooWeekType('2026-03-02')).toBe('0');
+    expect(odooWeekType('2026-03-09')).toBe('1');
+  });
+});
@@ -0,0 +1,140 @@
+const { buildDomain, parseSort, parseFields } = require('../../../src/utils/queryParser');
+const { ValidationError } = require('../../../src/core/errors');
+
+describe('queryParser', () => {
+  describe('buildDomain', () => {
+    it('should build equality terms with coerced values', () => {
+      expect(buildDomain({ department_id: '3', active: 'true' })).toEqual([
+        ['department_id', '=', 3],
+        ['active', '=', true]
+      ]);
+    });
+
+    it('should translate operator and shorthand forms', () => {
+      const domain = buildDomain({
+        check_in: { gte: '2026-01-01', lt: '2026-02-01' },
+        'state!': 'draft',
+        name: { ilike: '007' },
+        check_out: { null: 'true' }
+      });
+
+      expect(domain).toEqual([
+        ['check_in', '>=', '2026-01-01'],
+        ['check_in', '<', '2026-02-01'],
+        ['state', '!=', 'draft'],
+        ['name', 'ilike', '007'],
+        ['check_out', '=', false]
+      ]);
+    });
+
+    it('should split comma separated and repeated values into in lists', () => {
+      expect(buildDomain({ state: { in: 'confirm,validate' } })).toEqual([
+        ['state', 'in', ['confirm', 'validate']]
+      ]);
+      expect(buildDomain({ job_id: ['1', '2'] })).toEqual([['job_id', 'in', [1, 2]]]);
+    });
+
+    it('should compile OR groups into prefix notation', () => {
+      const domain = buildDomain({
+        active: 'true',
+        or: [{ state: 'draft' }, { state: 'confirm', employee_id: '4' }]
+      });
+
+      expect(domain).toEqual([
+        ['active', '=', true],
+        '|',
+        ['state', '=', 'draft'],
+        '&',
+        ['state', '=', 'confirm'],
+        ['employee_id', '=', 4]
+      ]);
+    });
+
+    it('should treat null as an unset value rather than false', () => {
+      expect(buildDomain({ check_out: 'null', 'parent_id!': 'null' })).toEqual([
+        ['check_out', '=', false],
+        ['parent_id', '!=', false]
+      ]);
+      expect(buildDomain({ parent_id: { in: '3,null' } })).toEqual([
+        ['parent_id', 'in', [3, false]]
+      ]);
+      expect(buildDomain({ name: { ilike: 'null' } })).toEqual([['name', 'ilike', 'null']]);
+      expect(() => buildDomain({ check_out: { gt: 'null' } })).toThrow(ValidationError);
+      expect(() => buildDomain({ check_out: { null: 'null' } })).toThrow(ValidationError);
+    });
+
+    it('should keep codes and text fields as strings', () => {
+      expect(buildDomain({ barcode: '00123', ref: '12345678901234567' })).toEqual([
+        ['barcode', '=', '00123'],
+        ['ref', '=', '12345678901234567']
+      ]);
+      expect(
+        buildDomain({ pin: '1234', number: { in: '2026,2027' }, id: '1234' }, null, [
+          'pin',
+          'number'
+        ])
+      ).toEqual([
+        ['pin', '=', '1234'],
+        ['number', 'in', ['2026', '2027']],
+        ['id', '=', 1234]
+      ]);
+    });
+
+    it('should reject fields outside the whitelist', () => {
+      expect(() => buildDomain({ wage: { gt: '1000' } }, ['name', 'state'])).toThrow(
+        ValidationError
+      );
+    });
+
+    it('should reject unknown operators', () => {
+      expect(() => buildDomain({ name: { regex: 'a.*' } })).toThrow(ValidationError);
+    });
+
+    it('should translate strict shorthands, which arrive as keys without a value', () => {
+      // ?wage>3000&date_end<2026-07-01
+      expect(
+        buildDomain({ 'wage>3000': '', 'date_end<2026-07-01': '' }, ['wage', 'date_end'])
+      ).toEqual([
+        ['wage', '>', 3000],
+        ['date_end', '<', '2026-07-01']
+      ]);
+      expect(() => buildDomain({ 'wage>3000': '' }, ['name'])).toThrow(ValidationError);
+    });
+
+    it('should reject malformed comparison keys instead of dropping them', () => {
+      expect(() => buildDomain({ 'wage>3000': '5' })).toThrow(ValidationError);
+      expect(() => buildDomain({ 'wage!3000': '' })).toThrow(ValidationError);
+      expect(() => buildDomain({ 'wage<>3000': '' })).toThrow(ValidationError);
+    });
+
+    it('should check the whitelist before dropping empty values', () => {
+      expect(buildDomain({ state: '' }, ['state'])).toEqual([]);
+      expect(() => buildDomain({ bogus: '' }, ['state'])).toThrow(ValidationError);
+    });
+  });
+
+  describe('parseSort', () => {
+    it('should build an Odoo order clause', () => {
+      expect(parseSort('-date_from,employee_id')).toBe('date_from desc, employee_id asc');
+    });
+
+    it('should return null when no sort is requested', () => {
+      expect(parseSort(undefined)).toBeNull();
+      expect(parseSort('')).toBeNull();
+    });
+
+    it('should reject unknown fields', () => {
+      expect(() => parseSort('-wage', ['id', 'date_from'])).toThrow(ValidationError);
+    });
+  });
+
+  describe('parseFields', () => {
+    it('should always include the record id', () => {
+      expect(parseFields('name,state', ['id', 'name', 'state'])).toEqual(['id', 'name', 'state']);
+    });
+
+    it('should reject fields outside the known fields', () => {
+      expect(() => parseFields('name,password', ['id', 'name'])).toThrow(ValidationError);
+    });
+  });
+});